@@ -51,17 +51,42 @@ mongoose
 // Routes
 app.use("/api/auth", require("../routes/auth"));
 app.use("/api/users", require("../routes/users"));
+app.use("/api/reports/drafts", require("../routes/drafts"));
+app.use("/api/reports/bulk", require("../routes/reportBulk"));
 app.use("/api/reports", require("../routes/reports"));
 app.use("/api/forums", require("../routes/forums"));
 app.use("/api/alerts", require("../routes/alerts"));
 app.use("/api/guardians", require("../routes/guardians"));
 app.use("/api/pulse", require("../routes/pulse"));
+app.use("/api/moderation", require("../routes/moderation"));
+app.use("/api/watch-areas", require("../routes/watchAreas"));
+
+// Read the road network once at startup instead of on the first route request
+require("../utils/roadGraph").getRoadGraph();
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
   res.json({ status: "ok", timestamp: new Date().toISOString() });
 });
 
+// Scheduled draft submission. There is no long-lived process here to run
+// server.js's interval, so Vercel Cron calls this (see "crons" in
+// vercel.json) with CRON_SECRET as a bearer token.
+const { submitDueDrafts } = require("../utils/reportSubmission");
+app.get("/api/cron/scheduled-submissions", async (req, res) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.get("authorization") !== `Bearer ${secret}`) {
+    return res.status(401).json({ message: "Unauthorized" });
+  }
+  try {
+    const { submitted, held } = await submitDueDrafts(null);
+    res.json({ submitted, held });
+  } catch (error) {
+    console.error("Scheduled submission error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
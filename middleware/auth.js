@@ -45,3 +45,19 @@ module.exports.optionalAuth = async (req, res, next) => {
     return next();
   }
 };
+
+// Roles allowed to review and moderate reports
+const MODERATOR_ROLES = ["moderator", "admin"];
+module.exports.MODERATOR_ROLES = MODERATOR_ROLES;
+
+// Role check, used after auth: requireRole("admin"), requireRole(...MODERATOR_ROLES)
+module.exports.requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized for this action" });
+    }
+    return next();
+  };
@@ -0,0 +1,33 @@
+const multer = require("multer");
+
+// Configure multer for file uploads. Files are kept in memory and handed to
+// the evidence storage backend (local disk or S3, see utils/evidenceStorage.js)
+const storage = multer.memoryStorage();
+
+// Evidence files per report
+const MAX_EVIDENCE_FILES = 5;
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes =
+      /jpeg|jpg|png|gif|mp4|avi|mov|pdf|doc|docx|webm|ogg|m4a|wav/;
+    const extname = allowedTypes.test(file.originalname.toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(
+        new Error(
+          "Invalid file type. Only images, videos, audio and documents are allowed."
+        )
+      );
+    }
+  },
+});
+
+module.exports = { upload, MAX_EVIDENCE_FILES };
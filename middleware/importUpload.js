@@ -0,0 +1,17 @@
+const multer = require("multer");
+
+// Report dataset uploads (routes/reportBulk.js), parsed in memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: Number(process.env.IMPORT_MAX_MB || 10) * 1024 * 1024,
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|geojson|json|ndjson|jsonl)$/i.test(file.originalname)) {
+      return cb(null, true);
+    }
+    cb(new Error("Only CSV, GeoJSON and NDJSON files can be imported."));
+  },
+});
+
+module.exports = { importUpload };
@@ -1,3 +1,12 @@
+const crypto = require("crypto");
+const { tileDisk, tileNeighbors, tileIdToBounds } = require("../utils/geo");
+const {
+  dpConfig,
+  chargeBudget,
+  refundBudget,
+  noiseMeta,
+} = require("../utils/differentialPrivacy");
+
 const K_ANON = Number(process.env.K_ANON || 3);
 
 function enforceKAnonymity(tiles, k = K_ANON) {
@@ -10,6 +19,148 @@ function enforceKAnonymity(tiles, k = K_ANON) {
   });
 }
 
+// Adaptive generalisation: rather than masking every tile under k, merge
+// neighbouring sparse tiles into regions until each region holds at least k
+// reports. A region grows from its densest tile over sparse neighbours within
+// `radius` tiles; leftovers that never reach k join an adjacent region, or stay
+// unmerged (callers mask those as before).
+// tiles: [{ tileId, ... }], countOf(tile) -> reports in the tile
+// Returns { tiles: tiles meeting k, regions: [{ regionId, tileIds, count, bounds }],
+//           unmerged: sparse tiles that could not be merged }
+function generalizeTiles(
+  tiles,
+  {
+    k = K_ANON,
+    tileSizeMeters = Number(process.env.TILE_SIZE_M || 50),
+    radius = Number(process.env.K_MERGE_RADIUS || 4),
+    countOf = (t) => t.count || 0,
+  } = {}
+) {
+  const dense = [];
+  const sparse = new Map();
+  tiles.forEach((t) => {
+    if (countOf(t) >= k) dense.push(t);
+    else sparse.set(t.tileId, t);
+  });
+
+  // densest first (then by id) so the result does not depend on input order
+  const seeds = Array.from(sparse.values()).sort(
+    (a, b) => countOf(b) - countOf(a) || (a.tileId < b.tileId ? -1 : 1)
+  );
+  const regionOf = new Map();
+  const regions = [];
+  const leftovers = [];
+
+  seeds.forEach((seed) => {
+    if (regionOf.has(seed.tileId)) return;
+    const reach = new Set(tileDisk(seed.tileId, tileSizeMeters, radius));
+    const members = [seed.tileId];
+    const claimed = new Set(members);
+    let count = countOf(seed);
+    // breadth-first over sparse, unclaimed neighbours: nearest tiles join first
+    for (let i = 0; i < members.length && count < k; i++) {
+      tileNeighbors(members[i], tileSizeMeters).forEach((n) => {
+        if (count >= k || claimed.has(n) || regionOf.has(n)) return;
+        if (!sparse.has(n) || !reach.has(n)) return;
+        claimed.add(n);
+        members.push(n);
+        count += countOf(sparse.get(n));
+      });
+    }
+
+    if (count >= k) {
+      const region = { tileIds: members, count };
+      members.forEach((id) => regionOf.set(id, region));
+      regions.push(region);
+    } else {
+      leftovers.push({ members, count });
+    }
+  });
+
+  // attach leftovers to a region next to any of their tiles
+  const unmerged = [];
+  leftovers.forEach(({ members, count }) => {
+    const neighbour = members
+      .flatMap((id) => tileNeighbors(id, tileSizeMeters))
+      .find((n) => regionOf.has(n));
+    if (!neighbour) {
+      members.forEach((id) => unmerged.push(sparse.get(id)));
+      return;
+    }
+    const region = regionOf.get(neighbour);
+    members.forEach((id) => {
+      region.tileIds.push(id);
+      regionOf.set(id, region);
+    });
+    region.count += count;
+  });
+
+  regions.forEach((r) => {
+    // opaque id, so it does not reveal which tiles hold reports
+    r.regionId = `region_${crypto
+      .createHash("sha256")
+      .update(r.tileIds.slice().sort().join(","))
+      .digest("hex")
+      .slice(0, 12)}`;
+    r.bounds = r.tileIds
+      .map((id) => tileIdToBounds(id, tileSizeMeters))
+      .reduce((a, b) => [
+        Math.min(a[0], b[0]),
+        Math.min(a[1], b[1]),
+        Math.max(a[2], b[2]),
+        Math.max(a[3], b[3]),
+      ]);
+  });
+
+  return { tiles: dense, regions, unmerged };
+}
+
+// Differential privacy for public aggregate routes. When DP_ENABLED is set,
+// charge the caller's privacy budget for this response (429 once it is spent)
+// and expose the noise settings as req.dp for the route to apply. Error
+// responses (invalid parameters, failures) release nothing, so their charge
+// is refunded. Routes describe the noise they added with describeNoise.
+// A no-op otherwise, unless `required`: routes whose exact counts could be
+// differenced down to one report use requirePrivacyBudget, which always
+// charges and noises.
+const chargePrivacy = (required) =>
+  function privacyBudget(req, res, next) {
+    const config = dpConfig();
+    if (!config.enabled && !required) return next();
+
+    const client = (req.user && req.user.id) || req.ip;
+    const charge = chargeBudget(client, config);
+    if (!charge.ok) {
+      const retryAfter = Math.ceil((charge.resetAt - Date.now()) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        message: "Privacy budget exhausted, try again later",
+        retryAfter,
+      });
+    }
+
+    res.on("finish", () => {
+      if (res.statusCode >= 400) refundBudget(client, config);
+    });
+
+    req.dp = {
+      mechanism: config.mechanism,
+      epsilon: config.epsilon,
+      budgetRemaining: charge.remaining,
+    };
+    next();
+  };
+
+const privacyBudget = chargePrivacy(false);
+const requirePrivacyBudget = chargePrivacy(true);
+
+// Noise metadata for a response (see noiseMeta), also set as X-Privacy-Noise
+function describeNoise(res, dp, parts) {
+  const meta = noiseMeta(dp, parts);
+  if (dp) res.set("X-Privacy-Noise", JSON.stringify(meta));
+  return meta;
+}
+
 function removeRawCoords(obj) {
   if (Array.isArray(obj)) return obj.map(removeRawCoords);
   if (obj && typeof obj === "object") {
@@ -21,4 +172,11 @@ function removeRawCoords(obj) {
   return obj;
 }
 
-module.exports = { enforceKAnonymity, removeRawCoords };
+module.exports = {
+  enforceKAnonymity,
+  generalizeTiles,
+  privacyBudget,
+  requirePrivacyBudget,
+  describeNoise,
+  removeRawCoords,
+};
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// Append-only hash chain of a report's evidence and edits (see
+// utils/evidenceChain.js). Each entry's hash covers its content and the
+// previous entry's hash, so changing, removing or reordering an entry breaks
+// every later link. Entries hold hashes and field names, never report content.
+const evidenceChainEntrySchema = new mongoose.Schema({
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Report",
+    required: true,
+  },
+  // Position in the report's chain, from 1
+  seq: { type: Number, required: true },
+  event: {
+    type: String,
+    enum: [
+      "created",
+      "evidence_added",
+      "evidence_removed",
+      "edited",
+      "submitted",
+      "redacted",
+      "transcribed",
+    ],
+    required: true,
+  },
+  // Who caused the entry (a role, never an id: chains of anonymous reports
+  // must not identify the reporter)
+  actor: {
+    type: String,
+    enum: ["reporter", "moderator", "system"],
+    required: true,
+  },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  at: { type: Date, required: true },
+  prevHash: { type: String, default: null },
+  hash: { type: String, required: true },
+  // Ed25519 signature of `hash` when EVIDENCE_SIGNING_KEY is set
+  signature: String,
+});
+
+evidenceChainEntrySchema.index({ report: 1, seq: 1 }, { unique: true });
+
+module.exports = mongoose.model("EvidenceChainEntry", evidenceChainEntrySchema);
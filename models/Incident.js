@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// A real-world event, reported by one or more people. Reports point at their
+// incident (Report.incident); only the primary (earliest submitted) report of
+// an incident counts in tile aggregates, heatmaps and route scores, so one
+// event reported five times is still one danger. Summary fields are
+// recomputed from the submitted member reports by utils/incidentClustering.js.
+const incidentSchema = new mongoose.Schema(
+  {
+    primaryReport: { type: mongoose.Schema.Types.ObjectId, ref: "Report" },
+    type: String,
+    types: [String],
+    // Highest severity among member reports
+    severity: String,
+    verified: { type: Boolean, default: false },
+    // Submitted member reports (and how many of them are public)
+    reportCount: { type: Number, default: 0 },
+    publicReportCount: { type: Number, default: 0 },
+    // Mean of the member report locations
+    location: {
+      type: { type: String, enum: ["Point"], default: "Point" },
+      coordinates: [Number],
+      neighborhood: String,
+      city: String,
+    },
+    firstReportedAt: Date,
+    lastReportedAt: Date,
+    // Mean similarity of member reports to the primary report
+    cohesion: Number,
+    // The same summary over the public submitted reports only, which is all
+    // /incidents shows; unset while fewer than K_ANON reports are public
+    publicSummary: {
+      type: { type: String },
+      types: { type: [String], default: undefined },
+      severity: String,
+      verified: Boolean,
+      location: {
+        type: { type: String, enum: ["Point"] },
+        coordinates: { type: [Number], default: undefined },
+        neighborhood: String,
+        city: String,
+      },
+      firstReportedAt: Date,
+      lastReportedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+incidentSchema.index({ location: "2dsphere" });
+incidentSchema.index({ lastReportedAt: -1 });
+incidentSchema.index({ "publicSummary.location": "2dsphere" });
+incidentSchema.index({
+  publicReportCount: 1,
+  "publicSummary.lastReportedAt": -1,
+});
+
+module.exports = mongoose.model("Incident", incidentSchema);
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+// Audit trail of everything done to a report during review: one row per
+// moderator action (and per owner edit of an already reviewed report). Rows
+// are append-only. Redactions record which fields were removed, never their
+// previous content.
+const moderationActionSchema = new mongoose.Schema(
+  {
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Report",
+      required: true,
+    },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    action: {
+      type: String,
+      enum: [
+        "claim",
+        "release",
+        "verify",
+        "reject",
+        "redact",
+        "merge",
+        "note",
+        "owner_edit",
+        "hide_comment",
+        "unhide_comment",
+      ],
+      required: true,
+    },
+    fromStatus: String,
+    toStatus: String,
+    // Fields redacted or edited (names only)
+    fields: [String],
+    notes: { type: String, maxlength: 1000 },
+    // Comment acted on (hide_comment / unhide_comment)
+    comment: { type: mongoose.Schema.Types.ObjectId, ref: "ReportComment" },
+    // Report this one was merged into (merge actions)
+    mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: "Report" },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+moderationActionSchema.index({ report: 1, createdAt: -1 });
+moderationActionSchema.index({ actor: 1, createdAt: -1 });
+
+// Record an action on a report: ModerationAction.record(report, actorId, "verify", { notes })
+moderationActionSchema.statics.record = function (
+  report,
+  actor,
+  action,
+  details = {}
+) {
+  return this.create({
+    report: report._id,
+    actor,
+    action,
+    toStatus: report.status,
+    ...details,
+  });
+};
+
+module.exports = mongoose.model("ModerationAction", moderationActionSchema);
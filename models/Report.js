@@ -1,4 +1,16 @@
 const mongoose = require("mongoose");
+const { TILE_LEVELS, tilePyramid } = require("../utils/geo");
+const {
+  countReports,
+  reportContribution,
+  syncReportAggregates,
+} = require("../utils/tileAggregates");
+const { findSimilarReports } = require("../utils/incidentClustering");
+
+// Content a report must have once submitted; drafts may be partial
+function requiredUnlessDraft() {
+  return this.status !== "draft";
+}
 
 const reportSchema = new mongoose.Schema(
   {
@@ -11,6 +23,14 @@ const reportSchema = new mongoose.Schema(
       type: String,
       index: true,
     },
+    // Tile ids at each pyramid level (see TILE_LEVELS in utils/geo.js) so
+    // heatmaps can aggregate at coarser zoom levels without recomputing ids
+    tilePyramid: {
+      m50: String,
+      m200: String,
+      m1000: String,
+      m5000: String,
+    },
     // Optional lightweight flags for quick scoring
     timeBucket: { type: String }, // e.g. '2025-10-09T22' or hour bucket
     lightingFlag: {
@@ -20,8 +40,24 @@ const reportSchema = new mongoose.Schema(
     },
     // Short anonymized reporter hash (rotateable) for reputation without PII
     anonHash: { type: String, index: true },
+    // Reporter reputation tier when submitted (weights the report in tile
+    // scoring) and the outcomes already credited to the reporter
+    reputationTier: {
+      type: String,
+      enum: ["trusted", "normal", "low"],
+      default: "normal",
+    },
+    reputationCredits: [String],
     // Moderation / verification used to increase weight
     verified: { type: Boolean, default: false },
+    // Incident (cluster of reports of the same event) this report belongs to.
+    // Only the primary report of an incident counts in aggregates.
+    incident: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Incident",
+      index: true,
+    },
+    incidentPrimary: { type: Boolean, default: true },
     type: {
       type: String,
       enum: [
@@ -31,27 +67,27 @@ const reportSchema = new mongoose.Schema(
         "positive_experience",
         "tip",
       ],
-      required: true,
+      required: requiredUnlessDraft,
     },
     title: {
       type: String,
-      required: true,
+      required: requiredUnlessDraft,
       trim: true,
     },
     description: {
       type: String,
-      required: true,
+      required: requiredUnlessDraft,
     },
     location: {
       type: { type: String, enum: ["Point"], default: "Point" },
-      coordinates: { type: [Number], required: true },
+      coordinates: { type: [Number], required: requiredUnlessDraft },
       address: String,
       neighborhood: String,
       city: String,
     },
     timestamp: {
       type: Date,
-      required: true,
+      required: requiredUnlessDraft,
     },
     severity: {
       type: String,
@@ -68,15 +104,36 @@ const reportSchema = new mongoose.Schema(
           type: String,
           enum: ["photo", "video", "audio", "document"],
         },
-        url: String,
+        // Storage key (utils/evidenceStorage.js); files are only reachable
+        // through short-lived download URLs
+        key: String,
+        url: String, // legacy /uploads/evidence/<file> entries
         filename: String,
+        contentType: String,
+        size: Number,
         description: String,
+        // Integrity (utils/evidenceStorage.js): SHA-256 of the upload as
+        // received and of the stored copy, which has location metadata
+        // removed when metadataStripped. When the two differ the original is
+        // kept sealed under sealedKey for the reporter and moderators.
+        sha256: String,
+        publicSha256: String,
+        metadataStripped: { type: Boolean, default: false },
+        sealedKey: String,
+        receivedAt: Date,
       },
     ],
+    // Server-side transcription of the first audio evidence file (voice
+    // notes), see utils/transcription.js. Clients cannot set it.
     voiceTranscription: {
       text: String,
       confidence: Number,
       language: String,
+      status: { type: String, enum: ["pending", "completed", "failed"] },
+      evidence: mongoose.Schema.Types.ObjectId,
+      provider: String,
+      attempts: { type: Number, default: 0 },
+      transcribedAt: Date,
     },
     tags: [String],
     status: {
@@ -84,6 +141,15 @@ const reportSchema = new mongoose.Schema(
       enum: ["draft", "submitted", "under_review", "resolved", "archived"],
       default: "draft",
     },
+    submittedAt: Date,
+    // Delayed submission of a draft (utils/reportSubmission.js): submitted
+    // automatically at submitAt unless the reporter cancels first
+    scheduledSubmission: {
+      submitAt: Date,
+      requestedAt: Date,
+      // why the last scheduled submission did not go through
+      error: String,
+    },
     isPublic: {
       type: Boolean,
       default: false,
@@ -91,14 +157,6 @@ const reportSchema = new mongoose.Schema(
     upvotes: { type: Number, default: 0 },
     downvotes: { type: Number, default: 0 },
     views: { type: Number, default: 0 },
-    comments: [
-      {
-        user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
-        text: String,
-        isAnonymous: { type: Boolean, default: false },
-        createdAt: { type: Date, default: Date.now },
-      },
-    ],
     similarReports: [
       {
         reportId: { type: mongoose.Schema.Types.ObjectId, ref: "Report" },
@@ -112,11 +170,25 @@ const reportSchema = new mongoose.Schema(
       riskLevel: String,
       suggestions: [String],
     },
+    // Reports imported from a partner dataset (utils/reportImport.js):
+    // the source they came from and their id there
+    importSource: {
+      name: String,
+      externalId: String,
+      importedAt: Date,
+      importedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    },
     moderation: {
       isModerated: { type: Boolean, default: false },
       moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
       moderatedAt: Date,
       moderationNotes: String,
+      // Review queue: a moderator claims a report while reviewing it
+      claimedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      claimedAt: Date,
+      decision: { type: String, enum: ["verified", "rejected", "merged"] },
+      redactedFields: [String],
+      mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: "Report" },
     },
   },
   {
@@ -129,10 +201,140 @@ reportSchema.index({ location: "2dsphere" });
 reportSchema.index({ timestamp: -1 });
 reportSchema.index({ type: 1, severity: 1 });
 reportSchema.index({ user: 1, status: 1 });
+reportSchema.index(
+  { "scheduledSubmission.submitAt": 1 },
+  { partialFilterExpression: { status: "draft" } }
+);
+// Full-text search over what was written or said. Reports are in several
+// languages, so no stemming or stop words ("none").
+reportSchema.index(
+  {
+    title: "text",
+    description: "text",
+    tags: "text",
+    "voiceTranscription.text": "text",
+  },
+  {
+    name: "report_text",
+    default_language: "none",
+    weights: {
+      title: 5,
+      tags: 3,
+      description: 2,
+      "voiceTranscription.text": 1,
+    },
+  }
+);
+reportSchema.index({ status: 1, "moderation.isModerated": 1, createdAt: 1 });
+// One report per source row, so concurrent imports of a file cannot both
+// store it. Databases from before it was unique need
+// scripts/dedupe_imported_reports.js.
+reportSchema.index(
+  { "importSource.name": 1, "importSource.externalId": 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      "importSource.name": { $type: "string" },
+      "importSource.externalId": { $type: "string" },
+    },
+  }
+);
 // Index to help tile aggregations and time-bounded queries
 reportSchema.index({ tileId: 1, createdAt: -1 });
+TILE_LEVELS.forEach((size) =>
+  reportSchema.index({ [`tilePyramid.m${size}`]: 1, createdAt: -1 })
+);
 
-// Virtual for calculating safety score
+// Keep the tile pyramid in sync with the location (also runs for insertMany)
+reportSchema.pre("validate", function (next) {
+  const coords = this.location && this.location.coordinates;
+  // a draft without coordinates has no location at all (a bare
+  // { type: "Point" } cannot be stored in the 2dsphere index)
+  if (this.status === "draft" && !(coords && coords.length)) {
+    this.location = undefined;
+    return next();
+  }
+  if (
+    coords &&
+    coords.length === 2 &&
+    (this.isModified("location.coordinates") || !this.tilePyramid?.m5000)
+  ) {
+    this.tilePyramid = tilePyramid(coords[1], coords[0]);
+  }
+  next();
+});
+
+// Keep TileAggregate rows in step with every report write. The fields a
+// document's contribution depends on are copied when it is loaded, so updates
+// move counts instead of adding them; the contribution itself (local time
+// parts, tile ids) is only worked out when the document is saved or deleted.
+// Raw updateOne/updateMany calls bypass this; scripts/rebuild_tile_aggregates.js
+// repairs the collection after bulk changes.
+function syncAggregates(before, after) {
+  return syncReportAggregates(before, after).catch((err) =>
+    console.error("Tile aggregate sync error:", err)
+  );
+}
+
+const CONTRIBUTION_FIELDS = [
+  "status",
+  "incidentPrimary",
+  "type",
+  "severity",
+  "verified",
+  "lightingFlag",
+  "reputationTier",
+  "tileId",
+  "timeBucket",
+  "timestamp",
+  "createdAt",
+  "submittedAt",
+];
+
+// Plain copy of what reportContribution reads
+function contributionState(doc) {
+  const state = {};
+  CONTRIBUTION_FIELDS.forEach((field) => (state[field] = doc.get(field)));
+  const coords = doc.get("location.coordinates");
+  state.location = { coordinates: coords ? Array.from(coords) : undefined };
+  const pyramid = doc.get("tilePyramid");
+  state.tilePyramid = pyramid ? { ...pyramid } : undefined;
+  return state;
+}
+
+const savedContribution = (doc) =>
+  doc.$locals.savedState ? reportContribution(doc.$locals.savedState) : [];
+
+reportSchema.post("init", function () {
+  this.$locals.savedState = contributionState(this);
+});
+
+reportSchema.post("save", async function () {
+  await syncAggregates(savedContribution(this), reportContribution(this));
+  this.$locals.savedState = contributionState(this);
+});
+
+reportSchema.post("findOneAndDelete", async function (doc) {
+  if (doc) await syncAggregates(reportContribution(doc), []);
+});
+
+reportSchema.post(
+  "deleteOne",
+  { document: true, query: false },
+  async function () {
+    await syncAggregates(savedContribution(this), []);
+  }
+);
+
+reportSchema.post("insertMany", async function (docs) {
+  await countReports(docs).catch((err) =>
+    console.error("Tile aggregate sync error:", err)
+  );
+});
+
+// Virtual for calculating safety score. Community votes move it by at most
+// 20 points, by the share of downvotes (smoothed so a handful of votes on a
+// new report barely counts), never by the raw number of downvotes.
 reportSchema.virtual("safetyScore").get(function () {
   const baseScore = 100;
   const severityPenalty = {
@@ -141,41 +343,19 @@ reportSchema.virtual("safetyScore").get(function () {
     high: 25,
     critical: 50,
   };
+  const up = this.upvotes || 0;
+  const down = this.downvotes || 0;
+  const votePenalty = Math.round((20 * down) / (up + down + 5));
 
   return Math.max(
     0,
-    baseScore - severityPenalty[this.severity] - this.downvotes
+    baseScore - (severityPenalty[this.severity] || 0) - votePenalty
   );
 });
 
-// Method to find similar reports
-reportSchema.methods.findSimilarReports = async function () {
-  const Report = mongoose.model("Report");
-
-  // Find reports with similar tags, location, and time
-  const similarReports = await Report.find({
-    _id: { $ne: this._id },
-    $or: [
-      { tags: { $in: this.tags } },
-      {
-        // Use geoWithin with a spherical radius (in radians) to avoid $near restrictions
-        location: {
-          $geoWithin: {
-            $centerSphere: [
-              this.location.coordinates,
-              1000 / 6378137, // radius in radians (1000 meters)
-            ],
-          },
-        },
-      },
-    ],
-    timestamp: {
-      $gte: new Date(this.timestamp.getTime() - 24 * 60 * 60 * 1000), // within 24 hours
-      $lte: new Date(this.timestamp.getTime() + 24 * 60 * 60 * 1000),
-    },
-  }).limit(5);
-
-  return similarReports;
+// Method to find similar reports: [{ report, score, distanceMeters, hoursApart }]
+reportSchema.methods.findSimilarReports = function (options) {
+  return findSimilarReports(this, options);
 };
 
 // Method to analyze patterns
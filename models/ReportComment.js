@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// Comments on reports, one document per comment. Replies point at a
+// top-level comment (threads are one level deep, like forum echo replies).
+// Deleted comments keep their place in the thread without their text;
+// comments hidden by a moderator are only readable by moderators.
+const reportCommentSchema = new mongoose.Schema(
+  {
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Report",
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    text: { type: String, maxlength: 500 },
+    isAnonymous: { type: Boolean, default: false },
+    parentComment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReportComment",
+      default: null,
+    },
+    depth: { type: Number, default: 0 },
+    replyCount: { type: Number, default: 0 },
+    isEdited: { type: Boolean, default: false },
+    editedAt: Date,
+    isDeleted: { type: Boolean, default: false },
+    deletedAt: Date,
+    moderation: {
+      isHidden: { type: Boolean, default: false },
+      hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      hiddenAt: Date,
+      reason: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reportCommentSchema.index({ report: 1, parentComment: 1, createdAt: 1 });
+reportCommentSchema.index({ author: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ReportComment", reportCommentSchema);
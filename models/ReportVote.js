@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// One vote per user and report. Changing a vote updates the row, retracting
+// deletes it; Report.upvotes / downvotes are moved with $inc in the same step
+// (see utils/reportVotes.js). Votes flagged as brigading are kept for review
+// but not counted.
+const reportVoteSchema = new mongoose.Schema(
+  {
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Report",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    value: { type: String, enum: ["up", "down"], required: true },
+    // Tile of the report, to spot many votes on one area
+    tileId: String,
+    // Voter account younger than VOTE_NEW_ACCOUNT_DAYS when voting
+    newAccount: { type: Boolean, default: false },
+    flagged: { type: Boolean, default: false },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reportVoteSchema.index({ report: 1, user: 1 }, { unique: true });
+reportVoteSchema.index({ tileId: 1, newAccount: 1, updatedAt: -1 });
+
+module.exports = mongoose.model("ReportVote", reportVoteSchema);
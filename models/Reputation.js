@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Reporter reputation keyed by the rotating pseudonym (Report.anonHash), never
+// by user id or IP. A new record is started each rotation period and seeded
+// from the previous period's record, which then only keeps a pointer to it
+// (carriedTo) so late credit for older reports still arrives; old records
+// expire after two periods. See utils/reputation.js.
+const reputationSchema = new mongoose.Schema(
+  {
+    anonHash: { type: String, required: true, unique: true },
+    // Rotation period the hash belongs to
+    epoch: { type: Number, required: true },
+    reports: { type: Number, default: 0 },
+    // Reports verified by a moderator
+    verified: { type: Number, default: 0 },
+    // Reports confirmed by another reporter describing the same incident
+    corroborated: { type: Number, default: 0 },
+    // Reports rejected by a moderator
+    rejected: { type: Number, default: 0 },
+    carriedTo: String,
+    expiresAt: { type: Date, required: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reputationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Reputation", reputationSchema);
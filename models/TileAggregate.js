@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// Precomputed report counts per tile, maintained incrementally whenever a
+// report is created, updated, moderated or deleted (see utils/tileAggregates.js).
+// One row per tile level / tile / creation day / incident hour / report kind,
+// so heatmaps, tile scores and routing can read rows instead of scanning reports.
+const tileAggregateSchema = new mongoose.Schema(
+  {
+    // Tile size in meters (pyramid level)
+    level: { type: Number, required: true },
+    tileId: { type: String, required: true },
+    // Tile origin (south-west corner) for bbox filtering
+    lat: Number,
+    lng: Number,
+    // UTC day the reports were created (drives the rolling window and age decay)
+    day: { type: Date, required: true },
+    // Local hour-of-day and weekday of the incident (from timeBucket)
+    hour: Number,
+    dayOfWeek: Number, // 1 = Sunday ... 7 = Saturday
+    type: String,
+    severity: String,
+    verified: Boolean,
+    lighting: String,
+    // Reporter reputation tier (Report.reputationTier)
+    reputation: String,
+    count: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+tileAggregateSchema.index(
+  {
+    level: 1,
+    tileId: 1,
+    day: 1,
+    hour: 1,
+    dayOfWeek: 1,
+    type: 1,
+    severity: 1,
+    verified: 1,
+    lighting: 1,
+    reputation: 1,
+  },
+  { unique: true }
+);
+tileAggregateSchema.index({ level: 1, lat: 1, lng: 1, day: 1 });
+tileAggregateSchema.index({ level: 1, day: 1 });
+
+module.exports = mongoose.model("TileAggregate", tileAggregateSchema);
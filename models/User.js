@@ -26,7 +26,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'trusted_contact', 'admin'],
+    enum: ['user', 'trusted_contact', 'moderator', 'admin'],
     default: 'user'
   },
   profile: {
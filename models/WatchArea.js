@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+// An area a user wants to hear about: a polygon, a circle (center +
+// radiusMeters) or a saved route (a LineString + bufferMeters). `bounds` is
+// the area's bounding box (route and circle padded by their distance), used
+// to find candidate areas for a new report before the exact check in
+// utils/watchAreas.js.
+const watchAreaSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: { type: String, required: true, maxlength: 60 },
+    kind: {
+      type: String,
+      enum: ["polygon", "radius", "route"],
+      required: true,
+    },
+    // GeoJSON Polygon, Point (radius) or LineString (route)
+    geometry: {
+      type: { type: String, enum: ["Polygon", "Point", "LineString"] },
+      coordinates: mongoose.Schema.Types.Mixed,
+    },
+    radiusMeters: Number,
+    bufferMeters: Number,
+    bounds: {
+      type: { type: String, enum: ["Polygon"], default: "Polygon" },
+      coordinates: [[[Number]]],
+    },
+    // Only reports of these types (all when empty) and at least this severity
+    types: [
+      {
+        type: String,
+        enum: [
+          "incident",
+          "harassment",
+          "safety_concern",
+          "positive_experience",
+          "tip",
+        ],
+      },
+    ],
+    minSeverity: {
+      type: String,
+      enum: ["low", "medium", "high", "critical"],
+      default: "low",
+    },
+    notify: {
+      socket: { type: Boolean, default: true },
+      // "instant": an email per match; "digest": collected for
+      // scripts/send_watch_digests.js
+      email: {
+        type: String,
+        enum: ["off", "instant", "digest"],
+        default: "off",
+      },
+    },
+    isActive: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+watchAreaSchema.index({ bounds: "2dsphere" });
+watchAreaSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model("WatchArea", watchAreaSchema);
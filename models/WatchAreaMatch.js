@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// A submitted public report that fell inside a watch area, as delivered to
+// the area's owner. Location is only as precise as K_ANON allows (see
+// utils/watchAreas.js); reports without a K_ANON location are not matched.
+// Matches expire after 90 days.
+const watchAreaMatchSchema = new mongoose.Schema(
+  {
+    area: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WatchArea",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Used to notify once per report and once per incident; not served
+    sourceReport: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Report",
+      required: true,
+    },
+    incident: { type: mongoose.Schema.Types.ObjectId, ref: "Incident" },
+    // Unset on matches made before only public reports were matched
+    report: { type: mongoose.Schema.Types.ObjectId, ref: "Report" },
+    type: String,
+    severity: String,
+    // Incident time to the hour
+    reportedAt: Date,
+    location: {
+      tileId: String,
+      coordinates: [Number],
+      precisionMeters: Number,
+    },
+    email: { type: String, enum: ["instant", "digest"] },
+    emailedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+watchAreaMatchSchema.index({ area: 1, sourceReport: 1 }, { unique: true });
+watchAreaMatchSchema.index({ area: 1, incident: 1 });
+watchAreaMatchSchema.index({ user: 1, createdAt: -1 });
+watchAreaMatchSchema.index({ email: 1, emailedAt: 1 });
+watchAreaMatchSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("WatchAreaMatch", watchAreaMatchSchema);
@@ -3,6 +3,7 @@ const { body, validationResult } = require('express-validator');
 const { Alert, WhisperChain } = require('../models/Alert');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { parsePage, paginate, pageOf } = require('../utils/pagination');
 const router = express.Router();
 
 // Create a new alert
@@ -84,29 +85,23 @@ router.post('/', auth, [
   }
 });
 
-// Get user's alerts
+// Get user's alerts, newest first
 router.get('/my-alerts', auth, async (req, res) => {
   try {
-    const { page = 1, limit = 10, type, status } = req.query;
+    const { type, status } = req.query;
+    const page = parsePage(req.query, { createdAt: -1 });
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
     const query = { user: req.user.id };
     
     if (type) query.type = type;
     if (status) query.status = status;
 
-    const alerts = await Alert.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
+    const alerts = await paginate(Alert.find(query), page)
       .populate('recipients.user', 'name email profile.phone');
 
-    const total = await Alert.countDocuments(query);
-
-    res.json({
-      alerts,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
-    });
+    res.json(await pageOf(page, alerts, {
+      count: () => Alert.countDocuments(query)
+    }));
   } catch (error) {
     console.error('Get user alerts error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -0,0 +1,549 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { body, validationResult } = require("express-validator");
+const Report = require("../models/Report");
+const auth = require("../middleware/auth");
+const { upload, MAX_EVIDENCE_FILES } = require("../middleware/evidenceUpload");
+const { serializeReportFor } = require("../utils/reportViews");
+const {
+  storeEvidence,
+  isMalformedMedia,
+  removeEvidence,
+} = require("../utils/evidenceStorage");
+const {
+  appendChain,
+  recordCreation,
+  evidencePayload,
+} = require("../utils/evidenceChain");
+const {
+  queueTranscription,
+  scheduleTranscription,
+} = require("../utils/transcription");
+const {
+  maxDelayMinutes,
+  setReportLocation,
+  setReportTime,
+  draftProblems,
+  submitReport,
+} = require("../utils/reportSubmission");
+const { parsePage, paginate, pageOf } = require("../utils/pagination");
+const router = express.Router();
+
+// Report drafts: saved with whatever the reporter has so far, autosaved while
+// they write, completed with evidence later and submitted now or on a
+// schedule. Discarding a draft is DELETE /api/reports/:id.
+router.use(auth);
+
+// Fields a draft autosave may set
+const DRAFT_FIELDS = [
+  "type",
+  "title",
+  "description",
+  "severity",
+  "tags",
+  "isAnonymous",
+  "isPublic",
+  "lightingFlag",
+  "timestamp",
+  "coordinates",
+  "address",
+  "neighborhood",
+  "city",
+];
+
+// Same rules as a report, but nothing is required and short texts are fine
+// while writing; draftProblems decides whether a draft can be submitted
+const draftRules = [
+  body("type")
+    .optional()
+    .isIn([
+      "incident",
+      "harassment",
+      "safety_concern",
+      "positive_experience",
+      "tip",
+    ])
+    .withMessage("Invalid report type"),
+  body("title")
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage("Title must be at most 100 characters"),
+  body("description")
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage("Description must be at most 1000 characters"),
+  body("coordinates")
+    .optional()
+    .isArray({ min: 2, max: 2 })
+    .withMessage("Coordinates must be an array of 2 numbers"),
+  body("coordinates.*")
+    .optional()
+    .isFloat()
+    .withMessage("Coordinates must be an array of 2 numbers"),
+  body("severity")
+    .optional()
+    .isIn(["low", "medium", "high", "critical"])
+    .withMessage("Invalid severity level"),
+  body("isAnonymous")
+    .optional()
+    .isBoolean()
+    .withMessage("Is anonymous must be boolean"),
+  body("isPublic")
+    .optional()
+    .isBoolean()
+    .withMessage("Is public must be boolean"),
+  body("lightingFlag")
+    .optional()
+    .isIn(["dark", "normal", "unknown"])
+    .withMessage("Invalid lighting flag"),
+  body("tags").optional().isArray().withMessage("Tags must be an array"),
+  body("timestamp")
+    .optional()
+    .isISO8601()
+    .withMessage("Timestamp must be an ISO 8601 date"),
+];
+
+// Copy draft fields from a request body onto the report
+function applyDraftFields(report, fields) {
+  const { coordinates, address, neighborhood, city, timestamp } = fields;
+  ["type", "title", "description", "severity", "tags", "lightingFlag"]
+    .filter((field) => fields[field] !== undefined)
+    .forEach((field) => report.set(field, fields[field]));
+  ["isAnonymous", "isPublic"]
+    .filter((field) => fields[field] !== undefined)
+    .forEach((field) => report.set(field, String(fields[field]) === "true"));
+  if (coordinates) setReportLocation(report, coordinates);
+  if (address !== undefined) report.set("location.address", address);
+  if (neighborhood !== undefined) {
+    report.set("location.neighborhood", neighborhood);
+  }
+  if (city !== undefined) report.set("location.city", city);
+  if (timestamp) setReportTime(report, timestamp);
+}
+
+// A draft as its owner sees it, with the fields still needed to submit it
+async function serializeDraft(report, viewer) {
+  return {
+    ...(await serializeReportFor(report, viewer)),
+    missing: draftProblems(report).map((problem) => problem.field),
+  };
+}
+
+// Load one of the caller's drafts, answering 404 / 409 itself when it is
+// someone else's report or no longer a draft
+async function loadDraft(req, res) {
+  const report = mongoose.isValidObjectId(req.params.id)
+    ? await Report.findById(req.params.id)
+    : null;
+  if (!report || String(report.user) !== String(req.user.id)) {
+    res.status(404).json({ message: "Draft not found" });
+    return null;
+  }
+  if (report.status !== "draft") {
+    res.status(409).json({ message: "Report has already been submitted" });
+    return null;
+  }
+  return report;
+}
+
+const ioOf = (req) => (req.app && req.app.get ? req.app.get("io") : null);
+
+// List the caller's drafts, most recently edited first
+router.get("/", async (req, res) => {
+  try {
+    const page = parsePage(req.query, { updatedAt: -1 });
+    if (!page) return res.status(400).json({ message: "Invalid cursor" });
+    const query = { user: req.user.id, status: "draft" };
+
+    const drafts = await paginate(Report.find(query), page);
+
+    res.json(
+      await pageOf(page, drafts, {
+        serialize: (rows) =>
+          Promise.all(rows.map((draft) => serializeDraft(draft, req.user))),
+        count: () => Report.countDocuments(query),
+      })
+    );
+  } catch (error) {
+    console.error("Get drafts error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Start a draft, optionally with evidence
+router.post(
+  "/",
+  upload.array("evidence", MAX_EVIDENCE_FILES),
+  draftRules,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      if (req.body.address && !req.body.coordinates) {
+        return res
+          .status(400)
+          .json({ message: "An address needs coordinates" });
+      }
+
+      const reportId = new mongoose.Types.ObjectId();
+      let evidence;
+      try {
+        evidence = await storeEvidence(reportId, req.files || []);
+      } catch (err) {
+        if (!isMalformedMedia(err)) throw err;
+        return res.status(400).json({ message: err.message });
+      }
+      const report = new Report({
+        _id: reportId,
+        user: req.user.id,
+        status: "draft",
+        evidence,
+      });
+      applyDraftFields(report, req.body);
+      queueTranscription(report);
+
+      try {
+        await report.save();
+      } catch (err) {
+        await removeEvidence(evidence);
+        throw err;
+      }
+      await recordCreation(report);
+
+      const voiceNote = (req.files || []).find((file) =>
+        file.mimetype.startsWith("audio/")
+      );
+      scheduleTranscription(report, voiceNote && voiceNote.buffer);
+
+      res.status(201).json({
+        message: "Draft saved",
+        draft: await serializeDraft(report, req.user),
+      });
+    } catch (error) {
+      console.error("Create draft error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+router.get("/:id", async (req, res) => {
+  try {
+    const report = await loadDraft(req, res);
+    if (!report) return;
+    res.json({ draft: await serializeDraft(report, req.user) });
+  } catch (error) {
+    console.error("Get draft error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Autosave. Send the draft's last updatedAt to be told (409, with the saved
+// draft) when it was changed elsewhere in the meantime, e.g. in another tab.
+// Autosaves are not written to the evidence chain; submitting records the
+// content that was submitted.
+router.patch(
+  "/:id",
+  [
+    ...draftRules,
+    body("updatedAt")
+      .optional()
+      .isISO8601()
+      .withMessage("updatedAt must be an ISO 8601 date"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const disallowed = Object.keys(req.body).filter(
+        (field) => !DRAFT_FIELDS.includes(field) && field !== "updatedAt"
+      );
+      if (disallowed.length > 0) {
+        return res.status(400).json({
+          message: "Only draft content can be autosaved",
+          fields: disallowed,
+        });
+      }
+
+      const report = await loadDraft(req, res);
+      if (!report) return;
+
+      if (
+        req.body.updatedAt &&
+        new Date(req.body.updatedAt).getTime() !== report.updatedAt.getTime()
+      ) {
+        return res.status(409).json({
+          message: "Draft was changed elsewhere",
+          draft: await serializeDraft(report, req.user),
+        });
+      }
+      const coords = report.location && report.location.coordinates;
+      if (
+        req.body.address &&
+        !req.body.coordinates &&
+        !(coords && coords.length === 2)
+      ) {
+        return res
+          .status(400)
+          .json({ message: "An address needs coordinates" });
+      }
+
+      applyDraftFields(report, req.body);
+      await report.save();
+
+      res.json({ draft: await serializeDraft(report, req.user) });
+    } catch (error) {
+      console.error("Autosave draft error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Attach more evidence to a draft (MAX_EVIDENCE_FILES in total)
+router.post(
+  "/:id/evidence",
+  upload.array("evidence", MAX_EVIDENCE_FILES),
+  async (req, res) => {
+    try {
+      const report = await loadDraft(req, res);
+      if (!report) return;
+
+      const files = req.files || [];
+      if (files.length === 0) {
+        return res.status(400).json({ message: "No files uploaded" });
+      }
+      if (report.evidence.length + files.length > MAX_EVIDENCE_FILES) {
+        return res.status(400).json({
+          message: `A report can have at most ${MAX_EVIDENCE_FILES} evidence files`,
+        });
+      }
+
+      let evidence;
+      try {
+        evidence = await storeEvidence(report._id, files);
+      } catch (err) {
+        if (!isMalformedMedia(err)) throw err;
+        return res.status(400).json({ message: err.message });
+      }
+      evidence.forEach((entry) => report.evidence.push(entry));
+      queueTranscription(report);
+      try {
+        await report.save();
+      } catch (err) {
+        await removeEvidence(evidence);
+        throw err;
+      }
+      const added = report.evidence.slice(-evidence.length);
+      for (const entry of added) {
+        await appendChain(
+          report,
+          "evidence_added",
+          "reporter",
+          evidencePayload(entry)
+        );
+      }
+
+      const voiceNote = files.find((file) =>
+        file.mimetype.startsWith("audio/")
+      );
+      const pending = report.voiceTranscription;
+      scheduleTranscription(
+        report,
+        voiceNote &&
+          pending &&
+          added.some((entry) => entry._id.equals(pending.evidence))
+          ? voiceNote.buffer
+          : null
+      );
+
+      res.status(201).json({
+        message: "Evidence added",
+        draft: await serializeDraft(report, req.user),
+      });
+    } catch (error) {
+      console.error("Add draft evidence error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Remove an evidence file from a draft (submitted reports keep theirs)
+router.delete("/:id/evidence/:evidenceId", async (req, res) => {
+  try {
+    const report = await loadDraft(req, res);
+    if (!report) return;
+
+    const entry = report.evidence.id(req.params.evidenceId);
+    if (!entry) {
+      return res.status(404).json({ message: "Evidence not found" });
+    }
+
+    report.evidence.pull(entry._id);
+    // a removed voice note takes its transcription with it
+    queueTranscription(report);
+    await report.save();
+    await removeEvidence([entry]);
+    await appendChain(report, "evidence_removed", "reporter", {
+      evidence: entry._id,
+      sha256: entry.sha256,
+    });
+    scheduleTranscription(report);
+
+    res.json({
+      message: "Evidence removed",
+      draft: await serializeDraft(report, req.user),
+    });
+  } catch (error) {
+    console.error("Remove draft evidence error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Submit a draft now
+router.post(
+  "/:id/submit",
+  [
+    body("anonId")
+      .optional()
+      .isString()
+      .isLength({ min: 16, max: 128 })
+      .withMessage("anonId must be a string of 16 to 128 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const report = await loadDraft(req, res);
+      if (!report) return;
+
+      const problems = draftProblems(report);
+      if (problems.length > 0) {
+        return res
+          .status(400)
+          .json({ message: "Draft is incomplete", errors: problems });
+      }
+
+      await submitReport(report, { anonId: req.body.anonId, io: ioOf(req) });
+
+      res.json({
+        message: "Report submitted",
+        report: await serializeReportFor(report, req.user),
+      });
+    } catch (error) {
+      console.error("Submit draft error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Schedule a delayed submission: at `submitAt`, or `delayMinutes` from now.
+// The draft is submitted then unless it is cancelled, submitted or deleted
+// first. It must be complete now, so a forgotten draft does not fail late.
+router.put(
+  "/:id/schedule",
+  [
+    body("submitAt")
+      .optional()
+      .isISO8601()
+      .withMessage("submitAt must be an ISO 8601 date"),
+    body("delayMinutes")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("delayMinutes must be a positive whole number"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { submitAt, delayMinutes } = req.body;
+      if (Boolean(submitAt) === (delayMinutes !== undefined)) {
+        return res
+          .status(400)
+          .json({ message: "Provide either submitAt or delayMinutes" });
+      }
+      const now = new Date();
+      const at = submitAt
+        ? new Date(submitAt)
+        : new Date(now.getTime() + Number(delayMinutes) * 60000);
+      if (at <= now) {
+        return res
+          .status(400)
+          .json({ message: "Submission time must be in the future" });
+      }
+      if (at - now > maxDelayMinutes() * 60000) {
+        return res.status(400).json({
+          message: `Submission can be delayed by at most ${maxDelayMinutes() / 1440} days`,
+        });
+      }
+
+      const report = await loadDraft(req, res);
+      if (!report) return;
+
+      const problems = draftProblems(report);
+      if (problems.length > 0) {
+        return res
+          .status(400)
+          .json({ message: "Draft is incomplete", errors: problems });
+      }
+
+      report.scheduledSubmission = { submitAt: at, requestedAt: now };
+      await report.save();
+
+      res.json({
+        message: "Submission scheduled",
+        draft: await serializeDraft(report, req.user),
+      });
+    } catch (error) {
+      console.error("Schedule draft error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Cancel a scheduled submission; the report stays a draft. The schedule is
+// only removed while the draft is still waiting for it, so a cancel that
+// loses the race with the scheduler (which clears submitAt when it picks the
+// draft up) answers 409 instead of reporting a cancel that did not happen.
+router.delete("/:id/schedule", async (req, res) => {
+  try {
+    if (!(await loadDraft(req, res))) return;
+
+    const report = await Report.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        user: req.user.id,
+        status: "draft",
+        "scheduledSubmission.submitAt": { $exists: true },
+      },
+      { $unset: { scheduledSubmission: "" } },
+      { new: true }
+    );
+    if (!report) {
+      return res
+        .status(409)
+        .json({ message: "No scheduled submission to cancel" });
+    }
+
+    res.json({
+      message: "Scheduled submission cancelled",
+      draft: await serializeDraft(report, req.user),
+    });
+  } catch (error) {
+    console.error("Cancel schedule error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { Forum, Thread } = require('../models/Forum');
 const auth = require('../middleware/auth');
+const { parsePage, paginate, pageOf } = require('../utils/pagination');
 const router = express.Router();
 
 // Create a new forum post
@@ -58,68 +59,88 @@ router.post('/', auth, [
   }
 });
 
+// Fields forum posts and threads can be listed by
+const FORUM_SORTS = ['createdAt', 'updatedAt', 'views', 'upvotes'];
+const THREAD_SORTS = ['createdAt', 'upvotes'];
+
+// Sort for a listing from sortBy / sortOrder, or null when not allowed
+function listSort(sorts, { sortBy, sortOrder }, defaultOrder) {
+  const field = sortBy || 'createdAt';
+  if (!sorts.includes(field)) return null;
+  return { [field]: (sortOrder || defaultOrder) === 'desc' ? -1 : 1 };
+}
+
 // Get forum posts
 router.get('/', async (req, res) => {
   try {
-    const { 
-      page = 1, 
-      limit = 10, 
-      category, 
-      city, 
-      radius = 1000,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query;
+    const { category, city, radius = 1000 } = req.query;
+    const sort = listSort(FORUM_SORTS, req.query, 'desc');
+    if (!sort) {
+      return res.status(400).json({ message: `sortBy must be one of ${FORUM_SORTS.join(', ')}` });
+    }
+    const page = parsePage(req.query, sort);
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
     
     const query = { status: 'active' };
     
     if (category) query.category = category;
     if (city) query['location.city'] = city;
-
-    let forums;
-    
+    // a distance filter rather than $near, which would order by distance
     if (req.query.coordinates) {
       const coordinates = JSON.parse(req.query.coordinates);
-      forums = await Forum.find({
-        ...query,
-        location: {
-          $near: {
-            $geometry: {
-              type: 'Point',
-              coordinates
-            },
-            $maxDistance: radius
-          }
-        }
-      });
-    } else {
-      forums = await Forum.find(query);
+      query.location = {
+        $geoWithin: { $centerSphere: [coordinates, radius / 6378100] }
+      };
     }
 
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    forums = await Forum.find(query)
-      .sort(sortOptions)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
+    const forums = await paginate(Forum.find(query), page)
       .populate('author', 'name profile.avatar')
       .populate('moderation.moderatedBy', 'name');
 
-    const total = await Forum.countDocuments(query);
-
-    res.json({
-      forums,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
-    });
+    res.json(await pageOf(page, forums, {
+      count: () => Forum.countDocuments(query)
+    }));
   } catch (error) {
     console.error('Get forum posts error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Search forums (before /:id, which would otherwise match it)
+router.get('/search', async (req, res) => {
+  try {
+    const { q, category, city } = req.query;
+    
+    if (!q) {
+      return res.status(400).json({ message: 'Search query is required' });
+    }
+    const page = parsePage(req.query, { createdAt: -1 });
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
+
+    const query = {
+      status: 'active',
+      $or: [
+        { title: { $regex: q, $options: 'i' } },
+        { description: { $regex: q, $options: 'i' } },
+        { tags: { $in: [new RegExp(q, 'i')] } }
+      ]
+    };
+
+    if (category) query.category = category;
+    if (city) query['location.city'] = city;
+
+    const forums = await paginate(Forum.find(query), page)
+      .populate('author', 'name profile.avatar');
+
+    res.json(await pageOf(page, forums, {
+      count: () => Forum.countDocuments(query)
+    }));
+  } catch (error) {
+    console.error('Search forums error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get forum post by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -209,27 +230,21 @@ router.post('/:id/threads', auth, [
 // Get threads for a forum post
 router.get('/:id/threads', async (req, res) => {
   try {
-    const { page = 1, limit = 20, sortBy = 'createdAt', sortOrder = 'asc' } = req.query;
     const forumId = req.params.id;
+    const sort = listSort(THREAD_SORTS, req.query, 'asc');
+    if (!sort) {
+      return res.status(400).json({ message: `sortBy must be one of ${THREAD_SORTS.join(', ')}` });
+    }
+    const page = parsePage(req.query, sort);
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
 
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    const threads = await Thread.find({ forum: forumId })
-      .sort(sortOptions)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
+    const threads = await paginate(Thread.find({ forum: forumId }), page)
       .populate('author', 'name profile.avatar')
       .populate('mentions', 'name profile.avatar');
 
-    const total = await Thread.countDocuments({ forum: forumId });
-
-    res.json({
-      threads,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
-    });
+    res.json(await pageOf(page, threads, {
+      count: () => Thread.countDocuments({ forum: forumId })
+    }));
   } catch (error) {
     console.error('Get threads error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -408,45 +423,4 @@ router.get('/stats/overview', async (req, res) => {
   }
 });
 
-// Search forums
-router.get('/search', async (req, res) => {
-  try {
-    const { q, category, city, page = 1, limit = 10 } = req.query;
-    
-    if (!q) {
-      return res.status(400).json({ message: 'Search query is required' });
-    }
-
-    const query = {
-      status: 'active',
-      $or: [
-        { title: { $regex: q, $options: 'i' } },
-        { description: { $regex: q, $options: 'i' } },
-        { tags: { $in: [new RegExp(q, 'i')] } }
-      ]
-    };
-
-    if (category) query.category = category;
-    if (city) query['location.city'] = city;
-
-    const forums = await Forum.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .populate('author', 'name profile.avatar');
-
-    const total = await Forum.countDocuments(query);
-
-    res.json({
-      forums,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
-    });
-  } catch (error) {
-    console.error('Search forums error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
 module.exports = router;
@@ -3,6 +3,7 @@ const { body, validationResult } = require('express-validator');
 const { Guardian, SyncRitual } = require('../models/Guardian');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { parsePage, paginate, pageOf } = require('../utils/pagination');
 const router = express.Router();
 
 // Add a guardian
@@ -93,14 +94,19 @@ router.post('/', auth, [
   }
 });
 
-// Get user's guardians
+// Get user's guardians, most trusted first
 router.get('/', auth, async (req, res) => {
   try {
-    const guardians = await Guardian.find({ user: req.user.id, isActive: true })
-      .populate('guardian', 'name email profile.phone profile.avatar')
-      .sort({ trustLevel: -1, createdAt: -1 });
+    const page = parsePage(req.query, { trustLevel: -1, createdAt: -1 });
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
+    const query = { user: req.user.id, isActive: true };
 
-    res.json(guardians);
+    const guardians = await paginate(Guardian.find(query), page)
+      .populate('guardian', 'name email profile.phone profile.avatar');
+
+    res.json(await pageOf(page, guardians, {
+      count: () => Guardian.countDocuments(query)
+    }));
   } catch (error) {
     console.error('Get guardians error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -110,11 +116,16 @@ router.get('/', auth, async (req, res) => {
 // Get guardians where user is a guardian
 router.get('/where-guardian', auth, async (req, res) => {
   try {
-    const guardians = await Guardian.find({ guardian: req.user.id, isActive: true })
-      .populate('user', 'name email profile.phone profile.avatar')
-      .sort({ trustLevel: -1, createdAt: -1 });
+    const page = parsePage(req.query, { trustLevel: -1, createdAt: -1 });
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
+    const query = { guardian: req.user.id, isActive: true };
+
+    const guardians = await paginate(Guardian.find(query), page)
+      .populate('user', 'name email profile.phone profile.avatar');
 
-    res.json(guardians);
+    res.json(await pageOf(page, guardians, {
+      count: () => Guardian.countDocuments(query)
+    }));
   } catch (error) {
     console.error('Get guardians where user is guardian error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -401,7 +412,9 @@ router.post('/:id/sync-ritual', auth, [
 router.get('/:id/sync-rituals', auth, async (req, res) => {
   try {
     const { id } = req.params;
-    const { page = 1, limit = 10, status, type } = req.query;
+    const { status, type } = req.query;
+    const page = parsePage(req.query, { createdAt: -1 });
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
 
     const guardian = await Guardian.findById(id);
     
@@ -418,19 +431,11 @@ router.get('/:id/sync-rituals', auth, async (req, res) => {
     if (status) query.status = status;
     if (type) query.type = type;
 
-    const syncRituals = await SyncRitual.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await SyncRitual.countDocuments(query);
+    const syncRituals = await paginate(SyncRitual.find(query), page);
 
-    res.json({
-      syncRituals,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
-    });
+    res.json(await pageOf(page, syncRituals, {
+      count: () => SyncRitual.countDocuments(query)
+    }));
   } catch (error) {
     console.error('Get sync rituals error:', error);
     res.status(500).json({ message: 'Server error' });
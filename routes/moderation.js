@@ -0,0 +1,445 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const Report = require("../models/Report");
+const ModerationAction = require("../models/ModerationAction");
+const ReportComment = require("../models/ReportComment");
+const auth = require("../middleware/auth");
+const { requireRole, MODERATOR_ROLES } = require("../middleware/auth");
+const {
+  serializeReports,
+  serializeReportFor,
+  serializeComment,
+} = require("../utils/reportViews");
+const {
+  refreshIncident,
+  mergeIntoIncident,
+} = require("../utils/incidentClustering");
+const { creditReport } = require("../utils/reputation");
+const { removeEvidence } = require("../utils/evidenceStorage");
+const { appendChain, contentHash } = require("../utils/evidenceChain");
+const { parsePage, paginate, pageOf } = require("../utils/pagination");
+const router = express.Router();
+
+// Review queue and moderator actions. Every action is written to
+// ModerationAction, so GET /reports/:id/audit shows who did what and when.
+router.use(auth, requireRole(...MODERATOR_ROLES));
+
+const QUEUE_STATUSES = ["submitted", "under_review"];
+
+// Fields a moderator can redact and what they are replaced with. Required
+// fields keep a placeholder, the others are removed.
+const REDACTIONS = {
+  title: "[redacted]",
+  description: "[redacted by a moderator]",
+  tags: [],
+  evidence: [],
+  voiceTranscription: undefined,
+  "location.address": undefined,
+};
+
+const claimCutoff = () =>
+  new Date(
+    Date.now() - Number(process.env.MODERATION_CLAIM_MINUTES || 30) * 60000
+  );
+
+// The moderator actively holding a claim on the report, if any
+function claimHolder(report) {
+  const { claimedBy, claimedAt } = report.moderation || {};
+  if (!claimedBy || !claimedAt || claimedAt < claimCutoff()) return null;
+  return String(claimedBy);
+}
+
+// Load a report for an action, answering 404 / 409 itself when the report is
+// missing or claimed by another moderator
+async function loadForAction(req, res) {
+  const report = await Report.findById(req.params.id);
+  if (!report) {
+    res.status(404).json({ message: "Report not found" });
+    return null;
+  }
+  const holder = claimHolder(report);
+  if (holder && holder !== String(req.user.id)) {
+    res.status(409).json({ message: "Report is claimed by another moderator" });
+    return null;
+  }
+  return report;
+}
+
+// Close the review of a report with a decision
+function decide(report, moderator, decision, notes) {
+  report.moderation.isModerated = true;
+  report.moderation.moderatedBy = moderator;
+  report.moderation.moderatedAt = new Date();
+  report.moderation.decision = decision;
+  report.moderation.claimedBy = undefined;
+  report.moderation.claimedAt = undefined;
+  if (notes) report.moderation.moderationNotes = notes;
+}
+
+const notesRule = body("notes")
+  .optional()
+  .trim()
+  .isLength({ max: 1000 })
+  .withMessage("Notes must be at most 1000 characters");
+
+function validationFailed(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ errors: errors.array() });
+  return true;
+}
+
+// GET /api/moderation/queue?claimed=unclaimed|mine&status=&type=&cursor=&limit=20
+// Reports awaiting review, oldest first
+router.get("/queue", async (req, res) => {
+  try {
+    const { type, status, claimed } = req.query;
+    const page = parsePage(req.query, { createdAt: 1 });
+    if (!page) return res.status(400).json({ message: "Invalid cursor" });
+    const query = {
+      status: QUEUE_STATUSES.includes(status)
+        ? status
+        : { $in: QUEUE_STATUSES },
+      "moderation.isModerated": { $ne: true },
+    };
+    if (type) query.type = type;
+    if (claimed === "mine") {
+      query["moderation.claimedBy"] = req.user.id;
+      query["moderation.claimedAt"] = { $gte: claimCutoff() };
+    } else if (claimed === "unclaimed") {
+      query.$or = [
+        { "moderation.claimedBy": { $exists: false } },
+        { "moderation.claimedBy": null },
+        { "moderation.claimedAt": { $lt: claimCutoff() } },
+      ];
+    }
+
+    const reports = await paginate(Report.find(query), page).populate(
+      "user",
+      "name profile.avatar"
+    );
+
+    res.json(
+      await pageOf(page, reports, {
+        serialize: (rows) => serializeReports(rows, req.user),
+        count: () => Report.countDocuments(query),
+      })
+    );
+  } catch (error) {
+    console.error("Moderation queue error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Claim a report for review (MODERATION_CLAIM_MINUTES, renewed by claiming again)
+router.post("/reports/:id/claim", async (req, res) => {
+  try {
+    const report = await loadForAction(req, res);
+    if (!report) return;
+
+    report.moderation.claimedBy = req.user.id;
+    report.moderation.claimedAt = new Date();
+    await report.save();
+    await ModerationAction.record(report, req.user.id, "claim", {
+      fromStatus: report.status,
+    });
+
+    res.json({
+      message: "Report claimed",
+      report: await serializeReportFor(report, req.user),
+    });
+  } catch (error) {
+    console.error("Claim report error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.post("/reports/:id/release", async (req, res) => {
+  try {
+    const report = await loadForAction(req, res);
+    if (!report) return;
+
+    report.moderation.claimedBy = undefined;
+    report.moderation.claimedAt = undefined;
+    await report.save();
+    await ModerationAction.record(report, req.user.id, "release", {
+      fromStatus: report.status,
+    });
+
+    res.json({ message: "Claim released" });
+  } catch (error) {
+    console.error("Release report error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Mark a report as verified (it then carries more weight in risk scores)
+router.post("/reports/:id/verify", [notesRule], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const report = await loadForAction(req, res);
+    if (!report) return;
+
+    const fromStatus = report.status;
+    report.verified = true;
+    if (report.status === "under_review") report.status = "submitted";
+    decide(report, req.user.id, "verified", req.body.notes);
+    await report.save();
+    await refreshIncident(report.incident);
+    await creditReport(report, "verified");
+    await ModerationAction.record(report, req.user.id, "verify", {
+      fromStatus,
+      notes: req.body.notes,
+    });
+
+    res.json({
+      message: "Report verified",
+      report: await serializeReportFor(report, req.user),
+    });
+  } catch (error) {
+    console.error("Verify report error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Reject a report: it is archived and stops counting in aggregates
+router.post(
+  "/reports/:id/reject",
+  [
+    body("notes")
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage("A reason between 1 and 1000 characters is required"),
+  ],
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return;
+      const report = await loadForAction(req, res);
+      if (!report) return;
+
+      const fromStatus = report.status;
+      report.verified = false;
+      report.status = "archived";
+      decide(report, req.user.id, "rejected", req.body.notes);
+      await report.save();
+      await refreshIncident(report.incident);
+      await creditReport(report, "rejected");
+      await ModerationAction.record(report, req.user.id, "reject", {
+        fromStatus,
+        notes: req.body.notes,
+      });
+
+      res.json({
+        message: "Report rejected",
+        report: await serializeReportFor(report, req.user),
+      });
+    } catch (error) {
+      console.error("Reject report error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Remove identifying or abusive content. Only the field names are kept in
+// the audit trail.
+router.post(
+  "/reports/:id/redact",
+  [
+    body("fields")
+      .isArray({ min: 1 })
+      .withMessage("Fields must be a non-empty array"),
+    body("fields.*")
+      .isIn(Object.keys(REDACTIONS))
+      .withMessage(
+        `Fields must be among ${Object.keys(REDACTIONS).join(", ")}`
+      ),
+    notesRule,
+  ],
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return;
+      const report = await loadForAction(req, res);
+      if (!report) return;
+
+      const fields = Array.from(new Set(req.body.fields));
+      const removedEvidence = fields.includes("evidence")
+        ? report.evidence.map((e) => e.toObject())
+        : [];
+      fields.forEach((field) => report.set(field, REDACTIONS[field]));
+      report.moderation.redactedFields = Array.from(
+        new Set([...(report.moderation.redactedFields || []), ...fields])
+      );
+      await report.save();
+      await removeEvidence(removedEvidence);
+      await appendChain(report, "redacted", "moderator", {
+        fields,
+        evidence: removedEvidence.map((e) => e._id),
+        contentHash: contentHash(report),
+      });
+      await ModerationAction.record(report, req.user.id, "redact", {
+        fromStatus: report.status,
+        fields,
+        notes: req.body.notes,
+      });
+
+      res.json({
+        message: "Report redacted",
+        report: await serializeReportFor(report, req.user),
+      });
+    } catch (error) {
+      console.error("Redact report error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Merge a duplicate into another report's incident. The duplicate stays
+// visible to its owner but only the incident's primary report is counted.
+router.post(
+  "/reports/:id/merge",
+  [
+    body("into").isMongoId().withMessage("Valid target report ID is required"),
+    notesRule,
+  ],
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return;
+      if (req.body.into === req.params.id) {
+        return res
+          .status(400)
+          .json({ message: "A report cannot be merged into itself" });
+      }
+      const report = await loadForAction(req, res);
+      if (!report) return;
+      const target = await Report.findById(req.body.into);
+      if (!target) {
+        return res.status(404).json({ message: "Target report not found" });
+      }
+
+      decide(report, req.user.id, "merged", req.body.notes);
+      report.moderation.mergedInto = target._id;
+      const incident = await mergeIntoIncident(report, target);
+      await ModerationAction.record(report, req.user.id, "merge", {
+        fromStatus: report.status,
+        mergedInto: target._id,
+        notes: req.body.notes,
+      });
+
+      res.json({
+        message: "Report merged",
+        report: await serializeReportFor(report, req.user),
+        incident,
+      });
+    } catch (error) {
+      console.error("Merge report error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Add a note without deciding
+router.post(
+  "/reports/:id/notes",
+  [
+    body("notes")
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage("Notes must be between 1 and 1000 characters"),
+  ],
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return;
+      const report = await Report.findById(req.params.id);
+      if (!report) {
+        return res.status(404).json({ message: "Report not found" });
+      }
+
+      const action = await ModerationAction.record(
+        report,
+        req.user.id,
+        "note",
+        {
+          fromStatus: report.status,
+          notes: req.body.notes,
+        }
+      );
+
+      res.status(201).json({ message: "Note added", action });
+    } catch (error) {
+      console.error("Add moderation note error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Hide a comment from everyone but moderators (hidden: false shows it again)
+router.post(
+  "/comments/:commentId/hide",
+  [
+    body("hidden").optional().isBoolean().withMessage("Hidden must be boolean"),
+    notesRule,
+  ],
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return;
+      const hidden = req.body.hidden !== false;
+      const comment = await ReportComment.findById(req.params.commentId);
+      if (!comment) {
+        return res.status(404).json({ message: "Comment not found" });
+      }
+      const report = await Report.findById(comment.report).select("status");
+      if (!report) {
+        return res.status(404).json({ message: "Report not found" });
+      }
+
+      comment.moderation = hidden
+        ? {
+            isHidden: true,
+            hiddenBy: req.user.id,
+            hiddenAt: new Date(),
+            reason: req.body.notes,
+          }
+        : { isHidden: false };
+      await comment.save();
+      await ModerationAction.record(
+        report,
+        req.user.id,
+        hidden ? "hide_comment" : "unhide_comment",
+        {
+          fromStatus: report.status,
+          comment: comment._id,
+          notes: req.body.notes,
+        }
+      );
+
+      res.json({
+        message: hidden ? "Comment hidden" : "Comment visible again",
+        comment: serializeComment(comment, req.user),
+      });
+    } catch (error) {
+      console.error("Hide comment error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Full audit trail of a report, oldest first
+router.get("/reports/:id/audit", async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id).select("_id");
+    if (!report) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    const actions = await ModerationAction.find({ report: report._id })
+      .sort({ createdAt: 1 })
+      .populate("actor", "name role");
+
+    res.json({ actions });
+  } catch (error) {
+    console.error("Get moderation audit error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -8,8 +8,13 @@ const {
 } = require("../models/Pulse");
 const User = require("../models/User");
 const auth = require("../middleware/auth");
+const { privacyBudget, describeNoise } = require("../middleware/privacy");
+const { noisyHistogram } = require("../utils/differentialPrivacy");
+const { parsePage, paginate, pageOf } = require("../utils/pagination");
 const router = express.Router();
 
+const RESPONSE_VALUES = PulseCheck.schema.path("response.value").enumValues;
+
 // Create a pulse check
 router.post(
   "/",
@@ -137,75 +142,55 @@ router.post(
   }
 );
 
-// Get user's pulse checks
+// Get user's pulse checks, newest first
 router.get("/my-pulses", auth, async (req, res) => {
   try {
-    const { page = 1, limit = 10, type, isPublic } = req.query;
+    const { type, isPublic } = req.query;
+    const page = parsePage(req.query, { createdAt: -1 });
+    if (!page) return res.status(400).json({ message: "Invalid cursor" });
     const query = { user: req.user.id };
 
     if (type) query.type = type;
     if (isPublic !== undefined) query.isPublic = isPublic === "true";
 
-    const pulseChecks = await PulseCheck.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await PulseCheck.countDocuments(query);
+    const pulseChecks = await paginate(PulseCheck.find(query), page);
 
-    res.json({
-      pulseChecks,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total,
-    });
+    res.json(
+      await pageOf(page, pulseChecks, {
+        count: () => PulseCheck.countDocuments(query),
+      })
+    );
   } catch (error) {
     console.error("Get user pulse checks error:", error);
     res.status(500).json({ message: "Server error" });
   }
 });
 
-// Get public pulse checks
+// Get public pulse checks, newest first
 router.get("/public", async (req, res) => {
   try {
-    const { page = 1, limit = 10, type, city, radius = 1000 } = req.query;
+    const { type, city, radius = 1000 } = req.query;
+    const page = parsePage(req.query, { createdAt: -1 });
+    if (!page) return res.status(400).json({ message: "Invalid cursor" });
     const query = { isPublic: true };
 
     if (type) query.type = type;
     if (city) query["location.address"] = { $regex: city, $options: "i" };
-
-    let pulseChecks;
-
+    // a distance filter rather than $near, which would order by distance
     if (req.query.coordinates) {
       const coordinates = JSON.parse(req.query.coordinates);
-      pulseChecks = await PulseCheck.find({
-        ...query,
-        location: {
-          $near: {
-            $geometry: {
-              type: "Point",
-              coordinates,
-            },
-            $maxDistance: radius,
-          },
-        },
-      });
-    } else {
-      pulseChecks = await PulseCheck.find(query);
+      query.location = {
+        $geoWithin: { $centerSphere: [coordinates, radius / 6378100] },
+      };
     }
 
-    pulseChecks = pulseChecks
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-      .slice((page - 1) * limit, page * limit);
-
-    const total = await PulseCheck.countDocuments(query);
+    const pulseChecks = await paginate(PulseCheck.find(query), page);
 
-    res.json({
-      pulseChecks,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total,
-    });
+    res.json(
+      await pageOf(page, pulseChecks, {
+        count: () => PulseCheck.countDocuments(query),
+      })
+    );
   } catch (error) {
     console.error("Get public pulse checks error:", error);
     res.status(500).json({ message: "Server error" });
@@ -500,7 +485,7 @@ router.get("/stats/overview", auth, async (req, res) => {
 });
 
 // Get safety heatmap data
-router.get("/heatmap/data", async (req, res) => {
+router.get("/heatmap/data", privacyBudget, async (req, res) => {
   try {
     const { city, type, days = 30 } = req.query;
     const query = { isPublic: true };
@@ -539,7 +524,32 @@ router.get("/heatmap/data", async (req, res) => {
       },
     ]);
 
-    res.json(heatmapData);
+    if (!req.dp) return res.json(heatmapData);
+
+    // Each check is one response value, so the distribution is a histogram:
+    // noise the count of every possible value and derive the total from them.
+    // Points under K_ANON after noise are dropped.
+    const K_ANON = Number(process.env.K_ANON || 3);
+    describeNoise(res, req.dp);
+    const noisy = heatmapData
+      .map((point) => {
+        const counts = noisyHistogram(
+          point.responseDistribution,
+          req.dp,
+          undefined,
+          RESPONSE_VALUES
+        );
+        return {
+          ...point,
+          count: Object.values(counts).reduce((a, b) => a + b, 0),
+          responseDistribution: Object.entries(counts).flatMap(([value, n]) =>
+            Array(n).fill(value)
+          ),
+        };
+      })
+      .filter((point) => point.count >= K_ANON);
+
+    res.json(noisy);
   } catch (error) {
     console.error("Get heatmap data error:", error);
     res.status(500).json({ message: "Server error" });
@@ -0,0 +1,109 @@
+const express = require("express");
+const { pipeline, Readable } = require("stream");
+const auth = require("../middleware/auth");
+const { requireRole, MODERATOR_ROLES } = require("../middleware/auth");
+const { importUpload } = require("../middleware/importUpload");
+const { formatOf, importReports } = require("../utils/reportImport");
+const {
+  CONTENT_TYPES,
+  parseExport,
+  exportCursor,
+  exportChunks,
+} = require("../utils/reportExport");
+const { narrowToShown } = require("../utils/reportSearch");
+const router = express.Router();
+
+// Report datasets in and out: admins import partner files, moderators export
+// scrubbed datasets. See utils/reportImport.js and utils/reportExport.js.
+router.use(auth);
+
+// JSON object from a form field, null when it is not one
+function jsonField(value) {
+  if (value === undefined || value === "") return {};
+  try {
+    const parsed = typeof value === "string" ? JSON.parse(value) : value;
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed)
+      ? parsed
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// POST /api/reports/bulk/import (multipart): file, source, format (from the
+// file extension by default), mapping and defaults (JSON objects), isPublic,
+// dryRun. Answers with counts, row errors and, for dry runs, a preview.
+router.post(
+  "/import",
+  requireRole("admin"),
+  importUpload.single("file"),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: "No file uploaded" });
+      }
+      const format = formatOf(req.body.format, req.file.originalname);
+      if (!format) {
+        return res
+          .status(400)
+          .json({ message: "format must be csv, geojson or ndjson" });
+      }
+      const mapping = jsonField(req.body.mapping);
+      const defaults = jsonField(req.body.defaults);
+      if (!mapping || !defaults) {
+        return res
+          .status(400)
+          .json({ message: "mapping and defaults must be JSON objects" });
+      }
+
+      const result = await importReports(req.file.buffer.toString("utf8"), {
+        format,
+        mapping,
+        defaults,
+        source: req.body.source,
+        isPublic: String(req.body.isPublic) === "true",
+        dryRun: String(req.body.dryRun) === "true",
+        importedBy: req.user._id,
+      });
+      if (result.error) {
+        return res.status(400).json({ message: result.error });
+      }
+
+      res.status(result.dryRun ? 200 : 201).json(result);
+    } catch (error) {
+      console.error("Import reports error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// GET /api/reports/bulk/export?format=csv|geojson|ndjson&scope=public|all
+//   &q=&type=&severity=&tags=&neighborhood=&city=&from=&to=&bbox= | &near=&radius=
+router.get("/export", requireRole(...MODERATOR_ROLES), async (req, res) => {
+  let parsed;
+  try {
+    parsed = await narrowToShown(parseExport(req.query, req.user));
+  } catch (error) {
+    console.error("Export reports error:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+  if (parsed.message) {
+    return res.status(parsed.status).json({ message: parsed.message });
+  }
+
+  const day = new Date().toISOString().slice(0, 10);
+  res.set({
+    "Content-Type": CONTENT_TYPES[parsed.format],
+    "Content-Disposition": `attachment; filename="reports-${day}.${parsed.format}"`,
+  });
+  // headers are gone once streaming starts; a failure cuts the download short
+  pipeline(
+    Readable.from(exportChunks(exportCursor(parsed.match), parsed.format)),
+    res,
+    (error) => {
+      if (error) console.error("Export reports error:", error);
+    }
+  );
+});
+
+module.exports = router;
@@ -1,156 +1,326 @@
 const express = require("express");
-const multer = require("multer");
+const rateLimit = require("express-rate-limit");
 const { body, validationResult } = require("express-validator");
 const Report = require("../models/Report");
+const Incident = require("../models/Incident");
+const ModerationAction = require("../models/ModerationAction");
+const ReportVote = require("../models/ReportVote");
+const ReportComment = require("../models/ReportComment");
+const EvidenceChainEntry = require("../models/EvidenceChainEntry");
+const TileAggregate = require("../models/TileAggregate");
 const mongoose = require("mongoose");
-const crypto = require("crypto");
-const { latLngToTileId, tileIdToCentroid } = require("../utils/geo");
-const { enforceKAnonymity, removeRawCoords } = require("../middleware/privacy");
+const {
+  TILE_LEVELS,
+  tileSpan,
+  latLngToTileId,
+  tileIdToCentroid,
+  bboxToPolygon,
+  nearestTileLevel,
+  pickTileLevel,
+  tilesInBbox,
+  countTilesInBbox,
+} = require("../utils/geo");
+const {
+  getRoadGraph,
+  nearestNode,
+  kShortestPaths,
+} = require("../utils/roadGraph");
+const {
+  loadTileBuckets,
+  scoreTileBuckets,
+  scoreTiles,
+  summarizeTiles,
+  tileRisk,
+  timeWindowFor,
+  timeProfile,
+} = require("../utils/riskScoring");
+const {
+  geometryError,
+  routeTileIds,
+  segmentRoute,
+  hazardPoints,
+} = require("../utils/routeSegments");
+const { utcDay } = require("../utils/tileAggregates");
+const {
+  xyzToBbox,
+  isValidXyz,
+  cellsToFeatureCollection,
+  encodeMvt,
+} = require("../utils/vectorTiles");
+const {
+  generalizeTiles,
+  privacyBudget,
+  requirePrivacyBudget,
+  describeNoise,
+} = require("../middleware/privacy");
+const {
+  serializeReports,
+  serializeReportFor,
+  serializeIncident,
+  serializeComment,
+  isAnonymousReporter,
+  canViewReport,
+  canAccessEvidence,
+} = require("../utils/reportViews");
+const {
+  assignIncident,
+  refreshIncident,
+} = require("../utils/incidentClustering");
+const { castVote, retractVote } = require("../utils/reportVotes");
+const {
+  storeEvidence,
+  isMalformedMedia,
+  removeEvidence,
+  evidenceDownloadUrl,
+  verifyDownloadToken,
+  openLocal,
+} = require("../utils/evidenceStorage");
+const {
+  appendChain,
+  recordCreation,
+  contentHash,
+  evidenceManifest,
+  signingPublicKey,
+} = require("../utils/evidenceChain");
+const { queueTranscription } = require("../utils/transcription");
+const {
+  setReportLocation,
+  setReportTime,
+  draftProblems,
+  submitReport,
+} = require("../utils/reportSubmission");
+const { currentReputation, reputationSummary } = require("../utils/reputation");
+const {
+  MAX_RADIUS_M,
+  publicNearFilter,
+  parseSearch,
+  narrowToShown,
+  runSearch,
+} = require("../utils/reportSearch");
+const { parsePage, paginate, pageOf } = require("../utils/pagination");
+const {
+  parseTrendQuery,
+  loadTrendCounts,
+  buildTrends,
+} = require("../utils/trendAnalytics");
+const {
+  MAX_NOISE_CELLS,
+  noise,
+  noisyCells,
+} = require("../utils/differentialPrivacy");
 const auth = require("../middleware/auth");
+const { optionalAuth, MODERATOR_ROLES } = require("../middleware/auth");
+const { upload, MAX_EVIDENCE_FILES } = require("../middleware/evidenceUpload");
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, "uploads/evidence/");
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    cb(
-      null,
-      file.fieldname +
-        "-" +
-        uniqueSuffix +
-        "." +
-        file.originalname.split(".").pop()
-    );
-  },
-});
+// "lng,lat" as [lng, lat], or null unless both are valid coordinates
+function parseCoord(s) {
+  const parts = String(s).split(",");
+  if (parts.length !== 2 || parts.some((p) => !p.trim())) return null;
+  const [lng, lat] = parts.map(Number);
+  if (!(Math.abs(lng) <= 180 && Math.abs(lat) <= 90)) return null;
+  return [lng, lat];
+}
+
+// "[lng,lat]" JSON as [lng, lat], or null unless it is a valid point
+function parseJsonCoord(s) {
+  try {
+    const value = JSON.parse(s);
+    return Array.isArray(value) ? parseCoord(value.join(",")) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Parse a departAt value ("now" or any Date-parsable time) into the comparable
+// time-of-day window used for scoring. Returns undefined when not given and
+// null when the value is not a valid time.
+function parseDepartAt(departAt) {
+  if (departAt === undefined || departAt === null || departAt === "") return;
+  const time = departAt === "now" ? new Date() : new Date(departAt);
+  if (Number.isNaN(time.getTime())) return null;
+  const window = timeWindowFor(time);
+  return {
+    window,
+    info: {
+      time: time.toISOString(),
+      localHour: window.localHour,
+      dayType: window.dayType,
+      hours: window.hours,
+    },
+  };
+}
+
+// Score tiles for the departure window and attach the period profile to each route
+async function scoreForDeparture(query, depart) {
+  const byTile = await loadTileBuckets(query);
+  const { tiles } = scoreTileBuckets(byTile, depart && depart.window);
+  const profile = (tileIds) =>
+    timeProfile(tileIds, byTile, depart && depart.window.dayType);
+  return { tiles, profile };
+}
+
+// Last-resort candidates when no road network is available: the straight line
+// between start and end plus copies shifted north and south by ~3 tiles
+async function straightLineRoutes([startLng, startLat], [endLng, endLat], steps, days, depart) {
+  const stepsNum = Math.max(5, Math.min(200, Number(steps)));
+  const centerPts = [];
+  for (let i = 0; i <= stepsNum; i++) {
+    const t = i / stepsNum;
+    centerPts.push([
+      startLng + (endLng - startLng) * t,
+      startLat + (endLat - startLat) * t,
+    ]);
+  }
 
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|mp4|avi|mov|pdf|doc|docx/;
-    const extname = allowedTypes.test(file.originalname.toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(
-        new Error(
-          "Invalid file type. Only images, videos, and documents are allowed."
-        )
+  const tileSize = Number(process.env.TILE_SIZE_M || 50);
+  const metersPerDegree = 111320;
+  const offsetDeg = (tileSize * 3) / metersPerDegree;
+  const northPts = centerPts.map(([lng, lat]) => [lng, lat + offsetDeg]);
+  const southPts = centerPts.map(([lng, lat]) => [lng, lat - offsetDeg]);
+
+  const toTiles = (pts) =>
+    pts.map(([lng, lat]) => latLngToTileId(lat, lng, tileSize));
+  const { tiles, profile } = await scoreForDeparture(
+    { tileIds: toTiles([...centerPts, ...northPts, ...southPts]), days },
+    depart
+  );
+
+  const candidate = (name, pts) => ({
+    name,
+    geometry: pts,
+    ...summarizeTiles(toTiles(pts), tiles),
+    timeProfile: profile(toTiles(pts)),
+  });
+  const routes = [
+    candidate("center", centerPts),
+    candidate("north_offset", northPts),
+    candidate("south_offset", southPts),
+  ];
+  routes.sort((a, b) => a.score - b.score); // ascending: lower score = safer
+  return { routes, best: routes[0], source: "straight_line" };
+}
+
+// k best paths over the local road network, where each edge costs its length
+// inflated by the risk of the tiles it crosses. Returns null when no network is
+// loaded or start/end are too far from any road.
+async function roadNetworkRoutes(startPt, endPt, { days, k = 3, riskWeight, depart } = {}) {
+  const tileSize = Number(process.env.TILE_SIZE_M || 50);
+  const graph = await getRoadGraph(tileSize);
+  if (!graph) return null;
+
+  const maxSnap = Number(process.env.ROUTE_MAX_SNAP_M || 500);
+  const from = nearestNode(graph, startPt, maxSnap);
+  const to = nearestNode(graph, endPt, maxSnap);
+  if (!from || !to) return null;
+
+  // scores for a padded box around start/end covers any reasonable detour
+  const pad = Number(process.env.ROUTE_CORRIDOR_PAD_M || 2000) / 111320;
+  const minLng = Math.min(startPt[0], endPt[0]) - pad;
+  const maxLng = Math.max(startPt[0], endPt[0]) + pad;
+  const minLat = Math.min(startPt[1], endPt[1]) - pad;
+  const maxLat = Math.max(startPt[1], endPt[1]) + pad;
+  const { tiles: scores, profile } = await scoreForDeparture(
+    { bbox: [minLng, minLat, maxLng, maxLat], days },
+    depart
+  );
+
+  const weight = Number(riskWeight || process.env.ROUTE_RISK_WEIGHT || 4);
+  const edgeRisk = new Map();
+  const edgeCost = (edgeId) => {
+    if (!edgeRisk.has(edgeId)) {
+      const tiles = graph.edges[edgeId].tiles;
+      edgeRisk.set(
+        edgeId,
+        tiles.reduce((s, t) => s + tileRisk(scores, t), 0) / tiles.length
       );
     }
-  },
-});
+    return graph.edges[edgeId].distance * (1 + weight * edgeRisk.get(edgeId));
+  };
 
-// GET safest route between two points (simple MVP)
-// GET /api/reports/safest-route?start=lng,lat&end=lng,lat&steps=20
+  const paths = kShortestPaths(graph, from.node, to.node, edgeCost, {
+    k: Math.max(1, Math.min(5, Number(k) || 3)),
+  });
+  if (paths.length === 0) return null;
+
+  const routes = paths.map((p, i) => {
+    const tiles = Array.from(
+      new Set(p.edges.flatMap((e) => graph.edges[e].tiles))
+    );
+    const worstTiles = tiles
+      .filter((t) => scores[t] && !scores[t].masked)
+      .map((t) => ({
+        tileId: t,
+        count: scores[t].count,
+        risk: scores[t].score,
+        reasons: scores[t].reasons,
+      }))
+      .sort((a, b) => b.risk - a.risk)
+      .slice(0, 3);
+    const streets = Array.from(
+      new Set(p.edges.map((e) => graph.edges[e].name).filter(Boolean))
+    );
+    const distance =
+      from.distance +
+      to.distance +
+      p.edges.reduce((s, e) => s + graph.edges[e].distance, 0);
+
+    return {
+      name: streets.slice(0, 2).join(" / ") || `route_${i + 1}`,
+      geometry: [startPt, ...p.nodes.map((n) => graph.nodes[n]), endPt],
+      distanceMeters: Math.round(distance),
+      cost: Number(p.cost.toFixed(1)),
+      ...summarizeTiles(tiles, scores),
+      worstTiles,
+      timeProfile: profile(tiles),
+    };
+  });
+
+  // paths come back ordered by risk-weighted cost, which is the ranking we want
+  return { routes, best: routes[0], source: "road_network" };
+}
+
+// Routes used whenever Google is not configured or not reachable
+async function localRoutes(startPt, endPt, query, depart) {
+  const days = query.days || process.env.AGG_WINDOW_DAYS || 30;
+  const result =
+    (await roadNetworkRoutes(startPt, endPt, {
+      days,
+      k: query.alternatives,
+      riskWeight: query.riskWeight,
+      depart,
+    })) ||
+    (await straightLineRoutes(startPt, endPt, query.steps || 20, days, depart));
+  return depart ? { ...result, departAt: depart.info } : result;
+}
+
+// GET safest route between two points over the local road network
+// GET /api/reports/safest-route?start=lng,lat&end=lng,lat&alternatives=3&riskWeight=4&departAt=now
+// Falls back to sampled straight lines (steps=20) when no network is loaded.
+// departAt scores tiles with incidents from comparable hours / day type only.
 router.get("/safest-route", async (req, res) => {
   try {
-    const {
-      start,
-      end,
-      steps = 20,
-      days = process.env.AGG_WINDOW_DAYS || 30,
-    } = req.query;
+    const { start, end } = req.query;
     if (!start || !end)
       return res
         .status(400)
         .json({ message: 'start and end query params required as "lng,lat"' });
 
-    const parseCoord = (s) => s.split(",").map(Number);
-    const [startLng, startLat] = parseCoord(start);
-    const [endLng, endLat] = parseCoord(end);
-
-    const stepsNum = Math.max(5, Math.min(200, Number(steps)));
-
-    function sampleLine(lng1, lat1, lng2, lat2, n) {
-      const pts = [];
-      for (let i = 0; i <= n; i++) {
-        const t = i / n;
-        const lng = lng1 + (lng2 - lng1) * t;
-        const lat = lat1 + (lat2 - lat1) * t;
-        pts.push([lng, lat]);
-      }
-      return pts;
-    }
-
-    // generate three candidate routes: center, offset north, offset south
-    const centerPts = sampleLine(startLng, startLat, endLng, endLat, stepsNum);
-
-    // compute a small lat offset (~3 * tile size)
-    const tileSize = Number(process.env.TILE_SIZE_M || 50);
-    const metersPerDegree = 111320;
-    const offsetDeg = (tileSize * 3) / metersPerDegree;
-
-    const northPts = centerPts.map(([lng, lat]) => [lng, lat + offsetDeg]);
-    const southPts = centerPts.map(([lng, lat]) => [lng, lat - offsetDeg]);
-
-    const allPts = [...centerPts, ...northPts, ...southPts];
-
-    // map points to tileIds
-    const tileIds = Array.from(
-      new Set(allPts.map(([lng, lat]) => latLngToTileId(lat, lng, tileSize)))
-    );
-
-    // aggregation window
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - Number(days));
-
-    // aggregate counts for these tiles
-    const agg = await Report.aggregate([
-      {
-        $match: {
-          status: "submitted",
-          createdAt: { $gte: startDate },
-          tileId: { $in: tileIds },
-        },
-      },
-      { $group: { _id: "$tileId", count: { $sum: 1 } } },
-      { $project: { tileId: "$_id", count: 1, _id: 0 } },
-    ]);
-
-    const counts = {};
-    agg.forEach((a) => (counts[a.tileId] = a.count));
-    const maxCount = Math.max(1, ...Object.values(counts));
-    const K_ANON = Number(process.env.K_ANON || 3);
-
-    function scoreRoute(pts) {
-      const tiles = pts.map(([lng, lat]) => latLngToTileId(lat, lng, tileSize));
-      const uniqueTiles = Array.from(new Set(tiles));
-      let sum = 0;
-      let known = 0;
-      uniqueTiles.forEach((tid) => {
-        const c = counts[tid] || 0;
-        if (c === 0) return; // treat unknown as neutral
-        if (c < K_ANON) return; // skip masked tiles
-        const normalized = Math.min(0.7, (c / maxCount) * 0.7);
-        sum += normalized;
-        known += 1;
-      });
-      const avg = known > 0 ? sum / known : 0; // lower is safer
-      return { score: Number(avg.toFixed(4)), tilesEvaluated: known };
-    }
-
-    const centerScore = scoreRoute(centerPts);
-    const northScore = scoreRoute(northPts);
-    const southScore = scoreRoute(southPts);
-
-    const routes = [
-      { name: "center", geometry: centerPts, ...centerScore },
-      { name: "north_offset", geometry: northPts, ...northScore },
-      { name: "south_offset", geometry: southPts, ...southScore },
-    ];
+    const depart = parseDepartAt(req.query.departAt);
+    if (depart === null)
+      return res
+        .status(400)
+        .json({ message: 'departAt must be "now" or a valid date/time' });
 
-    routes.sort((a, b) => a.score - b.score); // ascending: lower score = safer
+    const startPt = parseCoord(start);
+    const endPt = parseCoord(end);
+    if (!startPt || !endPt)
+      return res
+        .status(400)
+        .json({ message: 'start and end must be valid "lng,lat" coordinates' });
 
-    res.json({ routes, best: routes[0] });
+    const result = await localRoutes(startPt, endPt, req.query, depart);
+    res.json(result);
   } catch (error) {
     console.error("Safest route error:", error);
     res.status(500).json({ message: "Server error" });
@@ -158,70 +328,149 @@ router.get("/safest-route", async (req, res) => {
 });
 
 // POST /api/reports/score-geometry
-// Body: { geometry: [[lng,lat], ...], days?: number }
+// Body: { geometry: [[lng,lat], ...], days?: number, departAt?: "now" | ISO time, segmentMeters?: number }
+// Returns the route score plus per-segment risk and hazard points to announce
 router.post("/score-geometry", async (req, res) => {
   try {
     const { geometry, days = process.env.AGG_WINDOW_DAYS || 30 } = req.body;
-    if (!Array.isArray(geometry) || geometry.length < 2) {
+    const invalid = geometryError(geometry);
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    const depart = parseDepartAt(req.body.departAt);
+    if (depart === null)
       return res
         .status(400)
-        .json({ message: "geometry must be array of [lng,lat] points" });
-    }
+        .json({ message: 'departAt must be "now" or a valid date/time' });
 
     const tileSize = Number(process.env.TILE_SIZE_M || 50);
 
-    // map points to tileIds
-    const tileIds = Array.from(
-      new Set(geometry.map(([lng, lat]) => latLngToTileId(lat, lng, tileSize)))
-    );
-
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - Number(days));
+    // tiles crossed by the polyline, sampled between vertices
+    const tileIds = routeTileIds(geometry, tileSize);
 
-    const agg = await Report.aggregate([
-      {
-        $match: {
-          status: "submitted",
-          createdAt: { $gte: startDate },
-          tileId: { $in: tileIds },
-        },
-      },
-      { $group: { _id: "$tileId", count: { $sum: 1 } } },
-      { $project: { tileId: "$_id", count: 1, _id: 0 } },
-    ]);
+    const { tiles: scores, profile } = await scoreForDeparture(
+      { tileIds, days },
+      depart
+    );
 
-    const counts = {};
-    agg.forEach((a) => (counts[a.tileId] = a.count));
-    const maxCount = Math.max(1, ...Object.values(counts));
-    const K_ANON = Number(process.env.K_ANON || 3);
+    // per-tile detail; tiles without reports are reported as zero counts
+    const tiles = tileIds.map(
+      (tid) => scores[tid] || { tileId: tid, count: 0, score: 0, reasons: [] }
+    );
 
-    // score geometry (unique tiles)
-    const tiles = tileIds.map((tid) => ({
-      tileId: tid,
-      count: counts[tid] || 0,
-    }));
-    let sum = 0;
-    let known = 0;
-    tiles.forEach((t) => {
-      const c = t.count;
-      if (c === 0) return; // unknown
-      if (c < K_ANON) return; // masked
-      const normalized = Math.min(0.7, (c / maxCount) * 0.7);
-      sum += normalized;
-      known += 1;
+    const segmentMeters = Math.max(
+      50,
+      Math.min(1000, Number(req.body.segmentMeters) || 200)
+    );
+    const { segments, lengthMeters } = segmentRoute(geometry, scores, {
+      tileSize,
+      segmentMeters,
     });
 
-    const avg = known > 0 ? sum / known : 0;
-
-    res.json({ score: Number(avg.toFixed(4)), tilesEvaluated: known, tiles });
+    res.json({
+      ...summarizeTiles(tileIds, scores),
+      lengthMeters,
+      tiles,
+      segments,
+      hazards: hazardPoints(segments),
+      timeProfile: profile(tileIds),
+      ...(depart ? { departAt: depart.info } : {}),
+    });
   } catch (error) {
     console.error("score-geometry error:", error);
     res.status(500).json({ message: "Server error" });
   }
 });
 
+// Per-tile total / incident / positive counts for a bbox, read from the
+// precomputed TileAggregate rows at the given pyramid level
+async function heatmapCells([minLng, minLat, maxLng, maxLat], days, tileSize) {
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - Number(days));
+  // rows carry the tile origin, so widen the low edges by one tile
+  const { latDeg, lngDeg } = tileSpan(
+    Math.max(Math.abs(minLat), Math.abs(maxLat)),
+    tileSize
+  );
+
+  // Aggregate counts per tile, broken down by type so we can show both "danger" and "safe" signals
+  return TileAggregate.aggregate([
+    {
+      $match: {
+        level: tileSize,
+        day: { $gte: utcDay(startDate) },
+        lat: { $gte: minLat - latDeg, $lte: maxLat },
+        lng: { $gte: minLng - lngDeg, $lte: maxLng },
+      },
+    },
+    {
+      $group: {
+        _id: "$tileId",
+        totalCount: { $sum: "$count" },
+        positiveCount: {
+          $sum: {
+            $cond: [{ $eq: ["$type", "positive_experience"] }, "$count", 0],
+          },
+        },
+        incidentCount: {
+          $sum: {
+            $cond: [
+              { $in: ["$type", ["incident", "harassment", "safety_concern"]] },
+              "$count",
+              0,
+            ],
+          },
+        },
+      },
+    },
+    {
+      $project: {
+        tileId: "$_id",
+        totalCount: 1,
+        positiveCount: 1,
+        incidentCount: 1,
+        _id: 0,
+      },
+    },
+  ]);
+}
+
+// With noise on, every tile of the view is noised, so the view is capped
+const tooManyNoiseCells = (bbox, tileSize, dp) =>
+  Boolean(dp) && countTilesInBbox(bbox, tileSize) > MAX_NOISE_CELLS;
+const NOISE_CELLS_MESSAGE = `With privacy noise a view covers at most ${MAX_NOISE_CELLS} tiles; use a smaller bbox or larger tileSizeMeters`;
+
+// Merge sparse heatmap cells into regions holding at least kAnon reports.
+// Returns the cells that stay as they are (meeting kAnon, or sparse with no
+// region to join) and the regions with combined counts.
+function generalizeCells(cells, kAnon, tileSize) {
+  const { tiles, regions, unmerged } = generalizeTiles(cells, {
+    k: kAnon,
+    tileSizeMeters: tileSize,
+    countOf: (c) => c.totalCount || 0,
+  });
+  const byId = new Map(cells.map((c) => [c.tileId, c]));
+  const sum = (ids, key) =>
+    ids.reduce((n, id) => n + (byId.get(id)[key] || 0), 0);
+  return {
+    cells: [...tiles, ...unmerged],
+    regions: regions.map((r) => ({
+      regionId: r.regionId,
+      bounds: r.bounds,
+      tileCount: r.tileIds.length,
+      totalCount: r.count,
+      incidentCount: sum(r.tileIds, "incidentCount"),
+      positiveCount: sum(r.tileIds, "positiveCount"),
+    })),
+  };
+}
+
+function boundsCenter([minLng, minLat, maxLng, maxLat]) {
+  return { lat: (minLat + maxLat) / 2, lng: (minLng + maxLng) / 2 };
+}
+
 // GET /api/reports/heatmap?bbox=minLng,minLat,maxLng,maxLat&days=90&tileSizeMeters=50
-router.get("/heatmap", async (req, res) => {
+// Without tileSizeMeters the pyramid level is picked from the bbox size
+router.get("/heatmap", privacyBudget, async (req, res) => {
   try {
     const { bbox, days = process.env.AGG_WINDOW_DAYS || 90, tileSizeMeters } = req.query;
     if (!bbox) return res.status(400).json({ message: "bbox required as minLng,minLat,maxLng,maxLat" });
@@ -230,93 +479,53 @@ router.get("/heatmap", async (req, res) => {
     if (parts.length !== 4) return res.status(400).json({ message: "bbox must be 4 numbers" });
     const [minLng, minLat, maxLng, maxLat] = parts;
 
-    const tileSize = Number(tileSizeMeters || process.env.TILE_SIZE_M || 50);
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - Number(days));
-
-    // Simple in-memory cache to reduce repeated aggregation for same params (TTL 60s)
-    if (!global.__heatmap_cache) global.__heatmap_cache = new Map();
-    const cacheKey = `${bbox}|${days}|${tileSize}`;
-    const cached = global.__heatmap_cache.get(cacheKey);
-    if (cached && Date.now() - cached.ts < 60 * 1000) {
-      return res.json(cached.value);
-    }
-
-    // Use geoWithin polygon for 2dsphere
-    const polygon = {
-      type: "Polygon",
-      coordinates: [[
-        [minLng, minLat],
-        [maxLng, minLat],
-        [maxLng, maxLat],
-        [minLng, maxLat],
-        [minLng, minLat]
-      ]] ,
-    };
-
-    // Aggregate counts per tile, broken down by type so we can show both "danger" and "safe" signals
-    const agg = await Report.aggregate([
-      {
-        $match: {
-          status: "submitted",
-          createdAt: { $gte: startDate },
-          location: { $geoWithin: { $geometry: polygon } },
-        },
-      },
-      {
-        $group: {
-          _id: "$tileId",
-          totalCount: { $sum: 1 },
-          positiveCount: {
-            $sum: {
-              $cond: [{ $eq: ["$type", "positive_experience"] }, 1, 0],
-            },
-          },
-          incidentCount: {
-            $sum: {
-              $cond: [
-                { $in: ["$type", ["incident", "harassment", "safety_concern"]] },
-                1,
-                0,
-              ],
-            },
-          },
-        },
-      },
-      {
-        $project: {
-          tileId: "$_id",
-          totalCount: 1,
-          positiveCount: 1,
-          incidentCount: 1,
-          _id: 0,
-        },
-      },
-    ]);
-
+    // read the precomputed per-tile rows at the pyramid level for this view
+    const tileSize = tileSizeMeters
+      ? nearestTileLevel(tileSizeMeters)
+      : pickTileLevel(parts);
+    if (tooManyNoiseCells(parts, tileSize, req.dp))
+      return res.status(400).json({ message: NOISE_CELLS_MESSAGE });
     const K_ANON = Number(process.env.K_ANON || 3);
-    const maxIncident = agg.reduce((m, a) => Math.max(m, a.incidentCount || 0), 0) || 1;
-    const maxPositive = agg.reduce((m, a) => Math.max(m, a.positiveCount || 0), 0) || 1;
+    // sparse tiles are merged into regions meeting K_ANON instead of being dropped
+    const { cells: agg, regions } = generalizeCells(
+      noisyCells(
+        await heatmapCells(parts, days, tileSize),
+        req.dp,
+        req.dp ? tilesInBbox(parts, tileSize) : []
+      ),
+      K_ANON,
+      tileSize
+    );
+
+    const shown = [...agg.filter((a) => a.totalCount >= K_ANON), ...regions];
+    const maxIncident = shown.reduce((m, a) => Math.max(m, a.incidentCount || 0), 0) || 1;
+    const maxPositive = shown.reduce((m, a) => Math.max(m, a.positiveCount || 0), 0) || 1;
+    const weights = (a) => ({
+      dangerWeight: a.incidentCount ? Number((a.incidentCount / maxIncident).toFixed(4)) : 0,
+      safeWeight: a.positiveCount ? Number((a.positiveCount / maxPositive).toFixed(4)) : 0,
+    });
 
     const items = agg
       .filter((a) => a.totalCount >= K_ANON)
       .map((a) => {
-        const c = tileIdToCentroid(a.tileId);
-        const dangerWeight = a.incidentCount ? Number((a.incidentCount / maxIncident).toFixed(4)) : 0;
-        const safeWeight = a.positiveCount ? Number((a.positiveCount / maxPositive).toFixed(4)) : 0;
+        const c = tileIdToCentroid(a.tileId, tileSize);
         return {
           tileId: a.tileId,
           centroid: { lat: c.lat, lng: c.lng },
           totalCount: a.totalCount,
           incidentCount: a.incidentCount || 0,
           positiveCount: a.positiveCount || 0,
-          dangerWeight,
-          safeWeight,
+          ...weights(a),
         };
       });
+    const regionItems = regions.map(({ bounds, ...r }) => ({
+      ...r,
+      polygon: bboxToPolygon(bounds),
+      centroid: boundsCenter(bounds),
+      ...weights(r),
+    }));
 
-    const out = { items, meta: { bbox: [minLng, minLat, maxLng, maxLat], tileSizeMeters: tileSize, tilesReturned: items.length, kAnon: K_ANON } };
-    global.__heatmap_cache.set(cacheKey, { ts: Date.now(), value: out });
+    const out = { items, regions: regionItems, meta: { bbox: [minLng, minLat, maxLng, maxLat], tileSizeMeters: tileSize, tilesReturned: items.length, regionsReturned: regionItems.length, kAnon: K_ANON, noise: describeNoise(res, req.dp) } };
     return res.json(out);
   } catch (error) {
     console.error("heatmap error:", error);
@@ -324,8 +533,81 @@ router.get("/heatmap", async (req, res) => {
   }
 });
 
-// GET /api/reports/directions?start=lng,lat&end=lng,lat&days=30
-// Calls Google Directions server-side (requires server env GOOGLE_MAPS_API_KEY)
+// GET /api/reports/heatmap/tiles/:z/:x/:y.mvt   (Mapbox Vector Tile, layer "safety")
+// GET /api/reports/heatmap/tiles/:z/:x/:y.geojson (FeatureCollection of tile polygons)
+// Standard XYZ tiles so off-the-shelf map libraries and CDNs can consume the heatmap
+router.get(
+  "/heatmap/tiles/:z/:x/:y.:format",
+  privacyBudget,
+  async (req, res) => {
+    try {
+      const z = Number(req.params.z);
+      const x = Number(req.params.x);
+      const y = Number(req.params.y);
+      const { format } = req.params;
+      if (!isValidXyz(z, x, y))
+        return res
+          .status(400)
+          .json({ message: "Invalid z/x/y tile coordinates" });
+      if (!["mvt", "pbf", "geojson"].includes(format))
+        return res
+          .status(400)
+          .json({ message: "format must be mvt, pbf or geojson" });
+
+      const days = req.query.days || process.env.AGG_WINDOW_DAYS || 90;
+      const bbox = xyzToBbox(z, x, y);
+      const tileSize = pickTileLevel(bbox);
+      // low zooms cover too many tiles to noise every one of them
+      if (tooManyNoiseCells(bbox, tileSize, req.dp))
+        return res.status(400).json({
+          message: `With privacy noise a tile covers at most ${MAX_NOISE_CELLS} heatmap cells; zoom in`,
+        });
+      const K_ANON = Number(process.env.K_ANON || 3);
+
+      const { cells, regions } = generalizeCells(
+        noisyCells(
+          await heatmapCells(bbox, days, tileSize),
+          req.dp,
+          req.dp ? tilesInBbox(bbox, tileSize) : []
+        ),
+        K_ANON,
+        tileSize
+      );
+      const collection = cellsToFeatureCollection(
+        cells,
+        tileSize,
+        K_ANON,
+        regions
+      );
+
+      res.set("Cache-Control", "public, max-age=300");
+      if (format === "geojson") {
+        return res.json({
+          ...collection,
+          meta: {
+            z,
+            x,
+            y,
+            bbox,
+            tileSizeMeters: tileSize,
+            kAnon: K_ANON,
+            noise: describeNoise(res, req.dp),
+          },
+        });
+      }
+      describeNoise(res, req.dp);
+      res.type("application/vnd.mapbox-vector-tile");
+      return res.send(encodeMvt(collection, z, x, y));
+    } catch (error) {
+      console.error("heatmap vector tile error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// GET /api/reports/directions?start=lng,lat&end=lng,lat&days=30&departAt=now
+// Calls Google Directions server-side when GOOGLE_MAPS_API_KEY is set, otherwise
+// (or when Google fails) routes over the local road network
 router.get("/directions", async (req, res) => {
   try {
     const { start, end, days = process.env.AGG_WINDOW_DAYS || 30 } = req.query;
@@ -334,16 +616,31 @@ router.get("/directions", async (req, res) => {
         .status(400)
         .json({ message: "start and end required as lng,lat" });
 
-    const parseCoord = (s) => s.split(",").map(Number);
+    const depart = parseDepartAt(req.query.departAt);
+    if (depart === null)
+      return res
+        .status(400)
+        .json({ message: 'departAt must be "now" or a valid date/time' });
+
+    if (!parseCoord(start) || !parseCoord(end))
+      return res
+        .status(400)
+        .json({ message: "start and end must be valid lng,lat coordinates" });
     const [startLng, startLat] = parseCoord(start);
     const [endLng, endLat] = parseCoord(end);
 
+    // Without a Google key the local road-network router is the default
     const key =
       process.env.GOOGLE_MAPS_API_KEY || process.env.SERVER_GOOGLE_MAPS_KEY;
     if (!key)
-      return res
-        .status(500)
-        .json({ message: "Server missing Google Maps API key" });
+      return res.json(
+        await localRoutes(
+          [startLng, startLat],
+          [endLng, endLat],
+          req.query,
+          depart
+        )
+      );
 
     // New Google Routes API call
     const routesUrl = `https://routes.googleapis.com/directions/v2:computeRoutes`;
@@ -392,98 +689,19 @@ router.get("/directions", async (req, res) => {
       json = await legacyResp.json();
       // if legacy also failed, return error
       if (json.status !== "OK") {
-        // If Google Directions failed (billing/permission), fall back to internal sampling so UI still works
+        // If Google Directions failed (billing/permission), fall back to local routing so UI still works
         console.warn(
-          "Legacy Directions failed, falling back to internal sampling. Google response:",
+          "Legacy Directions failed, falling back to local routing. Google response:",
           json
         );
-
-        // generate three candidate routes: center, offset north, offset south (sampled straight lines)
-        const stepsNum = Math.max(
-          5,
-          Math.min(200, Number(req.query.steps || 40))
-        );
-        function sampleLine(lng1, lat1, lng2, lat2, n) {
-          const pts = [];
-          for (let i = 0; i <= n; i++) {
-            const t = i / n;
-            const lng = lng1 + (lng2 - lng1) * t;
-            const lat = lat1 + (lat2 - lat1) * t;
-            pts.push([lng, lat]);
-          }
-          return pts;
-        }
-
-        const centerPts = sampleLine(
-          startLng,
-          startLat,
-          endLng,
-          endLat,
-          stepsNum
-        );
-        const tileSizeLocal = Number(process.env.TILE_SIZE_M || 50);
-        const metersPerDegree = 111320;
-        const offsetDeg = (tileSizeLocal * 3) / metersPerDegree;
-        const northPts = centerPts.map(([lng, lat]) => [lng, lat + offsetDeg]);
-        const southPts = centerPts.map(([lng, lat]) => [lng, lat - offsetDeg]);
-
-        const allPts = [...centerPts, ...northPts, ...southPts];
-        const tileIds = Array.from(
-          new Set(
-            allPts.map(([lng, lat]) => latLngToTileId(lat, lng, tileSizeLocal))
-          )
+        return res.json(
+          await localRoutes(
+          [startLng, startLat],
+          [endLng, endLat],
+          req.query,
+          depart
+        )
         );
-
-        const startDate = new Date();
-        startDate.setDate(startDate.getDate() - Number(days));
-
-        const agg = await Report.aggregate([
-          {
-            $match: {
-              status: "submitted",
-              createdAt: { $gte: startDate },
-              tileId: { $in: tileIds },
-            },
-          },
-          { $group: { _id: "$tileId", count: { $sum: 1 } } },
-          { $project: { tileId: "$_id", count: 1, _id: 0 } },
-        ]);
-
-        const counts = {};
-        agg.forEach((a) => (counts[a.tileId] = a.count));
-        const maxCount = Math.max(1, ...Object.values(counts));
-        const K_ANON = Number(process.env.K_ANON || 3);
-
-        function scoreRoute(pts) {
-          const tiles = pts.map(([lng, lat]) =>
-            latLngToTileId(lat, lng, tileSizeLocal)
-          );
-          const uniqueTiles = Array.from(new Set(tiles));
-          let sum = 0;
-          let known = 0;
-          uniqueTiles.forEach((tid) => {
-            const c = counts[tid] || 0;
-            if (c === 0) return;
-            if (c < K_ANON) return;
-            const normalized = Math.min(0.7, (c / maxCount) * 0.7);
-            sum += normalized;
-            known += 1;
-          });
-          const avg = known > 0 ? sum / known : 0;
-          return { score: Number(avg.toFixed(4)), tilesEvaluated: known };
-        }
-
-        const centerScore = scoreRoute(centerPts);
-        const northScore = scoreRoute(northPts);
-        const southScore = scoreRoute(southPts);
-
-        const routes = [
-          { name: "center", geometry: centerPts, ...centerScore },
-          { name: "north_offset", geometry: northPts, ...northScore },
-          { name: "south_offset", geometry: southPts, ...southScore },
-        ];
-        routes.sort((a, b) => a.score - b.score);
-        return res.json({ routes, best: routes[0] });
       }
     }
 
@@ -521,15 +739,9 @@ router.get("/directions", async (req, res) => {
       return coordinates;
     }
 
-    // For scoring we reuse the aggregation approach in /score-geometry
+    // Score each returned route with the shared tile risk engine
     const tileSize = Number(process.env.TILE_SIZE_M || 50);
-    const K_ANON = Number(process.env.K_ANON || 3);
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - Number(days));
-
-    // Score each returned route
     const routesOut = [];
-    const countsCache = {}; // optional cache of tile counts
 
     // gather all tileIds needed across routes to aggregate in one query
     const allTileIds = new Set();
@@ -556,44 +768,18 @@ router.get("/directions", async (req, res) => {
       dr.tileIds.forEach((t) => allTileIds.add(t));
     });
 
-    const agg = await Report.aggregate([
-      {
-        $match: {
-          status: "submitted",
-          createdAt: { $gte: startDate },
-          tileId: { $in: Array.from(allTileIds) },
-        },
-      },
-      { $group: { _id: "$tileId", count: { $sum: 1 } } },
-      { $project: { tileId: "$_id", count: 1, _id: 0 } },
-    ]);
-    agg.forEach((a) => (countsCache[a.tileId] = a.count));
-    const maxCount = Math.max(1, ...Object.values(countsCache));
-
-    // scoring helper
-    function scoreTiles(tileIds) {
-      let sum = 0,
-        known = 0;
-      tileIds.forEach((tid) => {
-        const c = countsCache[tid] || 0;
-        if (c === 0) return;
-        if (c < K_ANON) return;
-        const normalized = Math.min(0.7, (c / maxCount) * 0.7);
-        sum += normalized;
-        known += 1;
-      });
-      return {
-        score: Number((known > 0 ? sum / known : 0).toFixed(4)),
-        tilesEvaluated: known,
-      };
-    }
+    const { tiles: scores, profile } = await scoreForDeparture(
+      { tileIds: Array.from(allTileIds), days },
+      depart
+    );
 
     for (const dr of decodedRoutes) {
-      const s = scoreTiles(dr.tileIds);
+      const s = summarizeTiles(dr.tileIds, scores);
       routesOut.push({
         name: dr.summary || "directions",
         geometry: dr.points,
         ...s,
+        timeProfile: profile(dr.tileIds),
       });
     }
 
@@ -602,6 +788,7 @@ router.get("/directions", async (req, res) => {
       routes: routesOut,
       best: routesOut[0] || null,
       raw: { directionsStatus: json.status },
+      ...(depart ? { departAt: depart.info } : {}),
     });
   } catch (error) {
     console.error("Directions scoring error:", error);
@@ -612,8 +799,8 @@ router.get("/directions", async (req, res) => {
 // Create a new report (allows anonymous submissions)
 router.post(
   "/",
-  require("../middleware/auth").optionalAuth,
-  upload.array("evidence", 5),
+  optionalAuth,
+  upload.array("evidence", MAX_EVIDENCE_FILES),
   [
     body("type")
       .isIn([
@@ -644,6 +831,11 @@ router.post(
       .isBoolean()
       .withMessage("Is anonymous must be boolean"),
     body("tags").optional().isArray().withMessage("Tags must be an array"),
+    body("anonId")
+      .optional()
+      .isString()
+      .isLength({ min: 16, max: 128 })
+      .withMessage("anonId must be a string of 16 to 128 characters"),
   ],
   async (req, res) => {
     try {
@@ -664,57 +856,25 @@ router.post(
         severity = "medium",
         isAnonymous = false,
         tags = [],
-        voiceTranscription,
       } = req.body;
 
-      // Handle file uploads
-      const evidence = req.files
-        ? req.files.map((file) => ({
-            type: file.mimetype.startsWith("image/")
-              ? "photo"
-              : file.mimetype.startsWith("video/")
-              ? "video"
-              : file.mimetype.startsWith("audio/")
-              ? "audio"
-              : "document",
-            url: `/uploads/evidence/${file.filename}`,
-            filename: file.originalname,
-          }))
-        : [];
-
-      // Compute tile id (server-side rounding) for privacy
-      const coords = coordinates.map(Number);
-      const lng = coords[0];
-      const lat = coords[1];
-      const tileSize = Number(process.env.TILE_SIZE_M || 50);
-      const tileId = latLngToTileId(lat, lng, tileSize);
-
-      // Create anonymized reporter hash (rotateable) - don't store raw IP
-      const anonSeed = (req.body.anonId || "") + (req.ip || "") + Date.now();
-      const anonHash = crypto
-        .createHash("sha256")
-        .update(anonSeed)
-        .digest("hex")
-        .slice(0, 16);
+      // Store uploaded evidence under the new report's id
+      const reportId = new mongoose.Types.ObjectId();
+      let evidence;
+      try {
+        evidence = await storeEvidence(reportId, req.files || []);
+      } catch (err) {
+        if (!isMalformedMedia(err)) throw err;
+        return res.status(400).json({ message: err.message });
+      }
 
       const report = new Report({
+        _id: reportId,
         user: req.user ? req.user.id : null,
-        tileId,
-        anonHash,
         type,
         title,
         description,
-        location: {
-          type: "Point",
-          coordinates: [lng, lat],
-          address,
-          neighborhood,
-          city,
-        },
-        timestamp: timestamp ? new Date(timestamp) : new Date(),
-        timeBucket: new Date(timestamp ? new Date(timestamp) : new Date())
-          .toISOString()
-          .slice(0, 13),
+        location: { address, neighborhood, city },
         severity,
         isAnonymous,
         tags,
@@ -724,32 +884,30 @@ router.post(
         )
           ? req.body.lightingFlag
           : "unknown",
-        voiceTranscription: voiceTranscription
-          ? JSON.parse(voiceTranscription)
-          : null,
       });
+      // Compute tile id (server-side rounding) for privacy
+      setReportLocation(report, coordinates);
+      setReportTime(report, timestamp || new Date());
+      // voice notes are transcribed by the server, never taken from the client
+      queueTranscription(report);
 
-      await report.save();
-
-      // Analyze patterns
-      report.analyzePatterns();
-
-      // Find similar reports
-      const similarReports = await report.findSimilarReports();
-      report.similarReports = similarReports.map((similar) => ({
-        reportId: similar._id,
-        similarityScore: 0.8, // Simplified similarity score
-      }));
-
-      await report.save();
-
-      // Emit minimal tile update to clients (no PII)
+      // saved as a draft first, then submitted
       try {
-        const serverIo = req.app && req.app.get ? req.app.get("io") : null;
-        if (serverIo && serverIo.emit) serverIo.emit("tile:update", { tileId });
-      } catch (e) {
-        // ignore socket errors
+        await report.save();
+      } catch (err) {
+        await removeEvidence(evidence);
+        throw err;
       }
+      await recordCreation(report);
+
+      const voiceNote = (req.files || []).find((file) =>
+        file.mimetype.startsWith("audio/")
+      );
+      await submitReport(report, {
+        anonId: req.body.anonId,
+        audio: voiceNote && voiceNote.buffer,
+        io: req.app && req.app.get ? req.app.get("io") : null,
+      });
 
       res.status(201).json({
         message: "Report created successfully",
@@ -767,145 +925,369 @@ router.post(
 );
 
 // GET aggregated tiles (privacy-preserving)
-// Example: GET /api/reports/tiles?bbox=&days=30
-router.get("/tiles", async (req, res) => {
+// Example: GET /api/reports/tiles?bbox=minLng,minLat,maxLng,maxLat&days=30
+// With a bbox the pyramid level is picked from its size (tileSizeMeters overrides)
+router.get("/tiles", privacyBudget, async (req, res) => {
   try {
     const days = Number(req.query.days || process.env.AGG_WINDOW_DAYS || 30);
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
-
-    // Aggregate counts per tileId for public/submitted reports
-    const agg = await Report.aggregate([
-      { $match: { status: "submitted", createdAt: { $gte: startDate } } },
-      {
-        $group: {
-          _id: "$tileId",
-          count: { $sum: 1 },
-          latest: { $max: "$createdAt" },
-          lighting: { $push: "$lightingFlag" },
-        },
-      },
-      {
-        $project: { tileId: "$_id", count: 1, latest: 1, lighting: 1, _id: 0 },
-      },
-    ]);
 
-    // compute normalized score and explanations
-    const maxCount = agg.reduce((m, a) => Math.max(m, a.count), 0) || 1;
-    const K_ANON = Number(process.env.K_ANON || 3);
-
-    const tiles = agg.map((a) => {
-      const normalized = Math.min(0.7, (a.count / maxCount) * 0.7);
-      const latestHour = new Date(a.latest).getHours();
-      const night = latestHour < 6 || latestHour > 20;
-      const nightPenalty = night ? 0.2 : 0;
-      const darkReported = (a.lighting || []).some((f) => f === "dark");
-      const darkPenalty = darkReported ? 0.1 : 0;
-      const score = Math.min(1, normalized + nightPenalty + darkPenalty);
-
-      const reasons = [];
-      if (a.count > 0) reasons.push("historical_reports");
-      if (night) reasons.push("late_hour");
-      if (darkReported) reasons.push("low_lighting");
-
-      return { tileId: a.tileId, count: a.count, score, reasons };
+    let tileSize = Number(process.env.TILE_SIZE_M || 50);
+    let bbox;
+    if (req.query.bbox) {
+      bbox = req.query.bbox.split(",").map(Number);
+      if (bbox.length !== 4 || bbox.some(Number.isNaN))
+        return res.status(400).json({ message: "bbox must be 4 numbers" });
+      tileSize = req.query.tileSizeMeters
+        ? nearestTileLevel(req.query.tileSizeMeters)
+        : pickTileLevel(bbox);
+    } else if (req.query.tileSizeMeters) {
+      tileSize = nearestTileLevel(req.query.tileSizeMeters);
+    }
+    // noise covers every tile of the view, so it needs a bounded one
+    if (req.dp && !bbox)
+      return res
+        .status(400)
+        .json({ message: "bbox is required while privacy noise is on" });
+    if (bbox && tooManyNoiseCells(bbox, tileSize, req.dp))
+      return res.status(400).json({ message: NOISE_CELLS_MESSAGE });
+
+    // Score every tile with submitted reports in the window (masked under K_ANON,
+    // with sparse neighbours merged into regions that meet it)
+    const { tiles, regions } = await scoreTiles({
+      days,
+      bbox,
+      tileSizeMeters: tileSize,
+      merge: true,
+      dp: req.dp,
     });
-
-    const filtered = enforceKAnonymity(tiles, K_ANON);
+    const filtered = Object.values(tiles);
 
     // Add centroid for visualization for non-masked tiles
     const final = filtered.map((t) => {
       if (t.masked) return t;
-      const centroid = tileIdToCentroid(t.tileId);
+      const centroid = tileIdToCentroid(t.tileId, tileSize);
       return { ...t, centroid };
     });
 
-    res.json({ tiles: final });
+    res.json({
+      tiles: final,
+      regions: regions.map(({ bounds, ...r }) => ({
+        ...r,
+        polygon: bboxToPolygon(bounds),
+        centroid: boundsCenter(bounds),
+      })),
+      meta: {
+        tileSizeMeters: tileSize,
+        noise: describeNoise(res, req.dp, [
+          { name: "tileCounts", epsilon: req.dp && req.dp.epsilon / 2 },
+          { name: "buckets", epsilon: req.dp && req.dp.epsilon / 2 },
+        ]),
+      },
+    });
   } catch (error) {
     console.error("Tiles aggregation error:", error);
     res.status(500).json({ message: "Server error" });
   }
 });
 
-// Get user's reports
+// Get user's reports, newest first
 router.get("/my-reports", auth, async (req, res) => {
   try {
-    const { page = 1, limit = 10, type, status } = req.query;
+    const { type, status, q } = req.query;
+    const page = parsePage(req.query, { createdAt: -1 });
+    if (!page) return res.status(400).json({ message: "Invalid cursor" });
     const query = { user: req.user.id };
 
     if (type) query.type = type;
     if (status) query.status = status;
+    if (q) query.$text = { $search: String(q).slice(0, 200) };
 
-    const reports = await Report.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .populate("user", "name profile.avatar");
-
-    const total = await Report.countDocuments(query);
+    const reports = await paginate(Report.find(query), page).populate(
+      "user",
+      "name profile.avatar"
+    );
 
-    res.json({
-      reports,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total,
-    });
+    res.json(
+      await pageOf(page, reports, {
+        serialize: (rows) => serializeReports(rows, req.user),
+        count: () => Report.countDocuments(query),
+      })
+    );
   } catch (error) {
     console.error("Get user reports error:", error);
     res.status(500).json({ message: "Server error" });
   }
 });
 
-// Get public reports
-router.get("/public", async (req, res) => {
+// Get public reports, newest first (location fuzzed and anonymous reporters
+// hidden unless the caller owns, guards or moderates the report)
+router.get("/public", optionalAuth, async (req, res) => {
   try {
-    const { page = 1, limit = 10, type, city, radius = 1000 } = req.query;
-    const query = { isPublic: true, status: "submitted" };
+    const { type, city, q } = req.query;
+    const page = parsePage(req.query, { createdAt: -1 });
+    if (!page) return res.status(400).json({ message: "Invalid cursor" });
+    let query = { isPublic: true, status: "submitted" };
 
     if (type) query.type = type;
     if (city) query["location.city"] = city;
-
-    let reports;
-
+    // title, description, tags and voice-note transcriptions
+    if (q) query.$text = { $search: String(q).slice(0, 200) };
+    // by the tiles (or jittered points) reports are shown at, like search,
+    // so a small radius cannot single out a report's exact location
     if (req.query.coordinates) {
-      const coordinates = JSON.parse(req.query.coordinates);
-      reports = await Report.find({
-        ...query,
-        location: {
-          $near: {
-            $geometry: {
-              type: "Point",
-              coordinates,
-            },
-            $maxDistance: radius,
-          },
-        },
+      const center = parseJsonCoord(req.query.coordinates);
+      const radius = Number(req.query.radius || 1000);
+      if (!center)
+        return res
+          .status(400)
+          .json({ message: "coordinates must be [lng, lat]" });
+      if (!(radius > 0 && radius <= MAX_RADIUS_M))
+        return res.status(400).json({
+          message: `radius must be between 0 and ${MAX_RADIUS_M} meters`,
+        });
+      const area = publicNearFilter(center, radius);
+      if (!area)
+        return res.status(400).json({ message: "radius is too large" });
+      const narrowed = await narrowToShown({
+        match: { ...query, ...area.tiles },
+        shown: area.shown,
       });
-    } else {
-      reports = await Report.find(query);
+      if (narrowed.message)
+        return res.status(narrowed.status).json({ message: narrowed.message });
+      query = narrowed.match;
     }
 
-    reports = reports
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .populate("user", "name profile.avatar");
+    const reports = await paginate(Report.find(query), page).populate(
+      "user",
+      "name profile.avatar"
+    );
+
+    res.json(
+      await pageOf(page, reports, {
+        serialize: (rows) => serializeReports(rows, req.user),
+        count: () => Report.countDocuments(query),
+      })
+    );
+  } catch (error) {
+    console.error("Get public reports error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /api/reports/search?q=&type=&severity=&tags=&neighborhood=&city=&from=&to=
+//   &bbox= | &near=lng,lat&radius=&sort=relevance|recent&scope=public|mine|all
+// Full-text search with facet counts by type, severity, neighborhood and month
+// (facets and total cover every match, not just the page)
+router.get("/search", optionalAuth, async (req, res) => {
+  try {
+    const search = await narrowToShown(parseSearch(req.query, req.user));
+    if (search.message) {
+      return res.status(search.status).json({ message: search.message });
+    }
 
-    const total = await Report.countDocuments(query);
+    const { reports, total, facets } = await runSearch(search);
 
     res.json({
-      reports,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
+      ...(await pageOf(search.page, reports, {
+        serialize: (rows) => serializeReports(rows, req.user),
+      })),
       total,
+      facets,
     });
   } catch (error) {
-    console.error("Get public reports error:", error);
+    console.error("Search reports error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /api/reports/:id/evidence/:evidenceId - short-lived download URL for one
+// evidence file, for the reporter, their guardians (accessReports) and moderators
+router.get("/:id/evidence/:evidenceId", auth, async (req, res) => {
+  try {
+    const { id, evidenceId } = req.params;
+    if (
+      !mongoose.Types.ObjectId.isValid(id) ||
+      !mongoose.Types.ObjectId.isValid(evidenceId)
+    ) {
+      return res.status(404).json({ message: "Evidence not found" });
+    }
+
+    const report = await Report.findById(id).select("user evidence");
+    if (!report || !(await canAccessEvidence(report, req.user))) {
+      return res.status(404).json({ message: "Evidence not found" });
+    }
+
+    // sealed originals (with metadata) are for the reporter and moderators
+    const original = req.query.original === "true";
+    const isOwner = Boolean(report.user) && String(report.user) === req.user.id;
+    if (original && !isOwner && !MODERATOR_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        message: "Only the reporter and moderators can download originals",
+      });
+    }
+
+    const entry = report.evidence.id(evidenceId);
+    const link = entry && (await evidenceDownloadUrl(entry, { original }));
+    if (!link) {
+      return res.status(404).json({ message: "Evidence not found" });
+    }
+
+    res.set("Cache-Control", "no-store");
+    res.json(link);
+  } catch (error) {
+    console.error("Get evidence URL error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /api/reports/:id/evidence-manifest - hashes of the report's evidence and
+// its hash chain, signed when EVIDENCE_SIGNING_KEY is set
+router.get("/:id/evidence-manifest", auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+    const report = await Report.findById(req.params.id);
+    if (!report || !(await canAccessEvidence(report, req.user))) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    res.set("Cache-Control", "no-store");
+    res.json(await evidenceManifest(report));
+  } catch (error) {
+    console.error("Evidence manifest error:", error);
     res.status(500).json({ message: "Server error" });
   }
 });
 
-// Update report
+// GET /api/reports/evidence/signing-key - public key for checking manifest and
+// chain signatures
+router.get("/evidence/signing-key", (req, res) => {
+  const publicKey = signingPublicKey();
+  if (!publicKey) {
+    return res
+      .status(404)
+      .json({ message: "Evidence signing is not configured" });
+  }
+  res.json({ algorithm: "ed25519", publicKey });
+});
+
+// GET /api/reports/evidence/download/:token - file behind a local-storage
+// download URL (the token is the authorisation, so no auth header is needed)
+router.get("/evidence/download/:token", (req, res) => {
+  const grant = verifyDownloadToken(req.params.token);
+  if (!grant) {
+    return res
+      .status(403)
+      .json({ message: "Download link is invalid or has expired" });
+  }
+
+  let stream;
+  try {
+    stream = openLocal(grant.key);
+  } catch (error) {
+    return res.status(404).json({ message: "Evidence not found" });
+  }
+  stream.on("error", (error) => {
+    if (res.headersSent) return res.destroy();
+    if (error.code === "ENOENT") {
+      return res.status(404).json({ message: "Evidence not found" });
+    }
+    console.error("Evidence download error:", error);
+    res.status(500).json({ message: "Server error" });
+  });
+  stream.on("open", () => {
+    res.set({
+      "Content-Type": grant.type || "application/octet-stream",
+      "Content-Disposition": `attachment; filename="${grant.name}"`,
+      "Cache-Control": "private, no-store",
+    });
+    stream.pipe(res);
+  });
+});
+// GET /api/reports/reputation - the caller's current reporter reputation.
+// Signed-in users are identified by their account; anonymous reporters send
+// the anonId they report with in the X-Anon-Id header (kept out of URLs).
+router.get("/reputation", optionalAuth, async (req, res) => {
+  try {
+    const anonId = req.header("X-Anon-Id");
+    if (!req.user && !anonId) {
+      return res
+        .status(400)
+        .json({ message: "Sign in or send an X-Anon-Id header" });
+    }
+
+    const reputation = await currentReputation(
+      { userId: req.user && req.user.id, anonId },
+      { create: false }
+    );
+    res.json(reputationSummary(reputation));
+  } catch (error) {
+    console.error("Get reputation error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /api/reports/incidents?bbox=minLng,minLat,maxLng,maxLat&days=30&type=&minReports=1&limit=50
+// Clusters of reports describing the same event, with summaries of their
+// public reports (incidents with fewer than K_ANON of them are left out),
+// most recently reported first
+router.get("/incidents", async (req, res) => {
+  try {
+    const days = Number(req.query.days || 30);
+    const K_ANON = Number(process.env.K_ANON || 3);
+    const minReports = Math.max(1, Number(req.query.minReports || 1));
+    const page = parsePage(
+      req.query,
+      { "publicSummary.lastReportedAt": -1 },
+      { defaultLimit: 50, maxLimit: 200 }
+    );
+    if (!page) return res.status(400).json({ message: "Invalid cursor" });
+
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+    const query = {
+      publicReportCount: { $gte: Math.max(K_ANON, minReports) },
+      "publicSummary.lastReportedAt": { $gte: since },
+    };
+    if (req.query.type) query["publicSummary.types"] = req.query.type;
+    if (req.query.bbox) {
+      const parts = req.query.bbox.split(",").map(Number);
+      if (parts.length !== 4 || parts.some(Number.isNaN))
+        return res.status(400).json({ message: "bbox must be 4 numbers" });
+      query["publicSummary.location"] = {
+        $geoWithin: { $geometry: bboxToPolygon(parts) },
+      };
+    }
+
+    const incidents = await paginate(Incident.find(query), page);
+
+    res.json({
+      ...(await pageOf(page, incidents, {
+        serialize: (rows) => rows.map(serializeIncident),
+        count: () => Incident.countDocuments(query),
+      })),
+      meta: { days, minReports },
+    });
+  } catch (error) {
+    console.error("Get incidents error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Fields a reporter may change on their own report. Status, verification,
+// moderation and location stay with the submit flow and the moderators.
+const OWNER_EDITABLE = [
+  "title",
+  "description",
+  "type",
+  "severity",
+  "tags",
+  "isAnonymous",
+  "isPublic",
+];
+
+// Update report content (and submit a draft with status: "submitted")
 router.put(
   "/:id",
   auth,
@@ -924,10 +1306,29 @@ router.put(
       .optional()
       .isIn(["low", "medium", "high", "critical"])
       .withMessage("Invalid severity level"),
+    body("type")
+      .optional()
+      .isIn([
+        "incident",
+        "harassment",
+        "safety_concern",
+        "positive_experience",
+        "tip",
+      ])
+      .withMessage("Invalid report type"),
+    body("tags").optional().isArray().withMessage("Tags must be an array"),
+    body("isAnonymous")
+      .optional()
+      .isBoolean()
+      .withMessage("Is anonymous must be boolean"),
+    body("isPublic")
+      .optional()
+      .isBoolean()
+      .withMessage("Is public must be boolean"),
     body("status")
       .optional()
-      .isIn(["draft", "submitted", "under_review", "resolved", "archived"])
-      .withMessage("Invalid status"),
+      .equals("submitted")
+      .withMessage("Status can only be changed to submitted"),
   ],
   async (req, res) => {
     try {
@@ -936,6 +1337,16 @@ router.put(
         return res.status(400).json({ errors: errors.array() });
       }
 
+      const disallowed = Object.keys(req.body).filter(
+        (field) => !OWNER_EDITABLE.includes(field) && field !== "status"
+      );
+      if (disallowed.length > 0) {
+        return res.status(400).json({
+          message: "Only report content can be edited",
+          fields: disallowed,
+        });
+      }
+
       const report = await Report.findById(req.params.id);
 
       if (!report) {
@@ -949,14 +1360,57 @@ router.put(
           .json({ message: "Not authorized to update this report" });
       }
 
-      const updates = req.body;
-      Object.assign(report, updates);
+      if (req.body.status && report.status !== "draft") {
+        return res
+          .status(400)
+          .json({ message: "Only drafts can be submitted" });
+      }
+
+      const edited = OWNER_EDITABLE.filter(
+        (field) => req.body[field] !== undefined
+      );
+      edited.forEach((field) => report.set(field, req.body[field]));
+      const problems = req.body.status ? draftProblems(report) : [];
+      if (problems.length > 0) {
+        return res
+          .status(400)
+          .json({ message: "Draft is incomplete", errors: problems });
+      }
+
+      // editing a verified report sends it back to the review queue
+      const reviewed = edited.length > 0 && report.moderation.isModerated;
+      if (reviewed && report.moderation.decision === "verified") {
+        report.verified = false;
+        report.moderation.isModerated = false;
+        report.moderation.decision = undefined;
+      }
 
       await report.save();
+      if (reviewed) {
+        await ModerationAction.record(report, req.user.id, "owner_edit", {
+          fields: edited,
+        });
+      }
+      if (edited.length > 0) {
+        await appendChain(report, "edited", "reporter", {
+          fields: edited,
+          status: report.status,
+          contentHash: contentHash(report),
+        });
+      }
+
+      if (req.body.status) {
+        await submitReport(report, {
+          io: req.app && req.app.get ? req.app.get("io") : null,
+        });
+      } else {
+        // refreshes the incident summary of a submitted report
+        await assignIncident(report);
+      }
 
       res.json({
         message: "Report updated successfully",
-        report,
+        report: await serializeReportFor(report, req.user),
       });
     } catch (error) {
       console.error("Update report error:", error);
@@ -982,6 +1436,11 @@ router.delete("/:id", auth, async (req, res) => {
     }
 
     await Report.findByIdAndDelete(req.params.id);
+    await ReportVote.deleteMany({ report: report._id });
+    await ReportComment.deleteMany({ report: report._id });
+    await EvidenceChainEntry.deleteMany({ report: report._id });
+    await removeEvidence(report.evidence);
+    await refreshIncident(report.incident);
 
     res.json({ message: "Report deleted successfully" });
   } catch (error) {
@@ -990,19 +1449,93 @@ router.delete("/:id", auth, async (req, res) => {
   }
 });
 
-// Add comment to report
+const commentTextRule = body("text")
+  .trim()
+  .isLength({ min: 1, max: 500 })
+  .withMessage("Comment must be between 1 and 500 characters");
+
+// Load a report's comment for its author (or, with allowModerator, a
+// moderator), answering 404 / 403 itself
+async function loadOwnComment(req, res, { allowModerator = false } = {}) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.commentId)) {
+    res.status(404).json({ message: "Comment not found" });
+    return null;
+  }
+  const comment = await ReportComment.findOne({
+    _id: req.params.commentId,
+    report: req.params.id,
+    isDeleted: false,
+  });
+  if (!comment) {
+    res.status(404).json({ message: "Comment not found" });
+    return null;
+  }
+  const isAuthor = comment.author.toString() === req.user.id;
+  if (
+    !isAuthor &&
+    !(allowModerator && MODERATOR_ROLES.includes(req.user.role))
+  ) {
+    res.status(403).json({ message: "Not authorized to change this comment" });
+    return null;
+  }
+  return comment;
+}
+
+// GET /api/reports/:id/comments?parent=<commentId>&cursor=&limit=20
+// Top-level comments (or the replies to `parent`), oldest first
+router.get("/:id/comments", optionalAuth, async (req, res) => {
+  try {
+    const { parent } = req.query;
+    const page = parsePage(req.query, { createdAt: 1 });
+    if (!page) return res.status(400).json({ message: "Invalid cursor" });
+    if (
+      !mongoose.Types.ObjectId.isValid(req.params.id) ||
+      (parent && !mongoose.Types.ObjectId.isValid(parent))
+    ) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    const report = await Report.findById(req.params.id).select(
+      "user isPublic status isAnonymous"
+    );
+    if (!report || !(await canViewReport(report, req.user))) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    const query = { report: report._id, parentComment: parent || null };
+    const comments = await paginate(ReportComment.find(query), page).populate(
+      "author",
+      "name profile.avatar"
+    );
+
+    res.json(
+      await pageOf(page, comments, {
+        serialize: (rows) =>
+          rows.map((c) => serializeComment(c, req.user, report)),
+        count: () => ReportComment.countDocuments(query),
+      })
+    );
+  } catch (error) {
+    console.error("Get comments error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Add comment to report, or reply to a comment (replies to a reply join the
+// same thread)
 router.post(
   "/:id/comments",
   auth,
   [
-    body("text")
-      .trim()
-      .isLength({ min: 1, max: 500 })
-      .withMessage("Comment must be between 1 and 500 characters"),
+    commentTextRule,
     body("isAnonymous")
       .optional()
       .isBoolean()
       .withMessage("Is anonymous must be boolean"),
+    body("parentComment")
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage("Valid parent comment ID is required"),
   ],
   async (req, res) => {
     try {
@@ -1011,25 +1544,62 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { text, isAnonymous = false } = req.body;
-      const report = await Report.findById(req.params.id);
+      const { text, isAnonymous = false, parentComment } = req.body;
+      const report = await Report.findById(req.params.id).select(
+        "user isPublic status isAnonymous"
+      );
 
-      if (!report) {
+      if (!report || !(await canViewReport(report, req.user))) {
         return res.status(404).json({ message: "Report not found" });
       }
 
-      const comment = {
-        user: req.user.id,
+      let parent = null;
+      if (parentComment) {
+        parent = await ReportComment.findOne({
+          _id: parentComment,
+          report: report._id,
+        });
+        if (!parent || parent.isDeleted) {
+          return res.status(404).json({ message: "Parent comment not found" });
+        }
+      }
+      const threadId = parent ? parent.parentComment || parent._id : null;
+
+      const comment = await ReportComment.create({
+        report: report._id,
+        author: req.user.id,
         text,
-        isAnonymous,
-      };
+        // the reporter of an anonymous report always comments anonymously,
+        // or their name on the thread would reveal who filed it
+        isAnonymous: isAnonymous || isAnonymousReporter(report, req.user),
+        parentComment: threadId,
+        depth: threadId ? 1 : 0,
+      });
+      if (threadId) {
+        await ReportComment.updateOne(
+          { _id: threadId },
+          { $inc: { replyCount: 1 } }
+        );
+      }
 
-      report.comments.push(comment);
-      await report.save();
+      // Let the reporter know (no comment text or author over the socket)
+      try {
+        const serverIo = req.app && req.app.get ? req.app.get("io") : null;
+        const owner = report.user && report.user.toString();
+        if (serverIo && owner && owner !== req.user.id) {
+          serverIo.to(`user-${owner}`).emit("report-comment-added", {
+            reportId: report._id,
+            commentId: comment._id,
+            parentComment: threadId,
+          });
+        }
+      } catch (e) {
+        // ignore socket errors
+      }
 
-      res.json({
+      res.status(201).json({
         message: "Comment added successfully",
-        comment,
+        comment: serializeComment(comment, req.user, report),
       });
     } catch (error) {
       console.error("Add comment error:", error);
@@ -1038,10 +1608,71 @@ router.post(
   }
 );
 
-// Vote on report
+// Edit own comment
+router.put(
+  "/:id/comments/:commentId",
+  auth,
+  [commentTextRule],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const comment = await loadOwnComment(req, res);
+      if (!comment) return;
+
+      comment.text = req.body.text;
+      comment.isEdited = true;
+      comment.editedAt = new Date();
+      await comment.save();
+
+      res.json({
+        message: "Comment updated successfully",
+        comment: serializeComment(comment, req.user),
+      });
+    } catch (error) {
+      console.error("Edit comment error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Delete own comment (moderators may delete any). The text is removed; the
+// comment stays as a placeholder so its replies keep their thread.
+router.delete("/:id/comments/:commentId", auth, async (req, res) => {
+  try {
+    const comment = await loadOwnComment(req, res, { allowModerator: true });
+    if (!comment) return;
+
+    comment.isDeleted = true;
+    comment.deletedAt = new Date();
+    comment.text = undefined;
+    await comment.save();
+
+    res.json({ message: "Comment deleted successfully" });
+  } catch (error) {
+    console.error("Delete comment error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Votes per user and hour (VOTE_RATE_LIMIT), after auth
+const voteLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: Number(process.env.VOTE_RATE_LIMIT || 30),
+  keyGenerator: (req) => req.user.id,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: "Too many votes, please try again later" },
+});
+
+// Vote on report, or change the vote (one vote per user and report)
 router.post(
   "/:id/vote",
   auth,
+  voteLimiter,
   [
     body("vote")
       .isIn(["up", "down"])
@@ -1049,25 +1680,31 @@ router.post(
   ],
   async (req, res) => {
     try {
-      const { vote } = req.body;
-      const report = await Report.findById(req.params.id);
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-      if (!report) {
+      const report = await Report.findById(req.params.id).select(
+        "user status tileId"
+      );
+
+      if (!report || report.status !== "submitted") {
         return res.status(404).json({ message: "Report not found" });
       }
-
-      if (vote === "up") {
-        report.upvotes += 1;
-      } else {
-        report.downvotes += 1;
+      if (report.user && report.user.toString() === req.user.id) {
+        return res
+          .status(403)
+          .json({ message: "You cannot vote on your own report" });
       }
 
-      await report.save();
+      const result = await castVote(report, req.user, req.body.vote);
 
       res.json({
-        message: "Vote recorded successfully",
-        upvotes: report.upvotes,
-        downvotes: report.downvotes,
+        message: result.counted
+          ? "Vote recorded successfully"
+          : "Vote recorded for review",
+        ...result,
       });
     } catch (error) {
       console.error("Vote on report error:", error);
@@ -1076,6 +1713,25 @@ router.post(
   }
 );
 
+// Retract the caller's vote
+router.delete("/:id/vote", auth, voteLimiter, async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id).select("_id");
+
+    if (!report) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    res.json({
+      message: "Vote removed",
+      ...(await retractVote(report, req.user)),
+    });
+  } catch (error) {
+    console.error("Retract vote error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 // Get report statistics
 router.get("/stats/overview", auth, async (req, res) => {
   try {
@@ -1115,11 +1771,68 @@ router.get("/stats/overview", auth, async (req, res) => {
   }
 });
 
+// Tile level reports are shown at: the finest no finer than PUBLIC_LOCATION_TILE_M
+function publicTileLevel() {
+  const floor = Number(process.env.PUBLIC_LOCATION_TILE_M || 200);
+  return (
+    TILE_LEVELS.find((size) => size >= floor) ||
+    TILE_LEVELS[TILE_LEVELS.length - 1]
+  );
+}
+
+// Heatmap cells ({ tileId, totalCount, incidentCount, positiveCount,
+// severitySum, types }) per public tile for the reports matching `query`
+function publicHeatmapCells(query, level, severityValue) {
+  return Report.aggregate([
+    { $match: query },
+    {
+      $group: {
+        _id: `$tilePyramid.m${level}`,
+        totalCount: { $sum: 1 },
+        incidentCount: {
+          $sum: {
+            $cond: [
+              { $in: ["$type", ["incident", "harassment", "safety_concern"]] },
+              1,
+              0,
+            ],
+          },
+        },
+        positiveCount: {
+          $sum: { $cond: [{ $eq: ["$type", "positive_experience"] }, 1, 0] },
+        },
+        severitySum: { $sum: severityValue },
+        types: { $addToSet: "$type" },
+      },
+    },
+    { $match: { _id: { $ne: null } } },
+    {
+      $project: {
+        tileId: "$_id",
+        totalCount: 1,
+        incidentCount: 1,
+        positiveCount: 1,
+        severitySum: 1,
+        types: 1,
+        _id: 0,
+      },
+    },
+  ]);
+}
+
 // Get safety heatmap data
-router.get("/heatmap/data", async (req, res) => {
+// GET /api/reports/heatmap/data?city=&type=&days=30&bbox=minLng,minLat,maxLng,maxLat
+// One point per public (PUBLIC_LOCATION_TILE_M) tile holding at least K_ANON
+// reports; bbox is required while privacy noise is on
+router.get("/heatmap/data", privacyBudget, async (req, res) => {
   try {
     const { city, type, days = 30 } = req.query;
-    const query = { isPublic: true, status: "submitted" };
+    // one point per incident: duplicate reports of the same event are skipped
+    const query = {
+      isPublic: true,
+      status: "submitted",
+      incidentPrimary: { $ne: false },
+    };
 
     if (city) query["location.city"] = city;
     if (type) query.type = type;
@@ -1128,73 +1841,143 @@ router.get("/heatmap/data", async (req, res) => {
     startDate.setDate(startDate.getDate() - days);
     query.createdAt = { $gte: startDate };
 
-    const heatmapData = await Report.aggregate([
-      { $match: query },
-      {
-        $group: {
-          _id: {
-            lat: { $arrayElemAt: ["$location.coordinates", 1] },
-            lng: { $arrayElemAt: ["$location.coordinates", 0] },
-          },
-          count: { $sum: 1 },
-          averageSeverity: {
-            $avg: {
-              $cond: [
-                { $eq: ["$severity", "critical"] },
-                4,
-                {
-                  $cond: [
-                    { $eq: ["$severity", "high"] },
-                    3,
-                    { $cond: [{ $eq: ["$severity", "medium"] }, 2, 1] },
-                  ],
-                },
-              ],
-            },
-          },
-          types: { $addToSet: "$type" },
+    const severityValue = {
+      $cond: [
+        { $eq: ["$severity", "critical"] },
+        4,
+        {
+          $cond: [
+            { $eq: ["$severity", "high"] },
+            3,
+            { $cond: [{ $eq: ["$severity", "medium"] }, 2, 1] },
+          ],
         },
-      }, // ✅ ye sahi hai
-      {
-        $project: {
-          lat: "$_id.lat",
-          lng: "$_id.lng",
-          count: 1,
-          averageSeverity: 1,
-          types: 1,
-          _id: 0,
-        },
-      },
+      ],
+    };
+
+    const K_ANON = Number(process.env.K_ANON || 3);
+    const level = publicTileLevel();
+    let bbox;
+    if (req.query.bbox) {
+      bbox = req.query.bbox.split(",").map(Number);
+      if (bbox.length !== 4 || bbox.some(Number.isNaN))
+        return res.status(400).json({ message: "bbox must be 4 numbers" });
+      if (countTilesInBbox(bbox, level) > MAX_NOISE_CELLS)
+        return res.status(400).json({
+          message: `A view covers at most ${MAX_NOISE_CELLS} tiles; use a smaller bbox`,
+        });
+    }
+
+    // With noise every tile of the bbox is noised, so the view must be bounded
+    if (req.dp && !bbox)
+      return res
+        .status(400)
+        .json({ message: "bbox is required while privacy noise is on" });
+    const domain = bbox ? tilesInBbox(bbox, level) : [];
+    if (bbox) query[`tilePyramid.m${level}`] = { $in: domain };
+    const cells = await publicHeatmapCells(query, level, severityValue);
+
+    if (!req.dp) {
+      return res.json(
+        cells
+          .filter((cell) => cell.totalCount >= K_ANON)
+          .map(({ tileId, totalCount, severitySum, ...counts }) => ({
+            tileId,
+            ...tileIdToCentroid(tileId, level),
+            count: totalCount,
+            ...counts,
+            averageSeverity: severitySum / totalCount,
+          }))
+      );
+    }
+
+    // Half the budget goes to the incident / positive / other counts (as for
+    // /heatmap), half to the severity sum of each released tile (one report
+    // moves it by at most 4). Tiles under K_ANON after noise are dropped.
+    const half = { ...req.dp, epsilon: req.dp.epsilon / 2 };
+    describeNoise(res, req.dp, [
+      { name: "tileCounts", epsilon: half.epsilon },
+      { name: "severitySum", epsilon: half.epsilon, sensitivity: 4 },
     ]);
+    const severityOf = new Map(cells.map((c) => [c.tileId, c.severitySum]));
+    const noisy = noisyCells(cells, half, domain)
+      .filter((cell) => cell.totalCount >= K_ANON)
+      .map(({ tileId, totalCount, incidentCount, positiveCount }) => {
+        const { lat, lng } = tileIdToCentroid(tileId, level);
+        const sum =
+          (severityOf.get(tileId) || 0) + noise(half, { sensitivity: 4 });
+        return {
+          tileId,
+          lat,
+          lng,
+          count: totalCount,
+          incidentCount,
+          positiveCount,
+          averageSeverity: Math.min(4, Math.max(1, sum / totalCount)),
+        };
+      });
 
-    res.json(heatmapData);
+    res.json(noisy);
   } catch (error) {
     console.error("Get heatmap data error:", error);
     res.status(500).json({ message: "Server error" });
   }
 });
 
-// Get report by ID
-router.get("/:id", async (req, res) => {
+// GET /api/reports/trends?bbox=minLng,minLat,maxLng,maxLat | &neighborhood=&city=
+//   | &tiles=id,id&tileSizeMeters=  &interval=week|month&from=&to=&window=
+// Weekly or monthly incident series for an area, see utils/trendAnalytics.js
+router.get("/trends", requirePrivacyBudget, async (req, res) => {
+  try {
+    const query = parseTrendQuery(req.query);
+    if (query.message) {
+      return res.status(query.status).json({ message: query.message });
+    }
+
+    const trends = buildTrends(query, await loadTrendCounts(query), {
+      dp: req.dp,
+    });
+    const third = req.dp && req.dp.epsilon / 3;
+    trends.meta.noise = describeNoise(res, req.dp, [
+      { name: "typeCounts", epsilon: third },
+      { name: "severityCounts", epsilon: third },
+      { name: "hourOfWeek", epsilon: third },
+    ]);
+    res.json(trends);
+  } catch (error) {
+    console.error("Get trends error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Get report by ID, serialised for the caller's audience. Reports that are not
+// public and submitted are only visible to their owner, guardians and moderators.
+router.get("/:id", optionalAuth, async (req, res) => {
   try {
     // validate id is a valid ObjectId first — guards against named routes accidentally matching this param
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(404).json({ message: "Report not found" });
     }
 
-    const report = await Report.findById(req.params.id)
-      .populate("user", "name profile.avatar")
-      .populate("comments.user", "name profile.avatar");
+    const report = await Report.findById(req.params.id).populate(
+      "user",
+      "name profile.avatar"
+    );
 
     if (!report) {
       return res.status(404).json({ message: "Report not found" });
     }
 
-    // Increment view count
-    report.views += 1;
-    await report.save();
+    const view = await serializeReportFor(report, req.user);
+    const published = report.isPublic && report.status === "submitted";
+    if (view.audience === "public" && !published) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    // Increment view count without resaving (and re-syncing) the report
+    await Report.updateOne({ _id: report._id }, { $inc: { views: 1 } });
 
-    res.json(report);
+    res.json({ ...view, views: (report.views || 0) + 1 });
   } catch (error) {
     console.error("Get report error:", error);
     res.status(500).json({ message: "Server error" });
@@ -27,7 +27,8 @@ router.put('/profile', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const updates = req.body;
+    // role grants moderation rights and cannot be self-assigned
+    const { role, ...updates } = req.body;
     const user = await User.findByIdAndUpdate(
       req.user.id,
       { $set: updates },
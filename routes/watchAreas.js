@@ -0,0 +1,280 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { body, validationResult } = require("express-validator");
+const WatchArea = require("../models/WatchArea");
+const WatchAreaMatch = require("../models/WatchAreaMatch");
+const auth = require("../middleware/auth");
+const { watchShape, watchOverlap } = require("../utils/watchAreas");
+const { parsePage, paginate, pageOf } = require("../utils/pagination");
+const router = express.Router();
+
+// Saved watch areas of the signed-in user and the reports matched in them.
+// Matching and delivery are in utils/watchAreas.js.
+router.use(auth);
+
+const SHAPE_FIELDS = [
+  "kind",
+  "polygon",
+  "center",
+  "radiusMeters",
+  "path",
+  "bufferMeters",
+];
+
+// name and kind are required when creating, everything is optional on update
+const watchAreaRules = (creating) => [
+  (creating ? body("name") : body("name").optional())
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage("Name must be between 1 and 60 characters"),
+  (creating ? body("kind") : body("kind").optional())
+    .isIn(["polygon", "radius", "route"])
+    .withMessage("Kind must be polygon, radius or route"),
+  body("polygon")
+    .optional()
+    .isArray({ max: 200 })
+    .withMessage("Polygon can have at most 200 points"),
+  body("path")
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage("Path can have at most 1000 points"),
+  body("types").optional().isArray().withMessage("Types must be an array"),
+  body("types.*")
+    .isIn([
+      "incident",
+      "harassment",
+      "safety_concern",
+      "positive_experience",
+      "tip",
+    ])
+    .withMessage("Invalid report type"),
+  body("minSeverity")
+    .optional()
+    .isIn(["low", "medium", "high", "critical"])
+    .withMessage("Invalid severity level"),
+  body("notify.socket")
+    .optional()
+    .isBoolean()
+    .withMessage("notify.socket must be boolean"),
+  body("notify.email")
+    .optional()
+    .isIn(["off", "instant", "digest"])
+    .withMessage("notify.email must be off, instant or digest"),
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("Is active must be boolean"),
+];
+
+// Shape fields of an existing area, as watchShape takes them
+function currentShape(area) {
+  const { coordinates } = area.geometry;
+  return {
+    kind: area.kind,
+    center: area.kind === "radius" ? coordinates : undefined,
+    path: area.kind === "route" ? coordinates : undefined,
+    polygon: area.kind === "polygon" ? coordinates[0] : undefined,
+    radiusMeters: area.radiusMeters,
+    bufferMeters: area.bufferMeters,
+  };
+}
+
+function serializeWatchArea(area) {
+  const { bounds, __v, ...doc } = area.toObject();
+  return doc;
+}
+
+// Copy the non-geometry settings from a request body onto an area
+function applySettings(area, { name, types, minSeverity, notify, isActive }) {
+  if (name !== undefined) area.name = name;
+  if (types !== undefined) area.types = types;
+  if (minSeverity !== undefined) area.minSeverity = minSeverity;
+  if (notify && notify.socket !== undefined) {
+    area.set("notify.socket", String(notify.socket) === "true");
+  }
+  if (notify && notify.email !== undefined) {
+    area.set("notify.email", notify.email);
+  }
+  if (isActive !== undefined) area.isActive = String(isActive) === "true";
+}
+
+async function loadOwnArea(req, res) {
+  const area = mongoose.isValidObjectId(req.params.id)
+    ? await WatchArea.findById(req.params.id)
+    : null;
+  if (!area || String(area.user) !== String(req.user.id)) {
+    res.status(404).json({ message: "Watch area not found" });
+    return null;
+  }
+  return area;
+}
+
+// List the caller's watch areas, newest first
+router.get("/", async (req, res) => {
+  try {
+    const page = parsePage(req.query, { createdAt: -1 });
+    if (!page) return res.status(400).json({ message: "Invalid cursor" });
+    const query = { user: req.user.id };
+
+    const areas = await paginate(WatchArea.find(query), page);
+
+    res.json(
+      await pageOf(page, areas, {
+        serialize: (rows) => rows.map(serializeWatchArea),
+        count: () => WatchArea.countDocuments(query),
+      })
+    );
+  } catch (error) {
+    console.error("Get watch areas error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Create a watch area: { name, kind, polygon | center + radiusMeters |
+// path + bufferMeters, types, minSeverity, notify: { socket, email } }
+router.post("/", watchAreaRules(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const shape = watchShape(req.body);
+    if (shape.error) {
+      return res.status(400).json({ message: shape.error });
+    }
+
+    const max = Number(process.env.WATCH_AREAS_PER_USER || 10);
+    const others = await WatchArea.find({ user: req.user.id });
+    if (others.length >= max) {
+      return res
+        .status(400)
+        .json({ message: `You can have at most ${max} watch areas` });
+    }
+    const overlap = watchOverlap({ kind: req.body.kind, ...shape }, others);
+    if (overlap.error) {
+      return res.status(400).json({ message: overlap.error });
+    }
+
+    const area = new WatchArea({
+      user: req.user.id,
+      kind: req.body.kind,
+      ...shape,
+    });
+    applySettings(area, req.body);
+    await area.save();
+
+    res.status(201).json({
+      message: "Watch area created",
+      watchArea: serializeWatchArea(area),
+    });
+  } catch (error) {
+    console.error("Create watch area error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Reports matched in the caller's watch areas, newest first
+// GET /api/watch-areas/matches?area=&cursor=&limit=20
+router.get("/matches", async (req, res) => {
+  try {
+    const page = parsePage(req.query, { createdAt: -1 });
+    if (!page) return res.status(400).json({ message: "Invalid cursor" });
+    const query = { user: req.user.id };
+    if (req.query.area) {
+      if (!mongoose.isValidObjectId(req.query.area)) {
+        return res.status(400).json({ message: "Invalid area" });
+      }
+      query.area = req.query.area;
+    }
+
+    const matches = await paginate(WatchAreaMatch.find(query), page)
+      .populate("area", "name kind")
+      .select("-sourceReport -incident -__v");
+
+    res.json(
+      await pageOf(page, matches, {
+        count: () => WatchAreaMatch.countDocuments(query),
+      })
+    );
+  } catch (error) {
+    console.error("Get watch area matches error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const area = await loadOwnArea(req, res);
+    if (!area) return;
+    res.json({ watchArea: serializeWatchArea(area) });
+  } catch (error) {
+    console.error("Get watch area error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Update settings or the shape. Shape fields not sent are kept, unless kind
+// changes and the new kind's fields are all needed.
+router.put("/:id", watchAreaRules(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const area = await loadOwnArea(req, res);
+    if (!area) return;
+
+    if (SHAPE_FIELDS.some((field) => req.body[field] !== undefined)) {
+      const kept =
+        req.body.kind && req.body.kind !== area.kind ? {} : currentShape(area);
+      const input = { ...kept };
+      SHAPE_FIELDS.filter((field) => req.body[field] !== undefined).forEach(
+        (field) => {
+          input[field] = req.body[field];
+        }
+      );
+      const shape = watchShape(input);
+      if (shape.error) {
+        return res.status(400).json({ message: shape.error });
+      }
+      const others = await WatchArea.find({
+        user: req.user.id,
+        _id: { $ne: area._id },
+      });
+      const overlap = watchOverlap({ kind: input.kind, ...shape }, others);
+      if (overlap.error) {
+        return res.status(400).json({ message: overlap.error });
+      }
+      area.set({ kind: input.kind, ...shape });
+    }
+    applySettings(area, req.body);
+    await area.save();
+
+    res.json({
+      message: "Watch area updated",
+      watchArea: serializeWatchArea(area),
+    });
+  } catch (error) {
+    console.error("Update watch area error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    const area = await loadOwnArea(req, res);
+    if (!area) return;
+
+    await WatchArea.deleteOne({ _id: area._id });
+    await WatchAreaMatch.deleteMany({ area: area._id });
+
+    res.json({ message: "Watch area deleted" });
+  } catch (error) {
+    console.error("Delete watch area error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+module.exports = router;
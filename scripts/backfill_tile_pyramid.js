@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const path = require("path");
+
+const Report = require(path.join(__dirname, "..", "models", "Report"));
+const { latLngToTileId, tilePyramid } = require(
+  path.join(__dirname, "..", "utils", "geo")
+);
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://localhost:27017/safeherhub";
+
+// Fill tilePyramid on reports written before multi-resolution tiles existed,
+// and move tileId / tilePyramid of older reports onto the current grid.
+// Run scripts/rebuild_tile_aggregates.js afterwards.
+async function main() {
+  await mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log("Connected to MongoDB for tile pyramid backfill");
+
+  const tileSize = Number(process.env.TILE_SIZE_M || 50);
+  const cursor = Report.find({})
+    .select("location.coordinates tileId tilePyramid")
+    .lean()
+    .cursor();
+
+  const BATCH = 500;
+  let ops = [];
+  let updated = 0;
+  for await (const doc of cursor) {
+    const coords = doc.location && doc.location.coordinates;
+    if (!coords || coords.length !== 2) continue;
+    const tileId = latLngToTileId(coords[1], coords[0], tileSize);
+    const pyramid = tilePyramid(coords[1], coords[0]);
+    const current = doc.tilePyramid || {};
+    const upToDate =
+      doc.tileId === tileId &&
+      Object.keys(pyramid).every((k) => current[k] === pyramid[k]);
+    if (upToDate) continue;
+    ops.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { tileId, tilePyramid: pyramid } },
+      },
+    });
+    if (ops.length >= BATCH) {
+      await Report.bulkWrite(ops);
+      updated += ops.length;
+      ops = [];
+      console.log(`Updated ${updated} reports`);
+    }
+  }
+  if (ops.length > 0) {
+    await Report.bulkWrite(ops);
+    updated += ops.length;
+  }
+
+  console.log(`Tile pyramid backfill complete (${updated} reports).`);
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const path = require("path");
+
+const Report = require(path.join(__dirname, "..", "models", "Report"));
+const Incident = require(path.join(__dirname, "..", "models", "Incident"));
+const { assignIncident, refreshIncident } = require(
+  path.join(__dirname, "..", "utils", "incidentClustering")
+);
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://localhost:27017/safeherhub";
+
+// Group existing submitted reports into incidents, oldest first, so each
+// report is compared with the reports (and incidents) that came before it.
+// Tile aggregates follow through the Report model hooks. Incidents from
+// before public summaries existed are refreshed to get one.
+async function main() {
+  await mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log("Connected to MongoDB for incident clustering");
+
+  const cursor = Report.find({
+    status: "submitted",
+    incident: { $exists: false },
+  })
+    .sort({ timestamp: 1 })
+    .select("_id")
+    .lean()
+    .cursor();
+
+  let processed = 0;
+  for await (const { _id } of cursor) {
+    // reload: an earlier report may have pulled this one into its incident
+    const report = await Report.findById(_id);
+    if (!report || report.incident) continue;
+    await assignIncident(report);
+    processed += 1;
+    if (processed % 500 === 0) console.log(`Clustered ${processed} reports`);
+  }
+
+  const stale = await Incident.find({
+    publicReportCount: { $gte: 1 },
+    publicSummary: { $exists: false },
+  }).distinct("_id");
+  for (const incidentId of stale) await refreshIncident(incidentId);
+
+  console.log(
+    `Incident clustering complete (${processed} reports, ${stale.length} incidents refreshed).`
+  );
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
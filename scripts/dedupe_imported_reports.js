@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const path = require("path");
+
+const Report = require(path.join(__dirname, "..", "models", "Report"));
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://localhost:27017/safeherhub";
+
+// Make the importSource index unique on databases from before it was. Rows
+// imported twice (by concurrent imports of the same file) are cut back to the
+// first report stored, through the model so tile aggregates follow, then the
+// indexes are synced with the model, which replaces the old non-unique one.
+// Safe to re-run.
+async function main() {
+  await mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log("Connected to MongoDB for imported report dedupe");
+
+  const groups = await Report.aggregate([
+    { $match: { "importSource.externalId": { $type: "string" } } },
+    { $sort: { _id: 1 } },
+    {
+      $group: {
+        _id: {
+          name: "$importSource.name",
+          externalId: "$importSource.externalId",
+        },
+        ids: { $push: "$_id" },
+      },
+    },
+    { $match: { "ids.1": { $exists: true } } },
+  ]).allowDiskUse(true);
+
+  let removed = 0;
+  for (const { ids } of groups) {
+    for (const id of ids.slice(1)) {
+      await Report.findOneAndDelete({ _id: id });
+      removed += 1;
+    }
+  }
+  console.log(
+    `Removed ${removed} duplicate reports from ${groups.length} rows`
+  );
+
+  const dropped = await Report.syncIndexes();
+  if (dropped.length) console.log(`Dropped indexes: ${dropped.join(", ")}`);
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+
+require(path.join(__dirname, "..", "models", "Report"));
+const { parseExport, exportCursor, exportChunks } = require(
+  path.join(__dirname, "..", "utils", "reportExport")
+);
+const { narrowToShown } = require(
+  path.join(__dirname, "..", "utils", "reportSearch")
+);
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://localhost:27017/safeherhub";
+
+// Export a scrubbed report dataset like GET /api/reports/bulk/export.
+// Filters are passed as --name value (format, scope, q, type, severity, tags,
+// neighborhood, city, from, to, bbox, near, radius); output goes to --out or
+// stdout.
+//
+//   node scripts/export_reports.js --format geojson --scope all --city Jaipur --out jaipur.geojson
+async function main() {
+  const args = process.argv.slice(2);
+  const params = {};
+  for (let i = 0; i < args.length; i += 2) {
+    if (!args[i].startsWith("--") || args[i + 1] === undefined) {
+      console.error(
+        "Usage: node scripts/export_reports.js [--format csv|geojson|ndjson] [--scope public|all] [--<filter> value ...] [--out file]"
+      );
+      process.exit(2);
+    }
+    params[args[i].slice(2)] = args[i + 1];
+  }
+  const { out, ...filters } = params;
+
+  // run with database access, so scope=all is allowed as for an admin
+  let parsed = parseExport(filters, { role: "admin" });
+  if (parsed.message) {
+    console.error(parsed.message);
+    process.exit(2);
+  }
+
+  await mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  parsed = await narrowToShown(parsed);
+  if (parsed.message) {
+    console.error(parsed.message);
+    process.exit(2);
+  }
+
+  await pipeline(
+    Readable.from(exportChunks(exportCursor(parsed.match), parsed.format)),
+    out ? fs.createWriteStream(out) : process.stdout
+  );
+  if (out) console.log(`Exported reports to ${out}`);
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
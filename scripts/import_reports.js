@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+
+require(path.join(__dirname, "..", "models", "Report"));
+const { formatOf, importReports } = require(
+  path.join(__dirname, "..", "utils", "reportImport")
+);
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://localhost:27017/safeherhub";
+
+const USAGE =
+  "Usage: node scripts/import_reports.js <file> --source <name> [--format csv|geojson|ndjson]\n" +
+  "  [--mapping mapping.json] [--defaults defaults.json] [--public] [--dry-run]";
+
+// Import a report dataset (CSV, GeoJSON or NDJSON) like
+// POST /api/reports/bulk/import. --mapping and --defaults are JSON files of
+// { field: column } and { field: value }. Run scripts/cluster_incidents.js
+// afterwards to group the new reports into incidents.
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const at = args.indexOf(name);
+    return at >= 0 ? args.splice(at, 2)[1] : undefined;
+  };
+  const flag = (name) => {
+    const at = args.indexOf(name);
+    if (at >= 0) args.splice(at, 1);
+    return at >= 0;
+  };
+  const source = option("--source");
+  const format = option("--format");
+  const mappingFile = option("--mapping");
+  const defaultsFile = option("--defaults");
+  const isPublic = flag("--public");
+  const dryRun = flag("--dry-run");
+  const [file] = args;
+  if (!file || !source) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  const readJson = (name) =>
+    name ? JSON.parse(fs.readFileSync(name, "utf8")) : {};
+
+  await mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log("Connected to MongoDB for report import");
+
+  const result = await importReports(fs.readFileSync(file, "utf8"), {
+    format: formatOf(format, file),
+    mapping: readJson(mappingFile),
+    defaults: readJson(defaultsFile),
+    source,
+    isPublic,
+    dryRun,
+  });
+  if (result.error) {
+    console.error(result.error);
+    process.exit(1);
+  }
+
+  result.errors.forEach(({ row, field, message }) =>
+    console.log(`  row ${row}${field ? ` (${field})` : ""}: ${message}`)
+  );
+  if (result.errorCount > result.errors.length) {
+    console.log(`  ... ${result.errorCount - result.errors.length} more`);
+  }
+  console.log(
+    `${dryRun ? "Dry run" : "Import"} complete: ${result.rows} rows, ` +
+      `${result.valid} valid, ${result.duplicates} already imported, ` +
+      `${result.imported} imported.`
+  );
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
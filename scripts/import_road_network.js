@@ -0,0 +1,97 @@
+// Convert an OSM extract into the road network GeoJSON used by the safest-path router.
+// Usage: node scripts/import_road_network.js <input.json> [output.geojson]
+//   input: Overpass API JSON (`[out:json]`, with either `out geom;` or `out body; >; out skel;`)
+//          or an existing GeoJSON FeatureCollection of road LineStrings
+//   output: defaults to ROAD_NETWORK_FILE or data/roads.geojson
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+
+// highway=* values that pedestrians and vehicles can actually use
+const ROAD_TYPES = new Set([
+  "trunk",
+  "trunk_link",
+  "primary",
+  "primary_link",
+  "secondary",
+  "secondary_link",
+  "tertiary",
+  "tertiary_link",
+  "unclassified",
+  "residential",
+  "living_street",
+  "service",
+  "pedestrian",
+  "footway",
+  "path",
+  "steps",
+  "track",
+]);
+
+function fromOverpass(json) {
+  const nodes = new Map();
+  json.elements
+    .filter((e) => e.type === "node")
+    .forEach((n) => nodes.set(n.id, [n.lon, n.lat]));
+
+  const features = [];
+  json.elements
+    .filter((e) => e.type === "way" && e.tags && ROAD_TYPES.has(e.tags.highway))
+    .forEach((way) => {
+      const coordinates = way.geometry
+        ? way.geometry.map((g) => [g.lon, g.lat])
+        : (way.nodes || []).map((id) => nodes.get(id)).filter(Boolean);
+      if (coordinates.length < 2) return;
+      features.push({
+        type: "Feature",
+        properties: {
+          osmId: way.id,
+          highway: way.tags.highway,
+          name: way.tags.name,
+          oneway: way.tags.oneway,
+          lit: way.tags.lit,
+        },
+        geometry: { type: "LineString", coordinates },
+      });
+    });
+  return features;
+}
+
+function fromGeoJSON(json) {
+  return (json.features || []).filter(
+    (f) =>
+      f.geometry &&
+      ["LineString", "MultiLineString"].includes(f.geometry.type) &&
+      (!f.properties ||
+        !f.properties.highway ||
+        ROAD_TYPES.has(f.properties.highway))
+  );
+}
+
+function main() {
+  const [input, output] = process.argv.slice(2);
+  if (!input) {
+    console.error(
+      "Usage: node scripts/import_road_network.js <input.json> [output.geojson]"
+    );
+    process.exit(1);
+  }
+
+  const json = JSON.parse(fs.readFileSync(input, "utf8"));
+  const features = Array.isArray(json.elements)
+    ? fromOverpass(json)
+    : fromGeoJSON(json);
+
+  const outFile =
+    output ||
+    process.env.ROAD_NETWORK_FILE ||
+    path.join(__dirname, "..", "data", "roads.geojson");
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.writeFileSync(
+    outFile,
+    JSON.stringify({ type: "FeatureCollection", features })
+  );
+  console.log(`Wrote ${features.length} road features to ${outFile}`);
+}
+
+main();
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const path = require("path");
+
+const Report = require(path.join(__dirname, "..", "models", "Report"));
+const ReportComment = require(
+  path.join(__dirname, "..", "models", "ReportComment")
+);
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://localhost:27017/safeherhub";
+
+// Move comments embedded in reports (Report.comments, before the
+// ReportComment collection) into ReportComment as top-level comments, then
+// remove the embedded array. Safe to re-run: migrated reports have no array.
+async function main() {
+  await mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log("Connected to MongoDB for report comment migration");
+
+  // raw collection: `comments` is no longer part of the Report schema
+  const cursor = Report.collection.find(
+    { "comments.0": { $exists: true } },
+    { projection: { comments: 1 } }
+  );
+
+  let reports = 0;
+  let migrated = 0;
+  for await (const doc of cursor) {
+    const comments = doc.comments
+      .filter((c) => c.user && c.text)
+      .map((c) => ({
+        report: doc._id,
+        author: c.user,
+        text: c.text,
+        isAnonymous: Boolean(c.isAnonymous),
+        createdAt: c.createdAt || doc._id.getTimestamp(),
+      }));
+    if (comments.length > 0) {
+      await ReportComment.insertMany(comments);
+    }
+    await Report.collection.updateOne(
+      { _id: doc._id },
+      { $unset: { comments: "" } }
+    );
+    reports += 1;
+    migrated += comments.length;
+  }
+
+  console.log(
+    `Comment migration complete: ${migrated} comments from ${reports} reports.`
+  );
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
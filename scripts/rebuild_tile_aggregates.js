@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const path = require("path");
+
+const Report = require(path.join(__dirname, "..", "models", "Report"));
+const TileAggregate = require(
+  path.join(__dirname, "..", "models", "TileAggregate")
+);
+const { countReports } = require(
+  path.join(__dirname, "..", "utils", "tileAggregates")
+);
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://localhost:27017/safeherhub";
+
+// Rebuild the TileAggregate collection from scratch (backfills, after bulk
+// imports or raw updates that bypass the Report model hooks). Indexes are
+// synced with the model first, which drops the unique row index of older
+// versions that did not include the reputation tier.
+async function main() {
+  await mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log("Connected to MongoDB for tile aggregate rebuild");
+
+  const { deletedCount } = await TileAggregate.deleteMany({});
+  console.log(`Cleared ${deletedCount} aggregate rows`);
+
+  const dropped = await TileAggregate.syncIndexes();
+  if (dropped.length) console.log(`Dropped indexes: ${dropped.join(", ")}`);
+
+  const cursor = Report.find({ status: "submitted" })
+    .select(
+      "status incidentPrimary tileId tilePyramid location.coordinates createdAt submittedAt timestamp timeBucket type severity verified lightingFlag reputationTier"
+    )
+    .lean()
+    .cursor();
+
+  const BATCH = 500;
+  let batch = [];
+  let counted = 0;
+  for await (const report of cursor) {
+    batch.push(report);
+    if (batch.length >= BATCH) {
+      await countReports(batch);
+      counted += batch.length;
+      batch = [];
+      console.log(`Counted ${counted} reports`);
+    }
+  }
+  if (batch.length > 0) {
+    await countReports(batch);
+    counted += batch.length;
+  }
+
+  const rows = await TileAggregate.countDocuments();
+  console.log(`Rebuild complete: ${counted} reports -> ${rows} rows.`);
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const path = require("path");
+
+const { sendDigests } = require(
+  path.join(__dirname, "..", "utils", "watchAreas")
+);
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://localhost:27017/safeherhub";
+
+// Email watch-area digests: every match collected for digest delivery since
+// the last run, one email per user. Run it daily from cron. Matches whose
+// email could not be sent are kept for the next run.
+async function main() {
+  await mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log("Connected to MongoDB");
+
+  const { users, matches } = await sendDigests();
+
+  console.log(`Digests sent: ${matches} matches to ${users} users.`);
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
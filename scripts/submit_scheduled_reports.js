@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const path = require("path");
+
+require(path.join(__dirname, "..", "models", "Report"));
+const { submitDueDrafts } = require(
+  path.join(__dirname, "..", "utils", "reportSubmission")
+);
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://localhost:27017/safeherhub";
+
+// Submit drafts whose scheduled submission is due. server.js does this every
+// SCHEDULED_SUBMIT_INTERVAL_SECONDS; api/index.js (Vercel) does not, and
+// exposes GET /api/cron/scheduled-submissions for Vercel Cron instead. Run
+// this from cron on any other deployment without a long-lived server.
+// Reporters are not notified over sockets from here.
+async function main() {
+  await mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log("Connected to MongoDB");
+
+  const { submitted, held } = await submitDueDrafts(null);
+
+  console.log(
+    `Scheduled submission complete: ${submitted} submitted, ${held} held back.`
+  );
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
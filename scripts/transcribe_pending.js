@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const path = require("path");
+
+const Report = require(path.join(__dirname, "..", "models", "Report"));
+const { transcriptionProvider, transcribeReport } = require(
+  path.join(__dirname, "..", "utils", "transcription")
+);
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://localhost:27017/safeherhub";
+
+// Transcribe voice notes still pending: reports created while
+// TRANSCRIPTION_PROVIDER was "none", and failed attempts that have not used
+// up TRANSCRIPTION_MAX_ATTEMPTS. Run it after enabling a provider, or
+// periodically (e.g. from cron).
+async function main() {
+  const provider = transcriptionProvider();
+  if (!provider) {
+    console.error("Set TRANSCRIPTION_PROVIDER to transcribe voice notes.");
+    process.exit(1);
+  }
+
+  await mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log(`Connected to MongoDB, transcribing with ${provider}`);
+
+  const cursor = Report.find({
+    "voiceTranscription.status": "pending",
+  }).cursor();
+
+  const counts = { completed: 0, pending: 0, failed: 0, removed: 0 };
+  for await (const report of cursor) {
+    await transcribeReport(report);
+    const status =
+      report.voiceTranscription && report.voiceTranscription.status;
+    counts[status || "removed"] += 1;
+  }
+
+  console.log(
+    `Transcription complete: ${counts.completed} transcribed, ` +
+      `${counts.pending} to retry, ${counts.failed} failed, ` +
+      `${counts.removed} without audio.`
+  );
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { verifyManifest } = require(
+  path.join(__dirname, "..", "utils", "evidenceChain")
+);
+
+// Check an evidence manifest (GET /api/reports/:id/evidence-manifest) offline:
+// the hash chain, the signatures (given the public key from
+// GET /api/reports/evidence/signing-key) and, optionally, downloaded files
+// against the hashes recorded at upload.
+//
+//   node scripts/verify_evidence_manifest.js manifest.json [--key public.pem] [file ...]
+//
+// Exits 1 when anything does not verify.
+function main() {
+  const args = process.argv.slice(2);
+  const keyAt = args.indexOf("--key");
+  const keyFile = keyAt >= 0 ? args.splice(keyAt, 2)[1] : null;
+  const [manifestFile, ...files] = args;
+  if (!manifestFile) {
+    console.error(
+      "Usage: node scripts/verify_evidence_manifest.js manifest.json [--key public.pem] [file ...]"
+    );
+    process.exit(2);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+  const publicKey = keyFile ? fs.readFileSync(keyFile, "utf8") : null;
+  const result = verifyManifest(manifest, publicKey);
+  let ok = result.chain.valid && result.headMatches;
+
+  console.log(
+    `Report ${manifest.report}: ${result.chain.length} chain entries, ` +
+      `head ${result.chain.head || "-"}`
+  );
+  result.chain.problems.forEach(({ seq, problem }) =>
+    console.log(`  entry ${seq}: ${problem}`)
+  );
+  if (!result.headMatches) console.log("  head does not match the chain");
+  result.unrecordedEvidence.forEach((id) =>
+    console.log(`  evidence ${id} does not match its hash in the chain`)
+  );
+  if (result.unrecordedEvidence.length > 0) ok = false;
+  if (result.chain.unsigned > 0) {
+    console.log(`  ${result.chain.unsigned} entries are unsigned`);
+  }
+  console.log(`Manifest signature: ${result.signature}`);
+  if (result.signature === "invalid") ok = false;
+
+  // Downloaded files match an entry's original or stored (stripped) copy
+  for (const file of files) {
+    const hash = crypto
+      .createHash("sha256")
+      .update(fs.readFileSync(file))
+      .digest("hex");
+    const entry = (manifest.evidence || []).find(
+      (e) => e.sha256 === hash || e.publicSha256 === hash
+    );
+    if (!entry) ok = false;
+    console.log(
+      entry
+        ? `${file}: matches evidence ${entry.id} (${entry.sha256 === hash ? "original" : "stored copy"})`
+        : `${file}: no matching evidence`
+    );
+  }
+
+  console.log(ok ? "Verified." : "Verification FAILED.");
+  process.exit(ok ? 0 : 1);
+}
+
+main();
@@ -64,11 +64,18 @@ mongoose
 // Routes
 app.use("/api/auth", require("./routes/auth"));
 app.use("/api/users", require("./routes/users"));
+app.use("/api/reports/drafts", require("./routes/drafts"));
+app.use("/api/reports/bulk", require("./routes/reportBulk"));
 app.use("/api/reports", require("./routes/reports"));
 app.use("/api/forums", require("./routes/forums"));
 app.use("/api/alerts", require("./routes/alerts"));
 app.use("/api/guardians", require("./routes/guardians"));
 app.use("/api/pulse", require("./routes/pulse"));
+app.use("/api/moderation", require("./routes/moderation"));
+app.use("/api/watch-areas", require("./routes/watchAreas"));
+
+// Read the road network once at startup instead of on the first route request
+require("./utils/roadGraph").getRoadGraph();
 
 // Socket.io connection handling
 io.on("connection", (socket) => {
@@ -107,6 +114,15 @@ io.on("connection", (socket) => {
   });
 });
 
+// Submit drafts whose scheduled submission is due
+const { submitDueDrafts } = require("./utils/reportSubmission");
+setInterval(() => {
+  if (mongoose.connection.readyState !== 1) return;
+  submitDueDrafts(io).catch((err) =>
+    console.error("Scheduled submission error:", err)
+  );
+}, Number(process.env.SCHEDULED_SUBMIT_INTERVAL_SECONDS || 60) * 1000);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
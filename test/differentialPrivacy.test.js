@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const {
+  noisyCells,
+  noisyBuckets,
+  noisyHistogram,
+  noiseMeta,
+} = require("../utils/differentialPrivacy");
+const { privacyBudget } = require("../middleware/privacy");
+
+const dp = { mechanism: "geometric", epsilon: 0.5, budgetRemaining: 9.5 };
+const TRIALS = 4000;
+
+// Best an attacker can do against one noisy answer is guess "present" when
+// the released count is above a threshold. With epsilon 0.5 no threshold gets
+// past e^0.5 / (1 + e^0.5) ~ 0.62 accuracy; without noise it would be 1.
+function attackAccuracy(release) {
+  let correct = 0;
+  for (let i = 0; i < TRIALS; i++) {
+    const present = i % 2 === 0;
+    const guess = release(present) > 0;
+    if (guess === present) correct++;
+  }
+  return correct / TRIALS;
+}
+
+test("a tile with no reports is released as often as a tile with one", () => {
+  const domain = ["t1", "t2"];
+  const accuracy = attackAccuracy((present) => {
+    const cells = present
+      ? [{ tileId: "t1", totalCount: 1, incidentCount: 1, positiveCount: 0 }]
+      : [];
+    const out = noisyCells(cells, dp, domain).find((c) => c.tileId === "t1");
+    return out ? out.totalCount : 0;
+  });
+  assert.ok(accuracy < 0.66, `attacker accuracy ${accuracy}`);
+});
+
+test("empty cells of the domain get noise too", () => {
+  let released = 0;
+  for (let i = 0; i < 500; i++) {
+    if (noisyCells([], dp, ["empty"]).length) released++;
+  }
+  assert.ok(released > 50, `empty tile released ${released} times`);
+  assert.ok(released < 450);
+});
+
+test("differencing two tile score queries does not reveal a report", () => {
+  const bucket = { _id: { tileId: "t1", type: "incident" }, count: 1 };
+  const accuracy = attackAccuracy((present) => {
+    const byTile = new Map(present ? [["t1", [bucket]]] : []);
+    return noisyBuckets(byTile, dp, ["t1"]).totals.get("t1") || 0;
+  });
+  assert.ok(accuracy < 0.66, `attacker accuracy ${accuracy}`);
+});
+
+test("histograms cover every value of the domain", () => {
+  const counts = noisyHistogram(["safe"], dp, undefined, ["safe", "unsafe"]);
+  assert.deepEqual(Object.keys(counts).sort(), ["safe", "unsafe"]);
+
+  const accuracy = attackAccuracy((present) => {
+    const values = present ? ["unsafe"] : [];
+    return noisyHistogram(values, dp, undefined, ["safe", "unsafe"]).unsafe;
+  });
+  assert.ok(accuracy < 0.66, `attacker accuracy ${accuracy}`);
+});
+
+test("noiseMeta reports the parameters of every part", () => {
+  const meta = noiseMeta(dp, [
+    { name: "typeCounts", epsilon: 0.25 },
+    { name: "severitySum", epsilon: 0.25, sensitivity: 4 },
+  ]);
+  assert.equal(meta.applied, true);
+  assert.equal(meta.epsilon, 0.5);
+  assert.deepEqual(meta.parts, [
+    { name: "typeCounts", epsilon: 0.25, sensitivity: 1, scale: 4 },
+    { name: "severitySum", epsilon: 0.25, sensitivity: 4, scale: 16 },
+  ]);
+  assert.deepEqual(noiseMeta(dp).parts, [
+    { epsilon: 0.5, sensitivity: 1, scale: 2 },
+  ]);
+  assert.deepEqual(noiseMeta(undefined), { applied: false });
+});
+
+test("failed requests do not spend the privacy budget", async (t) => {
+  const env = { ...process.env };
+  Object.assign(process.env, {
+    DP_ENABLED: "true",
+    DP_EPSILON: "0.5",
+    DP_BUDGET: "1",
+  });
+  t.after(() => (process.env = env));
+
+  const app = express();
+  app.get("/counts", privacyBudget, (req, res) => {
+    if (req.query.bad) return res.status(400).json({ message: "bad" });
+    res.json({ ok: true });
+  });
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/counts`;
+
+  for (let i = 0; i < 4; i++) {
+    assert.equal((await fetch(`${url}?bad=1`)).status, 400);
+  }
+  assert.equal((await fetch(url)).status, 200);
+  assert.equal((await fetch(url)).status, 200);
+  const refused = await fetch(url);
+  assert.equal(refused.status, 429);
+  assert.ok(refused.headers.get("retry-after"));
+});
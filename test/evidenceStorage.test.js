@@ -0,0 +1,333 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const EvidenceChainEntry = require("../models/EvidenceChainEntry");
+const {
+  storeEvidence,
+  removeEvidence,
+  readEvidence,
+  evidenceDownloadUrl,
+} = require("../utils/evidenceStorage");
+const {
+  appendChain,
+  evidencePayload,
+  evidenceManifest,
+  verifyManifest,
+} = require("../utils/evidenceChain");
+
+const CREDENTIALS = {
+  accessKeyId: "AKIDEXAMPLE",
+  secretAccessKey: "wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY",
+  region: "eu-west-1",
+};
+const BUCKET = "evidence";
+
+const sha256Hex = (data) =>
+  crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) =>
+  crypto.createHmac("sha256", key).update(data).digest();
+const encode = (s) =>
+  encodeURIComponent(s).replace(
+    /[!'()*]/g,
+    (c) => "%" + c.charCodeAt(0).toString(16).toUpperCase()
+  );
+
+// AWS Signature V4 as S3 checks it
+function expectedSignature(stamp, canonicalRequest) {
+  const day = stamp.slice(0, 8);
+  const scope = `${day}/${CREDENTIALS.region}/s3/aws4_request`;
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    stamp,
+    scope,
+    sha256Hex(canonicalRequest),
+  ].join("\n");
+  let key = hmac("AWS4" + CREDENTIALS.secretAccessKey, day);
+  for (const part of [CREDENTIALS.region, "s3", "aws4_request"]) {
+    key = hmac(key, part);
+  }
+  return hmac(key, stringToSign).toString("hex");
+}
+
+const stampTime = (stamp) =>
+  Date.parse(
+    stamp.replace(
+      /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/,
+      "$1-$2-$3T$4:$5:$6Z"
+    )
+  );
+
+// In-memory S3 bucket that checks request signatures and presigned URL expiry
+// like S3 does. clock.offset moves its notion of now.
+function s3StandIn() {
+  const objects = new Map();
+  const clock = { offset: 0 };
+
+  function headerAuthorized(req, url, body) {
+    const auth =
+      /^AWS4-HMAC-SHA256 Credential=([^,]+), SignedHeaders=([^,]+), Signature=(\w+)$/.exec(
+        req.headers.authorization || ""
+      );
+    if (!auth) return false;
+    const [, credential, signedHeaders, signature] = auth;
+    const stamp = req.headers["x-amz-date"];
+    const payloadHash = req.headers["x-amz-content-sha256"];
+    if (
+      credential !==
+      `${CREDENTIALS.accessKeyId}/${stamp.slice(0, 8)}/${CREDENTIALS.region}/s3/aws4_request`
+    )
+      return false;
+    if (payloadHash !== sha256Hex(body)) return false;
+    const names = signedHeaders.split(";");
+    const canonicalRequest = [
+      req.method,
+      url.pathname,
+      "",
+      names.map((n) => `${n}:${String(req.headers[n]).trim()}\n`).join(""),
+      signedHeaders,
+      payloadHash,
+    ].join("\n");
+    return signature === expectedSignature(stamp, canonicalRequest);
+  }
+
+  function presignedAuthorized(req, url) {
+    const params = url.searchParams;
+    const stamp = params.get("X-Amz-Date");
+    const expires = Number(params.get("X-Amz-Expires"));
+    if (Date.now() + clock.offset > stampTime(stamp) + expires * 1000)
+      return false;
+    const query = Array.from(params.keys())
+      .filter((k) => k !== "X-Amz-Signature")
+      .sort()
+      .map((k) => `${encode(k)}=${encode(params.get(k))}`)
+      .join("&");
+    const canonicalRequest = [
+      "GET",
+      url.pathname,
+      query,
+      `host:${req.headers.host}\n`,
+      "host",
+      "UNSIGNED-PAYLOAD",
+    ].join("\n");
+    return (
+      params.get("X-Amz-Signature") ===
+      expectedSignature(stamp, canonicalRequest)
+    );
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks);
+      const url = new URL(req.url, `http://${req.headers.host}`);
+      const presigned = url.searchParams.has("X-Amz-Signature");
+      const ok = presigned
+        ? req.method === "GET" && presignedAuthorized(req, url)
+        : headerAuthorized(req, url, body);
+      if (!ok) return res.writeHead(403).end("SignatureDoesNotMatch");
+
+      const key = decodeURIComponent(url.pathname.slice(BUCKET.length + 2));
+      if (!url.pathname.startsWith(`/${BUCKET}/`))
+        return res.writeHead(404).end();
+      if (req.method === "PUT") {
+        objects.set(key, { body, contentType: req.headers["content-type"] });
+        return res.writeHead(200).end();
+      }
+      if (req.method === "DELETE") {
+        objects.delete(key);
+        return res.writeHead(204).end();
+      }
+      const object = objects.get(key);
+      if (!object) return res.writeHead(404).end("NoSuchKey");
+      const headers = { "content-type": object.contentType };
+      const disposition = url.searchParams.get("response-content-disposition");
+      if (disposition) headers["content-disposition"] = disposition;
+      res.writeHead(200, headers).end(object.body);
+    });
+  });
+  return { server, objects, clock };
+}
+
+// JPEG whose EXIF block carries a GPS position
+function jpegWithExif() {
+  const exif = Buffer.concat([
+    Buffer.from("Exif\0\0", "latin1"),
+    Buffer.from("MM\0*\0\0\0\x08GPS 26.9124N 75.7873E", "latin1"),
+  ]);
+  const app1 = Buffer.from([0xff, 0xe1, 0, 0]);
+  app1.writeUInt16BE(exif.length + 2, 2);
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    app1,
+    exif,
+    Buffer.from([0xff, 0xda, 0x00, 0x02, 0x12, 0x34, 0xff, 0xd9]),
+  ]);
+}
+
+test("evidence in an S3 bucket", async (t) => {
+  const bucket = s3StandIn();
+  await new Promise((resolve) => bucket.server.listen(0, resolve));
+  t.after(() => bucket.server.close());
+
+  const env = { ...process.env };
+  Object.assign(process.env, {
+    EVIDENCE_STORAGE: "s3",
+    S3_ENDPOINT: `http://127.0.0.1:${bucket.server.address().port}`,
+    S3_REGION: CREDENTIALS.region,
+    S3_BUCKET: BUCKET,
+    S3_ACCESS_KEY_ID: CREDENTIALS.accessKeyId,
+    S3_SECRET_ACCESS_KEY: CREDENTIALS.secretAccessKey,
+    S3_FORCE_PATH_STYLE: "true",
+    EVIDENCE_URL_TTL_SECONDS: "300",
+  });
+  t.after(() => (process.env = env));
+
+  const photo = jpegWithExif();
+  const [entry] = await storeEvidence("64b0000000000000000000aa", [
+    {
+      buffer: photo,
+      originalname: "IMG 2041 (1).jpg",
+      mimetype: "image/jpeg",
+    },
+  ]);
+
+  await t.test("stores a stripped public copy and the sealed original", () => {
+    assert.equal(entry.type, "photo");
+    assert.equal(entry.metadataStripped, true);
+    assert.ok(entry.sealedKey.includes("/sealed/"));
+    const stored = bucket.objects.get(entry.key).body;
+    assert.ok(!stored.includes("GPS"));
+    assert.equal(sha256Hex(stored), entry.publicSha256);
+    assert.ok(bucket.objects.get(entry.sealedKey).body.equals(photo));
+    assert.equal(sha256Hex(photo), entry.sha256);
+  });
+
+  await t.test("reads the stored copy back with a signed request", async () => {
+    const copy = await readEvidence(entry);
+    assert.equal(sha256Hex(copy), entry.publicSha256);
+  });
+
+  await t.test("download URLs are signed and expire", async () => {
+    const { url, expiresAt } = await evidenceDownloadUrl(entry);
+    assert.ok(expiresAt - Date.now() <= 300 * 1000);
+    const res = await fetch(url);
+    assert.equal(res.status, 200);
+    assert.equal(
+      res.headers.get("content-disposition"),
+      'attachment; filename="IMG 2041 (1).jpg"'
+    );
+    const body = Buffer.from(await res.arrayBuffer());
+    assert.equal(sha256Hex(body), entry.publicSha256);
+
+    const original = await evidenceDownloadUrl(entry, { original: true });
+    const sealed = Buffer.from(await (await fetch(original.url)).arrayBuffer());
+    assert.ok(sealed.equals(photo));
+
+    const forged = url.replace(/(X-Amz-Expires=)\d+/, "$186400");
+    assert.equal((await fetch(forged)).status, 403);
+
+    bucket.clock.offset = 301 * 1000;
+    assert.equal((await fetch(url)).status, 403);
+    bucket.clock.offset = 0;
+  });
+
+  await t.test("removes both copies", async () => {
+    await removeEvidence([entry]);
+    assert.equal(bucket.objects.size, 0);
+  });
+});
+
+test("evidence chain manifests detect tampering", async (t) => {
+  const rows = [];
+  const newest = () => ({
+    select: async () =>
+      rows.length ? rows.reduce((a, b) => (a.seq > b.seq ? a : b)) : null,
+  });
+  t.mock.method(EvidenceChainEntry, "findOne", () => ({ sort: newest }));
+  t.mock.method(EvidenceChainEntry, "create", async (entry) => {
+    if (rows.some((r) => r.seq === entry.seq)) {
+      throw Object.assign(new Error("duplicate"), { code: 11000 });
+    }
+    rows.push(entry);
+    return entry;
+  });
+  t.mock.method(EvidenceChainEntry, "find", () => ({
+    sort: () => ({ lean: async () => rows.map((r) => ({ ...r })) }),
+  }));
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519");
+  const env = { ...process.env };
+  process.env.EVIDENCE_SIGNING_KEY = privateKey.export({
+    type: "pkcs8",
+    format: "pem",
+  });
+  t.after(() => (process.env = env));
+
+  const evidence = {
+    _id: "64b0000000000000000000e1",
+    type: "photo",
+    filename: "IMG_2041.jpg",
+    contentType: "image/jpeg",
+    size: 120,
+    sha256: sha256Hex("original"),
+    publicSha256: sha256Hex("stripped"),
+    metadataStripped: true,
+    receivedAt: new Date("2025-03-04T22:05:40.000Z"),
+  };
+  const report = {
+    _id: "64b0000000000000000000aa",
+    title: "Followed near the market",
+    description: "A man followed me",
+    type: "harassment",
+    timestamp: new Date("2025-03-04T21:47:00.000Z"),
+    location: { coordinates: [75.7877, 26.9124] },
+    evidence: [evidence],
+  };
+  await appendChain(report, "created", "reporter", { status: "submitted" });
+  await appendChain(
+    report,
+    "evidence_added",
+    "reporter",
+    evidencePayload(evidence)
+  );
+  await appendChain(report, "edited", "reporter", { fields: ["description"] });
+
+  const manifest = await evidenceManifest(report);
+  assert.equal(manifest.chain.length, 3);
+  assert.equal(manifest.chain[1].prevHash, manifest.chain[0].hash);
+  assert.equal(manifest.chainValid, true);
+
+  const check = verifyManifest(manifest, publicKey);
+  assert.equal(check.chain.valid, true);
+  assert.equal(check.headMatches, true);
+  assert.deepEqual(check.unrecordedEvidence, []);
+  assert.equal(check.signature, "valid");
+
+  const copy = () => JSON.parse(JSON.stringify(manifest));
+
+  const rewritten = copy();
+  rewritten.chain[0].payload.status = "draft";
+  const rewrittenCheck = verifyManifest(rewritten, publicKey);
+  assert.deepEqual(rewrittenCheck.chain.problems, [
+    { seq: 1, problem: "hash mismatch" },
+  ]);
+  assert.equal(rewrittenCheck.signature, "invalid");
+
+  const dropped = copy();
+  dropped.chain.splice(1, 1);
+  assert.equal(verifyManifest(dropped, publicKey).chain.valid, false);
+
+  const swapped = copy();
+  swapped.evidence[0].sha256 = sha256Hex("something else");
+  assert.deepEqual(verifyManifest(swapped, publicKey).unrecordedEvidence, [
+    evidence._id,
+  ]);
+
+  const edited = copy();
+  edited.chain[2].payload.fields = ["title"];
+  const other = crypto.generateKeyPairSync("ed25519").publicKey;
+  assert.equal(verifyManifest(manifest, other).signature, "invalid");
+  assert.equal(verifyManifest(edited, publicKey).chain.valid, false);
+});
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { stripMetadata } = require("../utils/mediaMetadata");
+const { storeEvidence, isMalformedMedia } = require("../utils/evidenceStorage");
+
+// JPEG with an EXIF block holding a GPS position. With `corrupt` the EXIF
+// segment claims to be longer than the file, so the JPEG cannot be parsed.
+function jpegWithExif({ corrupt = false } = {}) {
+  const exif = Buffer.from(
+    "Exif\0\0MM\0*\0\0\0\x08GPS 26.9124N 75.7873E",
+    "latin1"
+  );
+  const app1 = Buffer.from([0xff, 0xe1, 0, 0]);
+  app1.writeUInt16BE(corrupt ? 0xfff0 : exif.length + 2, 2);
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    app1,
+    exif,
+    Buffer.from([0xff, 0xda, 0x00, 0x02, 0x12, 0x34, 0xff, 0xd9]),
+  ]);
+}
+
+test("EXIF is removed from a readable JPEG", () => {
+  const { buffer, format, stripped } = stripMetadata(jpegWithExif());
+  assert.equal(format, "jpeg");
+  assert.equal(stripped, true);
+  assert.ok(!buffer.includes("GPS"));
+});
+
+test("a corrupted JPEG carrying EXIF is rejected, not stored as is", () => {
+  assert.throws(
+    () => stripMetadata(jpegWithExif({ corrupt: true })),
+    (err) => isMalformedMedia(err) && err.format === "jpeg"
+  );
+});
+
+test("formats without a stripper are stored unchanged", () => {
+  const pdf = Buffer.from("%PDF-1.4\n%GPS 26.9124N\n", "latin1");
+  const { buffer, format, stripped } = stripMetadata(pdf);
+  assert.equal(format, null);
+  assert.equal(stripped, false);
+  assert.equal(buffer, pdf);
+});
+
+test("an upload with a corrupted image stores nothing", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "evidence-"));
+  const env = { ...process.env };
+  Object.assign(process.env, { EVIDENCE_STORAGE: "local", EVIDENCE_DIR: dir });
+  t.after(() => {
+    process.env = env;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  await assert.rejects(
+    storeEvidence("64b0000000000000000000aa", [
+      {
+        buffer: jpegWithExif(),
+        originalname: "ok.jpg",
+        mimetype: "image/jpeg",
+      },
+      {
+        buffer: jpegWithExif({ corrupt: true }),
+        originalname: "broken.jpg",
+        mimetype: "image/jpeg",
+      },
+    ]),
+    (err) => isMalformedMedia(err) && err.message.includes("broken.jpg")
+  );
+  assert.deepEqual(fs.readdirSync(dir), []);
+});
@@ -0,0 +1,77 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test_secret";
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { parsePage, pageOf } = require("../utils/pagination");
+
+const SORT = { timestamp: -1 };
+
+// A full page of two and the extra document that shows another page follows
+const docs = [
+  {
+    _id: new mongoose.Types.ObjectId(),
+    timestamp: new Date("2026-10-19T04:55:07.442Z"),
+  },
+  {
+    _id: new mongoose.Types.ObjectId(),
+    timestamp: new Date("2026-10-19T04:12:31.015Z"),
+  },
+  { _id: new mongoose.Types.ObjectId(), timestamp: new Date() },
+];
+
+async function nextCursor() {
+  const page = parsePage({ limit: "2" }, SORT);
+  return (await pageOf(page, docs)).nextCursor;
+}
+
+test("a cursor pages on from the last item", async () => {
+  const page = parsePage({ cursor: await nextCursor() }, SORT);
+  assert.deepEqual(page.after, {
+    $or: [
+      { timestamp: { $lt: docs[1].timestamp } },
+      { timestamp: docs[1].timestamp, _id: { $lt: docs[1]._id } },
+    ],
+  });
+});
+
+test("a cursor does not reveal the sort values", async () => {
+  const cursor = await nextCursor();
+  const decoded = Buffer.from(cursor, "base64url").toString("latin1");
+  assert.ok(!decoded.includes("2026"));
+  assert.ok(!decoded.includes(String(docs[1]._id)));
+  assert.ok(!cursor.includes(Buffer.from("2026").toString("base64url")));
+});
+
+test("a tampered cursor is refused", async () => {
+  const data = Buffer.from(await nextCursor(), "base64url");
+  data[data.length - 1] ^= 1;
+  assert.equal(parsePage({ cursor: data.toString("base64url") }, SORT), null);
+});
+
+test("a readable cursor made by a caller is refused", () => {
+  const forged = Buffer.from(
+    JSON.stringify({
+      s: "timestamp:-1,_id:-1",
+      v: [{ d: "2026-10-19T04:00:00.000Z" }, null],
+    })
+  ).toString("base64url");
+  assert.equal(parsePage({ cursor: forged }, SORT), null);
+});
+
+test("a cursor made for another sort is refused", async () => {
+  assert.equal(
+    parsePage({ cursor: await nextCursor() }, { createdAt: -1 }),
+    null
+  );
+});
+
+test("cursors stop working when the secret changes", async (t) => {
+  const cursor = await nextCursor();
+  const previous = process.env.CURSOR_SECRET;
+  process.env.CURSOR_SECRET = "rotated";
+  t.after(() => {
+    if (previous === undefined) delete process.env.CURSOR_SECRET;
+    else process.env.CURSOR_SECRET = previous;
+  });
+  assert.equal(parsePage({ cursor }, SORT), null);
+});
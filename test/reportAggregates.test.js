@@ -0,0 +1,45 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test_secret";
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Report = require("../models/Report");
+const TileAggregate = require("../models/TileAggregate");
+
+function stubDatabase(t) {
+  const ops = [];
+  t.mock.method(TileAggregate, "bulkWrite", async (batch) => {
+    ops.push(...batch);
+    return {};
+  });
+  t.mock.method(TileAggregate, "deleteMany", async () => ({}));
+  t.mock.method(Report.collection, "updateOne", async () => ({
+    acknowledged: true,
+    matchedCount: 1,
+    modifiedCount: 1,
+  }));
+  return ops;
+}
+
+test("re-saving a loaded report leaves its aggregate unchanged", async (t) => {
+  const ops = stubDatabase(t);
+  // The hour bucket, not the timestamp, decides the aggregate hour and day
+  const report = Report.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    status: "submitted",
+    type: "harassment",
+    title: "Followed",
+    description: "Followed from the bus stop",
+    timestamp: new Date("2026-10-19T22:45:00Z"),
+    timeBucket: "2026-10-20T01",
+    location: { type: "Point", coordinates: [75.8, 26.9] },
+    createdAt: new Date("2026-10-19T22:50:00Z"),
+    submittedAt: new Date("2026-10-19T22:50:00Z"),
+  });
+
+  report.views = 5;
+  await report.save();
+  report.description = "Followed from the bus stop to the market";
+  await report.save();
+
+  assert.deepEqual(ops, []);
+});
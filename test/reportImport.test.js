@@ -0,0 +1,68 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test_secret";
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Report = require("../models/Report");
+const EvidenceChainEntry = require("../models/EvidenceChainEntry");
+const TileAggregate = require("../models/TileAggregate");
+const { importReports } = require("../utils/reportImport");
+
+const CSV = [
+  "id,title,description,type,severity,timestamp,lat,lng",
+  "a1,Followed,Followed from the bus stop,harassment,high,2026-10-01T21:10:00Z,26.91,75.79",
+  "a2,Dark lane,No street lights here,safety_concern,medium,2026-10-02T20:00:00Z,26.92,75.8",
+  "a3,Catcalling,Men at the corner,harassment,low,2026-10-03T19:30:00Z,26.93,75.81",
+].join("\n");
+
+function stubDatabase(t, insertMany) {
+  t.mock.method(Report, "find", () => ({ distinct: async () => [] }));
+  t.mock.method(Report, "insertMany", insertMany);
+  t.mock.method(EvidenceChainEntry, "findOne", () => ({
+    sort: () => ({ select: async () => null }),
+  }));
+  const chain = [];
+  t.mock.method(EvidenceChainEntry, "create", async (entry) => {
+    chain.push(entry);
+    return entry;
+  });
+  const counted = t.mock.method(TileAggregate, "bulkWrite", async () => ({}));
+  return { chain, counted };
+}
+
+test("rows a concurrent import stored first are counted as duplicates", async (t) => {
+  const { chain, counted } = stubDatabase(t, async (docs, options) => {
+    assert.equal(options.ordered, false);
+    // a2 was stored by another import of the same file meanwhile
+    const error = new Error("E11000 duplicate key error");
+    error.writeErrors = [{ err: { code: 11000, index: 1 }, index: 1 }];
+    error.insertedDocs = [docs[0], docs[2]];
+    throw error;
+  });
+
+  const result = await importReports(CSV, { format: "csv", source: "ngo" });
+  assert.equal(result.valid, 3);
+  assert.equal(result.imported, 2);
+  assert.equal(result.duplicates, 1);
+  assert.equal(chain.length, 2);
+  // aggregates are counted although the model hook did not run
+  assert.equal(counted.mock.callCount(), 1);
+});
+
+test("other insert errors still fail the import", async (t) => {
+  stubDatabase(t, async () => {
+    const error = new Error("write failed");
+    error.writeErrors = [{ err: { code: 121, index: 0 }, index: 0 }];
+    throw error;
+  });
+  await assert.rejects(
+    importReports(CSV, { format: "csv", source: "ngo" }),
+    /write failed/
+  );
+});
+
+test("the importSource index is unique per source row", () => {
+  const [, options] = Report.schema
+    .indexes()
+    .find(([fields]) => "importSource.externalId" in fields);
+  assert.equal(options.unique, true);
+  assert.ok(options.partialFilterExpression["importSource.externalId"]);
+});
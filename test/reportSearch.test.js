@@ -0,0 +1,134 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test_secret";
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Report = require("../models/Report");
+const { latLngToTileId } = require("../utils/geo");
+const { publicLocation } = require("../utils/reportViews");
+const {
+  publicNearFilter,
+  parseSearch,
+  narrowToShown,
+  runSearch,
+} = require("../utils/reportSearch");
+
+// Set environment variables for one test
+function useEnv(t, values) {
+  const previous = Object.keys(values).map((key) => [key, process.env[key]]);
+  Object.assign(process.env, values);
+  t.after(() =>
+    previous.forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    })
+  );
+}
+
+test("public time filters match whole hours", () => {
+  const params = { from: "2026-10-19T21:37:00Z", to: "2026-10-19T21:38:00Z" };
+  const { match } = parseSearch(params, null);
+  assert.deepEqual(match.timestamp, {
+    $gte: new Date("2026-10-19T21:00:00Z"),
+    $lt: new Date("2026-10-19T22:00:00Z"),
+  });
+
+  // narrowing to a minute matches the same reports as the whole hour
+  const minute = parseSearch({ ...params, to: "2026-10-19T21:59:59Z" }, null);
+  assert.deepEqual(minute.match.timestamp, match.timestamp);
+});
+
+test("own reports are searched by exact time", () => {
+  const viewer = { id: String(new mongoose.Types.ObjectId()) };
+  const { match } = parseSearch(
+    { scope: "mine", from: "2026-10-19T21:37:00Z" },
+    viewer
+  );
+  assert.deepEqual(match.timestamp, {
+    $gte: new Date("2026-10-19T21:37:00Z"),
+  });
+});
+
+function stubFacets(t) {
+  const bucket = (value, count) => ({ value, count });
+  t.mock.method(Report, "aggregate", async () => [
+    {
+      reports: [],
+      total: [{ count: 13 }],
+      type: [bucket("harassment", 11), bucket("tip", 2)],
+      severity: [bucket("high", 12), bucket("critical", 1)],
+      neighborhood: [bucket("Bapu Nagar", 10), bucket("Civil Lines", 3)],
+      month: [bucket("2026-10", 12), bucket("2026-09", 1)],
+    },
+  ]);
+  t.mock.method(Report, "populate", async (rows) => rows);
+}
+
+test("public facets leave out buckets under K_ANON", async (t) => {
+  stubFacets(t);
+  const { facets } = await runSearch(parseSearch({}, null));
+  assert.deepEqual(facets, {
+    type: [{ value: "harassment", count: 11 }],
+    severity: [{ value: "high", count: 12 }],
+    neighborhood: [
+      { value: "Bapu Nagar", count: 10 },
+      { value: "Civil Lines", count: 3 },
+    ],
+    month: [{ value: "2026-10", count: 12 }],
+  });
+});
+
+test("moderators see every facet bucket", async (t) => {
+  stubFacets(t);
+  const { facets } = await runSearch(
+    parseSearch({ scope: "all" }, { id: "m", role: "moderator" })
+  );
+  assert.equal(facets.type.length, 2);
+  assert.equal(facets.month.length, 2);
+});
+
+test("jittered locations are filtered where they are shown", async (t) => {
+  useEnv(t, { PUBLIC_LOCATION_MODE: "jitter", PUBLIC_JITTER_M: "200" });
+  const report = (lng, lat) => ({
+    _id: new mongoose.Types.ObjectId(),
+    location: { coordinates: [lng, lat] },
+  });
+  // A is truly elsewhere but shown in the box; B is truly at the centre of
+  // the box but shown outside it
+  const a = report(75.8015, 26.9012);
+  const [lng, lat] = publicLocation(a).coordinates;
+  const bbox = [lng - 0.0003, lat - 0.0003, lng + 0.0003, lat + 0.0003];
+  const inBox = ([x, y]) =>
+    x >= bbox[0] && x <= bbox[2] && y >= bbox[1] && y <= bbox[3];
+  let b;
+  do b = report(lng, lat);
+  while (inBox(publicLocation(b).coordinates));
+  const candidates = [a, b];
+  const find = t.mock.method(Report, "find", () => ({
+    select: () => ({ limit: () => ({ lean: async () => candidates }) }),
+  }));
+
+  const search = parseSearch({ bbox: bbox.join(",") }, null);
+  assert.equal(typeof search.shown, "function");
+  assert.ok(search.shown(b.location.coordinates));
+  const narrowed = await narrowToShown(search);
+  assert.equal(find.mock.callCount(), 1);
+  assert.deepEqual(narrowed.match._id, { $in: [a._id] });
+});
+
+test("snapped locations need no second pass", async () => {
+  const search = parseSearch({ bbox: "75.79,26.89,75.81,26.91" }, null);
+  assert.equal(search.shown, undefined);
+  assert.equal(await narrowToShown(search), search);
+});
+
+test("radius filters match the tiles reports are shown in", () => {
+  const center = [75.8015, 26.9012];
+  const area = publicNearFilter(center, 10);
+  assert.deepEqual(Object.keys(area.tiles), ["tilePyramid.m200"]);
+  assert.ok(
+    area.tiles["tilePyramid.m200"].$in.includes(
+      latLngToTileId(center[1], center[0], 200)
+    )
+  );
+  assert.equal(publicNearFilter(center, 1000000), null);
+});
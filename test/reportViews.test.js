@@ -0,0 +1,176 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  audienceFor,
+  serializeReport,
+  serializeIncident,
+  serializeComment,
+} = require("../utils/reportViews");
+
+const owner = { id: "64b000000000000000000001", role: "user" };
+const guardian = { id: "64b000000000000000000002", role: "user" };
+const stranger = { id: "64b000000000000000000003", role: "user" };
+const moderator = { id: "64b000000000000000000004", role: "moderator" };
+const wards = new Set([owner.id]);
+
+function report() {
+  return {
+    _id: "64b0000000000000000000aa",
+    user: owner.id,
+    anonHash: "abc123",
+    reputationTier: "trusted",
+    reputationCredits: ["verified:1"],
+    tileId: "26.912345_75.787654",
+    tilePyramid: { m50: "26.912345_75.787654" },
+    type: "harassment",
+    title: "Followed near the market",
+    isAnonymous: true,
+    isPublic: true,
+    status: "submitted",
+    location: {
+      type: "Point",
+      coordinates: [75.78771, 26.91243],
+      address: "12 Market Road",
+      city: "Jaipur",
+    },
+    timestamp: new Date("2025-03-04T21:47:13.250Z"),
+    createdAt: new Date("2025-03-04T22:05:41.101Z"),
+    updatedAt: new Date("2025-03-05T08:13:09.999Z"),
+    submittedAt: new Date("2025-03-04T22:06:02.500Z"),
+    evidence: [
+      {
+        type: "photo",
+        key: "evidence/abc.jpg",
+        sealedKey: "sealed/abc.jpg",
+        filename: "IMG_2041.jpg",
+        sha256: "f00d",
+        receivedAt: new Date("2025-03-04T22:05:40.000Z"),
+      },
+    ],
+    moderation: {
+      isModerated: true,
+      moderatedBy: moderator.id,
+      moderatedAt: new Date("2025-03-05T08:13:09.999Z"),
+      moderationNotes: "checked CCTV",
+    },
+  };
+}
+
+test("audiences follow the viewer's relationship to the reporter", () => {
+  const r = report();
+  assert.equal(audienceFor(r, undefined), "public");
+  assert.equal(audienceFor(r, stranger, new Set()), "public");
+  assert.equal(audienceFor(r, owner, wards), "owner");
+  assert.equal(audienceFor(r, guardian, wards), "guardian");
+  assert.equal(audienceFor(r, moderator, wards), "moderator");
+});
+
+test("moderators get everything", () => {
+  const view = serializeReport(report(), "moderator");
+  assert.equal(view.audience, "moderator");
+  assert.equal(view.anonHash, "abc123");
+  assert.equal(view.reputationTier, "trusted");
+  assert.equal(view.moderation.moderationNotes, "checked CCTV");
+  assert.equal(view.evidence[0].sealedKey, "sealed/abc.jpg");
+  assert.deepEqual(view.location.coordinates, [75.78771, 26.91243]);
+});
+
+for (const audience of ["owner", "guardian"]) {
+  test(`${audience}s get the report without internals`, () => {
+    const view = serializeReport(report(), audience);
+    assert.equal(view.audience, audience);
+    assert.equal(view.user, owner.id);
+    assert.equal(view.anonHash, undefined);
+    assert.equal(view.reputationTier, undefined);
+    assert.equal(view.reputationCredits, undefined);
+    assert.deepEqual(Object.keys(view.moderation).sort(), [
+      "isModerated",
+      "moderatedAt",
+    ]);
+    assert.equal(view.evidence[0].key, undefined);
+    assert.equal(view.evidence[0].sealedKey, undefined);
+    assert.equal(view.evidence[0].filename, "IMG_2041.jpg");
+    assert.deepEqual(view.location.coordinates, [75.78771, 26.91243]);
+    assert.equal(view.location.address, "12 Market Road");
+    assert.equal(view.createdAt.toISOString(), "2025-03-04T22:05:41.101Z");
+  });
+}
+
+test("the public gets a fuzzed, hour-level view without the reporter", () => {
+  const view = serializeReport(report(), "public");
+  assert.equal(view.audience, "public");
+  assert.equal(view.user, null);
+  assert.equal(view.anonHash, undefined);
+  assert.equal(view.tileId, undefined);
+  assert.equal(view.tilePyramid, undefined);
+  assert.equal(view.location.address, undefined);
+  assert.notDeepEqual(view.location.coordinates, [75.78771, 26.91243]);
+  assert.equal(view.location.precisionMeters, 200);
+
+  assert.equal(view.timestamp.toISOString(), "2025-03-04T21:00:00.000Z");
+  assert.equal(view.createdAt.toISOString(), "2025-03-04T22:00:00.000Z");
+  assert.equal(view.updatedAt.toISOString(), "2025-03-05T08:00:00.000Z");
+  assert.equal(view.submittedAt.toISOString(), "2025-03-04T22:00:00.000Z");
+  assert.equal(
+    view.moderation.moderatedAt.toISOString(),
+    "2025-03-05T08:00:00.000Z"
+  );
+  assert.deepEqual(view.evidence, [{ type: "photo", sha256: "f00d" }]);
+});
+
+test("the public sees who wrote a report that is not anonymous", () => {
+  const view = serializeReport({ ...report(), isAnonymous: false }, "public");
+  assert.equal(view.user, owner.id);
+});
+
+test("incidents only show the summary of their public reports", () => {
+  const incident = {
+    _id: "64b0000000000000000000bb",
+    type: "incident",
+    severity: "critical",
+    reportCount: 5,
+    publicReportCount: 3,
+    location: { type: "Point", coordinates: [75.7, 26.9] },
+    publicSummary: {
+      type: "harassment",
+      types: ["harassment"],
+      severity: "medium",
+      verified: false,
+      location: { type: "Point", coordinates: [75.78771, 26.91243] },
+      firstReportedAt: new Date("2025-03-04T21:10:00.000Z"),
+      lastReportedAt: new Date("2025-03-04T22:50:00.000Z"),
+    },
+  };
+  const view = serializeIncident(incident);
+  assert.equal(view.type, "harassment");
+  assert.equal(view.severity, "medium");
+  assert.equal(view.reportCount, 3);
+  assert.equal(view.lastReportedAt.toISOString(), "2025-03-04T22:00:00.000Z");
+  assert.notDeepEqual(view.location.coordinates, [75.78771, 26.91243]);
+
+  const { publicSummary, ...sparse } = incident;
+  assert.deepEqual(serializeIncident({ ...sparse, publicReportCount: 2 }), {
+    id: incident._id,
+    masked: true,
+  });
+});
+
+test("the reporter of an anonymous report comments anonymously", () => {
+  const comment = {
+    _id: "64b0000000000000000000cc",
+    author: { _id: owner.id, name: "Asha" },
+    isAnonymous: false,
+    text: "It happened again today",
+  };
+  const r = report();
+  const view = serializeComment(comment, stranger, r);
+  assert.equal(view.author, null);
+  assert.equal(view.isAnonymous, true);
+  assert.equal(serializeComment(comment, owner, r).isMine, true);
+  assert.equal(serializeComment(comment, moderator, r).author.name, "Asha");
+  const named = serializeComment(comment, stranger, {
+    ...r,
+    isAnonymous: false,
+  });
+  assert.equal(named.author.name, "Asha");
+});
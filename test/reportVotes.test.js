@@ -0,0 +1,45 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test_secret";
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Report = require("../models/Report");
+const ReportVote = require("../models/ReportVote");
+const { castVote } = require("../utils/reportVotes");
+
+const report = { _id: "64b0000000000000000000aa", tileId: "26.9_75.7" };
+const user = { id: "64b000000000000000000001", createdAt: new Date(0) };
+
+// Stand-ins for the two collections castVote writes to
+function stubStore(t, existing) {
+  const calls = { vote: [], inc: [] };
+  t.mock.method(ReportVote, "findOneAndUpdate", async (filter, update) => {
+    calls.vote.push(update);
+    return existing;
+  });
+  const counts = { upvotes: 4, downvotes: 1 };
+  const select = () => Promise.resolve(counts);
+  t.mock.method(Report, "findByIdAndUpdate", (id, update) => {
+    calls.inc.push(update.$inc);
+    return { select };
+  });
+  t.mock.method(Report, "findById", () => ({ select }));
+  return calls;
+}
+
+test("changing a flagged vote keeps it flagged and uncounted", async (t) => {
+  const calls = stubStore(t, { value: "up", flagged: true });
+  const result = await castVote(report, user, "down");
+
+  assert.equal(calls.vote[0].$set.flagged, undefined);
+  assert.deepEqual(calls.vote[0].$setOnInsert, { flagged: false });
+  assert.deepEqual(calls.inc, []);
+  assert.equal(result.counted, false);
+  assert.equal(result.myVote, "down");
+});
+
+test("changing a counted vote moves the counters", async (t) => {
+  const calls = stubStore(t, { value: "up", flagged: false });
+  const result = await castVote(report, user, "down");
+
+  assert.deepEqual(calls.inc, [{ upvotes: -1, downvotes: 1 }]);
+  assert.equal(result.counted, true);
+});
@@ -0,0 +1,87 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test_secret";
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { METERS_PER_DEGREE, haversineMeters } = require("../utils/geo");
+const { geometryError, segmentRoute } = require("../utils/routeSegments");
+
+// POST a body to /api/reports/score-geometry on a throwaway server
+async function scoreGeometry(t, body) {
+  const app = express();
+  app.use(express.json({ limit: "10mb" }));
+  app.use("/api/reports", require("../routes/reports"));
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const { port } = server.address();
+  const res = await fetch(
+    `http://127.0.0.1:${port}/api/reports/score-geometry`,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    }
+  );
+  return { status: res.status, body: await res.json() };
+}
+
+// A polyline heading north from the equator, one vertex every `step` meters
+const northwards = (points, step) =>
+  Array.from({ length: points }, (_, i) => [0, (i * step) / METERS_PER_DEGREE]);
+
+test("score-geometry refuses too many points", async (t) => {
+  const res = await scoreGeometry(t, { geometry: northwards(10001, 1) });
+  assert.equal(res.status, 400);
+  assert.match(res.body.message, /at most 10000 points/);
+});
+
+test("score-geometry refuses routes that are too long", async (t) => {
+  const res = await scoreGeometry(t, { geometry: northwards(3, 150000) });
+  assert.equal(res.status, 400);
+  assert.match(res.body.message, /at most 200000 meters/);
+});
+
+test("score-geometry refuses non-numeric or out of range vertices", async (t) => {
+  for (const bad of [
+    ["75.8", 26.9],
+    [75.8, null],
+    [200, 26.9],
+    [75.8, -91],
+    [75.8],
+    "75.8,26.9",
+  ]) {
+    const res = await scoreGeometry(t, { geometry: [[75.8, 26.9], bad] });
+    assert.equal(res.status, 400, JSON.stringify(bad));
+    assert.match(res.body.message, /\[lng,lat\]/);
+  }
+  // JSON cannot carry NaN or Infinity, so check those directly
+  const origin = [75.8, 26.9];
+  assert.ok(geometryError([origin, [NaN, 26.9]]));
+  assert.ok(geometryError([origin, [75.8, Infinity]]));
+  assert.equal(geometryError([origin, [75.81, 26.91]]), null);
+});
+
+test("every sample lands in the segment covering its distance", () => {
+  const geometry = northwards(2, 1000);
+  const tiles = {};
+  const { segments, lengthMeters } = segmentRoute(geometry, tiles, {
+    tileSize: 50,
+    segmentMeters: 200,
+  });
+  assert.ok(Math.abs(lengthMeters - 1000) < 2);
+  assert.deepEqual(
+    segments.map((s) => [s.fromMeters, s.toMeters]),
+    [
+      [0, 200],
+      [200, 400],
+      [400, 600],
+      [600, 800],
+      [800, lengthMeters],
+    ]
+  );
+  // each segment starts at its first sample, at most one step (half a
+  // tile) past the segment's start
+  segments.forEach((s) => {
+    const along = haversineMeters(geometry[0], s.start);
+    assert.ok(along >= s.fromMeters - 1 && along < s.fromMeters + 25);
+  });
+});
@@ -0,0 +1,145 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test_secret";
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const Report = require("../models/Report");
+const EvidenceChainEntry = require("../models/EvidenceChainEntry");
+const {
+  queueTranscription,
+  scheduleTranscription,
+} = require("../utils/transcription");
+
+// Set environment variables for one test
+function useEnv(t, values) {
+  const previous = Object.keys(values).map((key) => [key, process.env[key]]);
+  Object.assign(process.env, values);
+  t.after(() =>
+    previous.forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    })
+  );
+}
+
+// A saved report with a voice note in local evidence storage, kept in
+// memory: findById hands out fresh copies of what was last saved, like the
+// database would
+function voiceNoteReport(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "evidence-"));
+  fs.mkdirSync(path.join(dir, "64b0000000000000000000aa"));
+  fs.writeFileSync(path.join(dir, "64b0000000000000000000aa/note.webm"), "a");
+  useEnv(t, { EVIDENCE_STORAGE: "local", EVIDENCE_DIR: dir });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const report = new Report({
+    status: "submitted",
+    evidence: [
+      {
+        type: "audio",
+        key: "64b0000000000000000000aa/note.webm",
+        filename: "note.webm",
+        contentType: "audio/webm",
+      },
+    ],
+  });
+  queueTranscription(report);
+  let saved = report.toObject();
+  const saves = [];
+  t.mock.method(Report, "findById", async () => {
+    const copy = Report.hydrate(Report.hydrate(saved).toObject());
+    copy.save = async function () {
+      saved = this.toObject();
+      saves.push(saved.voiceTranscription);
+      return this;
+    };
+    return copy;
+  });
+  t.mock.method(EvidenceChainEntry, "findOne", () => ({
+    sort: () => ({ select: async () => null }),
+  }));
+  t.mock.method(EvidenceChainEntry, "create", async (entry) => entry);
+  return { report, saves, saved: () => saved };
+}
+
+test("voice notes are transcribed after the request returns", async (t) => {
+  useEnv(t, {
+    TRANSCRIPTION_PROVIDER: "stub",
+    TRANSCRIPTION_STUB_TEXT: "He followed me from the bus stop",
+  });
+  const { report, saved } = voiceNoteReport(t);
+
+  const done = scheduleTranscription(report, Buffer.from("audio"));
+  assert.equal(report.voiceTranscription.status, "pending");
+
+  const transcribed = await done;
+  assert.equal(transcribed.voiceTranscription.status, "completed");
+  assert.equal(
+    saved().voiceTranscription.text,
+    "He followed me from the bus stop"
+  );
+  assert.equal(saved().voiceTranscription.provider, "stub");
+  assert.equal(saved().voiceTranscription.attempts, 1);
+  // the caller's copy is left alone
+  assert.equal(report.voiceTranscription.status, "pending");
+});
+
+test("nothing is scheduled without a provider", async (t) => {
+  useEnv(t, { TRANSCRIPTION_PROVIDER: "none" });
+  const { report, saves } = voiceNoteReport(t);
+  assert.equal(await scheduleTranscription(report), null);
+  assert.deepEqual(saves, []);
+});
+
+// OpenAI-compatible endpoint failing the first `failures` requests
+async function flakyProvider(t, failures) {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on("end", () => {
+      requests += 1;
+      if (requests <= failures) return res.writeHead(503).end();
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify({ text: "Second try", language: "hi" }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  t.after(() => server.close());
+  useEnv(t, {
+    TRANSCRIPTION_PROVIDER: "whisper",
+    TRANSCRIPTION_API_URL: `http://127.0.0.1:${server.address().port}/`,
+    TRANSCRIPTION_RETRY_DELAY_MS: "10",
+    TRANSCRIPTION_MAX_ATTEMPTS: "3",
+  });
+  return () => requests;
+}
+
+test("failed attempts are retried", async (t) => {
+  const requests = await flakyProvider(t, 2);
+  t.mock.method(console, "error", () => {});
+  const { report, saves } = voiceNoteReport(t);
+
+  const transcribed = await scheduleTranscription(report, Buffer.from("a"));
+  assert.equal(requests(), 3);
+  assert.deepEqual(
+    saves.map((v) => [v.status, v.attempts]),
+    [
+      ["pending", 1],
+      ["pending", 2],
+      ["completed", 3],
+    ]
+  );
+  assert.equal(transcribed.voiceTranscription.text, "Second try");
+});
+
+test("retries stop at TRANSCRIPTION_MAX_ATTEMPTS", async (t) => {
+  const requests = await flakyProvider(t, 10);
+  t.mock.method(console, "error", () => {});
+  const { report, saved } = voiceNoteReport(t);
+
+  await scheduleTranscription(report, Buffer.from("a"));
+  assert.equal(requests(), 3);
+  assert.equal(saved().voiceTranscription.status, "failed");
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseTrendQuery, buildTrends } = require("../utils/trendAnalytics");
+const { requirePrivacyBudget } = require("../middleware/privacy");
+
+const dp = { mechanism: "geometric", epsilon: 0.5, budgetRemaining: 9.5 };
+const TRIALS = 2000;
+
+// One week of tile 26.9_75.8 at 1 km
+const week = (extra = {}) =>
+  parseTrendQuery({
+    tiles: "26.9_75.8",
+    tileSizeMeters: "1000",
+    from: "2026-10-05",
+    to: "2026-10-11",
+    ...extra,
+  });
+
+test("small tiles and small boxes are refused", () => {
+  assert.match(week({ tileSizeMeters: "50" }).message, /at least 1000/);
+  assert.match(
+    parseTrendQuery({ bbox: "75.8,26.9,75.801,26.901" }).message,
+    /at least 1000 meters/
+  );
+  assert.equal(week().message, undefined);
+  assert.equal(
+    parseTrendQuery({ bbox: "75.79,26.89,75.81,26.91" }).message,
+    undefined
+  );
+});
+
+test("empty cells are noised, not released as exact zeros", () => {
+  const query = week();
+  let nonzero = 0;
+  for (let i = 0; i < 50; i++) {
+    const trends = buildTrends(query, { days: [], hours: [] }, { dp });
+    nonzero += trends.hourOfWeek.counts.flat().filter((c) => c > 0).length;
+  }
+  assert.ok(nonzero > 0, "every empty hour came back as 0");
+});
+
+test("differencing tiles S and S plus one does not reveal a report", () => {
+  const query = week();
+  // 20 reports in S; the victim's tile adds one more or nothing
+  const counts = (n) => ({
+    days: [
+      { day: "2026-10-06", type: "harassment", severity: "high", count: n },
+    ],
+    hours: [],
+  });
+  let correct = 0;
+  for (let i = 0; i < TRIALS; i++) {
+    const present = i % 2 === 0;
+    const without = buildTrends(query, counts(20), { dp }).series[0].total;
+    const withVictim = buildTrends(query, counts(present ? 21 : 20), { dp })
+      .series[0].total;
+    if (withVictim === null || without === null) continue;
+    if (withVictim - without > 0 === present) correct++;
+  }
+  assert.ok(correct / TRIALS < 0.6, `attacker accuracy ${correct / TRIALS}`);
+});
+
+test("trends are noised even when DP_ENABLED is off", () => {
+  const previous = process.env.DP_ENABLED;
+  delete process.env.DP_ENABLED;
+  try {
+    const req = { ip: "203.0.113.7" };
+    const res = { on: () => {}, set: () => {} };
+    let called = false;
+    requirePrivacyBudget(req, res, () => (called = true));
+    assert.ok(called);
+    assert.equal(req.dp.mechanism, "geometric");
+    assert.ok(req.dp.epsilon > 0);
+  } finally {
+    if (previous !== undefined) process.env.DP_ENABLED = previous;
+  }
+});
@@ -0,0 +1,202 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test_secret";
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const WatchArea = require("../models/WatchArea");
+const WatchAreaMatch = require("../models/WatchAreaMatch");
+const TileAggregate = require("../models/TileAggregate");
+const Report = require("../models/Report");
+const { countReports } = require("../utils/tileAggregates");
+const { METERS_PER_DEGREE } = require("../utils/geo");
+const {
+  watchShape,
+  watchOverlap,
+  notifyWatchers,
+} = require("../utils/watchAreas");
+
+const LAT = 26.9;
+const LNG = 75.8;
+const KX = METERS_PER_DEGREE * Math.cos((LAT * Math.PI) / 180);
+
+// [lng, lat] of a point x meters east and y meters north of (LNG, LAT)
+const at = (x, y) => [LNG + x / KX, LAT + y / METERS_PER_DEGREE];
+
+const circle = (x, y, radiusMeters) => ({
+  kind: "radius",
+  center: at(x, y),
+  radiusMeters,
+});
+
+// A saved area: the checked shape plus its kind
+function area(input) {
+  const shape = watchShape(input);
+  assert.equal(shape.error, undefined);
+  return { kind: input.kind, ...shape };
+}
+
+test("a sliver polygon is refused even when its area is large enough", () => {
+  const sliver = [at(0, 0), at(20000, 0), at(20000, 50), at(0, 50)];
+  assert.match(
+    watchShape({ kind: "polygon", polygon: sliver }).error,
+    /at least 400 meters wide/
+  );
+
+  const square = [at(0, 0), at(1000, 0), at(1000, 1000), at(0, 1000)];
+  assert.equal(
+    watchShape({ kind: "polygon", polygon: square }).error,
+    undefined
+  );
+});
+
+test("a thin spike on a large polygon is refused", () => {
+  const spiked = [
+    at(0, 0),
+    at(1000, 0),
+    at(1000, 1000),
+    at(550, 1000),
+    at(550, 5000),
+    at(450, 5000),
+    at(450, 1000),
+    at(0, 1000),
+  ];
+  assert.ok(watchShape({ kind: "polygon", polygon: spiked }).error);
+});
+
+test("a polygon crossing itself is refused", () => {
+  const bowtie = [at(0, 0), at(2000, 2000), at(2000, 0), at(0, 2000)];
+  assert.ok(watchShape({ kind: "polygon", polygon: bowtie }).error);
+});
+
+test("areas apart or overlapping a little are accepted", () => {
+  const home = area(circle(0, 0, 1000));
+  assert.deepEqual(watchOverlap(area(circle(5000, 0, 1000)), [home]), {});
+  assert.deepEqual(watchOverlap(area(circle(1500, 0, 1000)), [home]), {});
+});
+
+test("an area mostly inside another is refused", () => {
+  const home = area(circle(0, 0, 2000));
+  assert.match(
+    watchOverlap(area(circle(300, 0, 1000)), [home]).error,
+    /at most 50%/
+  );
+});
+
+test("areas cannot be stacked to cut out a small piece", () => {
+  // two circles just touching: a lens only ~60 m across
+  const home = area(circle(0, 0, 1000));
+  assert.match(
+    watchOverlap(area(circle(1940, 0, 1000)), [home]).error,
+    /slivers/
+  );
+});
+
+function stubMatching(
+  t,
+  { count, aggregate = async () => (count ? [{ count }] : []) }
+) {
+  const watcher = new WatchArea({
+    user: new mongoose.Types.ObjectId(),
+    name: "Walk home",
+    notify: { socket: true, email: "off" },
+    ...area(circle(0, 0, 1000)),
+  });
+  const find = t.mock.method(WatchArea, "find", async () => [watcher]);
+  t.mock.method(TileAggregate, "aggregate", aggregate);
+  const created = [];
+  t.mock.method(WatchAreaMatch, "exists", async () => null);
+  t.mock.method(WatchAreaMatch, "create", async (match) => {
+    created.push(match);
+    return { _id: new mongoose.Types.ObjectId(), ...match };
+  });
+  const emitted = [];
+  const io = { to: () => ({ emit: (...args) => emitted.push(args) }) };
+  return { find, created, emitted, io };
+}
+
+const submitted = (isPublic) => ({
+  _id: new mongoose.Types.ObjectId(),
+  user: new mongoose.Types.ObjectId(),
+  status: "submitted",
+  isPublic,
+  type: "harassment",
+  severity: "high",
+  timestamp: new Date("2026-10-19T21:37:00Z"),
+  location: { type: "Point", coordinates: at(100, 100) },
+});
+
+test("a public report in a busy area notifies watchers", async (t) => {
+  const { created, emitted, io } = stubMatching(t, { count: 5 });
+  const report = submitted(true);
+  assert.equal(await notifyWatchers(report, io), 1);
+  assert.equal(created[0].report, report._id);
+  assert.equal(created[0].reportedAt.toISOString(), "2026-10-19T21:00:00.000Z");
+  assert.ok(created[0].location.tileId);
+  assert.equal(emitted.length, 1);
+});
+
+test("a report below K_ANON notifies nobody", async (t) => {
+  const { created, emitted, io } = stubMatching(t, { count: 2 });
+  assert.equal(await notifyWatchers(submitted(true), io), 0);
+  assert.deepEqual(created, []);
+  assert.deepEqual(emitted, []);
+});
+
+test("a private report notifies nobody", async (t) => {
+  const { find, created, io } = stubMatching(t, { count: 5 });
+  assert.equal(await notifyWatchers(submitted(false), io), 0);
+  assert.equal(find.mock.callCount(), 0);
+  assert.deepEqual(created, []);
+});
+
+test("re-saving a report does not lift it over K_ANON", async (t) => {
+  // TileAggregate rows as the report hooks leave them: rows are upserted by
+  // their full key and removed once their count is no longer positive
+  const rows = new Map();
+  t.mock.method(TileAggregate, "bulkWrite", async (ops) => {
+    ops.forEach(({ updateOne: { filter, update } }) => {
+      const row = rows.get(JSON.stringify(filter)) || { ...filter, count: 0 };
+      row.count += update.$inc.count;
+      rows.set(JSON.stringify(filter), row);
+    });
+    return {};
+  });
+  t.mock.method(TileAggregate, "deleteMany", async () => {
+    rows.forEach((row, id) => row.count <= 0 && rows.delete(id));
+    return {};
+  });
+  t.mock.method(Report.collection, "updateOne", async () => ({
+    acknowledged: true,
+    matchedCount: 1,
+    modifiedCount: 1,
+  }));
+  const { created, io } = stubMatching(t, {
+    aggregate: async ([{ $match }]) => {
+      const count = [...rows.values()]
+        .filter((row) => row.level === $match.level)
+        .filter((row) => row.tileId === $match.tileId)
+        .reduce((n, row) => n + row.count, 0);
+      return count ? [{ count }] : [];
+    },
+  });
+
+  // the only report around, its time edited after submission so its hour
+  // bucket and timestamp disagree
+  const report = Report.hydrate({
+    ...submitted(true),
+    title: "Followed",
+    description: "Followed from the bus stop",
+    timestamp: new Date("2026-10-19T20:10:00Z"),
+    timeBucket: "2026-10-19T21",
+    createdAt: new Date(),
+    submittedAt: new Date(),
+  });
+  await report.validate();
+  await countReports([report]);
+  for (let views = 1; views <= 3; views++) {
+    report.views = views;
+    await report.save();
+  }
+
+  assert.equal(await notifyWatchers(report, io), 0);
+  assert.deepEqual(created, []);
+});
@@ -0,0 +1,59 @@
+// Minimal RFC 4180 CSV: quoted fields, doubled quotes, CRLF or LF line ends
+
+// Rows of a CSV text as arrays of strings (a leading BOM and blank lines are
+// skipped). Throws on an unterminated quoted field.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+    field = "";
+  };
+
+  for (; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c !== '"') field += c;
+      else if (text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else quoted = false;
+    } else if (c === '"' && field === "") {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i += 1;
+      endRow();
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) throw new Error("Unterminated quoted field");
+  if (field !== "" || row.length) endRow();
+  return rows;
+}
+
+// One CSV line (with trailing CRLF). Strings a spreadsheet would run as a
+// formula are prefixed with a quote mark.
+function csvLine(values) {
+  return `${values
+    .map((value) => {
+      if (value === null || value === undefined) return "";
+      let text = value instanceof Date ? value.toISOString() : String(value);
+      if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",")}\r\n`;
+}
+
+module.exports = { parseCsv, csvLine };
@@ -0,0 +1,179 @@
+const crypto = require("crypto");
+
+// Optional differential-privacy noise for the public aggregate endpoints
+// (DP_ENABLED=true). Within one group of released counts every report lands in
+// exactly one count (cells, buckets and categories are disjoint), so each
+// count gets noise with sensitivity 1; a response that releases several groups
+// splits DP_EPSILON between them and costs DP_EPSILON of the caller's budget.
+// Every count of the released domain is noised, empty ones included, so
+// whether a cell or category appears at all does not give away that it holds
+// a report. Noisy counts are rounded and clamped at 0, and K_ANON thresholds
+// are applied to the noisy values, never the exact ones.
+
+// Most cells one noisy response may cover (every one of them gets noise)
+const MAX_NOISE_CELLS = Number(process.env.DP_MAX_CELLS || 20000);
+
+function dpConfig() {
+  return {
+    enabled: process.env.DP_ENABLED === "true",
+    mechanism: process.env.DP_MECHANISM === "laplace" ? "laplace" : "geometric",
+    epsilon: Number(process.env.DP_EPSILON || 0.5),
+    budget: Number(process.env.DP_BUDGET || 10),
+    windowHours: Number(process.env.DP_BUDGET_WINDOW_HOURS || 24),
+  };
+}
+
+// Uniform in (0, 1) from a CSPRNG so the noise cannot be predicted or replayed
+function uniform() {
+  return crypto.randomInt(1, 2 ** 48) / 2 ** 48;
+}
+
+function laplace(scale) {
+  const u = uniform() - 0.5;
+  return -scale * Math.sign(u) * Math.log(1 - 2 * Math.abs(u));
+}
+
+// Two-sided geometric (discrete Laplace): difference of two geometric draws
+function geometric(epsilon) {
+  const alpha = Math.exp(-epsilon);
+  const draw = () => Math.floor(Math.log(uniform()) / Math.log(alpha));
+  return draw() - draw();
+}
+
+// Noise for one released value. epsilon is the share of the response budget
+// spent on it; sensitivity is how much one report can change it.
+function noise(dp, { epsilon = dp.epsilon, sensitivity = 1 } = {}) {
+  return dp.mechanism === "laplace"
+    ? laplace(sensitivity / epsilon)
+    : geometric(epsilon / sensitivity);
+}
+
+function noisyCount(count, dp, options) {
+  if (!dp) return count;
+  return Math.max(0, Math.round(count + noise(dp, options)));
+}
+
+// Noisy count per value of `domain` (plus any other value that occurs), e.g.
+// ["safe", "safe", "unsafe"] over ["safe", "unsafe", "neutral"] ->
+// { safe: 2, unsafe: 1, neutral: 0 } plus noise
+function noisyHistogram(values, dp, options, domain = []) {
+  const counts = {};
+  domain.forEach((v) => (counts[v] = 0));
+  values.forEach((v) => (counts[v] = (counts[v] || 0) + 1));
+  Object.keys(counts).forEach((v) => {
+    counts[v] = noisyCount(counts[v], dp, options);
+  });
+  return counts;
+}
+
+// Noise heatmap cells ({ tileId, totalCount, incidentCount, positiveCount })
+// over every tile id of `domain`, the tiles the response covers. A report
+// counts towards exactly one of incident / positive / other, so those three
+// are noised (sensitivity 1 each) and the total is their sum. Cells that end
+// up empty are left out.
+function noisyCells(cells, dp, domain) {
+  if (!dp) return cells;
+  const byId = new Map(cells.map((c) => [c.tileId, c]));
+  const tileIds = new Set([...domain, ...byId.keys()]);
+  const out = [];
+  tileIds.forEach((tileId) => {
+    const c = byId.get(tileId) || {};
+    const incident = c.incidentCount || 0;
+    const positive = c.positiveCount || 0;
+    const other = (c.totalCount || 0) - incident - positive;
+    const incidentCount = noisyCount(incident, dp);
+    const positiveCount = noisyCount(positive, dp);
+    const totalCount = incidentCount + positiveCount + noisyCount(other, dp);
+    if (totalCount > 0) {
+      out.push({ tileId, totalCount, incidentCount, positiveCount });
+    }
+  });
+  return out;
+}
+
+// Noise the bucket lists returned by riskScoring.loadTileBuckets for every
+// tile of `domain`. Half the budget goes to each tile's report count (what
+// K_ANON is checked against), half to its buckets, which only feed the score.
+// Returns { byTile, totals } with empty buckets and tiles left out.
+function noisyBuckets(byTile, dp, domain) {
+  const half = { epsilon: dp.epsilon / 2 };
+  const tiles = new Map();
+  const totals = new Map();
+  new Set([...domain, ...byTile.keys()]).forEach((tileId) => {
+    const list = byTile.get(tileId) || [];
+    const count = list.reduce((n, b) => n + b.count, 0);
+    const total = noisyCount(count, dp, half);
+    if (total === 0) return;
+    totals.set(tileId, total);
+    tiles.set(
+      tileId,
+      list
+        .map((b) => ({ ...b, count: noisyCount(b.count, dp, half) }))
+        .filter((b) => b.count > 0)
+    );
+  });
+  return { byTile: tiles, totals };
+}
+
+// What a response tells the client about the noise in it. `parts` lists each
+// group of noisy values with the share of epsilon it got and how far one
+// report can move one of its values (by default all of it, sensitivity 1).
+function noiseMeta(dp, parts = [{}]) {
+  if (!dp) return { applied: false };
+  return {
+    applied: true,
+    mechanism: dp.mechanism,
+    epsilon: dp.epsilon,
+    budgetRemaining: dp.budgetRemaining,
+    parts: parts.map(({ name, epsilon = dp.epsilon, sensitivity = 1 }) => ({
+      ...(name ? { name } : {}),
+      epsilon: Number(epsilon.toFixed(4)),
+      sensitivity,
+      scale: Number((sensitivity / epsilon).toFixed(4)),
+    })),
+  };
+}
+
+// Per-client budget, kept in memory like the rate limiter. A client spends
+// epsilon per noisy response and is refused once the window's budget is gone.
+// The charge is taken up front, so concurrent requests cannot overspend, and
+// refunded when the response turns out to be an error.
+const budgets = new Map();
+
+function chargeBudget(client, config, now = Date.now()) {
+  budgets.forEach((b, key) => {
+    if (b.resetAt <= now) budgets.delete(key);
+  });
+  const entry = budgets.get(client) || {
+    spent: 0,
+    resetAt: now + config.windowHours * 3600 * 1000,
+  };
+  if (entry.spent + config.epsilon > config.budget + 1e-9) {
+    return { ok: false, resetAt: entry.resetAt };
+  }
+  entry.spent += config.epsilon;
+  budgets.set(client, entry);
+  return {
+    ok: true,
+    remaining: Number((config.budget - entry.spent).toFixed(4)),
+    resetAt: entry.resetAt,
+  };
+}
+
+function refundBudget(client, config) {
+  const entry = budgets.get(client);
+  if (entry) entry.spent = Math.max(0, entry.spent - config.epsilon);
+}
+
+module.exports = {
+  MAX_NOISE_CELLS,
+  dpConfig,
+  noise,
+  noisyCount,
+  noisyHistogram,
+  noisyCells,
+  noisyBuckets,
+  noiseMeta,
+  chargeBudget,
+  refundBudget,
+};
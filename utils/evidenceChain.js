@@ -0,0 +1,296 @@
+const crypto = require("crypto");
+const EvidenceChainEntry = require("../models/EvidenceChainEntry");
+
+// Tamper-evident record of a report's evidence and edits, for survivors who
+// need their evidence in police or legal processes.
+//
+// Every report has an append-only chain of entries (created, evidence_added,
+// evidence_removed, edited, submitted, redacted, transcribed). An entry's hash
+// is the SHA-256 of the canonical JSON of
+// { report, seq, event, actor, payload, at, prevHash }, so its timestamp and
+// position are fixed by every later entry. With EVIDENCE_SIGNING_KEY (an
+// Ed25519 private key in PEM) each entry hash and each manifest is also signed,
+// so entries cannot be rewritten later even by someone with database access.
+// Anyone holding the public key can check a manifest offline with
+// scripts/verify_evidence_manifest.js.
+
+const sha256Hex = (data) =>
+  crypto.createHash("sha256").update(data).digest("hex");
+
+// JSON with object keys sorted and undefined members left out; dates and
+// ObjectIds are written through their toJSON (ISO string, hex id)
+function canonicalJson(value) {
+  if (value && typeof value.toJSON === "function") {
+    return canonicalJson(value.toJSON());
+  }
+  if (value === null || typeof value !== "object") {
+    return JSON.stringify(value === undefined ? null : value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  const members = Object.keys(value)
+    .filter((key) => value[key] !== undefined)
+    .sort()
+    .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+  return `{${members.join(",")}}`;
+}
+
+// Hash of what the reporter stated, so a manifest can prove the report's
+// content at each point of the chain without containing it
+function contentHash(report) {
+  const location = report.location || {};
+  return sha256Hex(
+    canonicalJson({
+      title: report.title,
+      description: report.description,
+      type: report.type,
+      severity: report.severity,
+      tags: Array.from(report.tags || []),
+      timestamp: report.timestamp,
+      location: {
+        coordinates: Array.from(location.coordinates || []),
+        address: location.address,
+        neighborhood: location.neighborhood,
+        city: location.city,
+      },
+      voiceTranscription: report.voiceTranscription
+        ? report.voiceTranscription.text
+        : undefined,
+    })
+  );
+}
+
+function entryHash(reportId, entry) {
+  return sha256Hex(
+    canonicalJson({
+      report: String(reportId),
+      seq: entry.seq,
+      event: entry.event,
+      actor: entry.actor,
+      payload: entry.payload || {},
+      at: new Date(entry.at).toISOString(),
+      prevHash: entry.prevHash || null,
+    })
+  );
+}
+
+// ----- signing -----
+
+let cachedKey = { pem: null, key: null };
+
+// Ed25519 private key from EVIDENCE_SIGNING_KEY (escaped \n allowed), or null
+function signingKey() {
+  const pem = process.env.EVIDENCE_SIGNING_KEY;
+  if (!pem) return null;
+  if (cachedKey.pem !== pem) {
+    cachedKey = {
+      pem,
+      key: crypto.createPrivateKey(pem.replace(/\\n/g, "\n")),
+    };
+  }
+  return cachedKey.key;
+}
+
+function sign(data) {
+  const key = signingKey();
+  return key
+    ? crypto.sign(null, Buffer.from(data), key).toString("base64")
+    : undefined;
+}
+
+// PEM public key matching EVIDENCE_SIGNING_KEY, or null
+function signingPublicKey() {
+  const key = signingKey();
+  return key
+    ? crypto.createPublicKey(key).export({ type: "spki", format: "pem" })
+    : null;
+}
+
+function signatureValid(data, signature, publicKey) {
+  try {
+    return crypto.verify(
+      null,
+      Buffer.from(data),
+      publicKey,
+      Buffer.from(signature, "base64")
+    );
+  } catch (err) {
+    return false;
+  }
+}
+
+// ----- chain -----
+
+// Append an entry to the report's chain. Concurrent appends race for the
+// same seq; the loser retries on top of the winner.
+async function appendChain(report, event, actor, payload = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const last = await EvidenceChainEntry.findOne({ report: report._id })
+      .sort({ seq: -1 })
+      .select("seq hash");
+    const entry = {
+      report: report._id,
+      seq: last ? last.seq + 1 : 1,
+      event,
+      actor,
+      // stored exactly as hashed
+      payload: JSON.parse(canonicalJson(payload)),
+      at: new Date(),
+      prevHash: last ? last.hash : null,
+    };
+    entry.hash = entryHash(report._id, entry);
+    entry.signature = sign(entry.hash);
+    try {
+      return await EvidenceChainEntry.create(entry);
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= 4) throw err;
+    }
+  }
+}
+
+function evidencePayload(evidence) {
+  return {
+    evidence: evidence._id,
+    type: evidence.type,
+    contentType: evidence.contentType,
+    size: evidence.size,
+    sha256: evidence.sha256,
+    publicSha256: evidence.publicSha256,
+    metadataStripped: evidence.metadataStripped,
+    receivedAt: evidence.receivedAt,
+  };
+}
+
+// Chain entries for a newly created report and its uploaded evidence
+async function recordCreation(report) {
+  await appendChain(report, "created", "reporter", {
+    status: report.status,
+    contentHash: contentHash(report),
+  });
+  for (const evidence of report.evidence || []) {
+    await appendChain(
+      report,
+      "evidence_added",
+      "reporter",
+      evidencePayload(evidence)
+    );
+  }
+}
+
+// Check a report's chain: every hash recomputes, links to the previous
+// entry and, given the public key, carries a valid signature
+function verifyChain(reportId, entries, publicKey = null) {
+  const problems = [];
+  let prevHash = null;
+  entries.forEach((entry, i) => {
+    if (entry.seq !== i + 1) {
+      problems.push({ seq: entry.seq, problem: "out of sequence" });
+    }
+    if ((entry.prevHash || null) !== prevHash) {
+      problems.push({ seq: entry.seq, problem: "broken link" });
+    }
+    if (entryHash(reportId, entry) !== entry.hash) {
+      problems.push({ seq: entry.seq, problem: "hash mismatch" });
+    }
+    if (
+      publicKey &&
+      entry.signature &&
+      !signatureValid(entry.hash, entry.signature, publicKey)
+    ) {
+      problems.push({ seq: entry.seq, problem: "bad signature" });
+    }
+    prevHash = entry.hash;
+  });
+  return {
+    valid: problems.length === 0,
+    length: entries.length,
+    head: prevHash,
+    unsigned: entries.filter((e) => !e.signature).length,
+    problems,
+  };
+}
+
+// Verifiable manifest of a report's evidence: file hashes, the full chain
+// and, when a signing key is configured, a signature over the manifest
+async function evidenceManifest(report) {
+  const entries = await EvidenceChainEntry.find({ report: report._id })
+    .sort({ seq: 1 })
+    .lean();
+  const chain = entries.map((e) => ({
+    seq: e.seq,
+    event: e.event,
+    actor: e.actor,
+    payload: e.payload,
+    at: e.at.toISOString(),
+    prevHash: e.prevHash,
+    hash: e.hash,
+    signature: e.signature,
+  }));
+  const check = verifyChain(report._id, chain);
+
+  const manifest = {
+    version: 1,
+    report: String(report._id),
+    generatedAt: new Date().toISOString(),
+    algorithms: {
+      hash: "sha256",
+      canonicalization: "json-sorted-keys",
+      signature: signingKey() ? "ed25519" : null,
+    },
+    contentHash: contentHash(report),
+    evidence: (report.evidence || []).map((e) => ({
+      id: String(e._id),
+      type: e.type,
+      filename: e.filename,
+      contentType: e.contentType,
+      size: e.size,
+      sha256: e.sha256 || null,
+      publicSha256: e.publicSha256 || null,
+      metadataStripped: Boolean(e.metadataStripped),
+      sealedOriginal: Boolean(e.sealedKey),
+      receivedAt: e.receivedAt,
+    })),
+    chain,
+    head: check.head,
+    chainValid: check.valid,
+  };
+  manifest.signature = sign(canonicalJson(manifest));
+  return manifest;
+}
+
+// Check a manifest (e.g. one handed to the police) against the public key.
+// Listed evidence must match the hash recorded in the chain at upload.
+function verifyManifest(manifest, publicKey = null) {
+  const { signature, ...unsigned } = manifest;
+  const chain = verifyChain(manifest.report, manifest.chain || [], publicKey);
+  const recorded = new Map(
+    (manifest.chain || [])
+      .filter((e) => e.event === "evidence_added")
+      .map((e) => [e.payload.evidence, e.payload.sha256])
+  );
+  return {
+    chain,
+    headMatches: chain.head === (manifest.head || null),
+    unrecordedEvidence: (manifest.evidence || [])
+      .filter((e) => e.sha256 && recorded.get(e.id) !== e.sha256)
+      .map((e) => e.id),
+    signature: !signature
+      ? "missing"
+      : !publicKey
+        ? "unchecked"
+        : signatureValid(canonicalJson(unsigned), signature, publicKey)
+          ? "valid"
+          : "invalid",
+  };
+}
+
+module.exports = {
+  appendChain,
+  recordCreation,
+  evidencePayload,
+  contentHash,
+  evidenceManifest,
+  verifyManifest,
+  signingPublicKey,
+};
@@ -0,0 +1,343 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const { stripMetadata, MALFORMED_MEDIA } = require("./mediaMetadata");
+
+// Storage for report evidence files, selected with EVIDENCE_STORAGE:
+//   local - files under EVIDENCE_DIR (default uploads/evidence), streamed by
+//           GET /api/reports/evidence/download/:token
+//   s3    - an S3-compatible bucket (AWS S3, MinIO, R2...), signed with AWS
+//           Signature V4 and downloaded straight from the bucket
+// Files are never public: clients ask for a download URL that expires after
+// EVIDENCE_URL_TTL_SECONDS, and only people allowed to see the evidence get one.
+//
+// Uploads are hashed (SHA-256) as received. The stored copy has location
+// metadata removed (utils/mediaMetadata.js); when that changed the file, the
+// untouched original is also stored, under a sealed key only the reporter and
+// moderators can download.
+
+const urlTtl = () => Number(process.env.EVIDENCE_URL_TTL_SECONDS || 300);
+const tokenSecret = () =>
+  process.env.EVIDENCE_URL_SECRET ||
+  process.env.JWT_SECRET ||
+  "your_jwt_secret_key";
+const TOKEN_AUDIENCE = "evidence-download";
+
+const sha256Hex = (data) =>
+  crypto.createHash("sha256").update(data).digest("hex");
+
+// New object key: <reportId>/<random>.<ext> (<reportId>/sealed/... for
+// sealed originals)
+function evidenceKey(reportId, originalName = "", sealed = false) {
+  const ext = path
+    .extname(originalName)
+    .toLowerCase()
+    .replace(/[^a-z0-9.]/g, "");
+  const name = `${crypto.randomBytes(16).toString("hex")}${ext}`;
+  return sealed ? `${reportId}/sealed/${name}` : `${reportId}/${name}`;
+}
+
+// Key of a stored evidence entry. Entries from before the storage subsystem
+// only have url /uploads/evidence/<file>, which is <file> in the local backend.
+function keyOf(evidence) {
+  if (evidence.key) return evidence.key;
+  return evidence.url ? path.basename(evidence.url) : null;
+}
+
+// Filename for Content-Disposition (quotes and control characters removed)
+const safeFilename = (name) =>
+  String(name || "evidence").replace(/["\\\r\n]/g, "_");
+
+// ----- local disk -----
+
+const localRoot = () =>
+  path.resolve(process.env.EVIDENCE_DIR || "uploads/evidence");
+
+function localPath(key) {
+  const root = localRoot();
+  const file = path.resolve(root, key);
+  if (!file.startsWith(root + path.sep))
+    throw new Error("Invalid evidence key");
+  return file;
+}
+
+const local = {
+  async put(key, buffer) {
+    const file = localPath(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer, { flag: "wx" });
+  },
+
+  async remove(key) {
+    await fs.promises.rm(localPath(key), { force: true });
+  },
+
+  read: (key) => fs.promises.readFile(localPath(key)),
+
+  // Path through the API, carrying a short-lived token instead of auth
+  async downloadUrl(key, { filename, contentType } = {}) {
+    const token = jwt.sign(
+      { key, name: safeFilename(filename), type: contentType },
+      tokenSecret(),
+      { audience: TOKEN_AUDIENCE, expiresIn: urlTtl() }
+    );
+    return `/api/reports/evidence/download/${token}`;
+  },
+};
+
+// Verify a local download token: { key, name, type } or null
+function verifyDownloadToken(token) {
+  try {
+    return jwt.verify(token, tokenSecret(), { audience: TOKEN_AUDIENCE });
+  } catch (err) {
+    return null;
+  }
+}
+
+function openLocal(key) {
+  return fs.createReadStream(localPath(key));
+}
+
+// ----- S3-compatible -----
+
+function s3Config() {
+  const region = process.env.S3_REGION || "us-east-1";
+  return {
+    endpoint: process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`,
+    region,
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    // MinIO and most stand-ins need http://host/bucket/key
+    pathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+  };
+}
+
+// RFC 3986 encoding as SigV4 expects (encodeURIComponent leaves !'()* alone)
+const uriEncode = (s) =>
+  encodeURIComponent(s).replace(
+    /[!'()*]/g,
+    (c) => "%" + c.charCodeAt(0).toString(16).toUpperCase()
+  );
+
+const hmac = (key, data) =>
+  crypto.createHmac("sha256", key).update(data).digest();
+
+function objectUrl(cfg, key) {
+  const endpoint = new URL(cfg.endpoint);
+  const objectPath = key.split("/").map(uriEncode).join("/");
+  return cfg.pathStyle
+    ? new URL(`${endpoint.origin}/${cfg.bucket}/${objectPath}`)
+    : new URL(
+        `${endpoint.protocol}//${cfg.bucket}.${endpoint.host}/${objectPath}`
+      );
+}
+
+function amzDate(now) {
+  const stamp = now.toISOString().replace(/[:-]|\.\d{3}/g, "");
+  return { stamp, day: stamp.slice(0, 8) };
+}
+
+function signature(cfg, day, stamp, canonicalRequest) {
+  const scope = `${day}/${cfg.region}/s3/aws4_request`;
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    stamp,
+    scope,
+    sha256Hex(canonicalRequest),
+  ].join("\n");
+  const signingKey = ["s3", "aws4_request"].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac("AWS4" + cfg.secretAccessKey, day), cfg.region)
+  );
+  return hmac(signingKey, stringToSign).toString("hex");
+}
+
+// Headers for a request signed in the Authorization header
+function signHeaders(cfg, method, url, { headers = {}, payloadHash, now }) {
+  const { stamp, day } = amzDate(now);
+  const all = {
+    ...headers,
+    host: url.host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": stamp,
+  };
+  const names = Object.keys(all).sort();
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    "",
+    names.map((n) => `${n}:${all[n]}\n`).join(""),
+    names.join(";"),
+    payloadHash,
+  ].join("\n");
+  all.authorization =
+    `AWS4-HMAC-SHA256 Credential=${cfg.accessKeyId}/${day}/${cfg.region}/s3/aws4_request, ` +
+    `SignedHeaders=${names.join(";")}, ` +
+    `Signature=${signature(cfg, day, stamp, canonicalRequest)}`;
+  return all;
+}
+
+async function s3Request(method, key, { body, contentType } = {}) {
+  const cfg = s3Config();
+  const url = objectUrl(cfg, key);
+  const headers = signHeaders(cfg, method, url, {
+    headers: contentType ? { "content-type": contentType } : {},
+    payloadHash: sha256Hex(body || ""),
+    now: new Date(),
+  });
+  delete headers.host; // set by fetch
+
+  const res = await fetch(url, { method, headers, body });
+  if (!res.ok && !(method === "DELETE" && res.status === 404)) {
+    throw new Error(`S3 ${method} ${key} failed with ${res.status}`);
+  }
+  return res;
+}
+
+// Presigned GET URL (query-string signature)
+function presignGet(key, { filename, contentType, now = new Date() } = {}) {
+  const cfg = s3Config();
+  const url = objectUrl(cfg, key);
+  const { stamp, day } = amzDate(now);
+  const params = {
+    "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+    "X-Amz-Credential": `${cfg.accessKeyId}/${day}/${cfg.region}/s3/aws4_request`,
+    "X-Amz-Date": stamp,
+    "X-Amz-Expires": String(urlTtl()),
+    "X-Amz-SignedHeaders": "host",
+  };
+  if (filename) {
+    params["response-content-disposition"] =
+      `attachment; filename="${safeFilename(filename)}"`;
+  }
+  if (contentType) params["response-content-type"] = contentType;
+  const query = Object.keys(params)
+    .sort()
+    .map((k) => `${uriEncode(k)}=${uriEncode(params[k])}`)
+    .join("&");
+  const canonicalRequest = [
+    "GET",
+    url.pathname,
+    query,
+    `host:${url.host}\n`,
+    "host",
+    "UNSIGNED-PAYLOAD",
+  ].join("\n");
+  return `${url.origin}${url.pathname}?${query}&X-Amz-Signature=${signature(cfg, day, stamp, canonicalRequest)}`;
+}
+
+const s3 = {
+  put: (key, buffer, contentType) =>
+    s3Request("PUT", key, { body: buffer, contentType }),
+  remove: (key) => s3Request("DELETE", key),
+  read: async (key) =>
+    Buffer.from(await (await s3Request("GET", key)).arrayBuffer()),
+  downloadUrl: async (key, options) => presignGet(key, options),
+};
+
+function backend() {
+  return process.env.EVIDENCE_STORAGE === "s3" ? s3 : local;
+}
+
+// Whether storeEvidence failed because an upload could not be parsed (its
+// metadata could not be removed); err.message names the file
+const isMalformedMedia = (err) => Boolean(err) && err.code === MALFORMED_MEDIA;
+
+// Store multer memory-storage files for a report: [{ type, key, filename,
+// contentType, size, sha256, publicSha256, metadataStripped, sealedKey,
+// receivedAt }]. Nothing is stored when one of the files is malformed.
+async function storeEvidence(reportId, files = []) {
+  const copies = files.map((file) => {
+    try {
+      return stripMetadata(file.buffer);
+    } catch (err) {
+      if (isMalformedMedia(err)) {
+        err.message = `${file.originalname} could not be read as a ${err.format.toUpperCase()} file`;
+      }
+      throw err;
+    }
+  });
+  const stored = [];
+  try {
+    for (const [i, file] of files.entries()) {
+      const receivedAt = new Date();
+      const publicCopy = copies[i];
+      const key = evidenceKey(reportId, file.originalname);
+      let sealedKey;
+      if (publicCopy.buffer !== file.buffer) {
+        sealedKey = evidenceKey(reportId, file.originalname, true);
+        await backend().put(sealedKey, file.buffer, file.mimetype);
+      }
+      await backend().put(key, publicCopy.buffer, file.mimetype);
+      stored.push({
+        type: file.mimetype.startsWith("image/")
+          ? "photo"
+          : file.mimetype.startsWith("video/")
+            ? "video"
+            : file.mimetype.startsWith("audio/")
+              ? "audio"
+              : "document",
+        key,
+        filename: file.originalname,
+        contentType: file.mimetype,
+        size: publicCopy.buffer.length,
+        sha256: sha256Hex(file.buffer),
+        publicSha256: sha256Hex(publicCopy.buffer),
+        metadataStripped: publicCopy.stripped,
+        sealedKey,
+        receivedAt,
+      });
+    }
+  } catch (err) {
+    await removeEvidence(stored);
+    throw err;
+  }
+  return stored;
+}
+
+// Delete stored files of evidence entries (errors are logged, not thrown, so
+// a missing file never blocks deleting or redacting a report)
+async function removeEvidence(evidence = []) {
+  for (const entry of evidence) {
+    for (const key of [keyOf(entry), entry.sealedKey]) {
+      if (!key) continue;
+      try {
+        await backend().remove(key);
+      } catch (err) {
+        console.error("Evidence delete error:", err);
+      }
+    }
+  }
+}
+
+// Contents of an evidence entry's stored copy (for server-side processing)
+async function readEvidence(entry) {
+  const key = keyOf(entry);
+  if (!key) throw new Error("Evidence has no stored file");
+  return backend().read(key);
+}
+
+// Short-lived download URL for one evidence entry. With `original`, the
+// sealed original (the stored copy itself when nothing was stripped).
+async function evidenceDownloadUrl(entry, { original = false } = {}) {
+  const key = (original && entry.sealedKey) || keyOf(entry);
+  if (!key) return null;
+  const expiresAt = new Date(Date.now() + urlTtl() * 1000);
+  const url = await backend().downloadUrl(key, {
+    filename: entry.filename,
+    contentType: entry.contentType,
+  });
+  return { url, expiresAt };
+}
+
+module.exports = {
+  storeEvidence,
+  isMalformedMedia,
+  removeEvidence,
+  evidenceDownloadUrl,
+  readEvidence,
+  verifyDownloadToken,
+  openLocal,
+};
@@ -1,26 +1,233 @@
 const geolib = require("geolib");
 
+const METERS_PER_DEGREE = 111320; // ~ meters per degree of latitude
+const MAX_GRID_LAT = 85; // keep cos(lat) away from zero near the poles
+
+// Pyramid levels (meters) stored on every report so aggregations can group at
+// any of them. Each level is a whole multiple of the one below, so tiles nest.
+const TILE_LEVELS = [50, 200, 1000, 5000];
+
+// Tiles are tileSizeMeters tall and wide at every latitude. Rows are a fixed
+// number of degrees of latitude; the column width in degrees of longitude is
+// stretched by 1 / cos(lat) of the enclosing band of the coarsest level, so
+// every level in a band shares the same stretch and tiles still nest.
+function tileSpan(lat, tileSizeMeters = 50) {
+  const latDeg = tileSizeMeters / METERS_PER_DEGREE;
+  const bandDeg = TILE_LEVELS[TILE_LEVELS.length - 1] / METERS_PER_DEGREE;
+  const clamped = Math.max(-MAX_GRID_LAT, Math.min(MAX_GRID_LAT, lat));
+  const bandCenter = (Math.floor(clamped / bandDeg) + 0.5) * bandDeg;
+  const lngDeg = latDeg / Math.cos((bandCenter * Math.PI) / 180);
+  return { latDeg, lngDeg };
+}
+
+const formatTileId = (lat, lng) => `${lat.toFixed(6)}_${lng.toFixed(6)}`;
+
+function tileIdAt(row, col, tileSizeMeters) {
+  const { latDeg } = tileSpan(0, tileSizeMeters);
+  const { lngDeg } = tileSpan((row + 0.5) * latDeg, tileSizeMeters);
+  return formatTileId(row * latDeg, col * lngDeg);
+}
+
 // Convert lat/lng to a privacy-preserving tile id by snapping to a regular grid
 // tileSizeMeters: size of square tile in meters (e.g., 50 or 100)
+// The id is the tile's south-west corner as "lat_lng".
 function latLngToTileId(lat, lng, tileSizeMeters = 50) {
-  // Use a simple equirectangular projection approximation: convert meters to degrees
-  const metersPerDegree = 111320; // ~ meters per degree latitude
-
-  const deg = tileSizeMeters / metersPerDegree;
-
-  const latTile = Math.floor(lat / deg) * deg;
-  const lngTile = Math.floor(lng / deg) * deg;
+  const { latDeg, lngDeg } = tileSpan(lat, tileSizeMeters);
+  const latTile = Math.floor(lat / latDeg) * latDeg;
+  const lngTile = Math.floor(lng / lngDeg) * lngDeg;
 
   // Use fixed precision to keep ids compact
-  return `${latTile.toFixed(6)}_${lngTile.toFixed(6)}`;
+  return formatTileId(latTile, lngTile);
 }
 
-function tileIdToCentroid(tileId) {
+// South-west corner of a tile (what the id encodes)
+function tileIdToOrigin(tileId) {
   const [latStr, lngStr] = tileId.split("_");
-  const lat = parseFloat(latStr);
-  const lng = parseFloat(lngStr);
-  // centroid is the tile origin in this scheme; it's fine for visualization
-  return { lat, lng };
+  return { lat: parseFloat(latStr), lng: parseFloat(lngStr) };
+}
+
+// Bounding box [minLng, minLat, maxLng, maxLat] of a tile of the given size
+function tileIdToBounds(tileId, tileSizeMeters = 50) {
+  const { lat, lng } = tileIdToOrigin(tileId);
+  const { latDeg, lngDeg } = tileSpan(
+    lat + tileSizeMeters / 2 / METERS_PER_DEGREE,
+    tileSizeMeters
+  );
+  return [lng, lat, lng + lngDeg, lat + latDeg];
+}
+
+// True centre of a tile of the given size
+function tileIdToCentroid(tileId, tileSizeMeters = 50) {
+  const [minLng, minLat, maxLng, maxLat] = tileIdToBounds(
+    tileId,
+    tileSizeMeters
+  );
+  return { lat: (minLat + maxLat) / 2, lng: (minLng + maxLng) / 2 };
+}
+
+// GeoJSON Polygon of a [minLng, minLat, maxLng, maxLat] box (closed, counter-clockwise)
+function bboxToPolygon([minLng, minLat, maxLng, maxLat]) {
+  return {
+    type: "Polygon",
+    coordinates: [
+      [
+        [minLng, minLat],
+        [maxLng, minLat],
+        [maxLng, maxLat],
+        [minLng, maxLat],
+        [minLng, minLat],
+      ],
+    ],
+  };
+}
+
+// GeoJSON Polygon of a tile
+function tileIdToPolygon(tileId, tileSizeMeters = 50) {
+  return bboxToPolygon(tileIdToBounds(tileId, tileSizeMeters));
+}
+
+// Grid rows a bbox touches, each with the column range it covers
+function bboxRows([minLng, minLat, maxLng, maxLat], tileSizeMeters) {
+  const { latDeg } = tileSpan(0, tileSizeMeters);
+  const rows = [];
+  for (
+    let row = Math.floor(minLat / latDeg);
+    row <= Math.floor(maxLat / latDeg);
+    row++
+  ) {
+    const { lngDeg } = tileSpan((row + 0.5) * latDeg, tileSizeMeters);
+    rows.push({
+      row,
+      fromCol: Math.floor(minLng / lngDeg),
+      toCol: Math.floor(maxLng / lngDeg),
+    });
+  }
+  return rows;
+}
+
+// Tile ids of every grid tile of the given size a bbox touches
+function tilesInBbox(bbox, tileSizeMeters = 50) {
+  const ids = [];
+  bboxRows(bbox, tileSizeMeters).forEach(({ row, fromCol, toCol }) => {
+    for (let col = fromCol; col <= toCol; col++)
+      ids.push(tileIdAt(row, col, tileSizeMeters));
+  });
+  return ids;
+}
+
+// Every tile within `radius` tiles of a tile (including itself). Near a
+// longitude band edge the columns of the next band do not line up exactly, so
+// tiles there are found by extent rather than by column arithmetic.
+function tileDisk(tileId, tileSizeMeters = 50, radius = 1) {
+  const { lat, lng } = tileIdToCentroid(tileId, tileSizeMeters);
+  const { latDeg, lngDeg } = tileSpan(lat, tileSizeMeters);
+  // reach a quarter tile into the outermost tiles, clear of their far edges
+  const reach = radius + 0.25;
+  return tilesInBbox(
+    [
+      lng - reach * lngDeg,
+      lat - reach * latDeg,
+      lng + reach * lngDeg,
+      lat + reach * latDeg,
+    ],
+    tileSizeMeters
+  );
+}
+
+// Tiles exactly `radius` tiles away from a tile (the ring around it)
+function tileRing(tileId, tileSizeMeters = 50, radius = 1) {
+  if (radius <= 0) return [tileId];
+  const inner = new Set(tileDisk(tileId, tileSizeMeters, radius - 1));
+  return tileDisk(tileId, tileSizeMeters, radius).filter((t) => !inner.has(t));
+}
+
+// Tiles sharing an edge or a corner with a tile: 8 inside a longitude band;
+// at a band edge the next row's columns do not line up with the tile's, so
+// fewer of them may touch it (5 to 8 neighbours in all)
+function tileNeighbors(tileId, tileSizeMeters = 50) {
+  const bounds = tileIdToBounds(tileId, tileSizeMeters);
+  const [minLng, minLat, maxLng, maxLat] = bounds;
+  // tile ids are rounded to 6 decimals, so edges only meet within that
+  const eps = 2e-6;
+  return tileRing(tileId, tileSizeMeters, 1).filter((t) => {
+    const [w, s, e, n] = tileIdToBounds(t, tileSizeMeters);
+    return (
+      w <= maxLng + eps &&
+      e >= minLng - eps &&
+      s <= maxLat + eps &&
+      n >= minLat - eps
+    );
+  });
+}
+
+// Tile ids of a point at every pyramid level: { m50, m200, m1000, m5000 }
+function tilePyramid(lat, lng) {
+  const ids = {};
+  TILE_LEVELS.forEach((size) => {
+    ids[`m${size}`] = latLngToTileId(lat, lng, size);
+  });
+  return ids;
+}
+
+// Pyramid level closest (in scale) to a requested tile size
+function nearestTileLevel(tileSizeMeters) {
+  const target = Math.log(Number(tileSizeMeters));
+  return TILE_LEVELS.reduce((best, size) =>
+    Math.abs(Math.log(size) - target) < Math.abs(Math.log(best) - target)
+      ? size
+      : best
+  );
+}
+
+// Number of grid tiles at a given size that a bbox touches
+function countTilesInBbox(bbox, tileSizeMeters) {
+  return bboxRows(bbox, tileSizeMeters).reduce(
+    (n, { fromCol, toCol }) => n + toCol - fromCol + 1,
+    0
+  );
+}
+
+// Finest pyramid level that covers the bbox in at most maxCells tiles, so
+// zoomed-out views return a few hundred cells instead of thousands
+function pickTileLevel(
+  bbox,
+  maxCells = Number(process.env.MAX_TILE_CELLS || 500)
+) {
+  const level = TILE_LEVELS.find(
+    (size) => countTilesInBbox(bbox, size) <= maxCells
+  );
+  return level || TILE_LEVELS[TILE_LEVELS.length - 1];
+}
+
+// Great-circle distance in meters between two [lng, lat] points
+function haversineMeters([lng1, lat1], [lng2, lat2]) {
+  const R = 6371008.8; // mean earth radius in meters
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.min(1, Math.sqrt(a)));
 }
 
-module.exports = { latLngToTileId, tileIdToCentroid };
+module.exports = {
+  METERS_PER_DEGREE,
+  TILE_LEVELS,
+  tileSpan,
+  latLngToTileId,
+  tileIdToOrigin,
+  tileIdToCentroid,
+  tileIdToBounds,
+  tileIdToPolygon,
+  bboxToPolygon,
+  tilesInBbox,
+  tileDisk,
+  tileRing,
+  tileNeighbors,
+  tilePyramid,
+  nearestTileLevel,
+  countTilesInBbox,
+  pickTileLevel,
+  haversineMeters,
+};
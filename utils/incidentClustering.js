@@ -0,0 +1,275 @@
+const mongoose = require("mongoose");
+const Incident = require("../models/Incident");
+const { haversineMeters } = require("./geo");
+const { creditReport } = require("./reputation");
+
+// Groups reports of the same real-world event into incidents.
+//
+// Two reports are compared on distance, incident time, type and the text of
+// their title / description / tags. Reports further apart than
+// INCIDENT_MAX_DISTANCE_M or INCIDENT_MAX_HOURS, or of unrelated types (e.g.
+// a positive experience and a harassment report), never match. A new
+// submitted report joins the incident of its most similar report when the
+// similarity reaches INCIDENT_MIN_SIMILARITY, otherwise it starts a new one.
+
+const DANGER_TYPES = ["incident", "harassment", "safety_concern"];
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
+const WEIGHTS = { space: 0.35, time: 0.25, type: 0.15, text: 0.25 };
+const STOPWORDS = new Set(
+  (
+    "the and for was were with this that from have has had near there their " +
+    "they them then than what when where which while who will would could " +
+    "about after before into onto over under very just some been being " +
+    "here our out his her him she its are not but all any can"
+  ).split(" ")
+);
+
+const limits = () => ({
+  meters: Number(process.env.INCIDENT_MAX_DISTANCE_M || 500),
+  hours: Number(process.env.INCIDENT_MAX_HOURS || 6),
+});
+
+function typeSimilarity(a, b) {
+  if (a === b) return 1;
+  if (DANGER_TYPES.includes(a) && DANGER_TYPES.includes(b)) return 0.5;
+  return 0;
+}
+
+function termFrequencies(report) {
+  const text = [report.title, report.description, ...(report.tags || [])]
+    .join(" ")
+    .toLowerCase();
+  const tf = new Map();
+  text
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t.length > 2 && !STOPWORDS.has(t))
+    .forEach((t) => tf.set(t, (tf.get(t) || 0) + 1));
+  return tf;
+}
+
+// Cosine similarity of the term frequencies of two reports
+function textSimilarity(a, b) {
+  const ta = termFrequencies(a);
+  const tb = termFrequencies(b);
+  let dot = 0;
+  ta.forEach((n, t) => (dot += n * (tb.get(t) || 0)));
+  const norm = (tf) =>
+    Math.sqrt(Array.from(tf.values()).reduce((s, n) => s + n * n, 0));
+  const denom = norm(ta) * norm(tb);
+  return denom > 0 ? dot / denom : 0;
+}
+
+// Similarity of two reports in 0..1 with the distance / time between them
+function reportSimilarity(a, b) {
+  const max = limits();
+  const distanceMeters = haversineMeters(
+    a.location.coordinates,
+    b.location.coordinates
+  );
+  const hoursApart =
+    Math.abs(new Date(a.timestamp) - new Date(b.timestamp)) / 3600000;
+  const type = typeSimilarity(a.type, b.type);
+  const result = {
+    distanceMeters: Math.round(distanceMeters),
+    hoursApart: Number(hoursApart.toFixed(2)),
+  };
+  if (distanceMeters > max.meters || hoursApart > max.hours || type === 0) {
+    return { score: 0, ...result };
+  }
+
+  const score =
+    WEIGHTS.space * (1 - distanceMeters / max.meters) +
+    WEIGHTS.time * (1 - hoursApart / max.hours) +
+    WEIGHTS.type * type +
+    WEIGHTS.text * textSimilarity(a, b);
+  return { score: Number(score.toFixed(4)), ...result };
+}
+
+// Submitted reports close enough in space and time to be the same event,
+// most similar first: [{ report, score, distanceMeters, hoursApart }]
+async function findSimilarReports(report, { limit = 5 } = {}) {
+  const coords = report.location && report.location.coordinates;
+  if (!coords || coords.length !== 2 || !report.timestamp) return [];
+  const Report = mongoose.model("Report");
+  const max = limits();
+  const time = new Date(report.timestamp).getTime();
+
+  const candidates = await Report.find({
+    _id: { $ne: report._id },
+    status: "submitted",
+    location: {
+      $geoWithin: { $centerSphere: [coords, max.meters / 6378137] },
+    },
+    timestamp: {
+      $gte: new Date(time - max.hours * 3600000),
+      $lte: new Date(time + max.hours * 3600000),
+    },
+  }).limit(50);
+
+  return candidates
+    .map((candidate) => ({
+      report: candidate,
+      ...reportSimilarity(report, candidate),
+    }))
+    .filter((s) => s.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// Reporters of the incident's submitted reports gain reputation when another
+// reporter confirms the event. Only signed-in or verified reports corroborate,
+// since anonymous clients can mint any number of anonIds. anonHash changes
+// with every rotation period, so reports of the same user never corroborate
+// each other whatever period they were submitted in.
+const sameReporter = (a, b) =>
+  a.anonHash === b.anonHash ||
+  Boolean(a.user && b.user && String(a.user) === String(b.user));
+
+async function creditCorroboration(submitted) {
+  const corroborators = submitted.filter(
+    (r) => r.anonHash && (r.user || r.verified)
+  );
+  for (const report of submitted) {
+    if (!report.anonHash) continue;
+    if (corroborators.some((c) => !sameReporter(c, report))) {
+      await creditReport(report, "corroborated");
+    }
+  }
+}
+
+// Type, severity, place and time span of a list of reports (earliest first)
+function describeReports(reports) {
+  const mean = (i) =>
+    reports.reduce((s, r) => s + r.location.coordinates[i], 0) / reports.length;
+  return {
+    type: reports[0].type,
+    types: Array.from(new Set(reports.map((r) => r.type))),
+    severity: reports.reduce((best, r) =>
+      (SEVERITY_RANK[r.severity] || 0) > (SEVERITY_RANK[best.severity] || 0)
+        ? r
+        : best
+    ).severity,
+    verified: reports.some((r) => r.verified),
+    location: {
+      type: "Point",
+      coordinates: [mean(0), mean(1)],
+      neighborhood: reports[0].location.neighborhood,
+      city: reports[0].location.city,
+    },
+    firstReportedAt: reports[0].timestamp,
+    lastReportedAt: reports[reports.length - 1].timestamp,
+  };
+}
+
+// Recompute an incident from its member reports: the earliest submitted
+// report becomes primary (the only one counted in aggregates) and the summary
+// is refreshed. The public summary only describes the public submitted
+// reports, and only once there are K_ANON of them. Incidents without members
+// are removed.
+async function refreshIncident(incidentId) {
+  if (!incidentId) return null;
+  const Report = mongoose.model("Report");
+  const members = await Report.find({ incident: incidentId }).sort({
+    timestamp: 1,
+    _id: 1,
+  });
+  if (members.length === 0) {
+    await Incident.deleteOne({ _id: incidentId });
+    return null;
+  }
+
+  const submitted = members.filter((r) => r.status === "submitted");
+  const primary = submitted[0] || members[0];
+  for (const member of members) {
+    const isPrimary = member._id.equals(primary._id);
+    if (member.incidentPrimary !== isPrimary) {
+      member.incidentPrimary = isPrimary;
+      await member.save(); // moves the tile aggregate contribution
+    }
+  }
+
+  await creditCorroboration(submitted);
+
+  const counted = submitted.length > 0 ? submitted : [primary];
+  const published = submitted.filter((r) => r.isPublic);
+  const others = counted.filter((r) => r !== primary);
+  const summary = {
+    primaryReport: primary._id,
+    ...describeReports(counted),
+    reportCount: submitted.length,
+    publicReportCount: published.length,
+    cohesion: others.length
+      ? Number(
+          (
+            others.reduce((s, r) => s + reportSimilarity(primary, r).score, 0) /
+            others.length
+          ).toFixed(4)
+        )
+      : 1,
+  };
+  const update = { $set: summary };
+  if (published.length >= Number(process.env.K_ANON || 3)) {
+    summary.publicSummary = describeReports(published);
+  } else {
+    update.$unset = { publicSummary: 1 };
+  }
+  return Incident.findByIdAndUpdate(incidentId, update, { new: true });
+}
+
+// Put a submitted report into an incident (joining the best match, or a new
+// one) and refresh it. Reports already in an incident are only refreshed.
+// similar: result of findSimilarReports, to avoid querying twice.
+async function assignIncident(report, similar) {
+  if (report.status !== "submitted") return null;
+  if (report.incident) return refreshIncident(report.incident);
+
+  const Report = mongoose.model("Report");
+  const minScore = Number(process.env.INCIDENT_MIN_SIMILARITY || 0.65);
+  const matches = similar || (await findSimilarReports(report));
+  const match = matches.find((s) => s.score >= minScore);
+
+  let incidentId = match && match.report.incident;
+  if (!incidentId) {
+    const incident = await Incident.create({
+      primaryReport: match ? match.report._id : report._id,
+    });
+    incidentId = incident._id;
+    if (match) {
+      // incident membership does not change the match's aggregates yet
+      await Report.updateOne(
+        { _id: match.report._id },
+        { $set: { incident: incidentId } }
+      );
+    }
+  }
+  report.incident = incidentId;
+  report.incidentPrimary = !match;
+  await report.save();
+  return refreshIncident(incidentId);
+}
+
+// Moderator merge: move `report` into the incident of `target` (creating one
+// for the target if needed), whatever their similarity, and refresh both the
+// old and the new incident
+async function mergeIntoIncident(report, target) {
+  if (!target.incident) {
+    const incident = await Incident.create({ primaryReport: target._id });
+    target.incident = incident._id;
+    await target.save();
+  }
+  const previous = report.incident;
+  report.incident = target.incident;
+  await report.save();
+  if (previous && !previous.equals(target.incident)) {
+    await refreshIncident(previous);
+  }
+  return refreshIncident(target.incident);
+}
+
+module.exports = {
+  reportSimilarity,
+  findSimilarReports,
+  assignIncident,
+  refreshIncident,
+  mergeIntoIncident,
+};
@@ -0,0 +1,290 @@
+// Removal of location-revealing metadata (EXIF GPS, XMP, IPTC, comments,
+// QuickTime user data) from uploaded media, without re-encoding: only the
+// metadata blocks are dropped, the image/video data is copied untouched.
+//
+// Supported: JPEG, PNG, GIF, MP4/MOV/M4A, WAV. Other formats (PDF, Word,
+// AVI, WebM, Ogg) are returned unchanged with stripped: false. A file that
+// looks like a supported format but cannot be parsed is rejected, since its
+// metadata could not be removed.
+
+const MALFORMED_MEDIA = "MALFORMED_MEDIA";
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((b, i) => buffer[offset + i] === b);
+
+function detectFormat(buffer) {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return "jpeg";
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+    return "png";
+  if (buffer.toString("latin1", 0, 4) === "GIF8") return "gif";
+  if (
+    buffer.toString("latin1", 0, 4) === "RIFF" &&
+    buffer.toString("latin1", 8, 12) === "WAVE"
+  )
+    return "wav";
+  if (buffer.toString("latin1", 4, 8) === "ftyp") return "mp4";
+  // QuickTime files may start with other top-level atoms
+  if (
+    ["moov", "mdat", "wide", "free"].includes(buffer.toString("latin1", 4, 8))
+  )
+    return "mp4";
+  return null;
+}
+
+// ----- JPEG -----
+
+// EXIF orientation (tag 0x0112 in IFD0) of an APP1 payload, or 1
+function exifOrientation(app1) {
+  if (app1.toString("latin1", 0, 6) !== "Exif\0\0") return 1;
+  const tiff = app1.subarray(6);
+  if (tiff.length < 8) return 1;
+  const le = tiff.toString("latin1", 0, 2) === "II";
+  const u16 = (o) => (le ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+  const u32 = (o) => (le ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+  const ifd = u32(4);
+  if (ifd + 2 > tiff.length) return 1;
+  const count = u16(ifd);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+    if (u16(entry) === 0x0112) return u16(entry + 8);
+  }
+  return 1;
+}
+
+// APP1 segment holding only an orientation tag, so stripped photos still
+// display the right way up
+function orientationSegment(orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write("MM", 0, "latin1");
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4); // IFD0 offset
+  tiff.writeUInt16BE(1, 8); // one entry
+  tiff.writeUInt16BE(0x0112, 10);
+  tiff.writeUInt16BE(3, 12); // SHORT
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt16BE(orientation, 18);
+  tiff.writeUInt32BE(0, 22); // no next IFD
+  const payload = Buffer.concat([Buffer.from("Exif\0\0", "latin1"), tiff]);
+  const header = Buffer.from([0xff, 0xe1, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+}
+
+// Segments kept: JFIF (APP0), ICC colour profiles (APP2) and Adobe colour
+// information (APP14); every other APPn segment and comments are dropped
+function keepJpegSegment(marker, payload) {
+  if (marker === 0xe0) return true;
+  if (marker === 0xe2)
+    return payload.toString("latin1", 0, 12) === "ICC_PROFILE\0";
+  if (marker === 0xee) return payload.toString("latin1", 0, 5) === "Adobe";
+  return !(marker >= 0xe1 && marker <= 0xef) && marker !== 0xfe;
+}
+
+function stripJpeg(buffer) {
+  const parts = [buffer.subarray(0, 2)];
+  let orientation = 1;
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) throw new Error("Malformed JPEG");
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset += 1; // fill byte
+      continue;
+    }
+    // standalone markers carry no length
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      parts.push(buffer.subarray(offset, offset + 2));
+      offset += 2;
+      continue;
+    }
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length) throw new Error("Malformed JPEG");
+    const payload = buffer.subarray(offset + 4, end);
+    if (marker === 0xe1 && orientation === 1) {
+      orientation = exifOrientation(payload);
+    }
+    if (marker === 0xda) {
+      // start of scan: entropy-coded data follows until the end of the file
+      if (orientation !== 1) parts.push(orientationSegment(orientation));
+      parts.push(buffer.subarray(offset));
+      return Buffer.concat(parts);
+    }
+    if (keepJpegSegment(marker, payload)) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+  }
+  throw new Error("Malformed JPEG");
+}
+
+// ----- PNG -----
+
+const PNG_METADATA_CHUNKS = ["tEXt", "zTXt", "iTXt", "eXIf", "tIME"];
+
+function stripPng(buffer) {
+  const parts = [buffer.subarray(0, 8)];
+  let offset = 8;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) throw new Error("Malformed PNG");
+    if (!PNG_METADATA_CHUNKS.includes(type)) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+    if (type === "IEND") return Buffer.concat(parts);
+  }
+  throw new Error("Malformed PNG");
+}
+
+// ----- GIF -----
+
+// Application extensions kept: animation loop settings and ICC profiles
+const GIF_KEPT_APPLICATIONS = ["NETSCAPE2.0", "ANIMEXTS1.0", "ICCRGBG1012"];
+
+// Offset just past a run of GIF data sub-blocks starting at `offset`
+function skipSubBlocks(buffer, offset) {
+  while (offset < buffer.length && buffer[offset] !== 0) {
+    offset += buffer[offset] + 1;
+  }
+  if (offset >= buffer.length) throw new Error("Malformed GIF");
+  return offset + 1;
+}
+
+function stripGif(buffer) {
+  const flags = buffer[10];
+  let offset = 13 + (flags & 0x80 ? 3 * 2 ** ((flags & 0x07) + 1) : 0);
+  const parts = [buffer.subarray(0, offset)];
+  while (offset < buffer.length) {
+    const start = offset;
+    const block = buffer[offset];
+    if (block === 0x3b) {
+      parts.push(buffer.subarray(offset, offset + 1));
+      return Buffer.concat(parts);
+    }
+    if (block === 0x2c) {
+      // image descriptor, optional local colour table, LZW data
+      const local = buffer[offset + 9];
+      offset += 10 + (local & 0x80 ? 3 * 2 ** ((local & 0x07) + 1) : 0);
+      offset = skipSubBlocks(buffer, offset + 1);
+      parts.push(buffer.subarray(start, offset));
+    } else if (block === 0x21) {
+      const label = buffer[offset + 1];
+      offset = skipSubBlocks(buffer, offset + 2);
+      const keep =
+        label === 0xff
+          ? GIF_KEPT_APPLICATIONS.includes(
+              buffer.toString("latin1", start + 3, start + 14)
+            )
+          : label !== 0xfe; // comment extension
+      if (keep) parts.push(buffer.subarray(start, offset));
+    } else {
+      throw new Error("Malformed GIF");
+    }
+  }
+  throw new Error("Malformed GIF");
+}
+
+// ----- MP4 / QuickTime -----
+
+// Boxes searched for metadata, and the boxes blanked inside them. Blanked
+// boxes become zero-filled `free` boxes of the same size, so sample offsets
+// in the rest of the file stay valid.
+const MP4_CONTAINERS = ["moov", "trak", "mdia", "minf"];
+const MP4_METADATA = ["udta", "meta", "uuid"];
+
+function blankMp4Boxes(buffer, start, end, depth = 0) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    let header = 8;
+    if (size === 1) {
+      if (offset + 16 > end) throw new Error("Malformed MP4");
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header || offset + size > end) throw new Error("Malformed MP4");
+
+    if (MP4_METADATA.includes(type)) {
+      buffer.write("free", offset + 4, "latin1");
+      buffer.fill(0, offset + header, offset + size);
+    } else if (MP4_CONTAINERS.includes(type) && depth < 4) {
+      blankMp4Boxes(buffer, offset + header, offset + size, depth + 1);
+    }
+    offset += size;
+  }
+}
+
+function stripMp4(buffer) {
+  const copy = Buffer.from(buffer);
+  blankMp4Boxes(copy, 0, copy.length);
+  return copy;
+}
+
+// ----- WAV -----
+
+// RIFF chunks with tags, broadcast/recorder info or XMP
+const WAV_METADATA_CHUNKS = ["LIST", "id3 ", "ID3 ", "bext", "iXML", "_PMX"];
+
+function stripWav(buffer) {
+  const parts = [];
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString("latin1", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const overruns = offset + 8 + size > buffer.length;
+    if (overruns && id !== "data") throw new Error("Malformed WAV");
+    // chunks are padded to an even length; recorders that stream leave the
+    // data size at 0 or too large, so data then runs to the end of the file
+    const end =
+      id === "data" && (size === 0 || overruns)
+        ? buffer.length
+        : Math.min(offset + 8 + size + (size % 2), buffer.length);
+    if (!WAV_METADATA_CHUNKS.includes(id)) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+  }
+  const body = Buffer.concat(parts);
+  const header = Buffer.from(buffer.subarray(0, 12));
+  header.writeUInt32LE(body.length + 4, 4);
+  return Buffer.concat([header, body]);
+}
+
+const STRIPPERS = {
+  jpeg: stripJpeg,
+  png: stripPng,
+  gif: stripGif,
+  mp4: stripMp4,
+  wav: stripWav,
+};
+
+// Public copy of an upload: { buffer, format, stripped }. `buffer` is the
+// input itself when nothing was removed. Throws an error with code
+// MALFORMED_MEDIA when a supported format cannot be parsed.
+function stripMetadata(buffer) {
+  const format = detectFormat(buffer);
+  if (!format) return { buffer, format: null, stripped: false };
+  let clean;
+  try {
+    clean = STRIPPERS[format](buffer);
+  } catch (err) {
+    const error = new Error(`Malformed ${format.toUpperCase()} file`);
+    error.code = MALFORMED_MEDIA;
+    error.format = format;
+    throw error;
+  }
+  return {
+    buffer: clean.equals(buffer) ? buffer : clean,
+    format,
+    stripped: true,
+  };
+}
+
+module.exports = { stripMetadata, MALFORMED_MEDIA };
@@ -0,0 +1,173 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// Cursor pagination for list endpoints. A page is read with ?limit= (capped)
+// and ?cursor= (opaque, from the previous page's nextCursor); ?total=true adds
+// a count of everything the filters match. Every list answers
+//   { items, nextCursor, total? }
+// with nextCursor null on the last page.
+//
+// Pages are keyset ranges over the sort keys, which always end in _id, so
+// documents added or removed while paging never shift a page or repeat items.
+// A cursor holds the last item's sort values, which may be more exact than
+// the item as served (public report times are rounded to the hour), so it is
+// sealed with AES-256-GCM under CURSOR_SECRET (or JWT_SECRET): callers can
+// neither read nor alter it.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+if (!process.env.CURSOR_SECRET && !process.env.JWT_SECRET) {
+  throw new Error("CURSOR_SECRET (or JWT_SECRET) must be set");
+}
+
+const cursorKey = () =>
+  crypto
+    .createHmac("sha256", process.env.CURSOR_SECRET || process.env.JWT_SECRET)
+    .update("pagination-cursor")
+    .digest();
+
+// base64url of iv, auth tag and ciphertext
+function seal(text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", cursorKey(), iv);
+  const sealed = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), sealed]).toString("base64url");
+}
+
+// Text of a sealed cursor; throws when it was altered or not sealed here
+function unseal(cursor) {
+  const data = Buffer.from(String(cursor), "base64url");
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    cursorKey(),
+    data.subarray(0, 12)
+  );
+  decipher.setAuthTag(data.subarray(12, 28));
+  return Buffer.concat([
+    decipher.update(data.subarray(28)),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+const signature = (sort) =>
+  Object.entries(sort)
+    .map(([key, dir]) => `${key}:${dir}`)
+    .join(",");
+
+function encodeValue(value) {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: String(value) };
+  return value === undefined ? null : value;
+}
+
+function decodeValue(value) {
+  if (value && typeof value === "object") {
+    if (typeof value.d === "string") {
+      const date = new Date(value.d);
+      if (Number.isNaN(date.getTime())) throw new Error("bad date");
+      return date;
+    }
+    if (typeof value.o === "string" && mongoose.isValidObjectId(value.o)) {
+      return new mongoose.Types.ObjectId(value.o);
+    }
+    throw new Error("bad value");
+  }
+  return value;
+}
+
+// Value at a dotted path of a Mongoose document or a plain (aggregate) object
+function valueAt(doc, path) {
+  if (doc && typeof doc.get === "function" && doc.$__) return doc.get(path);
+  return path.split(".").reduce((v, key) => (v == null ? v : v[key]), doc);
+}
+
+function encodeCursor(sort, doc) {
+  const values = Object.keys(sort).map((key) => encodeValue(valueAt(doc, key)));
+  return seal(JSON.stringify({ s: signature(sort), v: values }));
+}
+
+// Sort-key values stored in a cursor, or null when it is malformed, was
+// tampered with or was made for a different sort order
+function decodeCursor(cursor, sort) {
+  try {
+    const { s, v } = JSON.parse(unseal(cursor));
+    if (s !== signature(sort) || !Array.isArray(v)) return null;
+    if (v.length !== Object.keys(sort).length) return null;
+    return v.map(decodeValue);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Filter for the documents after `values` in `sort` order. Missing values
+// sort first, as in Mongo.
+function afterFilter(sort, values) {
+  const keys = Object.keys(sort);
+  const clauses = [];
+  keys.forEach((key, i) => {
+    const value = values[i];
+    let after;
+    if (value === null) {
+      if (sort[key] < 0) return;
+      after = { $ne: null };
+    } else {
+      after = sort[key] < 0 ? { $lt: value } : { $gt: value };
+    }
+    const clause = {};
+    keys.slice(0, i).forEach((prev, j) => {
+      clause[prev] = values[j];
+    });
+    clause[key] = after;
+    clauses.push(clause);
+  });
+  return { $or: clauses };
+}
+
+// Read limit, cursor and total from query parameters for a list sorted by
+// `sort` (_id is added as the tie-breaker). Returns
+// { sort, limit, after, withTotal }, or null when the cursor is invalid.
+function parsePage(
+  query,
+  sort,
+  { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}
+) {
+  const keys = { ...sort };
+  if (!keys._id) keys._id = Object.values(sort).pop() || -1;
+
+  const limit = Math.min(
+    maxLimit,
+    Math.max(1, Math.floor(Number(query.limit)) || defaultLimit)
+  );
+
+  let after = null;
+  if (query.cursor) {
+    const values = decodeCursor(query.cursor, keys);
+    if (!values) return null;
+    after = afterFilter(keys, values);
+  }
+
+  return { sort: keys, limit, after, withTotal: query.total === "true" };
+}
+
+// Narrow a Mongoose query to the page; it reads one extra document so
+// pageOf can tell whether another page follows
+function paginate(query, page) {
+  if (page.after) query.and([page.after]);
+  return query.sort(page.sort).limit(page.limit + 1);
+}
+
+// The list envelope for documents read with paginate (or an aggregate doing
+// the same). `serialize` maps the page's documents, `count` resolves the total.
+async function pageOf(page, docs, { serialize, count } = {}) {
+  const more = docs.length > page.limit;
+  const rows = more ? docs.slice(0, page.limit) : docs;
+  const result = {
+    items: serialize ? await serialize(rows) : rows,
+    nextCursor: more ? encodeCursor(page.sort, rows[rows.length - 1]) : null,
+  };
+  if (page.withTotal && count) result.total = await count();
+  return result;
+}
+
+module.exports = { parsePage, paginate, pageOf, DEFAULT_LIMIT, MAX_LIMIT };
@@ -0,0 +1,146 @@
+const mongoose = require("mongoose");
+const { csvLine } = require("./csv");
+const { parseSearch } = require("./reportSearch");
+const { publicLocation } = require("./reportViews");
+
+// Export of report datasets (GET /api/reports/bulk/export,
+// scripts/export_reports.js), streamed as CSV, GeoJSON or NDJSON. Filters are
+// the report search ones (q, type, severity, tags, neighborhood, city, from,
+// to, bbox, near + radius). Records are scrubbed like public report reads: no
+// reporter, pseudonym, evidence or address, the public location instead of the
+// exact one, and the incident time to the hour.
+//   scope=public - published reports, with their text (default)
+//   scope=all    - every submitted report that was not rejected; reports
+//                  their reporters did not publish come without title,
+//                  description and tags
+
+const EXPORT_STATUSES = ["submitted", "under_review", "resolved"];
+const COLUMNS = [
+  "id",
+  "type",
+  "severity",
+  "title",
+  "description",
+  "tags",
+  "timestamp",
+  "latitude",
+  "longitude",
+  "precisionMeters",
+  "neighborhood",
+  "city",
+  "lightingFlag",
+  "verified",
+  "incident",
+];
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  geojson: "application/geo+json",
+  ndjson: "application/x-ndjson",
+};
+
+// Export query parameters as { match, format, shown }, or { status, message }.
+// `viewer` must be a moderator for scope=all. Pass the result through
+// narrowToShown (utils/reportSearch.js) before exporting.
+function parseExport(params, viewer) {
+  const format = params.format || "csv";
+  if (!CONTENT_TYPES[format]) {
+    return { status: 400, message: "format must be csv, geojson or ndjson" };
+  }
+  const scope = params.scope || "public";
+  if (!["public", "all"].includes(scope)) {
+    return { status: 400, message: "scope must be public or all" };
+  }
+
+  const search = parseSearch({ ...params, scope, sort: "recent" }, viewer);
+  if (search.message) return search;
+  if (scope === "all") search.match.status = { $in: EXPORT_STATUSES };
+  return { match: search.match, format, shown: search.shown };
+}
+
+// Scrubbed flat record of a report
+function exportRecord(report) {
+  const published = report.isPublic && report.status === "submitted";
+  const location = publicLocation(report);
+  const [longitude, latitude] = location.coordinates || [];
+  let timestamp = null;
+  if (report.timestamp) {
+    timestamp = new Date(report.timestamp);
+    timestamp.setUTCMinutes(0, 0, 0);
+  }
+  return {
+    id: String(report._id),
+    type: report.type,
+    severity: report.severity,
+    title: published ? report.title : null,
+    description: published ? report.description : null,
+    tags: published ? report.tags || [] : [],
+    timestamp,
+    latitude: latitude === undefined ? null : latitude,
+    longitude: longitude === undefined ? null : longitude,
+    precisionMeters: location.precisionMeters || null,
+    neighborhood: location.neighborhood || null,
+    city: location.city || null,
+    lightingFlag: report.lightingFlag || "unknown",
+    verified: Boolean(report.verified),
+    incident: report.incident ? String(report.incident) : null,
+  };
+}
+
+function feature(record) {
+  const { latitude, longitude, ...properties } = record;
+  return {
+    type: "Feature",
+    id: record.id,
+    geometry:
+      latitude === null
+        ? null
+        : { type: "Point", coordinates: [longitude, latitude] },
+    properties,
+  };
+}
+
+// Lean reports matching an export filter, oldest incident first
+function exportCursor(match) {
+  return mongoose
+    .model("Report")
+    .find(match)
+    .sort({ timestamp: 1, _id: 1 })
+    .select(
+      "type severity title description tags timestamp location lightingFlag verified incident isPublic status"
+    )
+    .lean()
+    .cursor({ batchSize: 500 });
+}
+
+// Chunks of the export file for `reports` (any async iterable of reports)
+async function* exportChunks(reports, format) {
+  if (format === "csv") yield csvLine(COLUMNS);
+  if (format === "geojson") yield '{"type":"FeatureCollection","features":[\n';
+
+  let first = true;
+  for await (const report of reports) {
+    const record = exportRecord(report);
+    if (format === "csv") {
+      yield csvLine(
+        COLUMNS.map((column) =>
+          column === "tags" ? record.tags.join(";") : record[column]
+        )
+      );
+    } else if (format === "geojson") {
+      yield `${first ? "" : ",\n"}${JSON.stringify(feature(record))}`;
+    } else {
+      yield `${JSON.stringify(record)}\n`;
+    }
+    first = false;
+  }
+
+  if (format === "geojson") yield "\n]}\n";
+}
+
+module.exports = {
+  CONTENT_TYPES,
+  parseExport,
+  exportRecord,
+  exportCursor,
+  exportChunks,
+};
@@ -0,0 +1,362 @@
+const mongoose = require("mongoose");
+const { parseCsv } = require("./csv");
+const { appendChain, contentHash } = require("./evidenceChain");
+const { setReportLocation, setReportTime } = require("./reportSubmission");
+const { countReports } = require("./tileAggregates");
+
+// Bulk import of report datasets, e.g. from partner NGOs
+// (POST /api/reports/bulk/import, scripts/import_reports.js). Rows are read
+// from CSV (with a header row), GeoJSON (Point features, properties as
+// columns) or NDJSON, mapped onto report fields, validated and stored as
+// submitted anonymous reports tagged with their source. Rows already imported
+// from the same source (by externalId) are skipped, so a corrected file can be
+// imported again; a unique index keeps that true for imports running at the
+// same time. Imported reports are not clustered into incidents; run
+// scripts/cluster_incidents.js afterwards.
+
+const FORMATS = ["csv", "geojson", "ndjson"];
+const TYPES = [
+  "incident",
+  "harassment",
+  "safety_concern",
+  "positive_experience",
+  "tip",
+];
+const SEVERITIES = ["low", "medium", "high", "critical"];
+const LIGHTING = ["dark", "normal", "unknown"];
+
+// Report fields a row can provide, and the columns they are read from unless
+// the mapping names another
+const FIELDS = {
+  externalId: ["externalId", "id"],
+  title: ["title"],
+  description: ["description"],
+  type: ["type"],
+  severity: ["severity"],
+  timestamp: ["timestamp"],
+  latitude: ["latitude", "lat"],
+  longitude: ["longitude", "lng", "lon"],
+  address: ["address"],
+  neighborhood: ["neighborhood"],
+  city: ["city"],
+  tags: ["tags"],
+  lightingFlag: ["lightingFlag", "lighting"],
+};
+// Row errors listed in a result (all of them are counted)
+const MAX_ERRORS = 100;
+const PREVIEW_ROWS = 5;
+const BATCH = 200;
+
+// Format from an explicit name or the file extension
+function formatOf(format, filename = "") {
+  if (format) return FORMATS.includes(format) ? format : null;
+  const ext = filename.toLowerCase().split(".").pop();
+  if (ext === "csv") return "csv";
+  if (ext === "geojson" || ext === "json") return "geojson";
+  if (ext === "ndjson" || ext === "jsonl") return "ndjson";
+  return null;
+}
+
+// Rows of a file as { records: [{ row, values }], errors: [{ row, message }] }
+// with rows numbered as a person reading the file would (CSV data from line
+// 2, GeoJSON features from 1); throws when the file cannot be read at all
+function readRecords(text, format) {
+  const records = [];
+  const errors = [];
+
+  if (format === "csv") {
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map((name) => name.trim());
+    rows.forEach((cells, i) => {
+      const values = {};
+      columns.forEach((name, j) => {
+        values[name] = cells[j];
+      });
+      records.push({ row: i + 2, values });
+    });
+  } else if (format === "geojson") {
+    const json = JSON.parse(text);
+    const features = json.type === "FeatureCollection" ? json.features : [json];
+    if (!Array.isArray(features)) throw new Error("No features");
+    features.forEach((feature, i) => {
+      const geometry = feature && feature.geometry;
+      if (!geometry || geometry.type !== "Point") {
+        errors.push({
+          row: i + 1,
+          message: "Only Point features are imported",
+        });
+        return;
+      }
+      const [longitude, latitude] = geometry.coordinates || [];
+      records.push({
+        row: i + 1,
+        values: {
+          ...(feature.id !== undefined ? { id: feature.id } : {}),
+          ...feature.properties,
+          longitude,
+          latitude,
+        },
+      });
+    });
+  } else {
+    text.split(/\r?\n/).forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        const values = JSON.parse(line);
+        if (!values || typeof values !== "object" || Array.isArray(values)) {
+          throw new Error("not an object");
+        }
+        records.push({ row: i + 1, values });
+      } catch (error) {
+        errors.push({ row: i + 1, message: "Line is not a JSON object" });
+      }
+    });
+  }
+  return { records, errors };
+}
+
+// Column a field is read from: the mapped one, else the first default
+// column present in the record (case-insensitive)
+function columnFor(field, mapping, values) {
+  if (mapping[field]) return mapping[field];
+  const names = Object.keys(values);
+  for (const candidate of FIELDS[field]) {
+    const found = names.find(
+      (name) => name.toLowerCase() === candidate.toLowerCase()
+    );
+    if (found) return found;
+  }
+  return null;
+}
+
+// "Safety Concern" -> "safety_concern"
+const enumValue = (value) =>
+  String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+
+// Build an (unsaved) report from a record: { report, externalId, errors }
+function reportFromRecord(values, { mapping, defaults }) {
+  const Report = mongoose.model("Report");
+  const errors = [];
+  const get = (field) => {
+    const column = columnFor(field, mapping, values);
+    const value = column ? values[column] : undefined;
+    const blank =
+      value === undefined ||
+      value === null ||
+      (typeof value === "string" && !value.trim());
+    if (!blank) return typeof value === "string" ? value.trim() : value;
+    return defaults[field];
+  };
+  const fail = (field, message) => errors.push({ field, message });
+
+  const title = String(get("title") || "");
+  if (title.length < 5 || title.length > 100) {
+    fail("title", "Title must be between 5 and 100 characters");
+  }
+  const description = String(get("description") || "");
+  if (description.length < 10 || description.length > 1000) {
+    fail("description", "Description must be between 10 and 1000 characters");
+  }
+  const type = get("type") && enumValue(get("type"));
+  if (!TYPES.includes(type)) fail("type", "Invalid report type");
+  const severity = enumValue(get("severity") || "medium");
+  if (!SEVERITIES.includes(severity)) {
+    fail("severity", "Invalid severity level");
+  }
+  const lightingFlag = enumValue(get("lightingFlag") || "unknown");
+  if (!LIGHTING.includes(lightingFlag)) {
+    fail("lightingFlag", "Lighting must be dark, normal or unknown");
+  }
+
+  const lat = Number(get("latitude"));
+  const lng = Number(get("longitude"));
+  const hasLocation =
+    get("latitude") !== undefined && get("longitude") !== undefined;
+  if (!hasLocation || !(Math.abs(lat) <= 90 && Math.abs(lng) <= 180)) {
+    fail("location", "Latitude and longitude are required and must be valid");
+  }
+
+  const rawTime = get("timestamp");
+  const timestamp = rawTime !== undefined ? new Date(rawTime) : null;
+  if (!timestamp || Number.isNaN(timestamp.getTime())) {
+    fail("timestamp", "Timestamp is required and must be a date");
+  } else if (timestamp > new Date()) {
+    fail("timestamp", "Timestamp cannot be in the future");
+  }
+
+  const rawTags = get("tags");
+  const tags = (
+    Array.isArray(rawTags) ? rawTags : String(rawTags || "").split(/[;,|]/)
+  )
+    .map((tag) => String(tag).trim().toLowerCase())
+    .filter(Boolean);
+
+  const externalId = get("externalId");
+  if (errors.length) return { report: null, externalId, errors };
+
+  const report = new Report({
+    type,
+    title,
+    description,
+    severity,
+    lightingFlag,
+    tags,
+    status: "submitted",
+    isAnonymous: true,
+    location: {
+      address: get("address"),
+      neighborhood: get("neighborhood"),
+      city: get("city"),
+    },
+  });
+  setReportLocation(report, [lng, lat]);
+  setReportTime(report, timestamp);
+  return {
+    report,
+    externalId: externalId === undefined ? undefined : String(externalId),
+    errors,
+  };
+}
+
+// Import the text of a dataset file. Options: format (csv | geojson |
+// ndjson), mapping ({ field: column }), defaults ({ field: value } for blank
+// cells), source (required name of where the data comes from), isPublic,
+// dryRun (validate and preview only), importedBy (user id), maxRows.
+// Resolves { error } for unusable input, else the import summary.
+async function importReports(text, options) {
+  const {
+    format,
+    mapping = {},
+    defaults = {},
+    source,
+    isPublic = false,
+    dryRun = false,
+    importedBy,
+    maxRows = Number(process.env.IMPORT_MAX_ROWS || 10000),
+  } = options;
+  const Report = mongoose.model("Report");
+
+  if (!FORMATS.includes(format)) {
+    return { error: `format must be one of ${FORMATS.join(", ")}` };
+  }
+  if (!source || !String(source).trim()) {
+    return { error: "source is required" };
+  }
+  const unknown = Object.keys({ ...mapping, ...defaults }).filter(
+    (field) => !FIELDS[field]
+  );
+  if (unknown.length) {
+    return { error: `Unknown report fields: ${unknown.join(", ")}` };
+  }
+
+  let read;
+  try {
+    read = readRecords(text, format);
+  } catch (error) {
+    return { error: `Could not read the ${format} file: ${error.message}` };
+  }
+  const rowCount = read.records.length + read.errors.length;
+  if (rowCount > maxRows) {
+    return { error: `At most ${maxRows} rows can be imported at once` };
+  }
+
+  const errors = [...read.errors];
+  const valid = [];
+  const seen = new Set();
+  read.records.forEach(({ row, values }) => {
+    const built = reportFromRecord(values, { mapping, defaults });
+    built.errors.forEach((e) => errors.push({ row, ...e }));
+    if (!built.report) return;
+    if (built.externalId !== undefined) {
+      if (seen.has(built.externalId)) {
+        errors.push({
+          row,
+          field: "externalId",
+          message: "externalId repeats an earlier row",
+        });
+        return;
+      }
+      seen.add(built.externalId);
+    }
+    valid.push({ row, ...built });
+  });
+
+  // rows imported from this source before
+  const existing = new Set(
+    seen.size
+      ? await Report.find({
+          "importSource.name": source,
+          "importSource.externalId": { $in: Array.from(seen) },
+        }).distinct("importSource.externalId")
+      : []
+  );
+  const fresh = valid.filter(({ externalId }) => !existing.has(externalId));
+
+  const result = {
+    format,
+    source,
+    dryRun,
+    rows: rowCount,
+    valid: valid.length,
+    duplicates: valid.length - fresh.length,
+    imported: 0,
+    errorCount: errors.length,
+    errors: errors.slice(0, MAX_ERRORS),
+  };
+
+  if (dryRun) {
+    result.preview = fresh.slice(0, PREVIEW_ROWS).map(({ row, report }) => ({
+      row,
+      report: report.toObject(),
+    }));
+    return result;
+  }
+
+  const importedAt = new Date();
+  for (let i = 0; i < fresh.length; i += BATCH) {
+    const batch = fresh.slice(i, i + BATCH).map(({ report, externalId }) => {
+      report.set({
+        isPublic: Boolean(isPublic),
+        submittedAt: importedAt,
+        importSource: { name: source, externalId, importedAt, importedBy },
+      });
+      return report;
+    });
+    // tile pyramid and aggregates follow through the Report model hooks
+    let inserted;
+    try {
+      // unordered, so a row stored meanwhile does not stop the others
+      inserted = await Report.insertMany(batch, { ordered: false });
+    } catch (error) {
+      // rows a concurrent import of the source stored first break the unique
+      // importSource index: they are duplicates, not failures
+      const writeErrors = error.writeErrors || [];
+      if (
+        !writeErrors.length ||
+        writeErrors.some((e) => (e.err || e).code !== 11000)
+      ) {
+        throw error;
+      }
+      inserted = error.insertedDocs || [];
+      result.duplicates += writeErrors.length;
+      // the model's insertMany hook does not run when insertMany throws
+      await countReports(inserted).catch((err) =>
+        console.error("Tile aggregate sync error:", err)
+      );
+    }
+    for (const report of inserted) {
+      await appendChain(report, "created", "system", {
+        status: report.status,
+        source,
+        contentHash: contentHash(report),
+      });
+    }
+    result.imported += inserted.length;
+  }
+  return result;
+}
+
+module.exports = { FORMATS, formatOf, importReports };
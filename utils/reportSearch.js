@@ -0,0 +1,340 @@
+const mongoose = require("mongoose");
+const { MODERATOR_ROLES } = require("../middleware/auth");
+const {
+  TILE_LEVELS,
+  bboxToPolygon,
+  countTilesInBbox,
+  haversineMeters,
+  tileIdToCentroid,
+  tilesInBbox,
+  METERS_PER_DEGREE,
+} = require("./geo");
+const { REPORT_TIMEZONE } = require("./time");
+const { parsePage } = require("./pagination");
+const { publicLocation } = require("./reportViews");
+
+// Report search (GET /api/reports/search): the report_text index for `q`,
+// filters, and facet counts over everything matched. What can be searched
+// depends on who asks:
+//   public - published reports; location filters work on the tiles reports
+//            are shown in (PUBLIC_LOCATION_TILE_M), or with
+//            PUBLIC_LOCATION_MODE=jitter on the jittered points, and time
+//            filters on whole hours, so narrowing a filter never reveals more
+//            than the public report does. Facet buckets under K_ANON are
+//            left out.
+//   mine   - the caller's own reports, drafts included, by exact location
+//   all    - moderators: every submitted report, by exact location
+// Results are serialised per audience like every other report read.
+
+const TYPES = [
+  "incident",
+  "harassment",
+  "safety_concern",
+  "positive_experience",
+  "tip",
+];
+const SEVERITIES = ["low", "medium", "high", "critical"];
+const MAX_RADIUS_M = 50000;
+// Most tiles a public location filter may list
+const MAX_FILTER_TILES = 2000;
+const NEIGHBORHOOD_FACETS = 20;
+// Most reports a jittered public location filter checks one by one
+const MAX_SHOWN_CANDIDATES = 5000;
+
+const list = (value) =>
+  String(value)
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+// Mongo filter for the tiles (at public precision) a bbox touches, keeping
+// those whose centre passes `keep`; null when the area is too large
+function publicTileFilter(bbox, keep = () => true) {
+  const floor = Number(process.env.PUBLIC_LOCATION_TILE_M || 200);
+  const level = TILE_LEVELS.filter((size) => size >= floor).find(
+    (size) => countTilesInBbox(bbox, size) <= MAX_FILTER_TILES
+  );
+  if (!level) return null;
+  const tiles = tilesInBbox(bbox, level);
+  const kept = tiles.filter((id) => {
+    const { lat, lng } = tileIdToCentroid(id, level);
+    return keep([lng, lat]);
+  });
+  // a radius smaller than a tile still finds the tiles it touches
+  return { [`tilePyramid.m${level}`]: { $in: kept.length ? kept : tiles } };
+}
+
+// A bbox grown by `meters` on every side
+function padBbox([minLng, minLat, maxLng, maxLat], meters) {
+  const dLat = meters / METERS_PER_DEGREE;
+  const maxAbsLat = Math.min(89, Math.max(Math.abs(minLat), Math.abs(maxLat)));
+  const dLng = dLat / Math.cos((maxAbsLat * Math.PI) / 180);
+  return [minLng - dLng, minLat - dLat, maxLng + dLng, maxLat + dLat];
+}
+
+// Public location filter for a bbox (and a `keep` test on points in it). In
+// jitter mode a report's true tile would undo the jitter, so the filter
+// takes every tile a report shown in the area could come from and `shown`
+// checks the jittered point itself (see narrowToShown).
+function publicAreaFilter(bbox, keep) {
+  if (process.env.PUBLIC_LOCATION_MODE !== "jitter") {
+    const tiles = publicTileFilter(bbox, keep);
+    return tiles && { tiles };
+  }
+  const jitterMeters = Number(process.env.PUBLIC_JITTER_M || 200);
+  const tiles = publicTileFilter(padBbox(bbox, jitterMeters));
+  return (
+    tiles && {
+      tiles,
+      shown: ([lng, lat]) =>
+        lng >= bbox[0] &&
+        lng <= bbox[2] &&
+        lat >= bbox[1] &&
+        lat <= bbox[3] &&
+        keep([lng, lat]),
+    }
+  );
+}
+
+// Public location filter for the reports within `radius` meters of a
+// [lng, lat] centre (see publicAreaFilter); null when the area is too large
+function publicNearFilter(center, radius) {
+  const dLat = radius / METERS_PER_DEGREE;
+  const dLng = dLat / Math.cos((center[1] * Math.PI) / 180);
+  return publicAreaFilter(
+    [center[0] - dLng, center[1] - dLat, center[0] + dLng, center[1] + dLat],
+    (point) => haversineMeters(center, point) <= radius
+  );
+}
+
+const startOfHour = (date) => {
+  const hour = new Date(date);
+  hour.setUTCMinutes(0, 0, 0);
+  return hour;
+};
+
+// Turn search query parameters into { match, page, scope, shown } (page from
+// parsePage, `shown` for narrowToShown), or { status, message } when they
+// are invalid or not allowed for the viewer
+function parseSearch(params, viewer) {
+  const scope = params.scope || "public";
+  const match = {};
+  let shown;
+
+  if (scope === "public") {
+    match.isPublic = true;
+    match.status = "submitted";
+  } else if (scope === "mine") {
+    if (!viewer) {
+      return { status: 401, message: "Sign in to search your reports" };
+    }
+    match.user = new mongoose.Types.ObjectId(viewer.id);
+  } else if (scope === "all") {
+    if (!viewer || !MODERATOR_ROLES.includes(viewer.role)) {
+      return { status: 403, message: "Only moderators can search all reports" };
+    }
+    match.status = { $ne: "draft" };
+  } else {
+    return { status: 400, message: "scope must be public, mine or all" };
+  }
+  const exact = scope !== "public";
+
+  if (params.q) {
+    match.$text = { $search: String(params.q).slice(0, 200) };
+  }
+  if (params.type) {
+    const types = list(params.type);
+    if (types.some((t) => !TYPES.includes(t))) {
+      return { status: 400, message: "Invalid report type" };
+    }
+    match.type = { $in: types };
+  }
+  if (params.severity) {
+    const severities = list(params.severity);
+    if (severities.some((s) => !SEVERITIES.includes(s))) {
+      return { status: 400, message: "Invalid severity level" };
+    }
+    match.severity = { $in: severities };
+  }
+  if (params.tags) match.tags = { $all: list(params.tags) };
+  if (params.neighborhood) {
+    match["location.neighborhood"] = String(params.neighborhood);
+  }
+  if (params.city) match["location.city"] = String(params.city);
+  if (scope === "mine" && params.status) match.status = String(params.status);
+
+  // incident time range
+  if (params.from || params.to) {
+    const from = params.from && new Date(params.from);
+    const to = params.to && new Date(params.to);
+    if ([from, to].some((d) => d && Number.isNaN(d.getTime()))) {
+      return { status: 400, message: "from and to must be dates" };
+    }
+    match.timestamp = {};
+    if (exact) {
+      if (from) match.timestamp.$gte = from;
+      if (to) match.timestamp.$lte = to;
+    } else {
+      // public times are shown to the hour: match whole hours only
+      if (from) match.timestamp.$gte = startOfHour(from);
+      if (to)
+        match.timestamp.$lt = new Date(startOfHour(to).getTime() + 3600000);
+    }
+  }
+
+  if (params.bbox) {
+    const bbox = String(params.bbox).split(",").map(Number);
+    if (bbox.length !== 4 || bbox.some(Number.isNaN)) {
+      return { status: 400, message: "bbox must be 4 numbers" };
+    }
+    if (exact) {
+      match.location = { $geoWithin: { $geometry: bboxToPolygon(bbox) } };
+    } else {
+      const area = publicAreaFilter(bbox, () => true);
+      if (!area) return { status: 400, message: "bbox is too large" };
+      Object.assign(match, area.tiles);
+      shown = area.shown;
+    }
+  } else if (params.near) {
+    const center = String(params.near).split(",").map(Number);
+    const radius = Number(params.radius || 1000);
+    if (center.length !== 2 || center.some(Number.isNaN)) {
+      return { status: 400, message: "near must be lng,lat" };
+    }
+    if (!(radius > 0 && radius <= MAX_RADIUS_M)) {
+      return {
+        status: 400,
+        message: `radius must be between 0 and ${MAX_RADIUS_M} meters`,
+      };
+    }
+    if (exact) {
+      match.location = {
+        $geoWithin: { $centerSphere: [center, radius / 6378137] },
+      };
+    } else {
+      const area = publicNearFilter(center, radius);
+      if (!area) return { status: 400, message: "radius is too large" };
+      Object.assign(match, area.tiles);
+      shown = area.shown;
+    }
+  }
+
+  const sortBy = params.sort || (params.q ? "relevance" : "recent");
+  if (!["relevance", "recent"].includes(sortBy)) {
+    return { status: 400, message: "sort must be relevance or recent" };
+  }
+  if (sortBy === "relevance" && !params.q) {
+    return { status: 400, message: "Sorting by relevance needs q" };
+  }
+
+  const page = parsePage(
+    params,
+    sortBy === "relevance"
+      ? { score: -1, timestamp: -1, _id: -1 }
+      : { timestamp: -1, _id: -1 },
+    { maxLimit: 50 }
+  );
+  if (!page) return { status: 400, message: "Invalid cursor" };
+
+  return { match, page, scope, shown };
+}
+
+// Finish a jittered public location filter: keep the reports in the
+// candidate tiles whose jittered point passes `shown`. Returns the search
+// with an _id filter, unchanged without `shown`, or { status, message } when
+// the area holds too many reports to check.
+async function narrowToShown(search) {
+  if (!search.shown) return search;
+  const Report = mongoose.model("Report");
+  const candidates = await Report.find(search.match)
+    .select("location.coordinates")
+    .limit(MAX_SHOWN_CANDIDATES + 1)
+    .lean();
+  if (candidates.length > MAX_SHOWN_CANDIDATES) {
+    return {
+      status: 400,
+      message: "Too many reports in this area, narrow the search",
+    };
+  }
+  const ids = candidates
+    .filter((report) => {
+      const { coordinates } = publicLocation(report);
+      return coordinates && search.shown(coordinates);
+    })
+    .map((report) => report._id);
+  return {
+    ...search,
+    match: { ...search.match, _id: { $in: ids } },
+    shown: undefined,
+  };
+}
+
+const facetCounts = (field) => [
+  { $group: { _id: field, count: { $sum: 1 } } },
+  { $match: { _id: { $ne: null } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, value: "$_id", count: 1 } },
+];
+
+// Run a parsed search: { reports, total, facets } with raw report documents
+// (users populated) for the caller to serialise. reports holds one more than
+// the page when another page follows, for pageOf.
+async function runSearch({ match, page, scope }) {
+  const Report = mongoose.model("Report");
+  const [result] = await Report.aggregate([
+    { $match: match },
+    ...(match.$text ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+    {
+      $facet: {
+        reports: [
+          // after $addFields, as the cursor may hold a text score
+          ...(page.after ? [{ $match: page.after }] : []),
+          { $sort: page.sort },
+          { $limit: page.limit + 1 },
+        ],
+        total: [{ $count: "count" }],
+        type: facetCounts("$type"),
+        severity: facetCounts("$severity"),
+        neighborhood: [
+          ...facetCounts("$location.neighborhood"),
+          { $limit: NEIGHBORHOOD_FACETS },
+        ],
+        month: facetCounts({
+          $dateToString: {
+            format: "%Y-%m",
+            date: "$timestamp",
+            timezone: REPORT_TIMEZONE,
+          },
+        }),
+      },
+    },
+  ]);
+
+  const reports = await Report.populate(result.reports, {
+    path: "user",
+    select: "name profile.avatar",
+  });
+  const total = result.total.length ? result.total[0].count : 0;
+  const kAnon = scope === "public" ? Number(process.env.K_ANON || 3) : 0;
+  const shown = (buckets) => buckets.filter(({ count }) => count >= kAnon);
+  return {
+    reports,
+    total,
+    facets: {
+      type: shown(result.type),
+      severity: shown(result.severity),
+      neighborhood: shown(result.neighborhood),
+      // chronological rather than by count
+      month: shown(result.month).sort((a, b) => a.value.localeCompare(b.value)),
+    },
+  };
+}
+
+module.exports = {
+  MAX_RADIUS_M,
+  publicAreaFilter,
+  publicNearFilter,
+  parseSearch,
+  narrowToShown,
+  runSearch,
+};
@@ -0,0 +1,177 @@
+const mongoose = require("mongoose");
+const { latLngToTileId } = require("./geo");
+const { assignIncident } = require("./incidentClustering");
+const {
+  currentReputation,
+  reputationTier,
+  recordSubmission,
+} = require("./reputation");
+const { scheduleTranscription } = require("./transcription");
+const { appendChain, contentHash } = require("./evidenceChain");
+const { notifyWatchers } = require("./watchAreas");
+
+// Submission of reports: straight from POST /api/reports, from a draft, or on
+// a schedule. A scheduled ("delayed") submission goes through at submitAt
+// unless the reporter cancels or submits it first, for people reporting
+// someone they still have to be near. Due drafts are submitted by
+// submitDueDrafts, run every SCHEDULED_SUBMIT_INTERVAL_SECONDS by server.js
+// or by scripts/submit_scheduled_reports.js.
+
+const maxDelayMinutes = () =>
+  Number(process.env.SCHEDULED_SUBMIT_MAX_DAYS || 7) * 24 * 60;
+
+// Place the report at [lng, lat] (tile id computed server-side for privacy)
+function setReportLocation(report, coordinates) {
+  const [lng, lat] = coordinates.map(Number);
+  const tileSize = Number(process.env.TILE_SIZE_M || 50);
+  report.tileId = latLngToTileId(lat, lng, tileSize);
+  report.set("location.type", "Point");
+  report.set("location.coordinates", [lng, lat]);
+}
+
+function setReportTime(report, timestamp) {
+  report.timestamp = new Date(timestamp);
+  report.timeBucket = report.timestamp.toISOString().slice(0, 13);
+}
+
+// What a draft still needs before it can be submitted: [{ field, message }]
+function draftProblems(report) {
+  const problems = [];
+  const text = (value) => (value || "").trim().length;
+  if (!report.type) {
+    problems.push({ field: "type", message: "Type is required" });
+  }
+  if (text(report.title) < 5 || text(report.title) > 100) {
+    problems.push({
+      field: "title",
+      message: "Title must be between 5 and 100 characters",
+    });
+  }
+  if (text(report.description) < 10 || text(report.description) > 1000) {
+    problems.push({
+      field: "description",
+      message: "Description must be between 10 and 1000 characters",
+    });
+  }
+  const coords = report.location && report.location.coordinates;
+  if (!coords || coords.length !== 2) {
+    problems.push({ field: "coordinates", message: "Location is required" });
+  }
+  return problems;
+}
+
+// Submit a complete report (the caller checks draftProblems for drafts):
+// reputation, pattern analysis, incident clustering, transcription and
+// watch-area notifications.
+// `anonId` identifies anonymous reporters for reputation; `audio` is a fresh
+// voice-note upload; `actor` is "system" for scheduled submissions.
+async function submitReport(
+  report,
+  { anonId, audio, io, actor = "reporter" } = {}
+) {
+  // Rotating reporter pseudonym for reputation (never derived from the IP)
+  const reputation = await currentReputation({
+    userId: report.user,
+    anonId,
+  });
+  report.anonHash = reputation ? reputation.anonHash : undefined;
+  report.reputationTier = reputationTier(reputation);
+  report.status = "submitted";
+  report.submittedAt = new Date();
+  report.scheduledSubmission = undefined;
+  if (!report.timestamp) setReportTime(report, report.submittedAt);
+
+  // Analyze patterns
+  report.analyzePatterns();
+
+  // Find similar reports
+  const similarReports = await report.findSimilarReports();
+  report.similarReports = similarReports.map((similar) => ({
+    reportId: similar.report._id,
+    similarityScore: similar.score,
+  }));
+
+  await report.save();
+  await recordSubmission(reputation);
+  await appendChain(report, "submitted", actor, {
+    contentHash: contentHash(report),
+  });
+
+  // Group with other reports of the same event
+  await assignIncident(report, similarReports);
+  scheduleTranscription(report, audio);
+  await notifyWatchers(report, io);
+
+  // Emit minimal tile update to clients (no PII)
+  try {
+    if (io && io.emit) io.emit("tile:update", { tileId: report.tileId });
+  } catch (e) {
+    // ignore socket errors
+  }
+  return report;
+}
+
+// Tell the reporter what happened to a scheduled submission (ids only)
+function notifyOwner(io, report, event) {
+  try {
+    if (io && report.user) {
+      io.to(`user-${report.user}`).emit(event, { reportId: report._id });
+    }
+  } catch (e) {
+    // ignore socket errors
+  }
+}
+
+// Submit every draft whose scheduled submission is due. Drafts are claimed
+// one at a time (clearing submitAt) so concurrent runners never submit one
+// twice. Drafts edited into an incomplete state stay drafts with an error.
+async function submitDueDrafts(io, now = new Date()) {
+  const Report = mongoose.model("Report");
+  const result = { submitted: 0, held: 0 };
+  for (;;) {
+    const report = await Report.findOneAndUpdate(
+      { status: "draft", "scheduledSubmission.submitAt": { $lte: now } },
+      { $unset: { "scheduledSubmission.submitAt": "" } },
+      { new: true, sort: { "scheduledSubmission.submitAt": 1 } }
+    );
+    if (!report) return result;
+
+    const problems = draftProblems(report);
+    if (problems.length > 0) {
+      report.set(
+        "scheduledSubmission.error",
+        `Not submitted: ${problems.map((p) => p.message).join("; ")}`
+      );
+      await report.save();
+      notifyOwner(io, report, "report-schedule-failed");
+      result.held += 1;
+      continue;
+    }
+
+    try {
+      await submitReport(report, { io, actor: "system" });
+      notifyOwner(io, report, "report-submitted");
+      result.submitted += 1;
+    } catch (err) {
+      console.error("Scheduled submission error:", err);
+      await Report.updateOne(
+        { _id: report._id, status: "draft" },
+        {
+          $set: {
+            "scheduledSubmission.error": "Submission failed, submit it again",
+          },
+        }
+      );
+      result.held += 1;
+    }
+  }
+}
+
+module.exports = {
+  maxDelayMinutes,
+  setReportLocation,
+  setReportTime,
+  draftProblems,
+  submitReport,
+  submitDueDrafts,
+};
@@ -0,0 +1,258 @@
+const crypto = require("crypto");
+const { Guardian } = require("../models/Guardian");
+const { removeRawCoords } = require("../middleware/privacy");
+const { MODERATOR_ROLES } = require("../middleware/auth");
+const { votesBy } = require("./reportVotes");
+const {
+  METERS_PER_DEGREE,
+  latLngToTileId,
+  tileIdToCentroid,
+} = require("./geo");
+
+// Per-audience serialisation of reports. Every route that returns report
+// documents goes through serializeReports so each viewer only gets what
+// their relationship to the reporter allows:
+//   moderator - everything (moderators and admins)
+//   owner     - their own report, without reputation / moderation internals
+//   guardian  - a ward's report, when the ward granted accessReports
+//   public    - fuzzed location, no tile ids, times to the hour, and no
+//               reporter identity on anonymous reports
+
+const idOf = (ref) => (ref ? String(ref._id || ref) : null);
+
+// Public times are truncated to the hour (like timeBucket) so they cannot be
+// matched against a reporter's activity elsewhere
+function toHour(date) {
+  if (!date) return date;
+  const hour = new Date(date);
+  hour.setUTCMinutes(0, 0, 0);
+  return hour;
+}
+
+// Users whose reports `viewer` may read as a guardian
+async function wardIds(viewer) {
+  if (!viewer) return new Set();
+  const ids = await Guardian.find({
+    guardian: viewer.id,
+    isActive: true,
+    "permissions.accessReports": true,
+  }).distinct("user");
+  return new Set(ids.map(String));
+}
+
+function audienceFor(report, viewer, wards = new Set()) {
+  if (!viewer) return "public";
+  if (MODERATOR_ROLES.includes(viewer.role)) return "moderator";
+  const owner = idOf(report.user);
+  if (owner && owner === String(viewer.id)) return "owner";
+  if (owner && wards.has(owner)) return "guardian";
+  return "public";
+}
+
+// Deterministic per-report offset (same report -> same offset) so repeated
+// requests cannot be averaged back to the true point
+function jitter(reportId, [lng, lat], radius) {
+  const secret =
+    process.env.LOCATION_FUZZ_SECRET || process.env.JWT_SECRET || "";
+  const hash = crypto
+    .createHmac("sha256", secret)
+    .update(String(reportId))
+    .digest();
+  const u1 = hash.readUInt32BE(0) / 2 ** 32;
+  const u2 = hash.readUInt32BE(4) / 2 ** 32;
+  const r = radius * Math.sqrt(u1);
+  const theta = 2 * Math.PI * u2;
+  const dLat = (r * Math.cos(theta)) / METERS_PER_DEGREE;
+  const dLng =
+    (r * Math.sin(theta)) /
+    (METERS_PER_DEGREE * Math.cos((lat * Math.PI) / 180));
+  return [lng + dLng, lat + dLat];
+}
+
+// Public location: the centre of the PUBLIC_LOCATION_TILE_M tile around the
+// report (default), or with PUBLIC_LOCATION_MODE=jitter a point within
+// PUBLIC_JITTER_M of it. Street address is never included.
+function publicLocation(report) {
+  const { coordinates, neighborhood, city } = report.location || {};
+  if (!coordinates || coordinates.length !== 2) return { neighborhood, city };
+
+  let point;
+  let precisionMeters;
+  if (process.env.PUBLIC_LOCATION_MODE === "jitter") {
+    precisionMeters = Number(process.env.PUBLIC_JITTER_M || 200);
+    point = jitter(report._id, coordinates, precisionMeters);
+  } else {
+    precisionMeters = Number(process.env.PUBLIC_LOCATION_TILE_M || 200);
+    const tileId = latLngToTileId(
+      coordinates[1],
+      coordinates[0],
+      precisionMeters
+    );
+    const { lat, lng } = tileIdToCentroid(tileId, precisionMeters);
+    point = [lng, lat];
+  }
+  return {
+    type: "Point",
+    coordinates: point.map((v) => Number(v.toFixed(6))),
+    neighborhood,
+    city,
+    precisionMeters,
+  };
+}
+
+function serializeReport(report, audience) {
+  const doc =
+    typeof report.toObject === "function" ? report.toObject() : { ...report };
+  // comments are served separately (GET /:id/comments); drop any embedded
+  // ones left from before the ReportComment collection
+  delete doc.comments;
+  if (audience === "moderator") return { ...doc, audience };
+
+  delete doc.anonHash;
+  doc.evidence = (doc.evidence || []).map(({ key, url, sealedKey, ...e }) => e);
+  delete doc.reputationTier;
+  delete doc.reputationCredits;
+  if (doc.moderation) {
+    doc.moderation = {
+      isModerated: doc.moderation.isModerated,
+      moderatedAt: doc.moderation.moderatedAt,
+    };
+  }
+  if (audience === "owner" || audience === "guardian") {
+    return { ...doc, audience };
+  }
+
+  const view = removeRawCoords(doc);
+  delete view.tileId;
+  delete view.tilePyramid;
+  if (view.isAnonymous) view.user = null;
+  ["timestamp", "createdAt", "updatedAt", "submittedAt"].forEach((field) => {
+    if (view[field]) view[field] = toHour(view[field]);
+  });
+  if (view.moderation) {
+    view.moderation.moderatedAt = toHour(view.moderation.moderatedAt);
+  }
+  if (view.voiceTranscription) {
+    view.voiceTranscription = {
+      ...view.voiceTranscription,
+      transcribedAt: toHour(view.voiceTranscription.transcribedAt),
+    };
+  }
+  delete view.scheduledSubmission;
+  view.evidence = (view.evidence || []).map(
+    ({ filename, receivedAt, ...e }) => e
+  );
+  return { ...view, location: publicLocation(doc), audience: "public" };
+}
+
+// Public view of an incident (cluster of reports of the same event), built
+// from the summary of its public reports only; masked while fewer than
+// K_ANON of them are public
+function serializeIncident(incident) {
+  const summary = incident.publicSummary;
+  const kAnon = Number(process.env.K_ANON || 3);
+  if (!summary || !summary.lastReportedAt || incident.publicReportCount < kAnon)
+    return { id: incident._id, masked: true };
+  return {
+    id: incident._id,
+    type: summary.type,
+    types: summary.types,
+    severity: summary.severity,
+    verified: summary.verified,
+    reportCount: incident.publicReportCount,
+    firstReportedAt: toHour(summary.firstReportedAt),
+    lastReportedAt: toHour(summary.lastReportedAt),
+    location: publicLocation({ _id: incident._id, location: summary.location }),
+  };
+}
+
+// Serialise reports for the requesting user (req.user, may be undefined),
+// with the user's own vote on each report as myVote ("up" | "down" | null)
+async function serializeReports(reports, viewer) {
+  const [wards, votes] = await Promise.all([
+    wardIds(viewer),
+    votesBy(
+      viewer && viewer.id,
+      reports.map((r) => r._id)
+    ),
+  ]);
+  return reports.map((r) => {
+    const view = serializeReport(r, audienceFor(r, viewer, wards));
+    return viewer
+      ? { ...view, myVote: votes.get(String(r._id)) || null }
+      : view;
+  });
+}
+
+async function serializeReportFor(report, viewer) {
+  const [view] = await serializeReports([report], viewer);
+  return view;
+}
+
+// Whether `viewer` may read `report` (and its comments): published reports
+// for everyone, others for their owner, guardians and moderators
+async function canViewReport(report, viewer) {
+  if (report.isPublic && report.status === "submitted") return true;
+  return audienceFor(report, viewer, await wardIds(viewer)) !== "public";
+}
+
+// Evidence files: the owner, guardians with accessReports and moderators
+async function canAccessEvidence(report, viewer) {
+  if (!viewer) return false;
+  return audienceFor(report, viewer, await wardIds(viewer)) !== "public";
+}
+
+// Whether `user` filed `report` anonymously
+function isAnonymousReporter(report, user) {
+  return Boolean(
+    report.isAnonymous && user && idOf(report.user) === String(user.id)
+  );
+}
+
+// Comment view for `viewer`. Anonymous authors are only shown to moderators
+// (the author sees isMine instead); deleted comments and, except for
+// moderators, hidden comments keep their place in the thread without text.
+// With `report`, comments its anonymous reporter wrote are anonymous too.
+function serializeComment(comment, viewer, report) {
+  const doc =
+    typeof comment.toObject === "function" ? comment.toObject() : comment;
+  const moderator = Boolean(viewer) && MODERATOR_ROLES.includes(viewer.role);
+  const isAnonymous = Boolean(
+    doc.isAnonymous ||
+    (report && isAnonymousReporter(report, { id: idOf(doc.author) }))
+  );
+  const view = {
+    id: doc._id,
+    report: doc.report,
+    parentComment: doc.parentComment,
+    depth: doc.depth,
+    replyCount: doc.replyCount,
+    author: isAnonymous && !moderator ? null : doc.author,
+    isAnonymous,
+    isMine: Boolean(viewer) && idOf(doc.author) === String(viewer.id),
+    isEdited: doc.isEdited,
+    editedAt: doc.editedAt,
+    createdAt: doc.createdAt,
+    text: doc.text,
+  };
+  if (doc.isDeleted) {
+    return { ...view, author: null, text: null, isDeleted: true };
+  }
+  const hidden = Boolean(doc.moderation && doc.moderation.isHidden);
+  if (moderator)
+    return { ...view, isHidden: hidden, moderation: doc.moderation };
+  return hidden ? { ...view, text: null, isHidden: true } : view;
+}
+
+module.exports = {
+  audienceFor,
+  serializeReport,
+  serializeReports,
+  serializeReportFor,
+  serializeIncident,
+  serializeComment,
+  isAnonymousReporter,
+  canViewReport,
+  canAccessEvidence,
+  publicLocation,
+};
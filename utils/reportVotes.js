@@ -0,0 +1,156 @@
+const mongoose = require("mongoose");
+const ReportVote = require("../models/ReportVote");
+
+// Per-user report votes. A user has at most one vote per report, which they
+// can change or retract; the report counters move by the difference between
+// the old and new vote with a single $inc, so they stay in step with the
+// ReportVote rows.
+//
+// Brigading: when VOTE_BRIGADE_THRESHOLD votes from accounts younger than
+// VOTE_NEW_ACCOUNT_DAYS land on reports of one tile within
+// VOTE_BRIGADE_WINDOW_MINUTES, those votes (and further ones from new
+// accounts) are flagged and stop counting.
+
+const settings = () => ({
+  newAccountDays: Number(process.env.VOTE_NEW_ACCOUNT_DAYS || 7),
+  windowMinutes: Number(process.env.VOTE_BRIGADE_WINDOW_MINUTES || 60),
+  threshold: Number(process.env.VOTE_BRIGADE_THRESHOLD || 10),
+});
+
+// Counter a vote is counted in, if any
+function counterOf(vote) {
+  if (!vote || vote.flagged) return null;
+  return vote.value === "up" ? "upvotes" : "downvotes";
+}
+
+function voteDelta(before, after) {
+  const from = counterOf(before);
+  const to = counterOf(after);
+  const inc = {};
+  if (from === to) return inc;
+  if (from) inc[from] = -1;
+  if (to) inc[to] = 1;
+  return inc;
+}
+
+async function applyDelta(reportId, inc) {
+  const Report = mongoose.model("Report");
+  // $inc directly: vote counters are not part of the tile aggregates
+  const query = Object.keys(inc).length
+    ? Report.findByIdAndUpdate(reportId, { $inc: inc }, { new: true })
+    : Report.findById(reportId);
+  return query.select("upvotes downvotes");
+}
+
+// Flag the recent new-account votes of a tile once they reach the threshold.
+// Returns whether the tile is being brigaded.
+async function detectBrigading(tileId, now = Date.now()) {
+  const { windowMinutes, threshold } = settings();
+  if (!tileId) return false;
+  const recent = await ReportVote.find({
+    tileId,
+    newAccount: true,
+    updatedAt: { $gte: new Date(now - windowMinutes * 60000) },
+  }).select("_id flagged");
+  if (recent.length < threshold) return false;
+
+  for (const vote of recent.filter((v) => !v.flagged)) {
+    const before = await ReportVote.findOneAndUpdate(
+      { _id: vote._id, flagged: false },
+      { $set: { flagged: true } }
+    );
+    if (before) {
+      await applyDelta(before.report, voteDelta(before, { flagged: true }));
+    }
+  }
+  return true;
+}
+
+// Cast or change `user`'s vote ("up" | "down") on `report`. A vote flagged
+// for brigading stays flagged when it is changed.
+async function castVote(report, user, value, now = Date.now()) {
+  const { newAccountDays } = settings();
+  const newAccount =
+    !user.createdAt || now - user.createdAt < newAccountDays * 86400000;
+  const update = {
+    $set: { value, tileId: report.tileId, newAccount },
+    $setOnInsert: { flagged: false },
+  };
+
+  let before;
+  try {
+    before = await ReportVote.findOneAndUpdate(
+      { report: report._id, user: user.id },
+      update,
+      { upsert: true }
+    );
+  } catch (err) {
+    // a concurrent first vote of the same user inserted the row; retry as update
+    if (err.code !== 11000) throw err;
+    before = await ReportVote.findOneAndUpdate(
+      { report: report._id, user: user.id },
+      update
+    );
+  }
+  const flagged = Boolean(before && before.flagged);
+  const counts = await applyDelta(
+    report._id,
+    voteDelta(before, { value, flagged })
+  );
+
+  if (!flagged && newAccount && (await detectBrigading(report.tileId, now))) {
+    // this vote was flagged with the rest of the tile
+    return {
+      ...(await voteState(report._id, user.id)),
+      counted: false,
+    };
+  }
+  return {
+    upvotes: counts.upvotes,
+    downvotes: counts.downvotes,
+    myVote: value,
+    counted: !flagged,
+  };
+}
+
+async function retractVote(report, user) {
+  const before = await ReportVote.findOneAndDelete({
+    report: report._id,
+    user: user.id,
+  });
+  const counts = await applyDelta(report._id, voteDelta(before, null));
+  return {
+    upvotes: counts.upvotes,
+    downvotes: counts.downvotes,
+    myVote: null,
+  };
+}
+
+async function voteState(reportId, userId) {
+  const [counts, vote] = await Promise.all([
+    applyDelta(reportId, {}),
+    ReportVote.findOne({ report: reportId, user: userId }).select("value"),
+  ]);
+  return {
+    upvotes: counts.upvotes,
+    downvotes: counts.downvotes,
+    myVote: vote ? vote.value : null,
+  };
+}
+
+// Map report id -> "up" | "down" for the viewer's votes on `reportIds`
+async function votesBy(userId, reportIds) {
+  if (!userId || reportIds.length === 0) return new Map();
+  const votes = await ReportVote.find({
+    user: userId,
+    report: { $in: reportIds },
+  }).select("report value");
+  return new Map(votes.map((v) => [String(v.report), v.value]));
+}
+
+module.exports = {
+  castVote,
+  retractVote,
+  voteState,
+  votesBy,
+};
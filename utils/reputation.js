@@ -0,0 +1,160 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Reputation = require("../models/Reputation");
+
+// Reporter reputation without PII.
+//
+// A reporter is identified by their user id, or by a client-held random
+// anonId for anonymous reports, and never by IP. Report.anonHash is a keyed
+// HMAC of that id and the current rotation period (ANON_HASH_ROTATION_DAYS),
+// so hashes of different periods cannot be linked without the server secret.
+// Reputation grows when a moderator verifies a report or another reporter
+// corroborates it (a report of theirs joins the same incident), and drops
+// when a moderator rejects one. The resulting tier is stored on each report
+// at submission and weights it in tile scoring.
+
+const OUTCOMES = ["verified", "corroborated", "rejected"];
+
+// Without a secret anyone could recompute a reporter's hashes from their id
+if (!process.env.ANON_HASH_SECRET && !process.env.JWT_SECRET) {
+  throw new Error("ANON_HASH_SECRET (or JWT_SECRET) must be set");
+}
+
+const rotationMs = () =>
+  Number(process.env.ANON_HASH_ROTATION_DAYS || 30) * 86400000;
+
+const epochOf = (now) => Math.floor(now / rotationMs());
+
+function reporterSource({ userId, anonId } = {}) {
+  if (userId) return `user:${userId}`;
+  if (anonId) return `anon:${anonId}`;
+  return null;
+}
+
+function pseudonym(source, epoch) {
+  const secret = process.env.ANON_HASH_SECRET || process.env.JWT_SECRET;
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${epoch}:${source}`)
+    .digest("hex")
+    .slice(0, 16);
+}
+
+// Reputation record of the reporter for the current period, created (and
+// seeded from the previous period) on first use. null without an id.
+// create: false only looks records up (current, else previous period).
+async function currentReputation(
+  reporter,
+  { create = true, now = Date.now() } = {}
+) {
+  const source = reporterSource(reporter);
+  if (!source) return null;
+  const epoch = epochOf(now);
+  const anonHash = pseudonym(source, epoch);
+  const existing = await Reputation.findOne({ anonHash });
+  if (existing) return existing;
+
+  const previous = await Reputation.findOne({
+    anonHash: pseudonym(source, epoch - 1),
+  });
+  if (!create) return previous;
+  let created;
+  try {
+    created = await Reputation.create({
+      anonHash,
+      epoch,
+      expiresAt: new Date((epoch + 2) * rotationMs()),
+      ...(previous
+        ? {
+            reports: previous.reports,
+            verified: previous.verified,
+            corroborated: previous.corroborated,
+            rejected: previous.rejected,
+          }
+        : {}),
+    });
+  } catch (err) {
+    // created by a concurrent request
+    if (err.code === 11000) return Reputation.findOne({ anonHash });
+    throw err;
+  }
+  if (previous) {
+    previous.carriedTo = anonHash;
+    await previous.save();
+  }
+  return created;
+}
+
+// 0..1, starting at 0.5 for a reporter without outcomes
+function reputationScore(rep) {
+  if (!rep) return 0.5;
+  const good = rep.verified + 0.5 * rep.corroborated;
+  return (good + 1) / (good + rep.rejected + 2);
+}
+
+// "trusted" | "normal" | "low"; "normal" until REPUTATION_MIN_OUTCOMES
+// verified / corroborated / rejected reports
+function reputationTier(rep) {
+  if (!rep) return "normal";
+  const outcomes = rep.verified + rep.corroborated + rep.rejected;
+  if (outcomes < Number(process.env.REPUTATION_MIN_OUTCOMES || 3)) {
+    return "normal";
+  }
+  const score = reputationScore(rep);
+  if (score >= 0.75) return "trusted";
+  if (score < 0.35) return "low";
+  return "normal";
+}
+
+function reputationSummary(rep) {
+  return {
+    score: Number(reputationScore(rep).toFixed(4)),
+    tier: reputationTier(rep),
+    reports: rep ? rep.reports : 0,
+    verified: rep ? rep.verified : 0,
+    corroborated: rep ? rep.corroborated : 0,
+    rejected: rep ? rep.rejected : 0,
+    rotatesAt: new Date((epochOf(Date.now()) + 1) * rotationMs()),
+  };
+}
+
+async function recordSubmission(rep) {
+  if (rep)
+    await Reputation.updateOne({ _id: rep._id }, { $inc: { reports: 1 } });
+}
+
+// Credit the reporter of `report` once per outcome. Credit for a report from
+// an earlier period follows the record it was carried over to.
+async function creditReport(report, outcome) {
+  if (!OUTCOMES.includes(outcome) || !report.anonHash) return;
+
+  // claimed on the report first (not through report.save(), so the tile
+  // aggregate hooks stay out of it) so concurrent calls credit once
+  const { modifiedCount } = await mongoose
+    .model("Report")
+    .updateOne(
+      { _id: report._id, reputationCredits: { $ne: outcome } },
+      { $addToSet: { reputationCredits: outcome } }
+    );
+  if (modifiedCount !== 1) return;
+
+  let anonHash = report.anonHash;
+  for (let hop = 0; anonHash && hop < 3; hop++) {
+    const rep = await Reputation.findOne({ anonHash }).select("carriedTo");
+    if (!rep) return;
+    if (!rep.carriedTo) {
+      await Reputation.updateOne({ _id: rep._id }, { $inc: { [outcome]: 1 } });
+      return;
+    }
+    anonHash = rep.carriedTo;
+  }
+}
+
+module.exports = {
+  currentReputation,
+  reputationScore,
+  reputationTier,
+  reputationSummary,
+  recordSubmission,
+  creditReport,
+};
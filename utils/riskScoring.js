@@ -0,0 +1,323 @@
+const TileAggregate = require("../models/TileAggregate");
+const { enforceKAnonymity, generalizeTiles } = require("../middleware/privacy");
+const { tileSpan, tilesInBbox } = require("./geo");
+const { noisyBuckets } = require("./differentialPrivacy");
+const { localTimeParts } = require("./time");
+const { utcDay } = require("./tileAggregates");
+
+// Shared tile risk engine used by every route/tile endpoint so a tile (and a
+// route made of tiles) gets the same score whichever endpoint asks.
+//
+// Each report contributes severity x type x verified x reporter reputation x
+// age-decay x hour weight.
+// positive_experience reports carry a negative type weight and offset danger.
+// The net danger is squashed onto 0..0.7 (absolute, not relative to the other
+// tiles in the query) and the night / low lighting penalties are added on top.
+
+const SEVERITY_WEIGHT = { low: 0.5, medium: 1, high: 1.75, critical: 2.5 };
+const TYPE_WEIGHT = {
+  incident: 1,
+  harassment: 1,
+  safety_concern: 0.6,
+  tip: 0.2,
+  positive_experience: -0.5,
+};
+const VERIFIED_WEIGHT = 1.5;
+// Reporter reputation tier (utils/reputation.js) when the report was submitted
+const REPUTATION_WEIGHT = { trusted: 1.25, normal: 1, low: 0.5 };
+const NIGHT_WEIGHT = 1.25;
+const NIGHT_PENALTY = 0.2;
+const DARK_PENALTY = 0.1;
+const MAX_BASE_SCORE = 0.7;
+
+// Periods used for the "same route at other times" profile
+const PERIODS = [
+  { period: "morning", from: 6, to: 12 },
+  { period: "afternoon", from: 12, to: 18 },
+  { period: "evening", from: 18, to: 21 },
+  { period: "night", from: 21, to: 6 },
+];
+
+function isNightHour(hour) {
+  return hour < 6 || hour >= 21;
+}
+
+function hoursBetween(from, to) {
+  const hours = [];
+  for (let h = from; h !== to; h = (h + 1) % 24) hours.push(h);
+  return hours;
+}
+
+function ageDecay(ageDays) {
+  const halfLife = Number(process.env.RISK_HALF_LIFE_DAYS || 14);
+  return Math.pow(0.5, Math.max(0, ageDays) / halfLife);
+}
+
+// Read TileAggregate rows for the window as (tile, type, severity, verified,
+// reputation, lighting, hour, weekday, age) buckets so weighting and time-window filtering
+// can happen in JS. tileSizeMeters picks the pyramid level; bbox
+// ([minLng, minLat, maxLng, maxLat]) limits rows to tiles touching it.
+// Returns Map tileId -> buckets.
+async function loadTileBuckets({
+  tileIds,
+  tileSizeMeters = process.env.TILE_SIZE_M || 50,
+  bbox,
+  days = process.env.AGG_WINDOW_DAYS || 30,
+  now = new Date(),
+} = {}) {
+  const startDate = new Date(now);
+  startDate.setDate(startDate.getDate() - Number(days));
+
+  const level = Number(tileSizeMeters);
+  const $match = { level, day: { $gte: utcDay(startDate) } };
+  if (tileIds) $match.tileId = { $in: Array.from(new Set(tileIds)) };
+  if (bbox) {
+    // rows carry the tile origin, so widen the low edges by one tile
+    const [minLng, minLat, maxLng, maxLat] = bbox;
+    const { latDeg, lngDeg } = tileSpan(
+      Math.max(Math.abs(minLat), Math.abs(maxLat)),
+      level
+    );
+    $match.lat = { $gte: minLat - latDeg, $lte: maxLat };
+    $match.lng = { $gte: minLng - lngDeg, $lte: maxLng };
+  }
+
+  const buckets = await TileAggregate.aggregate([
+    { $match },
+    {
+      $group: {
+        _id: {
+          tileId: "$tileId",
+          type: "$type",
+          severity: "$severity",
+          verified: "$verified",
+          reputation: "$reputation",
+          lighting: "$lighting",
+          hour: "$hour",
+          dayOfWeek: "$dayOfWeek",
+          ageDays: {
+            $floor: { $divide: [{ $subtract: [now, "$day"] }, 86400000] },
+          },
+        },
+        count: { $sum: "$count" },
+      },
+    },
+  ]);
+
+  const byTile = new Map();
+  buckets.forEach((b) => {
+    const tid = b._id.tileId;
+    if (!byTile.has(tid)) byTile.set(tid, []);
+    byTile.get(tid).push(b);
+  });
+  return byTile;
+}
+
+// Comparable time window for a departure: hours within +/- TIME_WINDOW_HOURS
+// of the local departure hour, on the same day type (weekday / weekend)
+function timeWindowFor(date) {
+  const span = Math.min(11, Number(process.env.TIME_WINDOW_HOURS || 2));
+  const { hour, dayType } = localTimeParts(date);
+  return {
+    hours: hoursBetween((hour - span + 24) % 24, (hour + span + 1) % 24),
+    dayType,
+    localHour: hour,
+  };
+}
+
+function inWindow(bucket, window) {
+  if (!window) return true;
+  if (window.hours && !window.hours.includes(bucket.hour)) return false;
+  if (window.dayType) {
+    const weekend = bucket.dayOfWeek === 1 || bucket.dayOfWeek === 7;
+    if ((window.dayType === "weekend") !== weekend) return false;
+  }
+  return true;
+}
+
+function scoreBuckets(tileId, buckets, kAnon) {
+  let count = 0;
+  let danger = 0;
+  let safe = 0;
+  let nightDanger = 0;
+  let darkCount = 0;
+  let verified = false;
+  let severe = false;
+  let recent = false;
+  const types = {};
+
+  buckets.forEach(({ _id: b, count: n }) => {
+    count += n;
+    types[b.type] = (types[b.type] || 0) + n;
+    const night = isNightHour(b.hour);
+    const w =
+      n *
+      (SEVERITY_WEIGHT[b.severity] || 1) *
+      (TYPE_WEIGHT[b.type] !== undefined ? TYPE_WEIGHT[b.type] : 1) *
+      (b.verified ? VERIFIED_WEIGHT : 1) *
+      (REPUTATION_WEIGHT[b.reputation] || 1) *
+      ageDecay(b.ageDays) *
+      (night ? NIGHT_WEIGHT : 1);
+
+    if (w >= 0) {
+      danger += w;
+      if (night) nightDanger += w;
+      if (b.verified) verified = true;
+      if (b.severity === "high" || b.severity === "critical") severe = true;
+      if (b.ageDays < 7) recent = true;
+    } else {
+      safe += -w;
+    }
+    if (b.lighting === "dark") darkCount += n;
+  });
+
+  const saturation = Number(process.env.RISK_SATURATION || 5);
+  const net = Math.max(0, danger - safe);
+  const base = MAX_BASE_SCORE * (1 - Math.exp(-net / saturation));
+  const night = net > 0 && nightDanger >= danger / 2;
+  const dark = net > 0 && darkCount > 0;
+  const score = Math.min(
+    1,
+    base + (night ? NIGHT_PENALTY : 0) + (dark ? DARK_PENALTY : 0)
+  );
+
+  const reasons = [];
+  if (danger > 0) reasons.push("historical_reports");
+  if (severe) reasons.push("high_severity");
+  if (verified) reasons.push("verified_reports");
+  if (recent) reasons.push("recent_activity");
+  if (night) reasons.push("late_hour");
+  if (dark) reasons.push("low_lighting");
+  if (safe > 0) reasons.push("positive_reports");
+
+  // per-type counts are released too, so each type must meet K_ANON by itself
+  Object.keys(types).forEach((type) => {
+    if (types[type] < kAnon) delete types[type];
+  });
+
+  return {
+    tileId,
+    count,
+    dangerWeight: Number(danger.toFixed(4)),
+    safeWeight: Number(safe.toFixed(4)),
+    score: Number(score.toFixed(4)),
+    reasons,
+    types,
+  };
+}
+
+// Score already loaded buckets, optionally restricted to a time window
+// ({ hours: [0..23], dayType: "weekday" | "weekend" }). K_ANON applies to the
+// reports inside the window, so narrow windows mask more tiles.
+// With merge, sparse neighbouring tiles are also merged into regions meeting
+// K_ANON and each region is scored from its tiles' combined buckets; the
+// member tiles stay masked in `tiles`, so routing still treats them as neutral.
+// totals (noisy report count per tile, without a window) replace the bucket
+// sums as the tile counts, including for tiles with no buckets left.
+// Returns { tiles: { [tileId]: tileScore | { tileId, masked: true } }, regions, kAnon }
+function scoreTileBuckets(
+  byTile,
+  window,
+  { tileSizeMeters, merge, totals } = {}
+) {
+  const kAnon = Number(process.env.K_ANON || 3);
+  const scored = [];
+  const matchingByTile = new Map();
+  new Set([...byTile.keys(), ...(totals || new Map()).keys()]).forEach(
+    (tid) => {
+      const list = byTile.get(tid) || [];
+      const matching = list.filter((b) => inWindow(b._id, window));
+      if (matching.length === 0 && !totals) return;
+      matchingByTile.set(tid, matching);
+      const score = scoreBuckets(tid, matching, kAnon);
+      if (totals) score.count = totals.get(tid) || 0;
+      if (score.count > 0) scored.push(score);
+    }
+  );
+
+  const tiles = {};
+  enforceKAnonymity(scored, kAnon).forEach((t) => (tiles[t.tileId] = t));
+  if (!merge) return { tiles, kAnon };
+
+  const { regions } = generalizeTiles(scored, { k: kAnon, tileSizeMeters });
+  return {
+    tiles,
+    regions: regions.map(({ regionId, tileIds, bounds, count }) => {
+      const { tileId, ...score } = scoreBuckets(
+        regionId,
+        tileIds.flatMap((tid) => matchingByTile.get(tid)),
+        kAnon
+      );
+      return { regionId, bounds, tileCount: tileIds.length, ...score, count };
+    }),
+    kAnon,
+  };
+}
+
+// Score tiles for a report window (days) and optional time-of-day window.
+// tileIds: tiles to score (omit to score every tile with reports in the window)
+// bbox: [minLng, minLat, maxLng, maxLat] to limit the tiles considered
+// tileSizeMeters: pyramid level to score at (default: base tile size)
+// merge: also return sparse tiles merged into regions (see scoreTileBuckets)
+// dp: noise settings (req.dp) to add differential-privacy noise to the tile
+// counts and buckets of every tile in tileIds / the bbox (needs one of them)
+// Tiles without any reports are absent; tiles under K_ANON are masked.
+async function scoreTiles({ window, merge, dp, ...query } = {}) {
+  const byTile = await loadTileBuckets(query);
+  const options = { tileSizeMeters: query.tileSizeMeters, merge };
+  if (!dp) return scoreTileBuckets(byTile, window, options);
+
+  const level = Number(query.tileSizeMeters || process.env.TILE_SIZE_M || 50);
+  const domain = query.tileIds || tilesInBbox(query.bbox, level);
+  const noisy = noisyBuckets(byTile, dp, domain);
+  return scoreTileBuckets(noisy.byTile, window, {
+    ...options,
+    totals: noisy.totals,
+  });
+}
+
+// Route-level summary: average score of the known, non-masked tiles (lower is safer)
+function summarizeTiles(tileIds, tiles) {
+  let sum = 0;
+  let known = 0;
+  Array.from(new Set(tileIds)).forEach((tid) => {
+    const t = tiles[tid];
+    if (!t || t.masked) return; // unknown and masked tiles are neutral
+    sum += t.score;
+    known += 1;
+  });
+  const avg = known > 0 ? sum / known : 0;
+  return { score: Number(avg.toFixed(4)), tilesEvaluated: known };
+}
+
+// Risk of a single tile for path costs; unknown and masked tiles are neutral
+function tileRisk(tiles, tileId) {
+  const t = tiles[tileId];
+  return t && !t.masked ? t.score : 0;
+}
+
+// How a set of tiles rates in each period of the day (same day type if given)
+function timeProfile(tileIds, byTile, dayType) {
+  return PERIODS.map(({ period, from, to }) => {
+    const { tiles } = scoreTileBuckets(byTile, {
+      hours: hoursBetween(from, to),
+      dayType,
+    });
+    return {
+      period,
+      hours: `${String(from).padStart(2, "0")}:00-${String(to).padStart(2, "0")}:00`,
+      ...summarizeTiles(tileIds, tiles),
+    };
+  });
+}
+
+module.exports = {
+  loadTileBuckets,
+  scoreTileBuckets,
+  scoreTiles,
+  summarizeTiles,
+  tileRisk,
+  timeWindowFor,
+  timeProfile,
+  isNightHour,
+};
@@ -0,0 +1,345 @@
+const fs = require("fs");
+const path = require("path");
+const { METERS_PER_DEGREE, latLngToTileId, haversineMeters } = require("./geo");
+
+// Road network used by the safest-path router. The file is a GeoJSON
+// FeatureCollection of LineString / MultiLineString roads produced offline by
+// scripts/import_road_network.js (or any GeoJSON export with the same shape).
+const DEFAULT_NETWORK_FILE = path.join(__dirname, "..", "data", "roads.geojson");
+
+// Node grid cell for nearestNode, in degrees (~550 m of latitude)
+const NODE_CELL_DEG = 0.005;
+
+// Graphs being loaded or loaded, keyed by file + tile size (one per warm process)
+const graphCache = new Map();
+
+function isOneWay(props = {}) {
+  const v = props.oneway;
+  if (v === true || v === "yes" || v === "true" || v === "1") return 1;
+  if (v === "-1" || v === -1 || v === "reverse") return -1;
+  return 0;
+}
+
+// Tiles an edge passes through, sampled every half tile so short tiles are not skipped
+function edgeTiles(a, b, distance, tileSize) {
+  const steps = Math.max(1, Math.ceil(distance / (tileSize / 2)));
+  const tiles = new Set();
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    const lng = a[0] + (b[0] - a[0]) * t;
+    const lat = a[1] + (b[1] - a[1]) * t;
+    tiles.add(latLngToTileId(lat, lng, tileSize));
+  }
+  return Array.from(tiles);
+}
+
+// Build a directed graph from GeoJSON road features.
+// nodes: [[lng, lat]], edges: [{ from, to, distance, tiles, name }], adjacency: node -> edge ids
+function buildRoadGraph(geojson, tileSize = 50) {
+  const nodes = [];
+  const nodeIndex = new Map();
+  const edges = [];
+  const adjacency = [];
+
+  const nodeFor = ([lng, lat]) => {
+    const key = `${lng.toFixed(6)},${lat.toFixed(6)}`;
+    let id = nodeIndex.get(key);
+    if (id === undefined) {
+      id = nodes.length;
+      nodes.push([Number(lng.toFixed(6)), Number(lat.toFixed(6))]);
+      adjacency.push([]);
+      nodeIndex.set(key, id);
+    }
+    return id;
+  };
+
+  const addEdge = (from, to, distance, tiles, name) => {
+    adjacency[from].push(edges.length);
+    edges.push({ from, to, distance, tiles, name });
+  };
+
+  (geojson.features || []).forEach((f) => {
+    if (!f || !f.geometry) return;
+    const { type, coordinates } = f.geometry;
+    const lines =
+      type === "LineString"
+        ? [coordinates]
+        : type === "MultiLineString"
+        ? coordinates
+        : [];
+    const props = f.properties || {};
+    const oneway = isOneWay(props);
+
+    lines.forEach((line) => {
+      for (let i = 0; i < line.length - 1; i++) {
+        const from = nodeFor(line[i]);
+        const to = nodeFor(line[i + 1]);
+        if (from === to) continue;
+        const a = nodes[from];
+        const b = nodes[to];
+        const distance = haversineMeters(a, b);
+        const tiles = edgeTiles(a, b, distance, tileSize);
+        if (oneway >= 0) addEdge(from, to, distance, tiles, props.name);
+        if (oneway <= 0) addEdge(to, from, distance, tiles, props.name);
+      }
+    });
+  });
+
+  return { nodes, edges, adjacency, tileSize, nodeGrid: buildNodeGrid(nodes) };
+}
+
+// Grid of node ids by NODE_CELL_DEG cell, so nearestNode only looks at the
+// cells around a point
+function buildNodeGrid(nodes) {
+  const cells = new Map();
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+  let maxAbsLat = 0;
+  nodes.forEach(([lng, lat], id) => {
+    const x = Math.floor(lng / NODE_CELL_DEG);
+    const y = Math.floor(lat / NODE_CELL_DEG);
+    const key = `${x},${y}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(id);
+    bounds[0] = Math.min(bounds[0], x);
+    bounds[1] = Math.min(bounds[1], y);
+    bounds[2] = Math.max(bounds[2], x);
+    bounds[3] = Math.max(bounds[3], y);
+    maxAbsLat = Math.max(maxAbsLat, Math.abs(lat));
+  });
+  return { cells, bounds, maxAbsLat };
+}
+
+async function readRoadGraph(file, tileSize) {
+  try {
+    const geojson = JSON.parse(await fs.promises.readFile(file, "utf8"));
+    const graph = buildRoadGraph(geojson, tileSize);
+    return graph.edges.length > 0 ? graph : null;
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error("Road network load error:", err);
+    return null;
+  }
+}
+
+// The configured road network (null when no file is available). The file is
+// read once per process: servers call this at startup and requests get the
+// cached graph.
+function getRoadGraph(tileSize = Number(process.env.TILE_SIZE_M || 50)) {
+  const file = process.env.ROAD_NETWORK_FILE || DEFAULT_NETWORK_FILE;
+  const cacheKey = `${file}|${tileSize}`;
+  if (!graphCache.has(cacheKey)) {
+    graphCache.set(cacheKey, readRoadGraph(file, tileSize));
+  }
+  return graphCache.get(cacheKey);
+}
+
+// Nearest graph node to a [lng, lat] point, or null if none within maxMeters.
+// Searches rings of grid cells outwards until no unseen cell can be closer.
+function nearestNode(graph, point, maxMeters = Infinity) {
+  const { cells, bounds, maxAbsLat } = graph.nodeGrid;
+  const [minX, minY, maxX, maxY] = bounds;
+  const cx = Math.floor(point[0] / NODE_CELL_DEG);
+  const cy = Math.floor(point[1] / NODE_CELL_DEG);
+  const lastRing = Math.max(cx - minX, maxX - cx, cy - minY, maxY - cy, 0);
+  // shortest a degree of longitude gets between the point and any node
+  const lat = Math.min(89, Math.max(maxAbsLat, Math.abs(point[1])));
+  const lngMeters = METERS_PER_DEGREE * Math.cos((lat * Math.PI) / 180);
+  let best = null;
+  let bestDist = Infinity;
+
+  const visit = (x, y) => {
+    (cells.get(`${x},${y}`) || []).forEach((id) => {
+      const d = haversineMeters(point, graph.nodes[id]);
+      if (d < bestDist) {
+        bestDist = d;
+        best = id;
+      }
+    });
+  };
+
+  for (let ring = 0; ring <= lastRing; ring++) {
+    // border cells of the ring only, clamped to the cells that hold nodes
+    const right = Math.min(cx + ring, maxX);
+    const top = Math.min(cy + ring - 1, maxY);
+    for (let x = Math.max(cx - ring, minX); x <= right; x++) {
+      visit(x, cy - ring);
+      if (ring > 0) visit(x, cy + ring);
+    }
+    for (let y = Math.max(cy - ring + 1, minY); y <= top; y++) {
+      visit(cx - ring, y);
+      visit(cx + ring, y);
+    }
+    // unseen nodes are more than `ring` cells away in latitude or longitude
+    const unseen = ring * NODE_CELL_DEG * lngMeters;
+    if (unseen >= Math.min(bestDist, maxMeters)) break;
+  }
+  if (best === null || bestDist > maxMeters) return null;
+  return { node: best, distance: bestDist };
+}
+
+// Minimal binary heap keyed by cost, used by dijkstra
+function createHeap() {
+  const items = [];
+  return {
+    get size() {
+      return items.length;
+    },
+    push(cost, value) {
+      items.push({ cost, value });
+      let i = items.length - 1;
+      while (i > 0) {
+        const p = (i - 1) >> 1;
+        if (items[p].cost <= items[i].cost) break;
+        [items[p], items[i]] = [items[i], items[p]];
+        i = p;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const l = i * 2 + 1;
+          const r = l + 1;
+          let m = i;
+          if (l < items.length && items[l].cost < items[m].cost) m = l;
+          if (r < items.length && items[r].cost < items[m].cost) m = r;
+          if (m === i) break;
+          [items[m], items[i]] = [items[i], items[m]];
+          i = m;
+        }
+      }
+      return top;
+    },
+  };
+}
+
+// Weighted shortest path from source to target. edgeCost(edgeId) must be >= 0.
+// Returns { nodes, edges, cost } or null when target is unreachable.
+function dijkstra(graph, source, target, edgeCost, blocked = {}) {
+  const blockedEdges = blocked.edges || new Set();
+  const blockedNodes = blocked.nodes || new Set();
+  const dist = new Map([[source, 0]]);
+  const viaEdge = new Map();
+  const heap = createHeap();
+  heap.push(0, source);
+
+  while (heap.size > 0) {
+    const { cost, value: node } = heap.pop();
+    if (cost > dist.get(node)) continue;
+    if (node === target) break;
+    for (const edgeId of graph.adjacency[node]) {
+      if (blockedEdges.has(edgeId)) continue;
+      const edge = graph.edges[edgeId];
+      if (blockedNodes.has(edge.to)) continue;
+      const next = cost + edgeCost(edgeId);
+      if (next < (dist.has(edge.to) ? dist.get(edge.to) : Infinity)) {
+        dist.set(edge.to, next);
+        viaEdge.set(edge.to, edgeId);
+        heap.push(next, edge.to);
+      }
+    }
+  }
+
+  if (!dist.has(target)) return null;
+  const pathEdges = [];
+  let node = target;
+  while (node !== source) {
+    const edgeId = viaEdge.get(node);
+    pathEdges.unshift(edgeId);
+    node = graph.edges[edgeId].from;
+  }
+  return {
+    nodes: [source, ...pathEdges.map((e) => graph.edges[e].to)],
+    edges: pathEdges,
+    cost: dist.get(target),
+  };
+}
+
+// Share of a path's length that is also used by another path
+function overlapRatio(graph, a, b) {
+  // key ignores direction so driving a street the other way still counts as overlap
+  const segmentKey = (e) => {
+    const { from, to } = graph.edges[e];
+    return from < to ? `${from}-${to}` : `${to}-${from}`;
+  };
+  const bSegments = new Set(b.edges.map(segmentKey));
+  let shared = 0;
+  let total = 0;
+  a.edges.forEach((e) => {
+    const edge = graph.edges[e];
+    total += edge.distance;
+    if (bSegments.has(segmentKey(e))) shared += edge.distance;
+  });
+  return total > 0 ? shared / total : 0;
+}
+
+// Yen's k-shortest loopless paths. Candidates that mostly retrace an already
+// accepted path (overlap > maxOverlap) are still used to branch from but are not
+// returned, so alternatives are meaningfully different streets.
+function kShortestPaths(graph, source, target, edgeCost, options = {}) {
+  const { k = 3, maxOverlap = 0.8, maxIterations = k * 10 } = options;
+  const first = dijkstra(graph, source, target, edgeCost);
+  if (!first) return [];
+
+  const explored = [first];
+  const accepted = [first];
+  const candidates = [];
+  const seen = new Set([first.edges.join(",")]);
+
+  for (let iter = 0; accepted.length < k && iter < maxIterations; iter++) {
+    const prev = explored[explored.length - 1];
+
+    for (let i = 0; i < prev.nodes.length - 1; i++) {
+      const spurNode = prev.nodes[i];
+      const rootNodes = prev.nodes.slice(0, i + 1);
+      const rootEdges = prev.edges.slice(0, i);
+
+      const blockedEdges = new Set();
+      explored.forEach((p) => {
+        if (
+          p.nodes.length > i + 1 &&
+          rootNodes.every((n, idx) => p.nodes[idx] === n)
+        ) {
+          blockedEdges.add(p.edges[i]);
+        }
+      });
+      const blockedNodes = new Set(rootNodes.slice(0, -1));
+
+      const spur = dijkstra(graph, spurNode, target, edgeCost, {
+        edges: blockedEdges,
+        nodes: blockedNodes,
+      });
+      if (!spur) continue;
+
+      const edgesPath = [...rootEdges, ...spur.edges];
+      const key = edgesPath.join(",");
+      if (seen.has(key)) continue;
+      seen.add(key);
+      candidates.push({
+        nodes: [...rootNodes.slice(0, -1), ...spur.nodes],
+        edges: edgesPath,
+        cost: rootEdges.reduce((s, e) => s + edgeCost(e), 0) + spur.cost,
+      });
+    }
+
+    if (candidates.length === 0) break;
+    candidates.sort((a, b) => a.cost - b.cost);
+    const next = candidates.shift();
+    explored.push(next);
+    if (accepted.every((p) => overlapRatio(graph, next, p) <= maxOverlap)) {
+      accepted.push(next);
+    }
+  }
+
+  return accepted;
+}
+
+module.exports = {
+  buildRoadGraph,
+  getRoadGraph,
+  nearestNode,
+  dijkstra,
+  kShortestPaths,
+};
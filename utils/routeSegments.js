@@ -0,0 +1,194 @@
+const { latLngToTileId, haversineMeters } = require("./geo");
+const { summarizeTiles } = require("./riskScoring");
+
+// Types that describe danger; tips and positive experiences are not announced
+const DANGER_TYPES = ["incident", "harassment", "safety_concern"];
+
+// Hazard kinds in announcement priority order, keyed by the tile reason that triggers them
+const HAZARD_KINDS = [
+  {
+    reason: "low_lighting",
+    kind: "dark_stretch",
+    message: "Dark stretch reported",
+  },
+  {
+    reason: "high_severity",
+    kind: "serious_incidents",
+    message: "Serious incidents reported",
+  },
+  {
+    reason: "late_hour",
+    kind: "late_night_reports",
+    message: "Incidents reported late at night",
+  },
+  {
+    reason: "historical_reports",
+    kind: "reported_incidents",
+    message: "Incidents reported",
+  },
+];
+
+// Largest polyline POST /score-geometry accepts (vertices and total length)
+const MAX_ROUTE_POINTS = Number(process.env.ROUTE_MAX_POINTS || 10000);
+const MAX_ROUTE_METERS = Number(process.env.ROUTE_MAX_LENGTH_M || 200000);
+
+const isLngLat = (p) =>
+  Array.isArray(p) &&
+  p.length === 2 &&
+  p.every((v) => typeof v === "number" && Number.isFinite(v)) &&
+  Math.abs(p[0]) <= 180 &&
+  Math.abs(p[1]) <= 90;
+
+// Why a polyline cannot be scored, or null when it can: at least two valid
+// [lng, lat] vertices, at most MAX_ROUTE_POINTS of them and MAX_ROUTE_METERS long
+function geometryError(geometry) {
+  if (!Array.isArray(geometry) || geometry.length < 2) {
+    return "geometry must be array of [lng,lat] points";
+  }
+  if (geometry.length > MAX_ROUTE_POINTS) {
+    return `geometry may have at most ${MAX_ROUTE_POINTS} points`;
+  }
+  if (!geometry.every(isLngLat)) {
+    return "geometry points must be [lng,lat] numbers within range";
+  }
+  let length = 0;
+  for (let i = 1; i < geometry.length; i++) {
+    length += haversineMeters(geometry[i - 1], geometry[i]);
+  }
+  if (length > MAX_ROUTE_METERS) {
+    return `geometry may be at most ${MAX_ROUTE_METERS} meters long`;
+  }
+  return null;
+}
+
+// Walk a [lng, lat] polyline, sampling every half tile, and return samples
+// with their distance from the start and tile id
+function sampleAlong(geometry, tileSize) {
+  const step = tileSize / 2;
+  const samples = [];
+  let travelled = 0;
+  for (let i = 0; i < geometry.length - 1; i++) {
+    const a = geometry[i];
+    const b = geometry[i + 1];
+    const len = haversineMeters(a, b);
+    const n = Math.max(1, Math.ceil(len / step));
+    for (let j = 0; j < n; j++) {
+      const t = j / n;
+      const lng = a[0] + (b[0] - a[0]) * t;
+      const lat = a[1] + (b[1] - a[1]) * t;
+      samples.push({
+        point: [lng, lat],
+        distance: travelled + len * t,
+        tileId: latLngToTileId(lat, lng, tileSize),
+      });
+    }
+    travelled += len;
+  }
+  const last = geometry[geometry.length - 1];
+  samples.push({
+    point: last,
+    distance: travelled,
+    tileId: latLngToTileId(last[1], last[0], tileSize),
+  });
+  return { samples, length: travelled };
+}
+
+// Unique tiles a polyline passes through (not just the tiles of its vertices)
+function routeTileIds(geometry, tileSize) {
+  const { samples } = sampleAlong(geometry, tileSize);
+  return Array.from(new Set(samples.map((s) => s.tileId)));
+}
+
+// Split a scored polyline into fixed-length segments with their own risk.
+// tiles is the map returned by scoreTiles; masked tiles never contribute
+// counts, types or reasons to a segment.
+function segmentRoute(geometry, tiles, { tileSize, segmentMeters = 200 }) {
+  const { samples, length } = sampleAlong(geometry, tileSize);
+  const count = Math.max(1, Math.ceil(length / segmentMeters));
+  const segments = [];
+
+  // samples run in distance order, so bucket them in one pass; the end of
+  // the route belongs to the last segment
+  const buckets = Array.from({ length: count }, () => []);
+  samples.forEach((s) => {
+    const i = Math.min(count - 1, Math.floor(s.distance / segmentMeters));
+    buckets[i].push(s);
+  });
+
+  for (let i = 0; i < count; i++) {
+    const from = i * segmentMeters;
+    const to = Math.min(length, from + segmentMeters);
+    const inSegment = buckets[i];
+    const tileIds = Array.from(new Set(inSegment.map((s) => s.tileId)));
+    const known = tileIds.map((t) => tiles[t]).filter((t) => t && !t.masked);
+
+    const typeTotals = {};
+    const reasons = new Set();
+    let maxScore = 0;
+    known.forEach((t) => {
+      Object.entries(t.types || {}).forEach(([type, n]) => {
+        if (DANGER_TYPES.includes(type))
+          typeTotals[type] = (typeTotals[type] || 0) + n;
+      });
+      t.reasons.forEach((r) => reasons.add(r));
+      maxScore = Math.max(maxScore, t.score);
+    });
+
+    segments.push({
+      index: i,
+      fromMeters: Math.round(from),
+      toMeters: Math.round(to),
+      start: inSegment.length ? inSegment[0].point : geometry[0],
+      ...summarizeTiles(tileIds, tiles),
+      maxScore,
+      mainTypes: Object.entries(typeTotals)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 2)
+        .map(([type]) => type),
+      lighting: ["low_lighting", "late_hour"].filter((r) => reasons.has(r)),
+      reasons: Array.from(reasons),
+    });
+  }
+
+  return { segments, lengthMeters: Math.round(length) };
+}
+
+// Points the client can announce during navigation. Consecutive risky segments
+// with the same hazard kind are merged into one stretch.
+function hazardPoints(
+  segments,
+  minScore = Number(process.env.HAZARD_MIN_SCORE || 0.4)
+) {
+  const hazards = [];
+  segments.forEach((seg) => {
+    if (seg.maxScore < minScore) return;
+    const hazard = HAZARD_KINDS.find((h) => seg.reasons.includes(h.reason));
+    if (!hazard) return;
+
+    const prev = hazards[hazards.length - 1];
+    if (prev && prev.kind === hazard.kind && prev.toMeters === seg.fromMeters) {
+      prev.toMeters = seg.toMeters;
+      prev.lengthMeters = prev.toMeters - prev.distanceFromStartMeters;
+      prev.score = Math.max(prev.score, seg.maxScore);
+      return;
+    }
+    hazards.push({
+      kind: hazard.kind,
+      message: hazard.message,
+      location: seg.start,
+      distanceFromStartMeters: seg.fromMeters,
+      toMeters: seg.toMeters,
+      lengthMeters: seg.toMeters - seg.fromMeters,
+      score: seg.maxScore,
+      mainTypes: seg.mainTypes,
+    });
+  });
+  return hazards.map(({ toMeters, ...h }) => h);
+}
+
+module.exports = {
+  geometryError,
+  routeTileIds,
+  segmentRoute,
+  hazardPoints,
+};
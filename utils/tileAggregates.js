@@ -0,0 +1,119 @@
+const TileAggregate = require("../models/TileAggregate");
+const { TILE_LEVELS, latLngToTileId, tileIdToOrigin } = require("./geo");
+const { localTimeParts, reportIncidentTime } = require("./time");
+
+// Levels kept in TileAggregate: the pyramid plus the base tile size
+function aggregateLevels() {
+  const base = Number(process.env.TILE_SIZE_M || 50);
+  return Array.from(new Set([base, ...TILE_LEVELS]));
+}
+
+function utcDay(date) {
+  const d = new Date(date);
+  d.setUTCHours(0, 0, 0, 0);
+  return d;
+}
+
+// Row keys (one per level) a report contributes to, or [] when it should not
+// be counted (anything not submitted, without a location, or a duplicate
+// report of an incident that is already counted through its primary report)
+function reportContribution(report) {
+  if (!report || report.status !== "submitted") return [];
+  if (report.incidentPrimary === false) return [];
+  const coords = report.location && report.location.coordinates;
+  if (!coords || coords.length !== 2) return [];
+
+  const [lng, lat] = coords;
+  const base = Number(process.env.TILE_SIZE_M || 50);
+  const { hour, dayOfWeek } = localTimeParts(reportIncidentTime(report));
+  const shared = {
+    day: utcDay(report.submittedAt || report.createdAt || new Date()),
+    hour,
+    dayOfWeek,
+    type: report.type,
+    severity: report.severity || "medium",
+    verified: Boolean(report.verified),
+    lighting: report.lightingFlag || "unknown",
+    reputation: report.reputationTier || "normal",
+  };
+
+  const pyramid = report.tilePyramid || {};
+  return aggregateLevels().map((level) => {
+    const tileId =
+      (level === base && report.tileId) ||
+      pyramid[`m${level}`] ||
+      latLngToTileId(lat, lng, level);
+    return { level, tileId, ...shared };
+  });
+}
+
+const keyString = (k) =>
+  [
+    k.level,
+    k.tileId,
+    k.day.toISOString(),
+    k.hour,
+    k.dayOfWeek,
+    k.type,
+    k.severity,
+    k.verified,
+    k.lighting,
+    k.reputation,
+  ].join("|");
+
+// Add `delta` reports per key occurrence (upserting, and dropping rows that reach zero)
+async function applyRows(keys, delta) {
+  if (keys.length === 0) return;
+  const grouped = new Map();
+  keys.forEach((key) => {
+    const k = keyString(key);
+    if (grouped.has(k)) grouped.get(k).n += 1;
+    else grouped.set(k, { key, n: 1 });
+  });
+
+  await TileAggregate.bulkWrite(
+    Array.from(grouped.values()).map(({ key, n }) => {
+      const origin = tileIdToOrigin(key.tileId);
+      return {
+        updateOne: {
+          filter: key,
+          update: {
+            $inc: { count: delta * n },
+            $setOnInsert: { lat: origin.lat, lng: origin.lng },
+          },
+          upsert: delta > 0,
+        },
+      };
+    }),
+    { ordered: false }
+  );
+  if (delta < 0) {
+    await TileAggregate.deleteMany({
+      $or: keys.map((key) => ({ ...key, count: { $lte: 0 } })),
+    });
+  }
+}
+
+// Move a report's contribution from its previous state to its new state.
+// Either side may be empty (creation, deletion, status changes).
+async function syncReportAggregates(before = [], after = []) {
+  const beforeKeys = new Set(before.map(keyString));
+  const afterKeys = new Set(after.map(keyString));
+  const removed = before.filter((k) => !afterKeys.has(keyString(k)));
+  const added = after.filter((k) => !beforeKeys.has(keyString(k)));
+  await applyRows(removed, -1);
+  await applyRows(added, 1);
+}
+
+// Count (delta = 1) or uncount (delta = -1) a batch of reports at once
+async function countReports(reports, delta = 1) {
+  await applyRows(reports.flatMap(reportContribution), delta);
+}
+
+module.exports = {
+  aggregateLevels,
+  countReports,
+  reportContribution,
+  syncReportAggregates,
+  utcDay,
+};
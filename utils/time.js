@@ -0,0 +1,50 @@
+// Reports store timeBucket as a UTC ISO hour; hour-of-day and weekday are
+// evaluated in the timezone the reports were made in
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || "Asia/Kolkata";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Local hour (0-23), day of week (1 = Sunday ... 7 = Saturday, as Mongo's
+// $dayOfWeek) and day type of a Date in REPORT_TIMEZONE
+function localTimeParts(date) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: REPORT_TIMEZONE,
+    hour: "numeric",
+    hourCycle: "h23",
+    weekday: "short",
+  }).formatToParts(date);
+  const hour = Number(parts.find((p) => p.type === "hour").value);
+  const dayOfWeek =
+    WEEKDAYS.indexOf(parts.find((p) => p.type === "weekday").value) + 1;
+  return {
+    hour,
+    dayOfWeek,
+    dayType: dayOfWeek === 1 || dayOfWeek === 7 ? "weekend" : "weekday",
+  };
+}
+
+// When the reported incident happened: the timeBucket hour, else the timestamp
+function reportIncidentTime(report) {
+  if (report.timeBucket) {
+    const d = new Date(`${report.timeBucket}:00:00Z`);
+    if (!Number.isNaN(d.getTime())) return d;
+  }
+  return report.timestamp || report.createdAt || new Date();
+}
+
+// Calendar day (YYYY-MM-DD) of a Date in REPORT_TIMEZONE
+function localDay(date) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: REPORT_TIMEZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+}
+
+module.exports = {
+  REPORT_TIMEZONE,
+  localDay,
+  localTimeParts,
+  reportIncidentTime,
+};
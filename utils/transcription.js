@@ -0,0 +1,182 @@
+const mongoose = require("mongoose");
+const { setTimeout: sleep } = require("timers/promises");
+const { readEvidence } = require("./evidenceStorage");
+const { appendChain, contentHash } = require("./evidenceChain");
+
+// Server-side transcription of voice-note reports, selected with
+// TRANSCRIPTION_PROVIDER:
+//   none    - (default) voice notes are stored untranscribed, as pending
+//   stub    - offline stand-in for development and tests: fixed text
+//             (TRANSCRIPTION_STUB_TEXT), no network
+//   whisper - an OpenAI-compatible /audio/transcriptions endpoint (OpenAI,
+//             a self-hosted whisper.cpp or faster-whisper server...)
+// A report's first audio evidence file is transcribed in the background once
+// it is saved (the request answers with status "pending"), retrying failures
+// after TRANSCRIPTION_RETRY_DELAY_MS, doubled each time, up to
+// TRANSCRIPTION_MAX_ATTEMPTS attempts. Voice notes left pending (a restart,
+// a serverless function frozen after its response) are picked up by
+// scripts/transcribe_pending.js.
+
+const settings = () => ({
+  provider: process.env.TRANSCRIPTION_PROVIDER || "none",
+  timeoutMs: Number(process.env.TRANSCRIPTION_TIMEOUT_MS || 30000),
+  maxAttempts: Number(process.env.TRANSCRIPTION_MAX_ATTEMPTS || 3),
+  retryDelayMs: Number(process.env.TRANSCRIPTION_RETRY_DELAY_MS || 5000),
+});
+
+const providers = {
+  async stub(audio) {
+    return {
+      text:
+        process.env.TRANSCRIPTION_STUB_TEXT ||
+        `Voice note (${audio.length} bytes)`,
+      language: "en",
+      confidence: 1,
+    };
+  },
+
+  async whisper(audio, { filename, contentType }) {
+    const form = new FormData();
+    form.append("file", new Blob([audio], { type: contentType }), filename);
+    form.append("model", process.env.TRANSCRIPTION_MODEL || "whisper-1");
+    form.append("response_format", "verbose_json");
+
+    const res = await fetch(
+      process.env.TRANSCRIPTION_API_URL ||
+        "https://api.openai.com/v1/audio/transcriptions",
+      {
+        method: "POST",
+        headers: process.env.TRANSCRIPTION_API_KEY
+          ? { Authorization: `Bearer ${process.env.TRANSCRIPTION_API_KEY}` }
+          : {},
+        body: form,
+        signal: AbortSignal.timeout(settings().timeoutMs),
+      }
+    );
+    if (!res.ok) {
+      throw new Error(`Transcription request failed with ${res.status}`);
+    }
+    const data = await res.json();
+
+    // confidence: mean per-segment probability, when segments are returned
+    const segments = Array.isArray(data.segments) ? data.segments : [];
+    const confidence = segments.length
+      ? segments.reduce(
+          (sum, s) => sum + Math.min(1, Math.exp(s.avg_logprob || 0)),
+          0
+        ) / segments.length
+      : null;
+    return {
+      text: String(data.text || "").trim(),
+      language: data.language || null,
+      confidence: confidence === null ? null : Number(confidence.toFixed(3)),
+    };
+  },
+};
+
+// The configured provider's name, or null when transcription is off
+function transcriptionProvider() {
+  const { provider } = settings();
+  return providers[provider] ? provider : null;
+}
+
+// Mark a report for transcription when it has audio evidence and no voice
+// note yet. Called again after draft evidence changes: a removed voice note
+// takes its transcription with it and the next audio file, if any, is queued.
+function queueTranscription(report) {
+  const current =
+    report.voiceTranscription && report.voiceTranscription.evidence;
+  if (current && report.evidence.id(current)) return;
+  const audio = (report.evidence || []).find((e) => e.type === "audio");
+  if (!audio) {
+    if (current) report.voiceTranscription = undefined;
+    return;
+  }
+  report.voiceTranscription = {
+    status: "pending",
+    evidence: audio._id,
+    attempts: 0,
+  };
+}
+
+// Transcribe a report's pending voice note and save the result. `audio` is
+// the file's contents when the caller has them (fresh uploads), otherwise
+// they are read back from evidence storage. Errors are logged, not thrown.
+async function transcribeReport(report, audio = null) {
+  const provider = transcriptionProvider();
+  const pending = report.voiceTranscription;
+  if (!provider || !pending || pending.status !== "pending") return report;
+
+  const entry = report.evidence.id(pending.evidence);
+  if (!entry) {
+    // the audio was redacted before it could be transcribed
+    report.voiceTranscription = undefined;
+    return report.save();
+  }
+
+  try {
+    const result = await providers[provider](
+      audio || (await readEvidence(entry)),
+      { filename: entry.filename, contentType: entry.contentType }
+    );
+    report.voiceTranscription = {
+      ...result,
+      status: "completed",
+      evidence: entry._id,
+      provider,
+      attempts: pending.attempts + 1,
+      transcribedAt: new Date(),
+    };
+  } catch (err) {
+    console.error("Transcription error:", err);
+    const attempts = pending.attempts + 1;
+    report.voiceTranscription.attempts = attempts;
+    if (attempts >= settings().maxAttempts) {
+      report.voiceTranscription.status = "failed";
+    }
+    return report.save();
+  }
+
+  await report.save();
+  await appendChain(report, "transcribed", "system", {
+    evidence: entry._id,
+    provider,
+    language: report.voiceTranscription.language,
+    confidence: report.voiceTranscription.confidence,
+    contentHash: contentHash(report),
+  });
+  return report;
+}
+
+// Transcribe a report's pending voice note in the background, without
+// holding up the request that saved it. Each attempt works on a fresh copy of
+// the report, so it never races the caller's own saves; `audio` (a fresh
+// upload) saves reading the file back on the first attempt. Resolves with the
+// report as last transcribed, or null; never rejects.
+function scheduleTranscription(report, audio = null) {
+  const pending = report.voiceTranscription;
+  if (!transcriptionProvider() || !pending || pending.status !== "pending") {
+    return Promise.resolve(null);
+  }
+  const Report = mongoose.model("Report");
+  const attempt = async (first, delay) => {
+    const fresh = await Report.findById(report._id);
+    if (!fresh) return null;
+    await transcribeReport(fresh, first ? audio : null);
+    const status = fresh.voiceTranscription && fresh.voiceTranscription.status;
+    if (status !== "pending") return fresh;
+    await sleep(delay);
+    return attempt(false, delay * 2);
+  };
+  return attempt(true, settings().retryDelayMs).catch((err) => {
+    console.error("Transcription error:", err);
+    return null;
+  });
+}
+
+module.exports = {
+  transcriptionProvider,
+  queueTranscription,
+  transcribeReport,
+  scheduleTranscription,
+};
@@ -0,0 +1,438 @@
+const mongoose = require("mongoose");
+const { METERS_PER_DEGREE, bboxToPolygon, nearestTileLevel } = require("./geo");
+const { REPORT_TIMEZONE, localDay } = require("./time");
+const { noisyCount } = require("./differentialPrivacy");
+
+// Trend analytics for an area (GET /api/reports/trends): weekly or monthly
+// counts of submitted reports by type and severity for a bbox, a
+// neighbourhood or a set of tiles, with moving averages, anomaly and
+// change-point flags and the hour-of-week distribution. Periods follow the
+// incident time in REPORT_TIMEZONE and weeks start on Monday. As in the
+// heatmaps, an incident reported several times counts once.
+//
+// Areas are queried freely, so exact counts for overlapping areas (tiles S
+// against S plus one more) could be subtracted down to a single report: every
+// count is noised, empty ones included (the route charges the privacy budget
+// whether or not DP_ENABLED is set), and a bbox or tile must be at least
+// TREND_MIN_SIZE_M across. Every released count is then K_ANON-masked: counts
+// from 1 to K_ANON - 1 are null, and once a breakdown masks anything its zeros
+// are masked too (and, when a single cell would be masked, the smallest other
+// one) so masked cells cannot be recovered from a total. Averages, flags and
+// the trend are computed from the masked series only.
+
+const TYPES = [
+  "incident",
+  "harassment",
+  "safety_concern",
+  "positive_experience",
+  "tip",
+];
+const SEVERITIES = ["low", "medium", "high", "critical"];
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+// Default and most periods per response, moving-average window and the
+// number of earlier periods a period is compared with for anomalies
+const INTERVALS = {
+  week: { periods: 26, max: 156, window: 4, baseline: 8 },
+  month: { periods: 12, max: 36, window: 3, baseline: 6 },
+};
+const MAX_TILES = 500;
+const minSize = () => Number(process.env.TREND_MIN_SIZE_M || 1000);
+// z-score of a period against its baseline that flags a spike or a drop
+const ANOMALY_Z = 2.5;
+// Shift between the windows either side of a period, in Poisson standard
+// errors, that marks a change point
+const CHANGE_T = 3;
+// Relative change between the last two windows reported as rising / falling
+const TREND_THRESHOLD = 0.15;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dayDate = (day) => new Date(`${day}T00:00:00Z`);
+const addDays = (day, n) =>
+  new Date(dayDate(day).getTime() + n * DAY_MS).toISOString().slice(0, 10);
+const round = (value) => Math.round(value * 100) / 100;
+
+// First day of the week or month a calendar day (YYYY-MM-DD) falls in
+function periodStart(day, interval) {
+  if (interval === "month") return `${day.slice(0, 7)}-01`;
+  return addDays(day, -((dayDate(day).getUTCDay() + 6) % 7));
+}
+
+function nextPeriod(start, interval) {
+  if (interval === "week") return addDays(start, 7);
+  const next = dayDate(start);
+  next.setUTCMonth(next.getUTCMonth() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+const list = (value) =>
+  String(value)
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+const isDay = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(dayDate(value).getTime());
+
+// Turn trend query parameters into { match, interval, from, to, periods,
+// window, baseline, area }, or { status, message } when they are invalid
+function parseTrendQuery(params) {
+  const interval = params.interval || "week";
+  const config = INTERVALS[interval];
+  if (!config) {
+    return { status: 400, message: "interval must be week or month" };
+  }
+
+  const match = { status: "submitted", incidentPrimary: { $ne: false } };
+  let area;
+  if (params.bbox) {
+    const bbox = String(params.bbox).split(",").map(Number);
+    if (bbox.length !== 4 || bbox.some(Number.isNaN)) {
+      return { status: 400, message: "bbox must be 4 numbers" };
+    }
+    const midLat = ((bbox[1] + bbox[3]) / 2) * (Math.PI / 180);
+    const width = (bbox[2] - bbox[0]) * METERS_PER_DEGREE * Math.cos(midLat);
+    const height = (bbox[3] - bbox[1]) * METERS_PER_DEGREE;
+    if (Math.min(width, height) < minSize()) {
+      return {
+        status: 400,
+        message: `bbox must be at least ${minSize()} meters wide and tall`,
+      };
+    }
+    match.location = { $geoWithin: { $geometry: bboxToPolygon(bbox) } };
+    area = { bbox };
+  } else if (params.neighborhood) {
+    match["location.neighborhood"] = String(params.neighborhood);
+    if (params.city) match["location.city"] = String(params.city);
+    area = { neighborhood: match["location.neighborhood"], city: params.city };
+  } else if (params.tiles) {
+    const tileIds = list(params.tiles);
+    if (tileIds.length > MAX_TILES) {
+      return { status: 400, message: `At most ${MAX_TILES} tiles` };
+    }
+    const level = nearestTileLevel(
+      params.tileSizeMeters || process.env.TILE_SIZE_M || 50
+    );
+    if (level < minSize()) {
+      return {
+        status: 400,
+        message: `tileSizeMeters must be at least ${minSize()}`,
+      };
+    }
+    match[`tilePyramid.m${level}`] = { $in: tileIds };
+    area = { tiles: tileIds.length, tileSizeMeters: level };
+  } else {
+    return {
+      status: 400,
+      message: "An area is required: bbox, neighborhood or tiles",
+    };
+  }
+
+  if ([params.from, params.to].some((day) => day && !isDay(day))) {
+    return { status: 400, message: "from and to must be YYYY-MM-DD dates" };
+  }
+  const to = params.to || localDay(new Date());
+  let from = periodStart(to, interval);
+  if (params.from) {
+    from = periodStart(params.from, interval);
+  } else {
+    for (let i = 1; i < config.periods; i++) {
+      from = periodStart(addDays(from, -1), interval);
+    }
+  }
+  if (from > to) return { status: 400, message: "from must be before to" };
+
+  const periods = [];
+  for (let start = from; start <= to; start = nextPeriod(start, interval)) {
+    periods.push(start);
+    if (periods.length > config.max) {
+      return {
+        status: 400,
+        message: `At most ${config.max} ${interval}s at once`,
+      };
+    }
+  }
+
+  const window = Number(params.window || config.window);
+  if (!(Number.isInteger(window) && window >= 2 && window <= 12)) {
+    return { status: 400, message: "window must be between 2 and 12" };
+  }
+
+  // a day either side covers any timezone; localDay is matched exactly below
+  match.timestamp = {
+    $gte: dayDate(addDays(from, -1)),
+    $lt: dayDate(addDays(to, 2)),
+  };
+  return {
+    match,
+    interval,
+    from,
+    to,
+    periods,
+    window,
+    baseline: config.baseline,
+    area,
+  };
+}
+
+// Exact counts for a parsed query: { days: [{ day, type, severity, count }],
+// hours: [{ dayOfWeek, hour, count }] } (dayOfWeek 1 = Sunday, as Mongo's)
+async function loadTrendCounts({ match, from, to }) {
+  const Report = mongoose.model("Report");
+  const local = (operator) => ({
+    [operator]: { date: "$timestamp", timezone: REPORT_TIMEZONE },
+  });
+  const [result] = await Report.aggregate([
+    { $match: match },
+    {
+      $addFields: {
+        localDay: {
+          $dateToString: {
+            format: "%Y-%m-%d",
+            date: "$timestamp",
+            timezone: REPORT_TIMEZONE,
+          },
+        },
+      },
+    },
+    { $match: { localDay: { $gte: from, $lte: to } } },
+    {
+      $facet: {
+        days: [
+          {
+            $group: {
+              _id: { day: "$localDay", type: "$type", severity: "$severity" },
+              count: { $sum: 1 },
+            },
+          },
+        ],
+        hours: [
+          {
+            $group: {
+              _id: { dayOfWeek: local("$dayOfWeek"), hour: local("$hour") },
+              count: { $sum: 1 },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+  const flat = ({ _id, count }) => ({ ..._id, count });
+  return { days: result.days.map(flat), hours: result.hours.map(flat) };
+}
+
+// K_ANON masking of one breakdown (object or array of counts), see above
+function maskBreakdown(counts, k) {
+  const keys = Object.keys(counts);
+  const masked = new Set(
+    keys.filter((key) => counts[key] > 0 && counts[key] < k)
+  );
+  if (masked.size > 0) {
+    keys.filter((key) => counts[key] === 0).forEach((key) => masked.add(key));
+  }
+  if (masked.size === 1) {
+    const [smallest] = keys
+      .filter((key) => !masked.has(key))
+      .sort((a, b) => counts[a] - counts[b]);
+    if (smallest !== undefined) masked.add(smallest);
+  }
+  const out = Array.isArray(counts) ? [] : {};
+  keys.forEach((key) => {
+    out[key] = masked.has(key) ? null : counts[key];
+  });
+  return out;
+}
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+// Trailing moving average, null unless the whole window is known and complete
+function movingAverages(series, window) {
+  return series.map((_, i) => {
+    const span = series.slice(Math.max(0, i - window + 1), i + 1);
+    if (span.length < window) return null;
+    if (span.some((p) => p.total === null || p.partial)) return null;
+    return round(mean(span.map((p) => p.total)));
+  });
+}
+
+// "spike" / "drop" for periods far from the mean of the `baseline` periods
+// before them (Poisson noise floor), with the z-score
+function anomalies(series, baseline) {
+  return series.map((p, i) => {
+    if (p.total === null || p.partial) return { anomaly: null, zScore: null };
+    const before = series
+      .slice(Math.max(0, i - baseline), i)
+      .filter((q) => q.total !== null && !q.partial)
+      .map((q) => q.total);
+    if (before.length < Math.ceil(baseline / 2)) {
+      return { anomaly: null, zScore: null };
+    }
+    const m = mean(before);
+    const sd = Math.sqrt(mean(before.map((v) => (v - m) ** 2)));
+    const z = (p.total - m) / Math.max(sd, Math.sqrt(m), 1);
+    let anomaly = null;
+    if (z >= ANOMALY_Z) anomaly = "spike";
+    else if (z <= -ANOMALY_Z) anomaly = "drop";
+    return { anomaly, zScore: round(z) };
+  });
+}
+
+// Periods where the level shifts: the mean of the `window` periods from it on
+// differs from the mean of the `window` before by CHANGE_T standard errors.
+// Only the strongest shift within a window is kept.
+function changePoints(series, window) {
+  const known = (span) =>
+    span.length === window && span.every((p) => p.total !== null && !p.partial);
+  const scores = series.map((p, i) => {
+    const before = series.slice(i - window, i);
+    const after = series.slice(i, i + window);
+    if (i < window || !known(before) || !known(after)) return null;
+    const mb = mean(before.map((q) => q.total));
+    const ma = mean(after.map((q) => q.total));
+    return { mb, ma, t: (ma - mb) / Math.sqrt(Math.max(ma + mb, 1) / window) };
+  });
+  const strength = (i) => (scores[i] ? Math.abs(scores[i].t) : 0);
+
+  return series
+    .map((p, i) => ({ p, i, score: scores[i] }))
+    .filter(({ i, score }) => {
+      if (!score || Math.abs(score.t) < CHANGE_T) return false;
+      for (let j = i - window + 1; j < i + window; j++) {
+        if (j === i || j < 0 || j >= series.length) continue;
+        if (strength(j) > strength(i) || (strength(j) === strength(i) && j < i))
+          return false;
+      }
+      return true;
+    })
+    .map(({ p, score }) => ({
+      period: p.period,
+      direction: score.t > 0 ? "up" : "down",
+      before: round(score.mb),
+      after: round(score.ma),
+    }));
+}
+
+// Mean of the last `window` complete periods against the `window` before:
+// "rising" (more reports), "falling" or "stable"; direction is null without
+// enough unmasked periods
+function trendOf(series, window) {
+  const complete = series.filter((p) => !p.partial);
+  const recent = complete.slice(-window);
+  const previous = complete.slice(-2 * window, -window);
+  if (
+    previous.length < window ||
+    [...recent, ...previous].some((p) => p.total === null)
+  ) {
+    return { direction: null };
+  }
+  const now = mean(recent.map((p) => p.total));
+  const before = mean(previous.map((p) => p.total));
+  const change = before ? (now - before) / before : null;
+  let direction = "stable";
+  if (change === null) direction = now > 0 ? "rising" : "stable";
+  else if (change >= TREND_THRESHOLD) direction = "rising";
+  else if (change <= -TREND_THRESHOLD) direction = "falling";
+  return {
+    direction,
+    recent: round(now),
+    previous: round(before),
+    changePercent: change === null ? null : Math.round(change * 100),
+  };
+}
+
+// The response for a parsed query and its counts. With `dp` (req.dp) the
+// type, severity and hour-of-week counts, zeros included, each get a third of
+// the budget; the totals are the sums of the noisy type counts.
+function buildTrends(
+  query,
+  counts,
+  { dp, k = Number(process.env.K_ANON || 3) }
+) {
+  const noisy = (count) =>
+    noisyCount(count, dp, dp && { epsilon: dp.epsilon / 3 });
+  const zeros = (keys) => Object.fromEntries(keys.map((key) => [key, 0]));
+
+  const rows = new Map(
+    query.periods.map((start) => [
+      start,
+      { byType: zeros(TYPES), bySeverity: zeros(SEVERITIES) },
+    ])
+  );
+  counts.days.forEach(({ day, type, severity, count }) => {
+    const row = rows.get(periodStart(day, query.interval));
+    if (!row) return;
+    if (type in row.byType) row.byType[type] += count;
+    if (severity in row.bySeverity) row.bySeverity[severity] += count;
+  });
+  rows.forEach((row) => {
+    TYPES.forEach((t) => (row.byType[t] = noisy(row.byType[t])));
+    SEVERITIES.forEach((s) => (row.bySeverity[s] = noisy(row.bySeverity[s])));
+  });
+
+  const totals = maskBreakdown(
+    query.periods.map((start) =>
+      TYPES.reduce((sum, t) => sum + rows.get(start).byType[t], 0)
+    ),
+    k
+  );
+  const lastDay = addDays(query.to, 1);
+  const series = query.periods.map((start, i) => {
+    const row = rows.get(start);
+    const total = totals[i];
+    return {
+      period: query.interval === "month" ? start.slice(0, 7) : start,
+      start,
+      partial: nextPeriod(start, query.interval) > lastDay,
+      total,
+      byType: total === null ? zeros(TYPES) : maskBreakdown(row.byType, k),
+      bySeverity:
+        total === null ? zeros(SEVERITIES) : maskBreakdown(row.bySeverity, k),
+    };
+  });
+  // a masked total masks its breakdowns entirely
+  series
+    .filter((p) => p.total === null)
+    .forEach((p) => {
+      TYPES.forEach((t) => (p.byType[t] = null));
+      SEVERITIES.forEach((s) => (p.bySeverity[s] = null));
+    });
+
+  const averages = movingAverages(series, query.window);
+  const flags = anomalies(series, query.baseline);
+  series.forEach((p, i) => {
+    p.movingAverage = averages[i];
+    Object.assign(p, flags[i]);
+  });
+
+  const cells = new Array(7 * 24).fill(0);
+  counts.hours.forEach(({ dayOfWeek, hour, count }) => {
+    cells[(dayOfWeek - 1) * 24 + hour] += count;
+  });
+  const hourCells = maskBreakdown(cells.map(noisy), k);
+
+  return {
+    interval: query.interval,
+    from: query.from,
+    to: query.to,
+    timezone: REPORT_TIMEZONE,
+    series,
+    changePoints: changePoints(series, query.window),
+    trend: trendOf(series, query.window),
+    hourOfWeek: {
+      days: DAYS,
+      counts: DAYS.map((_, d) => hourCells.slice(d * 24, d * 24 + 24)),
+    },
+    meta: {
+      area: query.area,
+      kAnon: k,
+      window: query.window,
+      baseline: query.baseline,
+    },
+  };
+}
+
+module.exports = {
+  parseTrendQuery,
+  loadTrendCounts,
+  buildTrends,
+  maskBreakdown,
+};
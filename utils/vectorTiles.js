@@ -0,0 +1,100 @@
+const geojsonvt = require("geojson-vt");
+const vtpbf = require("vt-pbf");
+const { tileIdToPolygon, bboxToPolygon } = require("./geo");
+
+// Layer name used in the Mapbox Vector Tiles served by /heatmap/tiles
+const LAYER = "safety";
+
+// Bounding box [minLng, minLat, maxLng, maxLat] of a web-mercator XYZ tile
+function xyzToBbox(z, x, y) {
+  const n = Math.pow(2, z);
+  const lng = (px) => (px / n) * 360 - 180;
+  const lat = (py) =>
+    (Math.atan(Math.sinh(Math.PI * (1 - (2 * py) / n))) * 180) / Math.PI;
+  return [lng(x), lat(y + 1), lng(x + 1), lat(y)];
+}
+
+function isValidXyz(z, x, y) {
+  const n = Math.pow(2, z);
+  return (
+    [z, x, y].every(Number.isInteger) &&
+    z >= 0 &&
+    z <= 22 &&
+    x >= 0 &&
+    x < n &&
+    y >= 0 &&
+    y < n
+  );
+}
+
+// Weight on a fixed scale (not relative to the other cells in the response) so
+// adjacent XYZ tiles cached independently still colour consistently
+function absoluteWeight(count) {
+  const saturation = Number(process.env.VECTOR_TILE_SATURATION || 20);
+  return Number(Math.min(1, (count || 0) / saturation).toFixed(4));
+}
+
+// FeatureCollection of tile polygons. Cells under K_ANON keep their polygon
+// but carry only { tileId, masked: true } - no counts or weights. Regions of
+// merged sparse tiles (see generalizeTiles) are added as their bounding
+// polygon with merged: true and the combined counts.
+function cellsToFeatureCollection(cells, tileSize, kAnon, regions = []) {
+  const features = cells.map((c) => {
+    const masked = (c.totalCount || 0) < kAnon;
+    return {
+      type: "Feature",
+      id: c.tileId,
+      geometry: tileIdToPolygon(c.tileId, tileSize),
+      properties: masked
+        ? { tileId: c.tileId, masked: true }
+        : {
+            tileId: c.tileId,
+            masked: false,
+            totalCount: c.totalCount,
+            incidentCount: c.incidentCount || 0,
+            positiveCount: c.positiveCount || 0,
+            dangerWeight: absoluteWeight(c.incidentCount),
+            safeWeight: absoluteWeight(c.positiveCount),
+          },
+    };
+  });
+  regions.forEach((r) => {
+    features.push({
+      type: "Feature",
+      id: r.regionId,
+      geometry: bboxToPolygon(r.bounds),
+      properties: {
+        regionId: r.regionId,
+        merged: true,
+        masked: false,
+        tileCount: r.tileCount,
+        totalCount: r.totalCount,
+        incidentCount: r.incidentCount,
+        positiveCount: r.positiveCount,
+        dangerWeight: absoluteWeight(r.incidentCount),
+        safeWeight: absoluteWeight(r.positiveCount),
+      },
+    });
+  });
+  return { type: "FeatureCollection", features };
+}
+
+// Encode a FeatureCollection as a Mapbox Vector Tile for z/x/y
+function encodeMvt(featureCollection, z, x, y) {
+  const index = geojsonvt(featureCollection, {
+    maxZoom: z,
+    indexMaxZoom: z,
+    indexMaxPoints: 0,
+    buffer: 64,
+  });
+  const tile = index.getTile(z, x, y) || { features: [] };
+  return Buffer.from(vtpbf.fromGeojsonVt({ [LAYER]: tile }, { version: 2 }));
+}
+
+module.exports = {
+  LAYER,
+  xyzToBbox,
+  isValidXyz,
+  cellsToFeatureCollection,
+  encodeMvt,
+};
@@ -0,0 +1,552 @@
+const geolib = require("geolib");
+const WatchArea = require("../models/WatchArea");
+const WatchAreaMatch = require("../models/WatchAreaMatch");
+const TileAggregate = require("../models/TileAggregate");
+const User = require("../models/User");
+const {
+  METERS_PER_DEGREE,
+  TILE_LEVELS,
+  bboxToPolygon,
+  haversineMeters,
+  latLngToTileId,
+  tileIdToCentroid,
+} = require("./geo");
+const { utcDay } = require("./tileAggregates");
+const { sendMail } = require("./mailer");
+
+// Watch areas: users subscribe to a polygon, a circle or a route corridor and
+// are told when a public report is submitted inside it. Matching runs on the
+// server as each report is submitted (utils/reportSubmission.js); watchers get
+// a socket event with ids only, an email, or a daily digest email, and never
+// the report's exact location: matches carry the centre of the finest pyramid
+// tile that holds K_ANON reports, and nothing is sent when no tile does. Areas
+// must be at least WATCH_MIN_RADIUS_M across everywhere, and one user's areas
+// may only overlap so far, so that neither one area nor several together can
+// single out one building.
+
+const SEVERITIES = ["low", "medium", "high", "critical"];
+// Geodesic box edges bow away from the parallels; keep candidates near them
+const BOUNDS_MARGIN_M = 100;
+// Grid points used to estimate how a user's areas overlap
+const OVERLAP_SAMPLES = 40000;
+
+const limits = () => ({
+  minMeters: Number(process.env.WATCH_MIN_RADIUS_M || 200),
+  maxMeters: Number(process.env.WATCH_MAX_RADIUS_M || 20000),
+  maxOverlap: Number(process.env.WATCH_MAX_OVERLAP || 0.5),
+});
+
+const validPoint = (p) =>
+  Array.isArray(p) &&
+  p.length === 2 &&
+  p.every((v) => typeof v === "number" && Number.isFinite(v)) &&
+  Math.abs(p[0]) <= 180 &&
+  Math.abs(p[1]) <= 90;
+
+const toGeolib = ([lng, lat]) => ({ latitude: lat, longitude: lng });
+
+// [minLng, minLat, maxLng, maxLat] around points, padded by `meters`
+function paddedBbox(points, meters) {
+  const lngs = points.map((p) => p[0]);
+  const lats = points.map((p) => p[1]);
+  const maxAbsLat = Math.min(
+    89,
+    Math.max(...lats.map((lat) => Math.abs(lat))) + meters / METERS_PER_DEGREE
+  );
+  const dLat = meters / METERS_PER_DEGREE;
+  const dLng = dLat / Math.cos((maxAbsLat * Math.PI) / 180);
+  return [
+    Math.max(-180, Math.min(...lngs) - dLng),
+    Math.max(-90, Math.min(...lats) - dLat),
+    Math.min(180, Math.max(...lngs) + dLng),
+    Math.min(90, Math.max(...lats) + dLat),
+  ];
+}
+
+// Distance along ray p + s * n (flat [x, y] meters) to segment c-e, or
+// Infinity when the ray misses it
+function rayDistance(p, [nx, ny], c, e) {
+  const [dx, dy] = [e[0] - c[0], e[1] - c[1]];
+  const denom = nx * dy - ny * dx;
+  if (!denom) return Infinity;
+  const [wx, wy] = [c[0] - p[0], c[1] - p[1]];
+  const s = (wx * dy - wy * dx) / denom;
+  const t = (wx * ny - wy * nx) / denom;
+  return s > 1e-9 && t >= 0 && t <= 1 ? s : Infinity;
+}
+
+// Whether a closed ring of [lng, lat] points is at least `width` meters
+// across everywhere: a ray cast inwards, square to an edge, must travel
+// `width` before it leaves the polygon. Rays start at each edge's midpoint
+// and every `width` along it, but not within `width` of a corner, where
+// any corner sharper than a right angle is narrow.
+function wideEnough(ring, width) {
+  const [lng0, lat0] = ring[0];
+  const kx = METERS_PER_DEGREE * Math.cos((lat0 * Math.PI) / 180);
+  const points = ring.map(([lng, lat]) => [
+    (lng - lng0) * kx,
+    (lat - lat0) * METERS_PER_DEGREE,
+  ]);
+  const edges = points.slice(1).map((b, i) => [points[i], b]);
+  // Shoelace sign: 1 when counter-clockwise, so the inside is on the left
+  const turn = Math.sign(
+    edges.reduce((sum, [a, b]) => sum + a[0] * b[1] - b[0] * a[1], 0)
+  );
+
+  return edges.every(([a, b], i) => {
+    const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+    if (!length) return true;
+    const [ux, uy] = [(b[0] - a[0]) / length, (b[1] - a[1]) / length];
+    const inward = [-uy * turn, ux * turn];
+    const offsets = [length / 2];
+    for (let d = width; d <= length - width; d += width) offsets.push(d);
+    return offsets.every((d) => {
+      const start = [a[0] + ux * d, a[1] + uy * d];
+      const across = Math.min(
+        ...edges.map(([c, e], j) =>
+          j === i ? Infinity : rayDistance(start, inward, c, e)
+        )
+      );
+      // a ray that never leaves crossed a self-intersecting ring
+      return across >= width && across < Infinity;
+    });
+  });
+}
+
+// Geometry fields of a watch area from request input ({ kind, polygon,
+// center, radiusMeters, path, bufferMeters }), or { error } when the shape is
+// invalid, too small or too large
+function watchShape({
+  kind,
+  polygon,
+  center,
+  radiusMeters,
+  path,
+  bufferMeters,
+}) {
+  const { minMeters, maxMeters } = limits();
+  const distanceOk = (meters) => meters >= minMeters && meters <= maxMeters;
+  const sizeError = `must be between ${minMeters} and ${maxMeters} meters`;
+
+  if (kind === "radius") {
+    if (!validPoint(center)) return { error: "center must be [lng, lat]" };
+    const radius = Number(radiusMeters);
+    if (!distanceOk(radius)) return { error: `radiusMeters ${sizeError}` };
+    return {
+      geometry: { type: "Point", coordinates: center },
+      radiusMeters: radius,
+      bufferMeters: undefined,
+      bounds: bboxToPolygon(paddedBbox([center], radius + BOUNDS_MARGIN_M)),
+    };
+  }
+
+  if (kind === "route") {
+    if (!Array.isArray(path) || path.length < 2 || !path.every(validPoint)) {
+      return { error: "path must be an array of at least 2 [lng, lat] points" };
+    }
+    const buffer = Number(bufferMeters || minMeters);
+    if (!distanceOk(buffer)) return { error: `bufferMeters ${sizeError}` };
+    const length = path
+      .slice(1)
+      .reduce((sum, p, i) => sum + haversineMeters(path[i], p), 0);
+    if (length > 10 * maxMeters) {
+      return {
+        error: `path must be at most ${(10 * maxMeters) / 1000} km long`,
+      };
+    }
+    return {
+      geometry: { type: "LineString", coordinates: path },
+      radiusMeters: undefined,
+      bufferMeters: buffer,
+      bounds: bboxToPolygon(paddedBbox(path, buffer + BOUNDS_MARGIN_M)),
+    };
+  }
+
+  if (kind === "polygon") {
+    if (!Array.isArray(polygon) || !polygon.every(validPoint)) {
+      return { error: "polygon must be an array of [lng, lat] points" };
+    }
+    const ring = polygon.slice();
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+      ring.push(first);
+    }
+    if (ring.length < 4) {
+      return { error: "polygon must have at least 3 corners" };
+    }
+    const area = geolib.getAreaOfPolygon(ring.map(toGeolib));
+    if (area < Math.PI * minMeters ** 2 || area > Math.PI * maxMeters ** 2) {
+      return {
+        error: `polygon must cover the area of a circle whose radius ${sizeError}`,
+      };
+    }
+    if (!wideEnough(ring, 2 * minMeters)) {
+      return {
+        error: `polygon must be at least ${2 * minMeters} meters wide everywhere and must not cross itself`,
+      };
+    }
+    return {
+      geometry: { type: "Polygon", coordinates: [ring] },
+      radiusMeters: undefined,
+      bufferMeters: undefined,
+      bounds: bboxToPolygon(paddedBbox(ring, BOUNDS_MARGIN_M)),
+    };
+  }
+
+  return { error: "kind must be polygon, radius or route" };
+}
+
+// [minLng, minLat, maxLng, maxLat] of an area's bounds
+const boundsBox = ({ bounds }) => {
+  const ring = bounds.coordinates[0];
+  return [ring[0][0], ring[0][1], ring[2][0], ring[2][1]];
+};
+
+const boxesMeet = (a, b) =>
+  a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+
+const boxContains = (box, [lng, lat]) =>
+  lng >= box[0] && lng <= box[2] && lat >= box[1] && lat <= box[3];
+
+// Check a new or changed area ({ kind, ...watchShape }) against its owner's
+// other areas, on a grid of up to OVERLAP_SAMPLES points. At most
+// WATCH_MAX_OVERLAP of the area may lie inside other areas, and every piece
+// the overlaps cut out (a part of the area inside one set of other areas,
+// or what is left of an overlapped area outside it) must cover at least half
+// a circle of WATCH_MIN_RADIUS_M: a match in several areas places a report
+// in the piece they share. Returns { error } when the areas overlap too much.
+function watchOverlap(area, others) {
+  const { minMeters, maxOverlap } = limits();
+  const box = boundsBox(area);
+  const near = others
+    .filter((other) => boxesMeet(box, boundsBox(other)))
+    .map((other) => ({ other, box: boundsBox(other) }));
+  if (near.length === 0) return {};
+
+  const [minLng, minLat, maxLng, maxLat] = near.reduce(
+    (all, { box: b }) => [
+      Math.min(all[0], b[0]),
+      Math.min(all[1], b[1]),
+      Math.max(all[2], b[2]),
+      Math.max(all[3], b[3]),
+    ],
+    box
+  );
+  const kx =
+    METERS_PER_DEGREE * Math.cos((((minLat + maxLat) / 2) * Math.PI) / 180);
+  const width = (maxLng - minLng) * kx;
+  const height = (maxLat - minLat) * METERS_PER_DEGREE;
+  const step = Math.max(
+    minMeters / 4,
+    Math.sqrt((width * height) / OVERLAP_SAMPLES)
+  );
+
+  // grid points per piece: "in:<indexes of covering areas>" inside the
+  // area, "out:<index>" inside another area only
+  const pieces = new Map();
+  const count = (key) => pieces.set(key, (pieces.get(key) || 0) + 1);
+  for (let y = step / 2; y < height; y += step) {
+    for (let x = step / 2; x < width; x += step) {
+      const point = [minLng + x / kx, minLat + y / METERS_PER_DEGREE];
+      const covering = near
+        .map(({ other, box: b }, i) =>
+          boxContains(b, point) && areaContains(other, point) ? i : -1
+        )
+        .filter((i) => i >= 0);
+      if (boxContains(box, point) && areaContains(area, point)) {
+        count(`in:${covering.join(",")}`);
+      } else {
+        covering.forEach((i) => count(`out:${i}`));
+      }
+    }
+  }
+
+  const shared = [...pieces].filter(([key]) => /^in:\d/.test(key));
+  if (shared.length === 0) return {};
+  const inside = [...pieces]
+    .filter(([key]) => key.startsWith("in:"))
+    .reduce((sum, [, n]) => sum + n, 0);
+  const overlapped = new Set(
+    shared.flatMap(([key]) => key.slice(3).split(","))
+  );
+  const share = shared.reduce((sum, [, n]) => sum + n, 0) / inside;
+  if (share > maxOverlap) {
+    return {
+      error: `at most ${Math.round(
+        maxOverlap * 100
+      )}% of an area may overlap your other watch areas`,
+    };
+  }
+  const smallest = Math.min(
+    ...[...pieces]
+      .filter(([key]) => key.startsWith("in:") || overlapped.has(key.slice(4)))
+      .map(([, n]) => n * step * step)
+  );
+  if (smallest < (Math.PI * minMeters ** 2) / 2) {
+    return {
+      error:
+        "watch areas must not overlap your other watch areas in slivers " +
+        "or leave slivers of them uncovered",
+    };
+  }
+  return {};
+}
+
+// Distance in meters from point p to segment a-b ([lng, lat] each), on a
+// flat projection around p (fine at watch-area scales)
+function segmentDistance(p, a, b) {
+  const kx = METERS_PER_DEGREE * Math.cos((p[1] * Math.PI) / 180);
+  const ax = (a[0] - p[0]) * kx;
+  const ay = (a[1] - p[1]) * METERS_PER_DEGREE;
+  const dx = (b[0] - p[0]) * kx - ax;
+  const dy = (b[1] - p[1]) * METERS_PER_DEGREE - ay;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+  return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+// Whether a [lng, lat] point is inside a watch area
+function areaContains(area, point) {
+  const { coordinates } = area.geometry;
+  if (area.kind === "radius") {
+    return haversineMeters(coordinates, point) <= area.radiusMeters;
+  }
+  if (area.kind === "route") {
+    return coordinates
+      .slice(1)
+      .some(
+        (b, i) => segmentDistance(point, coordinates[i], b) <= area.bufferMeters
+      );
+  }
+  return geolib.isPointInPolygon(toGeolib(point), coordinates[0].map(toGeolib));
+}
+
+// Whether a report passes an area's filters and lies inside it
+function areaMatches(area, report) {
+  if (
+    area.types &&
+    area.types.length > 0 &&
+    !area.types.includes(report.type)
+  ) {
+    return false;
+  }
+  const severity = SEVERITIES.indexOf(report.severity || "medium");
+  if (severity < SEVERITIES.indexOf(area.minSeverity || "low")) return false;
+  return areaContains(area, report.location.coordinates);
+}
+
+// Where a match may be shown: the centre of the finest pyramid tile (no finer
+// than PUBLIC_LOCATION_TILE_M) that holds at least K_ANON reports over the
+// last AGG_WINDOW_DAYS, or null when not even the coarsest tile does
+async function anonymousLocation(report) {
+  const kAnon = Number(process.env.K_ANON || 3);
+  const days = Number(process.env.AGG_WINDOW_DAYS || 30);
+  const floor = Number(process.env.PUBLIC_LOCATION_TILE_M || 200);
+  const since = utcDay(Date.now() - days * 86400000);
+  const [lng, lat] = report.location.coordinates;
+
+  for (const level of TILE_LEVELS.filter((size) => size >= floor)) {
+    const tileId =
+      (report.tilePyramid && report.tilePyramid[`m${level}`]) ||
+      latLngToTileId(lat, lng, level);
+    const [row] = await TileAggregate.aggregate([
+      { $match: { level, tileId, day: { $gte: since } } },
+      { $group: { _id: null, count: { $sum: "$count" } } },
+    ]);
+    if (row && row.count >= kAnon) {
+      const centre = tileIdToCentroid(tileId, level);
+      return {
+        tileId,
+        coordinates: [centre.lng, centre.lat].map((v) => Number(v.toFixed(6))),
+        precisionMeters: level,
+      };
+    }
+  }
+  return null;
+}
+
+const clientUrl = () => process.env.CLIENT_URL || "http://localhost:3000";
+
+// Plain-text lines describing a match for emails
+function describeMatch(match, areaName) {
+  const where =
+    match.location && match.location.tileId
+      ? `within about ${match.location.precisionMeters} m of ` +
+        `${match.location.coordinates[1]}, ${match.location.coordinates[0]}`
+      : "inside the area (too few reports nearby to say where)";
+  const when = match.reportedAt
+    ? `${match.reportedAt.toISOString().slice(0, 13)}:00 UTC`
+    : "unknown";
+  return [
+    `${match.severity} ${String(match.type).replace(/_/g, " ")} ` +
+      `in "${areaName}"`,
+    `  When: ${when}`,
+    `  Where: ${where}`,
+    ...(match.report ? [`  ${clientUrl()}/reports/${match.report}`] : []),
+  ];
+}
+
+async function emailMatch(area, match) {
+  const user = await User.findById(area.user).select("email");
+  const sent = await sendMail({
+    to: user && user.email,
+    subject: `New report in your watch area "${area.name}"`,
+    text: [
+      "A report was just submitted in one of your watch areas:",
+      "",
+      ...describeMatch(match, area.name),
+      "",
+      `Manage your watch areas: ${clientUrl()}/watch-areas`,
+    ].join("\n"),
+  });
+  if (sent) {
+    await WatchAreaMatch.updateOne(
+      { _id: match._id },
+      { $set: { emailedAt: new Date() } }
+    );
+  }
+}
+
+// Match a newly submitted public report against every watch area and notify
+// the watchers: one match per area and report, and only the first report of
+// an incident. Reports that are not public, or whose surroundings hold fewer
+// than K_ANON reports, notify nobody: a match alone tells that a report
+// exists, its type, severity and hour. Errors are logged, not thrown. Returns
+// the number of matches.
+async function notifyWatchers(report, io) {
+  const coords = report.location && report.location.coordinates;
+  if (
+    report.status !== "submitted" ||
+    !report.isPublic ||
+    !coords ||
+    coords.length !== 2
+  ) {
+    return 0;
+  }
+
+  try {
+    const candidates = await WatchArea.find({
+      isActive: true,
+      user: { $ne: report.user },
+      bounds: {
+        $geoIntersects: { $geometry: { type: "Point", coordinates: coords } },
+      },
+    });
+    const areas = candidates.filter((area) => areaMatches(area, report));
+    if (areas.length === 0) return 0;
+
+    const location = await anonymousLocation(report);
+    if (!location) return 0;
+    const reportedAt = new Date(report.timestamp || report.submittedAt);
+    reportedAt.setUTCMinutes(0, 0, 0);
+
+    let matched = 0;
+    for (const area of areas) {
+      if (
+        report.incident &&
+        (await WatchAreaMatch.exists({
+          area: area._id,
+          incident: report.incident,
+        }))
+      ) {
+        continue;
+      }
+      let match;
+      try {
+        match = await WatchAreaMatch.create({
+          area: area._id,
+          user: area.user,
+          sourceReport: report._id,
+          incident: report.incident,
+          report: report._id,
+          type: report.type,
+          severity: report.severity,
+          reportedAt,
+          location,
+          email: area.notify.email === "off" ? undefined : area.notify.email,
+        });
+      } catch (err) {
+        // already matched (a resubmission or a concurrent run)
+        if (err.code === 11000) continue;
+        throw err;
+      }
+      matched += 1;
+
+      if (area.notify.socket && io) {
+        io.to(`user-${area.user}`).emit("watch-area-match", {
+          watchArea: area._id,
+          match: match._id,
+        });
+      }
+      if (area.notify.email === "instant") {
+        await emailMatch(area, match).catch((err) =>
+          console.error("Watch area email error:", err)
+        );
+      }
+    }
+    return matched;
+  } catch (err) {
+    console.error("Watch area matching error:", err);
+    return 0;
+  }
+}
+
+// Email each user one digest of their matches collected for digest delivery.
+// Returns { users, matches } sent.
+async function sendDigests() {
+  const pending = await WatchAreaMatch.find({
+    email: "digest",
+    emailedAt: null,
+  })
+    .sort({ createdAt: 1 })
+    .populate("area", "name");
+
+  const byUser = new Map();
+  pending.forEach((match) => {
+    const key = String(match.user);
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(match);
+  });
+
+  const result = { users: 0, matches: 0 };
+  for (const [userId, matches] of byUser) {
+    const user = await User.findById(userId).select("email");
+    try {
+      const sent = await sendMail({
+        to: user && user.email,
+        subject: `${matches.length} new report${matches.length === 1 ? "" : "s"} in your watch areas`,
+        text: [
+          "Reports submitted in your watch areas since the last digest:",
+          "",
+          ...matches.flatMap((match) =>
+            describeMatch(
+              match,
+              match.area ? match.area.name : "a deleted area"
+            )
+          ),
+          "",
+          `Manage your watch areas: ${clientUrl()}/watch-areas`,
+        ].join("\n"),
+      });
+      if (!sent) continue;
+    } catch (err) {
+      console.error("Watch area digest error:", err);
+      continue;
+    }
+    await WatchAreaMatch.updateMany(
+      { _id: { $in: matches.map((m) => m._id) } },
+      { $set: { emailedAt: new Date() } }
+    );
+    result.users += 1;
+    result.matches += matches.length;
+  }
+  return result;
+}
+
+module.exports = {
+  watchShape,
+  watchOverlap,
+  areaContains,
+  notifyWatchers,
+  sendDigests,
+};